@@ -0,0 +1,269 @@
+/**
+ * Local stand-in for the Python analysis API
+ *
+ * Answers the endpoints VideoAnalysisService calls with canned responses so
+ * the match -> player detection -> analysis flow (and the cron job in
+ * cronService.js that drives it) runs end to end without the real server.
+ *
+ *   yarn analysis:stand-in
+ *   ANALYSIS_API_BASE_URL=http://localhost:8000 yarn dev
+ *
+ * Jobs live in memory. Each one reports processing for the first
+ * STAND_IN_PROCESSING_POLLS status checks (default 1), then completes. Use a
+ * video URL containing "fail" to get a failed job instead. When
+ * ANALYSIS_API_KEY or ANALYSIS_API_TOKEN is set, requests must carry it, the
+ * same way the backend sends it.
+ */
+import './config.js';
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+const PORT = Number(process.env.STAND_IN_PORT) || 8000;
+const PROCESSING_POLLS = Number(process.env.STAND_IN_PROCESSING_POLLS ?? 1);
+const BASE_URL = `http://localhost:${PORT}`;
+
+// Canned per-player metrics, in the units the real API reports them in
+const PLAYER_RESULTS = {
+  a: {
+    'Distance Covered': '1825.4 Meters',
+    'Average Speed': '6.82 Kilometers per Hour',
+    'Peak Speed': '17.9 Kilometers per Hour',
+    'Net Dominance': '38.5 %',
+    'Dead Zone Presence': '21.3 %',
+    'Baseline Play': '40.2%',
+    'Total Sprint Bursts': '14',
+  },
+  b: {
+    'Distance Covered': '1640.9 Meters',
+    'Average Speed': '6.15 Kilometers per Hour',
+    'Peak Speed': '16.4 Kilometers per Hour',
+    'Net Dominance': '29.0 %',
+    'Dead Zone Presence': '26.7 %',
+    'Baseline Play': '44.3%',
+    'Total Sprint Bursts': '11',
+  },
+  c: {
+    'Distance Covered': '1712.2 Meters',
+    'Average Speed': '6.41 Kilometers per Hour',
+    'Peak Speed': '17.1 Kilometers per Hour',
+    'Net Dominance': '33.8 %',
+    'Dead Zone Presence': '24.1 %',
+    'Baseline Play': '42.1%',
+    'Total Sprint Bursts': '12',
+  },
+  d: {
+    'Distance Covered': '1588.6 Meters',
+    'Average Speed': '5.97 Kilometers per Hour',
+    'Peak Speed': '15.8 Kilometers per Hour',
+    'Net Dominance': '25.4 %',
+    'Dead Zone Presence': '30.2 %',
+    'Baseline Play': '44.4%',
+    'Total Sprint Bursts': '9',
+  },
+};
+
+const PLAYER_IDS = Object.keys(PLAYER_RESULTS);
+
+// job_id -> { kind, status, polls, video, matchId }
+const jobs = new Map();
+
+const createJob = (kind, video, matchId) => {
+  const jobId = randomUUID();
+  jobs.set(jobId, {
+    kind,
+    video,
+    matchId,
+    status: video.includes('fail') ? 'failed' : 'processing',
+    polls: 0,
+  });
+  return jobId;
+};
+
+// Count a status check and move the job on once it has been polled enough
+const pollJob = (jobId, kind) => {
+  const job = jobs.get(jobId);
+  if (!job || job.kind !== kind) return null;
+
+  job.polls += 1;
+  if (job.status === 'processing' && job.polls > PROCESSING_POLLS) {
+    job.status = 'completed';
+  }
+  return job;
+};
+
+const mediaUrl = (jobId, name) => `${BASE_URL}/media/${jobId}/${name}`;
+
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.originalUrl}`);
+  next();
+});
+
+app.use((req, res, next) => {
+  const { ANALYSIS_API_KEY, ANALYSIS_API_TOKEN } = process.env;
+
+  if (ANALYSIS_API_KEY && req.get('X-API-Key') !== ANALYSIS_API_KEY) {
+    return res.status(401).json({ detail: 'Invalid API key' });
+  }
+  if (
+    ANALYSIS_API_TOKEN &&
+    req.get('Authorization') !== `Bearer ${ANALYSIS_API_TOKEN}`
+  ) {
+    return res.status(401).json({ detail: 'Invalid token' });
+  }
+  next();
+});
+
+// The older analysis routes check the root instead of /health
+app.get(['/', '/health'], (req, res) => {
+  res.json({ status: 'healthy', stand_in: true, jobs: jobs.size });
+});
+
+// Player detection
+app.post('/fetch_players/', (req, res) => {
+  const { video } = req.body;
+  if (!video) return res.status(422).json({ detail: 'video is required' });
+
+  res.json({
+    status: 'success',
+    message: 'Player detection started',
+    player_detection_job_id: createJob('players', String(video)),
+  });
+});
+
+app.get('/fetch_players/status/', (req, res) => {
+  const jobId = req.query.job_id;
+  const job = pollJob(jobId, 'players');
+  if (!job) return res.status(404).json({ detail: 'Job not found' });
+
+  if (job.status === 'failed') {
+    return res.json({
+      status: 'error',
+      job_id: jobId,
+      error: 'No players detected in video',
+    });
+  }
+
+  if (job.status === 'processing') {
+    return res.json({
+      status: 'processing',
+      job_id: jobId,
+      'player detection status': 'processing',
+    });
+  }
+
+  res.json({
+    status: 'success',
+    job_id: jobId,
+    'player detection status': 'completed',
+    players: PLAYER_IDS.map((id) => mediaUrl(jobId, `player_${id}.svg`)),
+  });
+});
+
+// Match analysis
+app.post('/analyses/', (req, res) => {
+  const video = req.body.video_path || req.body.video_url;
+  if (!video) {
+    return res.status(422).json({ detail: 'video_path is required' });
+  }
+
+  const jobId = createJob('analysis', String(video), req.body.match_id);
+
+  res.json({
+    status: 'success',
+    message: 'Analysis started',
+    job_id: jobId,
+    analysis_status: 'processing',
+  });
+});
+
+// Also served at the older /analysis/:id/status and /results paths
+app.get(
+  ['/analyses/status/', '/analysis/:id/status', '/analysis/:id/results'],
+  (req, res) => {
+    const jobId = req.params.id || req.query.job_id;
+    const job = pollJob(jobId, 'analysis');
+    if (!job) return res.status(404).json({ detail: 'Job not found' });
+
+    if (job.status !== 'completed') {
+      return res.json({
+        status: job.status === 'failed' ? 'error' : 'processing',
+        job_id: jobId,
+        analysis_status: job.status,
+        message:
+          job.status === 'failed' ? 'Video could not be analysed' : undefined,
+      });
+    }
+
+    const results = Object.fromEntries(
+      Object.entries(PLAYER_RESULTS).map(([id, metrics]) => [
+        id,
+        { ...metrics, 'Player Heatmap': mediaUrl(jobId, `heatmap_${id}.svg`) },
+      ])
+    );
+
+    res.json({
+      status: 'success',
+      job_id: jobId,
+      analysis_status: 'completed',
+      results: {
+        ...results,
+        all_clips: [1, 2, 3].map((n) => mediaUrl(jobId, `clip_${n}.mp4`)),
+      },
+    });
+  }
+);
+
+// Restarting takes the analysis job_id or the match ID and starts the job
+// over - it succeeds this time, even for a "fail" video
+app.post('/api/restart/:id', (req, res) => {
+  const { id } = req.params;
+  const entry = [...jobs].find(
+    ([jobId, job]) =>
+      job.kind === 'analysis' && (jobId === id || job.matchId === id)
+  );
+  if (!entry) return res.status(404).json({ detail: 'Analysis not found' });
+
+  const [jobId, job] = entry;
+  Object.assign(job, { status: 'processing', polls: 0 });
+
+  res.json({
+    status: 'success',
+    message: 'Analysis restarted',
+    job_id: jobId,
+    analysis_status: 'processing',
+  });
+});
+
+app.delete('/analysis/:id', (req, res) => {
+  if (!jobs.delete(req.params.id)) {
+    return res.status(404).json({ detail: 'Analysis not found' });
+  }
+  res.json({ status: 'success', message: 'Analysis deleted' });
+});
+
+// Placeholder images behind the canned player and heatmap URLs. There are
+// no videos behind the clip URLs.
+app.get('/media/:jobId/:name', (req, res) => {
+  if (!req.params.name.endsWith('.svg')) {
+    return res.status(404).json({ detail: 'Not Found' });
+  }
+
+  res.type('image/svg+xml').send(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="160" height="160">` +
+      `<rect width="160" height="160" fill="#1f6feb"/>` +
+      `<text x="80" y="85" fill="#fff" font-size="14" text-anchor="middle">` +
+      `${req.params.name.replace(/[^\w.-]/g, '')}</text></svg>`
+  );
+});
+
+app.use((req, res) => {
+  res.status(404).json({ detail: 'Not Found' });
+});
+
+app.listen(PORT, () => {
+  console.log(`Analysis stand-in server listening on ${BASE_URL}`);
+});
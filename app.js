@@ -54,6 +54,9 @@ import coachingAnalysisRouter from './src/routes/coachingAnalysisRoutes.js';
 import multipartUploadRouter from './src/routes/multipartUploadRoutes.js';
 import streamingWebhookRouter from './src/routes/streamingWebhookRoutes.js';
 import jobRouter from './src/routes/jobRoutes.js';
+import tournamentRouter from './src/routes/tournamentRoutes.js';
+import socialSessionRouter from './src/routes/socialSessionRoutes.js';
+import venueRouter from './src/routes/venueRoutes.js';
 
 app.use(
   session({
@@ -88,6 +91,9 @@ app.use('/api/v1/coaching-analysis', coachingAnalysisRouter);
 app.use('/api/v1/multipart-upload', multipartUploadRouter);
 app.use('/api/v1/webhooks', streamingWebhookRouter);
 app.use('/api/v1/jobs', jobRouter);
+app.use('/api/v1/tournaments', tournamentRouter);
+app.use('/api/v1/social-sessions', socialSessionRouter);
+app.use('/api/v1/venues', venueRouter);
 
 app.get('/', (req, res, next) => {
   res.status(200).json({
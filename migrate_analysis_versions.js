@@ -0,0 +1,78 @@
+/**
+ * Migrate analyses to versioned runs
+ *
+ * Analysis.match_id used to be unique, so a match could only ever have one
+ * analysis. This drops that unique index, marks every existing analysis as
+ * version 1 and current, and builds the new (match_id, version) indexes so
+ * re-runs can be saved next to the original.
+ *
+ * Usage:
+ *   node migrate_analysis_versions.js            # migrate
+ *   node migrate_analysis_versions.js --dry-run  # report only
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Analysis from './src/models/Analysis.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateAnalysisVersions() {
+  try {
+    const DB = process.env.DATABASE.replace(
+      '<password>',
+      process.env.DATABASE_PASSWORD
+    );
+    await mongoose.connect(DB);
+    console.log('✅ Connected to database\n');
+
+    const indexes = await Analysis.collection.indexes();
+    const uniqueMatchIndex = indexes.find(
+      (index) =>
+        index.unique &&
+        Object.keys(index.key).length === 1 &&
+        index.key.match_id === 1
+    );
+
+    const unversioned = { version: { $exists: false } };
+    // Trashed analyses are migrated too
+    const count = await Analysis.countDocuments(unversioned).setOptions({
+      withDeleted: true,
+    });
+
+    console.log(
+      uniqueMatchIndex
+        ? `🗂️  Unique index ${uniqueMatchIndex.name} will be dropped`
+        : '🗂️  No unique match_id index left to drop'
+    );
+    console.log(`📊 ${count} analyses to mark as version 1\n`);
+
+    if (dryRun) {
+      console.log('🔍 Dry run - nothing was changed');
+    } else {
+      if (uniqueMatchIndex) {
+        await Analysis.collection.dropIndex(uniqueMatchIndex.name);
+      }
+
+      const result = await Analysis.updateMany(unversioned, {
+        $set: { version: 1, is_current: true },
+      }).setOptions({ withDeleted: true });
+
+      await Analysis.createIndexes();
+
+      console.log(
+        `✅ Marked ${result.modifiedCount} analyses as version 1 and rebuilt indexes`
+      );
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateAnalysisVersions();
@@ -0,0 +1,104 @@
+/**
+ * Migrate free-text Match.location strings into Venue documents
+ *
+ * Locations that only differ by case or spacing ("Padel Club X" and
+ * "padel club x ") become one venue. Each match gets a `venue` reference and
+ * its location label is tidied to the venue name.
+ *
+ * Usage:
+ *   node migrate_match_locations.js            # migrate
+ *   node migrate_match_locations.js --dry-run  # report only
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Match from './src/models/Match.js';
+import Venue, { normalizeVenueName } from './src/models/Venue.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateLocations() {
+  try {
+    const DB = process.env.DATABASE.replace(
+      '<password>',
+      process.env.DATABASE_PASSWORD
+    );
+    await mongoose.connect(DB);
+    console.log('✅ Connected to database\n');
+
+    const locations = await Match.aggregate([
+      {
+        $match: {
+          venue: { $exists: false },
+          location: { $type: 'string', $ne: '' },
+        },
+      },
+      {
+        $group: {
+          _id: '$location',
+          matchIds: { $push: '$_id' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    // Group spellings of the same place under one normalized name
+    const groups = new Map();
+    locations.forEach(({ _id: location, matchIds, count }) => {
+      const normalizedName = normalizeVenueName(location);
+      if (!normalizedName) return;
+
+      const group = groups.get(normalizedName) || { spellings: [], matchIds: [] };
+      group.spellings.push({ name: location.trim().replace(/\s+/g, ' '), count });
+      group.matchIds.push(...matchIds);
+      groups.set(normalizedName, group);
+    });
+
+    console.log(
+      `📍 Found ${locations.length} location strings → ${groups.size} venues\n`
+    );
+
+    let venuesCreated = 0;
+    let matchesUpdated = 0;
+
+    for (const [normalizedName, group] of groups) {
+      // The most used spelling becomes the venue name
+      const [{ name }] = group.spellings.sort((a, b) => b.count - a.count);
+
+      console.log(
+        `  ${name} ← ${group.spellings.map((s) => `"${s.name}"`).join(', ')} (${group.matchIds.length} matches)`
+      );
+
+      if (dryRun) continue;
+
+      let venue = await Venue.findOne({ normalizedName });
+
+      if (!venue) {
+        venue = await Venue.create({ name, source: 'migration' });
+        venuesCreated += 1;
+      }
+
+      const result = await Match.updateMany(
+        { _id: { $in: group.matchIds } },
+        { $set: { venue: venue._id, location: venue.name } }
+      );
+      matchesUpdated += result.modifiedCount;
+    }
+
+    console.log(
+      dryRun
+        ? '\n🔍 Dry run - nothing was changed'
+        : `\n✅ Created ${venuesCreated} venues and linked ${matchesUpdated} matches`
+    );
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateLocations();
@@ -21,6 +21,7 @@ import webSocketService from './src/services/webSocketService.js';
 import analysisStatusCron from './src/services/cronService.js';
 import { initializeSubscriptionCronJobs } from './src/services/subscriptionCronService.js';
 import WebhookLogCronService from './src/services/webhookLogCronService.js';
+import MatchCronService from './src/services/matchCronService.js';
 
 connectDB();
 
@@ -42,6 +43,9 @@ const startServer = async () => {
     // Initialize webhook log maintenance cron jobs
     WebhookLogCronService.initialize();
 
+    // Initialize match maintenance cron jobs
+    MatchCronService.initialize();
+
     const port = process.env.PORT || 9000;
     server.listen(port, () => {
       createLogger.info(
@@ -55,6 +59,7 @@ const startServer = async () => {
       createLogger.info(
         'Webhook log maintenance cron jobs are active'.bold.magenta
       );
+      createLogger.info('Match maintenance cron jobs are active'.bold.yellow);
     });
   } catch (error) {
     createLogger.error(`Error starting server: ${error.message}`.bold.red);
@@ -67,6 +72,7 @@ const shutdown = async () => {
   // Stop the cron jobs
   analysisStatusCron.stop();
   WebhookLogCronService.stop();
+  MatchCronService.stop();
 
   // Close database connections, etc.
   process.exit(0);
@@ -11,6 +11,20 @@ const {
 // console.log('Stripe Max Yearly:', STRIPE_MAX_YEARLY_PRICE);
 
 export default {
+  // Video analysis server. Point ANALYSIS_API_BASE_URL at the local stand-in
+  // (analysis_stand_in_server.js) to run the analysis flow offline.
+  analysisApi: {
+    baseUrl: (
+      process.env.ANALYSIS_API_BASE_URL || 'https://server.padelize.ai'
+    ).replace(/\/+$/, ''),
+    apiKey: process.env.ANALYSIS_API_KEY, // Sent as X-API-Key
+    bearerToken: process.env.ANALYSIS_API_TOKEN, // Sent as Authorization: Bearer
+    timeoutMs: Number(process.env.ANALYSIS_API_TIMEOUT_MS) || 30000,
+    // Uploads and calls that start player detection or an analysis can take
+    // a while to be accepted, so they get longer than status polls
+    uploadTimeoutMs:
+      Number(process.env.ANALYSIS_API_UPLOAD_TIMEOUT_MS) || 10 * 60 * 1000,
+  },
   stripe: {
     secretKey: process.env.STRIPE_SECRET_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
@@ -14,6 +14,56 @@ import {
   abortMatchVideoUploadService,
   submitVideoLinkService,
 } from '../services/matchService.js';
+import {
+  confirmMatchResultService,
+  disputeMatchResultService,
+  getPendingConfirmationsService,
+} from '../services/matchConfirmationService.js';
+import {
+  confirmScheduledMatchService,
+  cancelScheduledMatchService,
+} from '../services/matchScheduleService.js';
+import {
+  inviteByEmailService,
+  getMyInvitationsService,
+  acceptMatchInvitationService,
+  declineMatchInvitationService,
+} from '../services/matchInvitationService.js';
+import {
+  createGuestClaimLinkService,
+  getGuestClaimService,
+  acceptGuestClaimService,
+} from '../services/guestClaimService.js';
+import {
+  getMatchSharingService,
+  shareMatchService,
+  unshareMatchUserService,
+  unshareMatchFollowersService,
+} from '../services/matchAccessService.js';
+import { exportMatchReportService } from '../services/matchExportService.js';
+import { importMatchesService } from '../services/matchImportService.js';
+import {
+  getMatchPointsService,
+  logMatchPointService,
+  removeMatchPointService,
+} from '../services/matchPointService.js';
+import {
+  getTrashedMatchesService,
+  restoreMatchService,
+} from '../services/matchTrashService.js';
+import {
+  createMatchCommentService,
+  deleteMatchCommentService,
+  getMatchCommentsService,
+  likeMatchCommentService,
+  unlikeMatchCommentService,
+  updateMatchCommentService,
+} from '../services/matchCommentService.js';
+import {
+  deleteMatchNoteService,
+  getMatchTagsService,
+  setMatchNoteService,
+} from '../services/matchNoteService.js';
 import catchAsync from '../utils/catchAsync.js';
 
 export const createMatch = catchAsync(async (req, res, next) => {
@@ -72,3 +122,142 @@ export const checkAnalysisQuota = catchAsync(async (req, res, next) => {
 export const submitVideoLink = catchAsync(async (req, res, next) => {
   submitVideoLinkService(req, res, next);
 });
+
+// Opponent confirmation of ranked results
+export const confirmMatchResult = catchAsync(async (req, res, next) => {
+  confirmMatchResultService(req, res, next);
+});
+
+export const disputeMatchResult = catchAsync(async (req, res, next) => {
+  disputeMatchResultService(req, res, next);
+});
+
+export const getPendingConfirmations = catchAsync(async (req, res, next) => {
+  getPendingConfirmationsService(req, res, next);
+});
+
+// Scheduled match attendance
+export const confirmScheduledMatch = catchAsync(async (req, res, next) => {
+  confirmScheduledMatchService(req, res, next);
+});
+
+export const cancelScheduledMatch = catchAsync(async (req, res, next) => {
+  cancelScheduledMatchService(req, res, next);
+});
+
+// Match invitations
+export const inviteByEmail = catchAsync(async (req, res, next) => {
+  inviteByEmailService(req, res, next);
+});
+
+export const getMyInvitations = catchAsync(async (req, res, next) => {
+  getMyInvitationsService(req, res, next);
+});
+
+export const acceptMatchInvitation = catchAsync(async (req, res, next) => {
+  acceptMatchInvitationService(req, res, next);
+});
+
+export const declineMatchInvitation = catchAsync(async (req, res, next) => {
+  declineMatchInvitationService(req, res, next);
+});
+
+// Guest slot claim links
+export const createGuestClaimLink = catchAsync(async (req, res, next) => {
+  createGuestClaimLinkService(req, res, next);
+});
+
+export const getGuestClaim = catchAsync(async (req, res, next) => {
+  getGuestClaimService(req, res, next);
+});
+
+export const acceptGuestClaim = catchAsync(async (req, res, next) => {
+  acceptGuestClaimService(req, res, next);
+});
+
+// Per-match sharing
+export const getMatchSharing = catchAsync(async (req, res, next) => {
+  getMatchSharingService(req, res, next);
+});
+
+export const shareMatch = catchAsync(async (req, res, next) => {
+  shareMatchService(req, res, next);
+});
+
+export const unshareMatchUser = catchAsync(async (req, res, next) => {
+  unshareMatchUserService(req, res, next);
+});
+
+export const unshareMatchFollowers = catchAsync(async (req, res, next) => {
+  unshareMatchFollowersService(req, res, next);
+});
+
+// Match report export
+export const exportMatchReport = catchAsync(async (req, res, next) => {
+  exportMatchReportService(req, res, next);
+});
+
+// Bulk import from CSV
+export const importMatches = catchAsync(async (req, res, next) => {
+  importMatchesService(req, res, next);
+});
+
+// Point-by-point logging
+export const getMatchPoints = catchAsync(async (req, res, next) => {
+  getMatchPointsService(req, res, next);
+});
+
+export const logMatchPoint = catchAsync(async (req, res, next) => {
+  logMatchPointService(req, res, next);
+});
+
+export const removeMatchPoint = catchAsync(async (req, res, next) => {
+  removeMatchPointService(req, res, next);
+});
+
+// Trash
+export const getTrashedMatches = catchAsync(async (req, res, next) => {
+  getTrashedMatchesService(req, res, next);
+});
+
+export const restoreMatch = catchAsync(async (req, res, next) => {
+  restoreMatchService(req, res, next);
+});
+
+// Comments
+export const getMatchComments = catchAsync(async (req, res, next) => {
+  getMatchCommentsService(req, res, next);
+});
+
+export const createMatchComment = catchAsync(async (req, res, next) => {
+  createMatchCommentService(req, res, next);
+});
+
+export const updateMatchComment = catchAsync(async (req, res, next) => {
+  updateMatchCommentService(req, res, next);
+});
+
+export const deleteMatchComment = catchAsync(async (req, res, next) => {
+  deleteMatchCommentService(req, res, next);
+});
+
+export const likeMatchComment = catchAsync(async (req, res, next) => {
+  likeMatchCommentService(req, res, next);
+});
+
+export const unlikeMatchComment = catchAsync(async (req, res, next) => {
+  unlikeMatchCommentService(req, res, next);
+});
+
+// Private notes and tags
+export const setMatchNote = catchAsync(async (req, res, next) => {
+  setMatchNoteService(req, res, next);
+});
+
+export const deleteMatchNote = catchAsync(async (req, res, next) => {
+  deleteMatchNoteService(req, res, next);
+});
+
+export const getMatchTags = catchAsync(async (req, res, next) => {
+  getMatchTagsService(req, res, next);
+});
@@ -0,0 +1,28 @@
+import {
+  createSocialSessionService,
+  getSocialSessionService,
+  getSessionStandingsService,
+  reportSessionGameScoreService,
+  startNextSessionRoundService,
+} from '../services/socialSessionService.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const createSocialSession = catchAsync(async (req, res, next) => {
+  createSocialSessionService(req, res, next);
+});
+
+export const getSocialSession = catchAsync(async (req, res, next) => {
+  getSocialSessionService(req, res, next);
+});
+
+export const getSessionStandings = catchAsync(async (req, res, next) => {
+  getSessionStandingsService(req, res, next);
+});
+
+export const reportSessionGameScore = catchAsync(async (req, res, next) => {
+  reportSessionGameScoreService(req, res, next);
+});
+
+export const startNextSessionRound = catchAsync(async (req, res, next) => {
+  startNextSessionRoundService(req, res, next);
+});
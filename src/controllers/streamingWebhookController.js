@@ -3,6 +3,11 @@ import catchAsync from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 import matchNotificationService from '../services/matchNotificationService.js';
 import { VideoAnalysisService } from '../services/analysisService.js';
+import {
+  checkDuplicateVideo,
+  deleteVideoObject,
+  getS3Key,
+} from '../services/videoFingerprintService.js';
 
 /**
  * Handle webhook from streaming.padelize.ai when video download completes
@@ -57,12 +62,57 @@ export const handleStreamingWebhook = catchAsync(async (req, res, next) => {
       s3Url,
     });
 
+    // The same video submitted twice shouldn't be analysed twice
+    const duplicate = await checkDuplicateVideo(match, s3Url);
+
+    if (duplicate.status === 'rejected') {
+      match.streamingStatus = 'failed';
+      match.streamingCompletedAt = new Date();
+      match.streamingError = duplicate.message;
+      await match.save();
+      await deleteVideoObject(getS3Key(s3Url));
+
+      await matchNotificationService.notifyMatchVideoFailed(
+        match.creator,
+        match,
+        duplicate.message
+      );
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Duplicate video rejected',
+        data: {
+          matchId: match._id,
+          duplicateOf: duplicate.original._id,
+        },
+      });
+    }
+
     // Update match with video URL and status
     match.video = s3Url;
     match.streamingStatus = 'completed';
     match.streamingCompletedAt = new Date();
     await match.save();
 
+    if (duplicate.status === 'reused') {
+      await matchNotificationService.notifyDuplicateVideo(
+        match.creator,
+        match,
+        duplicate.original,
+        duplicate.message
+      );
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Video download completed, existing analysis reused',
+        data: {
+          matchId: match._id,
+          videoUrl: s3Url,
+          duplicateOf: duplicate.original._id,
+        },
+      });
+    }
+
     // Send notification
     await matchNotificationService.notifyMatchVideoReady(match.creator, match);
 
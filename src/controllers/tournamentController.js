@@ -0,0 +1,38 @@
+import {
+  createTournamentService,
+  getAllTournamentsService,
+  getTournamentService,
+  joinTournamentService,
+  startTournamentService,
+  getTournamentBracketService,
+  reportFixtureResultService,
+} from '../services/tournamentService.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const createTournament = catchAsync(async (req, res, next) => {
+  createTournamentService(req, res, next);
+});
+
+export const getAllTournaments = catchAsync(async (req, res, next) => {
+  getAllTournamentsService(req, res, next);
+});
+
+export const getTournament = catchAsync(async (req, res, next) => {
+  getTournamentService(req, res, next);
+});
+
+export const joinTournament = catchAsync(async (req, res, next) => {
+  joinTournamentService(req, res, next);
+});
+
+export const startTournament = catchAsync(async (req, res, next) => {
+  startTournamentService(req, res, next);
+});
+
+export const getTournamentBracket = catchAsync(async (req, res, next) => {
+  getTournamentBracketService(req, res, next);
+});
+
+export const reportFixtureResult = catchAsync(async (req, res, next) => {
+  reportFixtureResultService(req, res, next);
+});
@@ -5,6 +5,9 @@ import {
   updateUserService,
   uploadImageService,
 } from '../services/userService.js';
+import { getUserRatingService } from '../services/ratingService.js';
+import { getHeadToHeadService } from '../services/headToHeadService.js';
+import { getPartnershipsService } from '../services/partnershipService.js';
 import catchAsync from '../utils/catchAsync.js';
 
 export const getUsers = catchAsync(async (req, res, next) => {
@@ -26,3 +29,15 @@ export const deleteUser = catchAsync(async (req, res, next) => {
 export const uploadImage = catchAsync(async (req, res, next) => {
   uploadImageService(req, res, next);
 });
+
+export const getUserRating = catchAsync(async (req, res, next) => {
+  getUserRatingService(req, res, next);
+});
+
+export const getHeadToHead = catchAsync(async (req, res, next) => {
+  getHeadToHeadService(req, res, next);
+});
+
+export const getPartnerships = catchAsync(async (req, res, next) => {
+  getPartnershipsService(req, res, next);
+});
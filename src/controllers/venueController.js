@@ -0,0 +1,28 @@
+import {
+  createVenueService,
+  getAllVenuesService,
+  getNearbyVenuesService,
+  getVenueService,
+  updateVenueService,
+} from '../services/venueService.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const createVenue = catchAsync(async (req, res, next) => {
+  createVenueService(req, res, next);
+});
+
+export const getAllVenues = catchAsync(async (req, res, next) => {
+  getAllVenuesService(req, res, next);
+});
+
+export const getNearbyVenues = catchAsync(async (req, res, next) => {
+  getNearbyVenuesService(req, res, next);
+});
+
+export const getVenue = catchAsync(async (req, res, next) => {
+  getVenueService(req, res, next);
+});
+
+export const updateVenue = catchAsync(async (req, res, next) => {
+  updateVenueService(req, res, next);
+});
@@ -222,12 +222,12 @@ export const resetPassword = (email, pin) => `<!DOCTYPE html>
 </html>
 `;
 
-export const inviteEmail = (email, firstName, role) => `<!DOCTYPE html>
+export const inviteEmail = (email, firstName, invitedBy, signupLink) => `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Invited to SangaBooks</title>
+    <title>Invited to Padelize</title>
     <style>
         body {
             font-family: 'Arial', sans-serif;
@@ -273,12 +273,14 @@ export const inviteEmail = (email, firstName, role) => `<!DOCTYPE html>
 <body>
     <div class="container">
         <p>Hi there ${firstName}, </p>
-        <p>You've been invited to join the team at SangaBooks as an ${role}.</p>
+        <p>${invitedBy} added you to a padel match on Padelize.</p>
+        <p>Create your account with ${email} to accept the invitation and see the match, its analysis and your stats.</p>
         
+        <p style="text-align: center;"><a class="btn" href="${signupLink}">Join Padelize</a></p>
         
-        <p>If you have any questions or queries, kindly email <a href="mailto:support@sangabooks.io">support@sangabooks.io</a>.</p>
+        <p>If you have any questions or queries, kindly email <a href="mailto:support@padelize.ai">support@padelize.ai</a>.</p>
         
-        <p style="text-align: center;"><em>Warm Regards,</em><br>The SangaBooks Support Team</p>
+        <p style="text-align: center;"><em>Warm Regards,</em><br>The Padelize Team</p>
         <div class="footer">            
             <p>31, 441 Crescent,CITEC Villa, Gwarinpa, Abuja<br></p>
         </div>
@@ -92,6 +92,7 @@ export const checkMatchAnalysisLimit = catchAsync(async (req, res, next) => {
   const analysesThisWeek = await Analysis.countDocuments({
     user: user._id,
     createdAt: { $gte: startOfWeek },
+    version: { $not: { $gt: 1 } }, // Re-runs of a match don't use up quota
   });
 
   if (analysesThisWeek >= features.matchAnalysesPerWeek) {
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../utils/softDelete.js';
+import GuestClaim from './GuestClaim.js';
 
 // Schema for shot events (old format)
 const shotEventSchema = new mongoose.Schema(
@@ -47,37 +49,33 @@ const shotEventSchema = new mongoose.Schema(
   }
 );
 
-// Schema for shots summary
+// Schema for shots summary. Counts are null when the payload format didn't
+// count shots (see utils/analysisPayloads.js)
 const shotsSchema = new mongoose.Schema(
   {
     total_shots: {
       type: Number,
-      required: true,
       min: 0,
     },
     forehand: {
       type: Number,
-      required: true,
       min: 0,
     },
     backhand: {
       type: Number,
-      required: true,
       min: 0,
     },
     volley: {
       type: Number,
-      required: true,
       min: 0,
     },
     smash: {
       type: Number,
-      required: true,
       min: 0,
     },
+    // Null when the payload format doesn't measure shot success
     success: {
       type: Number,
-      required: true,
       min: 0,
     },
     success_rate: {
@@ -122,6 +120,45 @@ const shotAnalyticsSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Schema for rallies - grouped from shot events, see utils/rallySegmentation.js
+const rallySchema = new mongoose.Schema(
+  {
+    start_time: Number, // Seconds into the video
+    end_time: Number,
+    shots: {
+      type: Number,
+      min: 1,
+    },
+    last_hitter: String, // player_id
+    last_hitter_index: Number,
+    winner_side: {
+      type: Number,
+      enum: [0, 1],
+    },
+  },
+  { _id: false }
+);
+
+// Schema for rally stats, for the match and from each player's side
+const rallyStatsSchema = new mongoose.Schema(
+  {
+    total_rallies: Number,
+    average_length: Number,
+    longest_rally: Number,
+    long_rallies: Number,
+    long_rally_min_shots: Number,
+    // Player stats only
+    rallies_won: Number,
+    long_rallies_won: Number,
+    short_rallies: Number,
+    short_rallies_won: Number,
+    win_share: Number, // % of rallies won, null without any
+    long_rally_win_share: Number,
+    short_rally_win_share: Number,
+  },
+  { _id: false }
+);
+
 // Schema for court info
 const courtInfoSchema = new mongoose.Schema(
   {
@@ -169,9 +206,16 @@ const playerSchema = new mongoose.Schema(
       type: String,
       required: false, // Optional - maps to AI server keys (a, b, c, d, etc.)
     },
+    // Registered user credited with this player's analytics - the creator,
+    // or a guest who claimed their slot (see guestClaimService)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Metrics below are null when the analysis server's payload format
+    // didn't measure them (see utils/analysisPayloads.js)
     peak_speed_kmh: {
       type: Number,
-      required: true,
       min: 0,
     },
     color: {
@@ -196,7 +240,6 @@ const playerSchema = new mongoose.Schema(
     },
     average_distance_from_center_km: {
       type: Number,
-      required: true,
       min: 0,
     },
     calories_burned: {
@@ -242,19 +285,16 @@ const playerSchema = new mongoose.Schema(
 
     net_dominance_percentage: {
       type: Number,
-      required: true,
       min: 0,
       max: 100,
     },
     dead_zone_presence_percentage: {
       type: Number,
-      required: true,
       min: 0,
       max: 100,
     },
     baseline_play_percentage: {
       type: Number,
-      required: true,
       min: 0,
       max: 100,
     },
@@ -268,6 +308,7 @@ const playerSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    rally_stats: rallyStatsSchema,
   },
 
   { _id: false }
@@ -444,9 +485,26 @@ const analysisSchema = new mongoose.Schema(
     match_id: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
+    // Each run of a match's analysis is kept as its own version. Stats,
+    // leaderboards and the match page use the current one.
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    is_current: {
+      type: Boolean,
+      default: true,
+    },
+    job_id: String, // Analysis server job that produced this run
+    engine_version: String, // As reported by the analysis server
+    parameters: {
+      type: mongoose.Schema.Types.Mixed, // What the run was started with
+    },
+    started_at: Date,
+    schema_version: Number, // Payload format it was ingested as
     status: {
       type: String,
       required: true,
@@ -466,6 +524,11 @@ const analysisSchema = new mongoose.Schema(
       //   return this.status === 'completed';
       // },
     },
+    rallies: {
+      type: [rallySchema],
+      default: undefined,
+    },
+    rally_stats: rallyStatsSchema,
     files: {
       type: filesSchema,
 
@@ -504,9 +567,19 @@ const analysisSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 analysisSchema.index({ match_id: 1, status: 1 });
+analysisSchema.index({ match_id: 1, version: 1 }, { unique: true });
+// At most one current version per match
+analysisSchema.index(
+  { match_id: 1, is_current: 1 },
+  { unique: true, partialFilterExpression: { is_current: true } }
+);
 analysisSchema.index({ created_by: 1, status: 1 });
 analysisSchema.index({ 'metadata.created_at': -1 });
 analysisSchema.index({ 'player_analytics.players.player_id': 1 });
+analysisSchema.index({ 'player_analytics.players.user': 1 }, { sparse: true });
+
+// Hidden from stats and leaderboards while its match is in the trash
+analysisSchema.plugin(softDeletePlugin);
 
 // Virtual for getting player count
 analysisSchema.virtual('playerCount').get(function () {
@@ -562,6 +635,76 @@ analysisSchema.methods.getAllHighlights = function () {
   return this.files?.highlights || [];
 };
 
+// Query criteria for the version of each match's analysis that counts.
+// Analyses from before versioning have no is_current and are their match's
+// only version.
+analysisSchema.statics.currentCriteria = function () {
+  return { is_current: { $ne: false } };
+};
+
+/**
+ * Save a run of a match's analysis as its newest version and make it
+ * current. Earlier versions are kept. Guests who claimed their slot are
+ * credited, and players credited to a user on the previous current version
+ * stay credited.
+ * @param {Object} data - Formatted analysis, see formatAnalysisResponse
+ * @returns {Promise<Object>} The new version
+ */
+analysisSchema.statics.createVersion = async function (data) {
+  await GuestClaim.creditClaimedPlayers(data);
+
+  const [latest, current] = await Promise.all([
+    this.findOne({ match_id: data.match_id })
+      .sort({ version: -1 })
+      .setOptions({ withDeleted: true }),
+    this.findOne({ match_id: data.match_id, ...this.currentCriteria() })
+      .setOptions({ withDeleted: true })
+      .select('player_analytics.players.user deletedAt'),
+  ]);
+
+  const previousPlayers = current?.player_analytics?.players || [];
+  (data.player_analytics?.players || []).forEach((player, index) => {
+    if (!player.user && previousPlayers[index]?.user) {
+      player.user = previousPlayers[index].user;
+    }
+  });
+
+  // An analysis saved before versioning is version 1
+  const latestVersion = latest ? latest.version || 1 : 0;
+
+  const analysis = await this.create({
+    ...data,
+    version: latestVersion + 1,
+    is_current: false,
+    deletedAt: current?.deletedAt, // Still in the trash with its match
+  });
+
+  await this.makeCurrent(analysis);
+  return analysis;
+};
+
+/**
+ * Make a version its match's current one, e.g. to roll back a re-run
+ * @param {Object} analysis - Analysis document
+ */
+analysisSchema.statics.makeCurrent = async function (analysis) {
+  await this.updateMany(
+    {
+      match_id: analysis.match_id,
+      _id: { $ne: analysis._id },
+      ...this.currentCriteria(),
+    },
+    { $set: { is_current: false } }
+  ).setOptions({ withDeleted: true });
+
+  await this.updateOne(
+    { _id: analysis._id },
+    { $set: { is_current: true } }
+  ).setOptions({ withDeleted: true });
+
+  analysis.is_current = true;
+};
+
 // Static method to find analyses by status
 analysisSchema.statics.findByStatus = function (status) {
   return this.find({ status });
@@ -10,6 +10,7 @@ const analysisStatusSchema = new Schema({
       'processing',
       'completed',
       'failed',
+      'quarantined', // See analysisQuarantineService
     ],
     default: 'pending',
   },
@@ -32,6 +33,7 @@ const analysisStatusSchema = new Schema({
     type: Date,
   },
   started_at: Date,
+  parameters: Schema.Types.Mixed, // Sent to the analysis server, kept on the saved run
   completed_at: Date,
   duration: Number,
 });
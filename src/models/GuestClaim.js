@@ -0,0 +1,140 @@
+import mongoose, { model, Schema } from 'mongoose';
+import Match from './Match.js';
+
+// A claim link for a guest slot on a match, shared by the creator with the
+// person who played so they can attach the slot to their own account
+const guestClaimSchema = new Schema(
+  {
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+    slot: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    }, // _id of the guest entry in match.teams[].players
+    name: String, // Guest name at the time the link was made
+    // Index into the analysis players for this guest, when the creator knows it
+    analysisPlayerIndex: {
+      type: Number,
+      min: 0,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'claimed', 'revoked'],
+      default: 'pending',
+    },
+    claimedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    claimedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+guestClaimSchema.index({ match: 1, slot: 1, status: 1 }); // Reuse a slot's open link
+
+/**
+ * Which analysis players to credit to whom: each claimed guest to the user
+ * who claimed them, and then the creator's own entry to the creator so the
+ * two are told apart. Entries already credited to someone stay as they are.
+ * @param {Array} players - player_analytics.players
+ * @param {Array<{index: Number, user: ObjectId}>} claims
+ * @param {{index: Number, user: ObjectId}} creator
+ * @returns {Map<Number, ObjectId>} User to credit, by player index
+ */
+guestClaimSchema.statics.getPlayerCredits = function (
+  players,
+  claims,
+  creator
+) {
+  const credits = new Map();
+
+  claims.forEach(({ index, user }) => {
+    if (players[index] && !players[index].user) credits.set(index, user);
+  });
+
+  if (
+    credits.size &&
+    !credits.has(creator.index) &&
+    players[creator.index] &&
+    !players[creator.index].user
+  ) {
+    credits.set(creator.index, creator.user);
+  }
+
+  return credits;
+};
+
+/**
+ * Credit guests who have claimed their slot in a new analysis version, so a
+ * claim made before the analysis finished (or before a re-run) still counts,
+ * and the creator's entry when the match says which player they were.
+ * Claims on matches reusing the analysis count too.
+ * @param {Object} data - Analysis about to be saved, changed in place
+ * @returns {Promise<Object>} The analysis data
+ */
+guestClaimSchema.statics.creditClaimedPlayers = async function (data) {
+  const players = data.player_analytics?.players;
+  if (!players?.length) return data;
+
+  const matchId = String(data.match_id);
+  const matches = await Match.find({
+    $or: [
+      ...(mongoose.Types.ObjectId.isValid(matchId) ? [{ _id: matchId }] : []),
+      { analysisId: matchId },
+      { reusedAnalysisId: matchId },
+    ],
+  })
+    .select('creatorPlayerIndex reusedAnalysisId')
+    .setOptions({ withDeleted: true });
+  if (!matches.length) return data;
+
+  const claims = await this.find({
+    match: { $in: matches.map((match) => match._id) },
+    status: 'claimed',
+    analysisPlayerIndex: { $ne: null },
+  }).select('analysisPlayerIndex claimedBy');
+
+  // The creator's entry is on the match the analysis was run for
+  const owner = matches.find((match) => !match.reusedAnalysisId) || matches[0];
+
+  this.getPlayerCredits(
+    players,
+    claims.map((claim) => ({
+      index: claim.analysisPlayerIndex,
+      user: claim.claimedBy,
+    })),
+    { index: owner.creatorPlayerIndex ?? 0, user: data.created_by }
+  ).forEach((user, index) => {
+    players[index].user = user;
+  });
+
+  // When the app said which player the creator was, their entry is tagged
+  // even with no claims, so the first player isn't taken to be them
+  const creatorPlayer = players[owner.creatorPlayerIndex];
+  if (creatorPlayer && !creatorPlayer.user) {
+    creatorPlayer.user = data.created_by;
+  }
+
+  return data;
+};
+
+const GuestClaim = model('GuestClaim', guestClaimSchema);
+export default GuestClaim;
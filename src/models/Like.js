@@ -6,7 +6,7 @@ const likeSchema = new Schema({
     ref: 'User',
     required: true,
   },
-  // Polymorphic reference: Like can belong to a Post OR a Reply
+  // Polymorphic reference: Like can belong to a Post, a Reply or a MatchComment
   target: {
     type: Schema.Types.ObjectId,
     required: true,
@@ -15,7 +15,7 @@ const likeSchema = new Schema({
   targetType: {
     type: String,
     required: true,
-    enum: ['Post', 'Reply'], // Only allow likes on these models
+    enum: ['Post', 'Reply', 'MatchComment'], // Only allow likes on these models
   },
   likedAt: {
     type: Date,
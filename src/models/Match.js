@@ -1,4 +1,88 @@
 import { Schema, model } from 'mongoose';
+import AppError from '../utils/appError.js';
+import Venue from './Venue.js';
+import {
+  BEST_OF_OPTIONS,
+  SCORING_MODES,
+  deriveMatchResult,
+} from '../utils/padelScoring.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
+
+// What someone a match is shared with may do with it
+export const MATCH_SHARE_PERMISSIONS = ['view', 'comment'];
+
+// Limits on the free-form tags users put on their matches
+export const MATCH_TAG_LIMITS = { count: 20, length: 40 };
+
+/**
+ * Clean up tags as typed: trimmed, lowercased, inner whitespace collapsed,
+ * duplicates and empties dropped. Accepts an array or a comma-separated string.
+ * @param {Array<String>|String} tags
+ * @returns {Array<String>}
+ */
+export const normalizeMatchTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+
+  return [
+    ...new Set(
+      list
+        .filter((tag) => typeof tag === 'string')
+        .map((tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+};
+
+// A user's own note and tags on a match - only ever shown to that user
+const matchNoteSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'A note can be at most 2000 characters'],
+    },
+    tags: {
+      type: [
+        {
+          type: String,
+          maxlength: [
+            MATCH_TAG_LIMITS.length,
+            `A tag can be at most ${MATCH_TAG_LIMITS.length} characters`,
+          ],
+        },
+      ],
+      validate: {
+        validator: (tags) => tags.length <= MATCH_TAG_LIMITS.count,
+        message: `A match can have at most ${MATCH_TAG_LIMITS.count} tags`,
+      },
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Games per team for a single set, plus tiebreak points when it went to 6-6
+const setScoreSchema = new Schema(
+  {
+    games: {
+      type: [Number],
+      default: undefined,
+    },
+    tiebreak: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
 
 const matchSchema = new Schema(
   {
@@ -45,17 +129,58 @@ const matchSchema = new Schema(
             },
             name: String, // For display purposes or non-registered players,
             color: String,
+            // Set for registered players the creator added - see MatchInvitation.
+            // Missing on the creator's own slot and on matches from before invitations.
+            invitationStatus: {
+              type: String,
+              enum: ['pending', 'accepted'],
+            },
           },
         ],
         score: {
           type: Number,
           default: 0,
-        },
+        }, // Sets won, derived from the structured score when one is recorded
       },
     ],
+    // Structured padel score - validated and resolved in the pre('save') hook
+    score: {
+      mode: {
+        type: String,
+        enum: SCORING_MODES,
+        default: 'golden_point',
+      },
+      bestOf: {
+        type: Number,
+        enum: BEST_OF_OPTIONS,
+        default: 3,
+      },
+      superTiebreak: {
+        type: Boolean,
+        default: false,
+      }, // Deciding set played as a match tiebreak to 10
+      sets: {
+        type: [setScoreSchema],
+        default: [],
+      },
+      winner: {
+        type: Number,
+        enum: [0, 1],
+      }, // Index into teams - derived, never set directly
+    },
+    venue: {
+      type: Schema.Types.ObjectId,
+      ref: 'Venue',
+    },
+    // Display name - copied from the venue when one is set (see pre('validate'))
     location: {
       type: String,
-      required: true,
+      required: [
+        function () {
+          return !this.venue;
+        },
+        'A match needs a venue or a location',
+      ],
     },
     analysisId: {
       type: String,
@@ -65,6 +190,31 @@ const matchSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // Private matches can still be shared - see matchAccessService
+    sharedWith: [
+      {
+        user: {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        permission: {
+          type: String,
+          enum: MATCH_SHARE_PERMISSIONS,
+          default: 'view',
+        },
+        sharedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+    followerAccess: {
+      type: String,
+      enum: ['none', ...MATCH_SHARE_PERMISSIONS],
+      default: 'none',
+    }, // What the creator's followers may do with the match
     analysisStatus: {
       type: String,
       enum: [
@@ -75,6 +225,7 @@ const matchSchema = new Schema(
         'completed',
         'failed',
         'not_found',
+        'quarantined', // Results held for review - not restarted on view
       ],
     },
     analysisStatusId: {
@@ -93,6 +244,11 @@ const matchSchema = new Schema(
       type: Schema.Types.Mixed, // Array of player details { id, name, position, team }
       default: [],
     },
+    // Which of the analysed players is the creator, when the app says so
+    creatorPlayerIndex: {
+      type: Number,
+      min: 0,
+    },
     playerDetectionJobId: {
       type: String,
       index: true,
@@ -122,15 +278,83 @@ const matchSchema = new Schema(
     streamingStartedAt: Date,
     streamingCompletedAt: Date,
     streamingError: String,
-    // startTime: {
-    //   type: Date,
-    //   required: true,
-    // },
-    // status: {
-    //   type: String,
-    //   enum: ['pending', 'confirmed', 'completed', 'cancelled'],
-    //   default: 'pending',
-    // },
+    // Hash of the video's size and sampled bytes (see videoFingerprintService)
+    videoFingerprint: String,
+    // Set when the video had already been analysed for another of the
+    // creator's matches. That analysis is shown here instead of running a new
+    // one; aggregate stats still count it once, under the original match.
+    duplicateOf: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+    },
+    reusedAnalysisId: String, // Analysis.match_id of the reused analysis
+    // Set for fixtures generated by a tournament (see tournamentService)
+    tournament: {
+      type: Schema.Types.ObjectId,
+      ref: 'Tournament',
+    },
+    tournamentFixture: String, // Fixture key within the tournament
+    // Set for games generated by an Americano / Mexicano session
+    socialSession: {
+      type: Schema.Types.ObjectId,
+      ref: 'SocialSession',
+    },
+    // Opponent sign-off for ranked results (see matchConfirmationService)
+    confirmation: {
+      status: {
+        type: String,
+        enum: ['not_required', 'pending', 'confirmed', 'disputed'],
+        default: 'not_required',
+      },
+      requestedAt: Date,
+      respondedAt: Date,
+      respondedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      autoConfirmed: {
+        type: Boolean,
+        default: false,
+      },
+      disputeReason: String,
+    },
+    // Scheduling - matches created with a future startTime start out pending
+    startTime: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'completed', 'cancelled'],
+    }, // Set in the pre('validate') hook; older matches without one were played
+    confirmedPlayers: [
+      {
+        _id: false,
+        player: {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        confirmedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    cancellationReason: String,
+    reminderSentAt: Date,
+    // Deleted matches stay in the trash until purged (see matchTrashService)
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Private notes and tags, one entry per user (see matchNoteService).
+    // Not selected by default so nobody sees anyone else's.
+    notes: {
+      type: [matchNoteSchema],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -143,9 +367,52 @@ const matchSchema = new Schema(
 
 // Index to quickly find matches by creator and type
 matchSchema.index({ creator: 1, type: 1 });
+// Indexes for match history lists, newest first (see MatchHistoryFeatures)
+matchSchema.index({ creator: 1, createdAt: -1 });
+matchSchema.index({ creator: 1, analysisStatus: 1, createdAt: -1 });
+// Index to quickly find the matches a registered user played in
+matchSchema.index({ 'teams.players.player': 1, createdAt: -1 });
+// Index to quickly find the matches shared with a user
+matchSchema.index({ 'sharedWith.user': 1 }, { sparse: true });
+// Index to quickly find a tournament's fixture matches
+matchSchema.index({ tournament: 1 }, { sparse: true });
+// Index to quickly find matches played at a venue
+matchSchema.index({ venue: 1 }, { sparse: true });
+// Index for upcoming match lists and the reminder cron job
+matchSchema.index({ status: 1, startTime: 1 });
+// Index for duplicate video checks on upload
+matchSchema.index({ creator: 1, videoFingerprint: 1 }, { sparse: true });
+// Index for the cron job that auto-confirms stale ranked results
+matchSchema.index({ 'confirmation.status': 1, 'confirmation.requestedAt': 1 });
+// Index to quickly find the matches a user tagged
+matchSchema.index({ 'notes.user': 1, 'notes.tags': 1 }, { sparse: true });
 // Index to quickly find matches by analysisId
 // matchSchema.index({ analysisId: 1 });
 
+// Trashed matches (deletedAt set) are left out of every query
+
+matchSchema.plugin(softDeletePlugin);
+
+// Middleware to keep the location label in sync with the referenced venue
+matchSchema.pre('validate', async function () {
+  if (!this.venue || !this.isModified('venue')) return;
+
+  const venue = await Venue.findById(this.venue).select('name');
+  if (!venue) throw new AppError('Venue not found', 404);
+
+  this.location = venue.name;
+});
+
+// Middleware to set the lifecycle status of new matches
+matchSchema.pre('validate', function (next) {
+  if (!this.status) {
+    this.status =
+      this.startTime && this.startTime > new Date() ? 'pending' : 'completed';
+  }
+
+  next();
+});
+
 // Middleware to validate team structure based on match format
 matchSchema.pre('save', function (next) {
   // Ensure we have exactly 2 teams
@@ -167,9 +434,186 @@ matchSchema.pre('save', function (next) {
     }
   }
 
+  // Leave legacy numeric team scores alone until a structured score is recorded
+  if (!this.score?.sets?.length) {
+    if (this.score) this.score.winner = undefined;
+    return next();
+  }
+
+  const { errors, setsWon, winner } = deriveMatchResult(this.score);
+  if (errors.length) {
+    return next(new AppError(`Invalid match score: ${errors.join('; ')}`, 400));
+  }
+
+  this.teams.forEach((team, index) => {
+    team.score = setsWon[index];
+  });
+  this.score.winner = winner === null ? undefined : winner;
+
   next();
 });
 
+// Middleware to reset opponent confirmation whenever a ranked result changes
+matchSchema.pre('save', function (next) {
+  const hasResult =
+    this.score?.winner !== undefined && this.score?.winner !== null;
+
+  if (this.type !== 'ranked' || !hasResult) {
+    this.confirmation.status = 'not_required';
+    return next();
+  }
+
+  if (this.isNew || this.isModified('score') || this.isModified('type')) {
+    this.confirmation = {
+      status: 'pending',
+      requestedAt: new Date(),
+      autoConfirmed: false,
+    };
+    // Lets the service layer know it should ask the opponents to confirm
+    this.$locals.confirmationRequested = true;
+  }
+
+  next();
+});
+
+// Remember each registered player's invitation status as loaded, so
+// re-saving the teams (e.g. a full teams update) doesn't re-invite them
+const rememberInvitationStatuses = function () {
+  this.$locals.invitationStatuses = new Map(
+    this.teams
+      .flatMap((team) => team.players)
+      .filter((playerObj) => playerObj.player)
+      .map((playerObj) => [
+        playerObj.player.toString(),
+        playerObj.invitationStatus,
+      ])
+  );
+};
+matchSchema.post('init', rememberInvitationStatuses);
+matchSchema.post('save', rememberInvitationStatuses);
+
+// Middleware to mark registered players newly added by the creator as invited
+matchSchema.pre('save', function (next) {
+  this.$locals.invitedPlayerIds = [];
+  if (!this.isNew && !this.isModified('teams')) return next();
+
+  const creatorId = this.creator.toString();
+  const previous = this.$locals.invitationStatuses || new Map();
+
+  for (const playerObj of this.teams.flatMap((team) => team.players)) {
+    const playerId = playerObj.player?.toString();
+
+    if (!playerId || playerId === creatorId) {
+      playerObj.invitationStatus = undefined;
+    } else if (playerObj.invitationStatus) {
+      continue; // Set by the service layer (e.g. accepted, or tournament entrants)
+    } else if (previous.has(playerId)) {
+      playerObj.invitationStatus = previous.get(playerId);
+    } else {
+      playerObj.invitationStatus = 'pending';
+      // Lets the service layer know who needs an invitation
+      this.$locals.invitedPlayerIds.push(playerId);
+    }
+  }
+
+  next();
+});
+
+// Middleware to send a rescheduled match's reminder again
+matchSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('startTime')) {
+    this.reminderSentAt = undefined;
+  }
+
+  next();
+});
+
+// Middleware to close out a scheduled match once its result is recorded
+matchSchema.pre('save', function (next) {
+  if (
+    ['pending', 'confirmed'].includes(this.status) &&
+    this.isModified('score') &&
+    this.score?.sets?.length
+  ) {
+    this.status = 'completed';
+  }
+
+  next();
+});
+
+// Query criteria for matches whose result may count toward rankings:
+// friendly/tournament results as entered, ranked results once confirmed
+matchSchema.statics.countedResultCriteria = function () {
+  return {
+    $or: [{ type: { $ne: 'ranked' } }, { 'confirmation.status': 'confirmed' }],
+  };
+};
+
+// Query criteria for matches a user plays in - players the creator added
+// only count once they've accepted their invitation
+matchSchema.statics.acceptedPlayerCriteria = function (userId) {
+  return {
+    'teams.players': {
+      $elemMatch: { player: userId, invitationStatus: { $ne: 'pending' } },
+    },
+  };
+};
+
+// Query criteria for matches that belong in a user's history and stats
+matchSchema.statics.participantCriteria = function (userId) {
+  return {
+    $or: [{ creator: userId }, this.acceptedPlayerCriteria(userId)],
+  };
+};
+
+// Query criteria for matches a user has tagged with every one of the tags
+matchSchema.statics.taggedCriteria = function (userId, tags) {
+  return {
+    notes: {
+      $elemMatch: { user: userId, tags: { $all: normalizeMatchTags(tags) } },
+    },
+  };
+};
+
+// Registered users on either team (guest slots have no player reference)
+matchSchema.methods.getRegisteredPlayerIds = function () {
+  return this.teams
+    .flatMap((team) => team.players)
+    .map((playerObj) => playerObj.player?._id || playerObj.player)
+    .filter(Boolean)
+    .map((playerId) => playerId.toString());
+};
+
+// Registered users on the match, leaving out invitees who haven't accepted
+matchSchema.methods.getAcceptedPlayerIds = function () {
+  return this.teams
+    .flatMap((team) => team.players)
+    .filter(
+      (playerObj) =>
+        playerObj.player && playerObj.invitationStatus !== 'pending'
+    )
+    .map((playerObj) => (playerObj.player._id || playerObj.player).toString());
+};
+
+// Values an Analysis for this match can have as its match_id
+matchSchema.methods.getAnalysisMatchIds = function () {
+  return [this._id.toString(), this.analysisId, this.reusedAnalysisId].filter(
+    Boolean
+  );
+};
+
+// The team slot a registered user occupies, if they're on the match
+matchSchema.methods.getPlayerSlot = function (userId) {
+  return this.teams
+    .flatMap((team) => team.players)
+    .find(
+      (playerObj) =>
+        playerObj.player &&
+        (playerObj.player._id || playerObj.player).toString() ===
+          userId.toString()
+    );
+};
+
 // Virtual to easily find the creator's team
 matchSchema.virtual('creatorTeam').get(function () {
   return this.teams.find((team) =>
@@ -193,6 +637,14 @@ matchSchema.virtual('opponentTeam').get(function () {
   );
 });
 
+// Virtual for the team that won, once the structured score decides the match
+matchSchema.virtual('winningTeam').get(function () {
+  if (this.score?.winner === undefined || this.score?.winner === null) {
+    return null;
+  }
+  return this.teams[this.score.winner] || null;
+});
+
 const Match = model('Match', matchSchema);
 
 export default Match;
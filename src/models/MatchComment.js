@@ -0,0 +1,40 @@
+import { model, Schema } from 'mongoose';
+
+// Discussion on a match - replies point at the comment they answer
+const matchCommentSchema = new Schema(
+  {
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+      required: [true, 'A comment must be attached to a match'],
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'A comment must have an author'],
+    },
+    content: {
+      type: String,
+      trim: true,
+      required: [true, 'Comment content is required'],
+      maxlength: [2000, 'A comment can be at most 2000 characters'],
+    },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: 'MatchComment',
+    }, // Missing on top-level comments
+    editedAt: Date,
+  },
+  {
+    timestamps: true,
+    toObject: { virtuals: true },
+    toJSON: { virtuals: true },
+  }
+);
+
+matchCommentSchema.index({ match: 1, createdAt: 1 }); // For a match's threads
+matchCommentSchema.index({ parent: 1 }, { sparse: true }); // For a comment's replies
+
+const MatchComment = model('MatchComment', matchCommentSchema);
+
+export default MatchComment;
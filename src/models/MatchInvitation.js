@@ -0,0 +1,42 @@
+import { model, Schema } from 'mongoose';
+
+// One entry per registered (or email-invited) player added to someone else's match
+const matchInvitationSchema = new Schema(
+  {
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+    invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    invitee: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Set when the invitee had no account and was invited by email
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'cancelled'],
+      default: 'pending',
+    },
+    respondedAt: Date,
+    emailSentAt: Date,
+  },
+  { timestamps: true }
+);
+
+matchInvitationSchema.index({ match: 1, invitee: 1 }, { unique: true }); // One invitation per player per match
+matchInvitationSchema.index({ invitee: 1, status: 1, createdAt: -1 }); // For a user's pending invitations
+
+const MatchInvitation = model('MatchInvitation', matchInvitationSchema);
+export default MatchInvitation;
@@ -0,0 +1,65 @@
+import { model, Schema } from 'mongoose';
+import { POINT_OUTCOMES, POINT_SHOT_TYPES } from '../utils/matchPoints.js';
+
+// A player slot on the match: match.teams[team].players[index]
+const pointPositionSchema = new Schema(
+  {
+    team: {
+      type: Number,
+      enum: [0, 1],
+      required: true,
+    },
+    index: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// One entry per point played, logged by hand (see matchPointService)
+const matchPointSchema = new Schema(
+  {
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    }, // Order the point was played in - may have gaps after a correction
+    winner: {
+      type: Number,
+      enum: [0, 1],
+      required: true,
+    }, // Index into match.teams
+    outcome: {
+      type: String,
+      enum: POINT_OUTCOMES,
+      required: true,
+    },
+    shotType: {
+      type: String,
+      enum: POINT_SHOT_TYPES,
+    },
+    server: {
+      type: pointPositionSchema,
+      required: true,
+    },
+    // Player who hit the winner or made the error, when known
+    hitBy: pointPositionSchema,
+    recordedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+matchPointSchema.index({ match: 1, sequence: 1 }, { unique: true }); // Two points can't share a place
+
+const MatchPoint = model('MatchPoint', matchPointSchema);
+export default MatchPoint;
@@ -39,10 +39,24 @@ const notificationSchema = new mongoose.Schema(
         'matchUpdated', // Match updated notification
         'matchDeleted', // Match deleted notification
         'matchShared', // Match shared with you
+        'matchResultPending', // Ranked result waiting for your confirmation
+        'matchResultConfirmed', // Opponent confirmed your ranked result
+        'matchResultDisputed', // Opponent disputed your ranked result
+        'matchInvitation', // You were added to someone else's match
+        'matchInvitationAccepted', // A player accepted your match invitation
+        'matchInvitationDeclined', // A player declined your match invitation
+        'guestSlotClaimed', // A registered user claimed a guest spot in your match
+        'matchPlayerConfirmed', // A player confirmed they'll play your scheduled match
+        'matchCancelled', // A scheduled match was cancelled
+        'matchReminder', // A scheduled match is about to start
+        'matchComment', // Someone commented on a match you played or created
+        'matchCommentReply', // Someone replied to your match comment
+        'matchCommentLike', // Someone liked your match comment
         
         // Video upload notifications
         'videoUploaded', // Video uploaded successfully
         'uploadError', // Video upload failed
+        'duplicateVideo', // Uploaded video was already analysed or is being analysed
         
         // Video download notifications (for link uploads)
         'video_download_started', // Video download from link started
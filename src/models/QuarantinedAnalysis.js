@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// An analysis server payload that failed validation (see
+// utils/analysisPayloads.js), kept as received so it can be inspected and
+// retried instead of being saved with missing metrics
+const quarantinedAnalysisSchema = new mongoose.Schema(
+  {
+    match_id: {
+      type: String,
+      index: true,
+    },
+    job_id: String,
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Format the payload was detected as, and the one it failed - they
+    // differ when a migrator produced something invalid
+    payload_version: String,
+    failed_version: String,
+    validation_errors: {
+      type: [String],
+      default: [],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // job_id, engine_version, parameters and started_at of the run
+    run: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['quarantined', 'released', 'discarded'],
+      default: 'quarantined',
+      index: true,
+    },
+    retries: {
+      type: Number,
+      default: 0,
+    },
+    // The analysis version saved when a retry passed
+    analysis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Analysis',
+    },
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewed_at: Date,
+  },
+  {
+    timestamps: true,
+    collection: 'quarantined_analyses',
+    minimize: false,
+  }
+);
+
+quarantinedAnalysisSchema.index({ status: 1, createdAt: -1 });
+
+const QuarantinedAnalysis = mongoose.model(
+  'QuarantinedAnalysis',
+  quarantinedAnalysisSchema
+);
+
+export default QuarantinedAnalysis;
@@ -0,0 +1,51 @@
+import { model, Schema } from 'mongoose';
+
+// One entry per player per rated match
+const ratingHistorySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ['single', 'double'],
+      required: true,
+    },
+    result: {
+      type: String,
+      enum: ['win', 'loss'],
+      required: true,
+    },
+    ratingBefore: {
+      type: Number,
+      required: true,
+    },
+    ratingAfter: {
+      type: Number,
+      required: true,
+    },
+    change: {
+      type: Number,
+      required: true,
+    },
+    // Team ratings at the time (the player's own rating in singles)
+    teamRating: Number,
+    opponentRating: Number,
+    expectedScore: Number,
+  },
+  { timestamps: true }
+);
+
+ratingHistorySchema.index({ user: 1, match: 1 }, { unique: true }); // A match is only rated once
+ratingHistorySchema.index({ user: 1, format: 1, createdAt: -1 }); // For a user's rating history
+ratingHistorySchema.index({ match: 1 });
+
+const RatingHistory = model('RatingHistory', ratingHistorySchema);
+export default RatingHistory;
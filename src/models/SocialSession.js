@@ -0,0 +1,112 @@
+import { model, Schema } from 'mongoose';
+import { SESSION_MODES } from '../utils/socialSessionScheduler.js';
+
+// Teams and sit-outs refer to players by their index in `players`
+const sessionGameSchema = new Schema(
+  {
+    court: Number,
+    teams: [[Number]],
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+    },
+    points: [Number],
+    status: {
+      type: String,
+      enum: ['pending', 'completed'],
+      default: 'pending',
+    },
+  },
+  { _id: false }
+);
+
+const sessionRoundSchema = new Schema(
+  {
+    number: Number,
+    games: [sessionGameSchema],
+    sittingOut: [Number],
+    status: {
+      type: String,
+      enum: ['in_progress', 'completed'],
+      default: 'in_progress',
+    },
+  },
+  { _id: false }
+);
+
+const socialSessionSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Session name is required'],
+      trim: true,
+    },
+    mode: {
+      type: String,
+      enum: SESSION_MODES,
+      required: [true, 'Session mode is required'],
+    },
+    organizer: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    location: {
+      type: String,
+      required: [true, 'Session location is required'],
+    },
+    courts: {
+      type: Number,
+      min: 1,
+      required: [true, 'Number of courts is required'],
+    },
+    pointsPerGame: {
+      type: Number,
+      min: 1,
+      default: 24,
+    }, // Total points played in each game, e.g. 24 or 32
+    totalRounds: Number,
+    players: [
+      {
+        _id: false,
+        player: {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        name: String, // For display purposes or non-registered players
+      },
+    ],
+    // Americano only: the fixed partner rotation generated up front
+    schedule: [
+      {
+        _id: false,
+        games: [{ _id: false, teams: [[Number]] }],
+        sittingOut: [Number],
+      },
+    ],
+    rounds: [sessionRoundSchema],
+    status: {
+      type: String,
+      enum: ['in_progress', 'completed'],
+      default: 'in_progress',
+    },
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+socialSessionSchema.index({ organizer: 1, createdAt: -1 });
+socialSessionSchema.index({ 'players.player': 1 });
+
+socialSessionSchema.virtual('currentRound').get(function () {
+  return this.rounds?.[this.rounds.length - 1] || null;
+});
+
+const SocialSession = model('SocialSession', socialSessionSchema);
+export default SocialSession;
@@ -0,0 +1,181 @@
+import { model, Schema } from 'mongoose';
+import { BRACKET_TYPES } from '../utils/tournamentBracket.js';
+import { SCORING_MODES, BEST_OF_OPTIONS } from '../utils/padelScoring.js';
+
+// A single player (singles) or a pair (doubles) entered in the tournament
+const entrantSchema = new Schema({
+  players: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  name: String,
+  seed: Number,
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Where a fixture's winner or loser goes next
+const fixtureLinkSchema = new Schema(
+  {
+    fixture: String,
+    slot: Number,
+  },
+  { _id: false }
+);
+
+// Fixtures are linked by `key` - see utils/tournamentBracket.js
+const fixtureSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    bracket: {
+      type: String,
+      enum: ['winners', 'losers', 'grand_final', 'group'],
+      required: true,
+    },
+    round: Number,
+    position: Number,
+    group: Number,
+    slots: [
+      {
+        _id: false,
+        entrant: Schema.Types.ObjectId, // Entrant subdocument ID
+        resolved: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['waiting', 'ready', 'completed', 'bye'],
+      default: 'waiting',
+    },
+    winner: Schema.Types.ObjectId,
+    loser: Schema.Types.ObjectId,
+    winnerTo: {
+      type: fixtureLinkSchema,
+      default: null,
+    },
+    loserTo: {
+      type: fixtureLinkSchema,
+      default: null,
+    },
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+    }, // Created once both entrants are known
+    result: {
+      sets: [Number],
+      games: [Number],
+    },
+  },
+  { _id: false }
+);
+
+const tournamentSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Tournament name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    organizer: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ['single', 'double'],
+      default: 'double',
+      required: true,
+    },
+    bracketType: {
+      type: String,
+      enum: BRACKET_TYPES,
+      required: [true, 'Bracket type is required'],
+    },
+    groupCount: {
+      type: Number,
+      min: 1,
+      default: 1,
+    }, // Only used by group_stage
+    location: {
+      type: String,
+      required: [true, 'Tournament location is required'],
+    },
+    startDate: Date,
+    maxEntrants: {
+      type: Number,
+      min: 2,
+      default: 32,
+    },
+    // Applied to every fixture match
+    matchSettings: {
+      mode: {
+        type: String,
+        enum: SCORING_MODES,
+        default: 'golden_point',
+      },
+      bestOf: {
+        type: Number,
+        enum: BEST_OF_OPTIONS,
+        default: 3,
+      },
+      superTiebreak: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    status: {
+      type: String,
+      enum: ['registration', 'in_progress', 'completed', 'cancelled'],
+      default: 'registration',
+    },
+    entrants: [entrantSchema],
+    fixtures: [fixtureSchema],
+    winner: Schema.Types.ObjectId, // Entrant subdocument ID
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+tournamentSchema.index({ status: 1, startDate: 1 });
+tournamentSchema.index({ organizer: 1 });
+tournamentSchema.index({ 'entrants.players': 1 });
+
+tournamentSchema.methods.getFixture = function (key) {
+  return this.fixtures.find((fixture) => fixture.key === key);
+};
+
+tournamentSchema.methods.getEntrant = function (entrantId) {
+  return entrantId ? this.entrants.id(entrantId) : null;
+};
+
+// Entrant the user plays for, if any
+tournamentSchema.methods.getEntrantForUser = function (userId) {
+  return this.entrants.find((entrant) =>
+    entrant.players.some((player) => player.toString() === userId.toString())
+  );
+};
+
+const Tournament = model('Tournament', tournamentSchema);
+export default Tournament;
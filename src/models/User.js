@@ -1,6 +1,27 @@
 import { Schema, model } from 'mongoose';
 import validator from 'validator';
 import bcrypt from 'bcrypt';
+import { DEFAULT_RATING } from '../utils/ratingCalculator.js';
+
+// Skill rating for one format, updated by ratingService after ranked matches
+const ratingSchema = new Schema(
+  {
+    rating: {
+      type: Number,
+      default: DEFAULT_RATING,
+    },
+    peak: {
+      type: Number,
+      default: DEFAULT_RATING,
+    },
+    matches: {
+      type: Number,
+      default: 0,
+    },
+    lastMatchAt: Date,
+  },
+  { _id: false }
+);
 
 const userSchema = new Schema(
   {
@@ -96,6 +117,16 @@ const userSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'Subscription',
     },
+    rating: {
+      singles: {
+        type: ratingSchema,
+        default: () => ({}),
+      },
+      doubles: {
+        type: ratingSchema,
+        default: () => ({}),
+      },
+    },
   },
   {
     timestamps: true,
@@ -120,7 +151,7 @@ userSchema.pre('save', async function (next) {
   console.log('Password for Pre:', this.password);
   if (!this.isModified('password')) {
     console.log('This is called');
-    next();
+    return next();
   }
 
   this.password = await bcrypt.hash(this.password, 10);
@@ -158,6 +189,25 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   return false;
 };
 
+// Fields only the server sets: the role gates admin routes, and ratings
+// only change through rated matches
+const PROTECTED_FIELDS = [
+  'role',
+  'verified',
+  'status',
+  'authProvider',
+  'passwordChangedAt',
+  'subscription',
+  'rating',
+];
+
+// A signup or profile update body without the protected fields
+userSchema.statics.withoutProtectedFields = function (body = {}) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([field]) => !PROTECTED_FIELDS.includes(field))
+  );
+};
+
 const User = model('User', userSchema);
 
 export default User;
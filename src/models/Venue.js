@@ -0,0 +1,96 @@
+import { model, Schema } from 'mongoose';
+
+// "Padel Club X" and "padel club x " are the same place
+export const normalizeVenueName = (name = '') =>
+  name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const venueSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Venue name is required'],
+      trim: true,
+    },
+    normalizedName: {
+      type: String,
+      index: true,
+    }, // Set from `name` in the pre('validate') hook
+    address: {
+      street: String,
+      city: String,
+      region: String,
+      postalCode: String,
+      country: String,
+    },
+    // GeoJSON point - coordinates are [longitude, latitude]
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: (coordinates) =>
+            coordinates.length === 2 &&
+            coordinates[0] >= -180 &&
+            coordinates[0] <= 180 &&
+            coordinates[1] >= -90 &&
+            coordinates[1] <= 90,
+          message: 'Coordinates must be [longitude, latitude]',
+        },
+      },
+    },
+    courts: {
+      type: Number,
+      min: 1,
+    },
+    surface: {
+      type: String,
+      enum: ['artificial_grass', 'concrete', 'synthetic', 'other'],
+    },
+    courtType: {
+      type: String,
+      enum: ['indoor', 'outdoor', 'covered', 'mixed'],
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Venues created from old free-text match locations start unverified
+    source: {
+      type: String,
+      enum: ['user', 'migration'],
+      default: 'user',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+venueSchema.index({ geo: '2dsphere' });
+venueSchema.index({ normalizedName: 1, 'address.city': 1 }, { unique: true });
+
+venueSchema.pre('validate', function (next) {
+  if (this.isModified('name')) {
+    this.normalizedName = normalizeVenueName(this.name);
+  }
+
+  // A half-filled point would break the 2dsphere index
+  if (!this.geo?.coordinates?.length) {
+    this.geo = undefined;
+  } else {
+    this.geo.type = 'Point';
+  }
+
+  next();
+});
+
+const Venue = model('Venue', venueSchema);
+export default Venue;
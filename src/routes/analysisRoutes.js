@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { protect } from '../controllers/authController.js';
+import { protect, restrictTo } from '../controllers/authController.js';
 import { videoUpload } from '../services/s3UploadService.js';
 import {
   analyzeVideoCompleteService,
@@ -15,6 +15,18 @@ import {
   restartAnalysisService,
   testAnalysisSave,
 } from '../services/analysisService.js';
+import {
+  compareAnalysisVersionsService,
+  getAnalysisVersionsService,
+  rollbackAnalysisVersionService,
+} from '../services/analysisVersionService.js';
+import {
+  discardQuarantinedAnalysisService,
+  getQuarantinedAnalysesService,
+  getQuarantinedAnalysisService,
+  retryQuarantinedAnalysisService,
+} from '../services/analysisQuarantineService.js';
+import { getShotEventsService } from '../services/shotEventService.js';
 import {
   checkMatchAnalysisLimit,
   requireFullShotBreakdown,
@@ -52,8 +64,32 @@ router.post(
 // Basic features available to all users
 router.get('/average', playerAverageService);
 router.get('/percentage_change', lastTwoMatchesComparisonService);
+
+// Analysis runs of a match
+router.get('/match/:matchId/versions', getAnalysisVersionsService);
+router.get('/match/:matchId/versions/compare', compareAnalysisVersionsService);
+router.post(
+  '/match/:matchId/versions/:version/rollback',
+  rollbackAnalysisVersionService
+);
+
+// Analysis server payloads that failed validation, for admins to inspect
+router.get('/quarantine', restrictTo('admin'), getQuarantinedAnalysesService);
+router
+  .route('/quarantine/:id')
+  .get(restrictTo('admin'), getQuarantinedAnalysisService)
+  .delete(restrictTo('admin'), discardQuarantinedAnalysisService);
+router.post(
+  '/quarantine/:id/retry',
+  restrictTo('admin'),
+  retryQuarantinedAnalysisService
+);
+
 router.get('/:analysisId/status', getAnalysisStatusService);
 
+// Shot timeline - filters, per-minute histogram and velocity distribution
+router.get('/:analysisId/shots', getShotEventsService);
+
 // Premium features requiring full shot breakdown
 router.get(
   '/:analysisId/advanced',
@@ -15,8 +15,41 @@ import {
   completeMatchVideoUpload,
   abortMatchVideoUpload,
   submitVideoLink,
+  confirmMatchResult,
+  disputeMatchResult,
+  getPendingConfirmations,
+  confirmScheduledMatch,
+  cancelScheduledMatch,
+  inviteByEmail,
+  getMyInvitations,
+  acceptMatchInvitation,
+  declineMatchInvitation,
+  createGuestClaimLink,
+  getGuestClaim,
+  acceptGuestClaim,
+  getMatchSharing,
+  shareMatch,
+  unshareMatchUser,
+  unshareMatchFollowers,
+  exportMatchReport,
+  importMatches,
+  getMatchPoints,
+  logMatchPoint,
+  removeMatchPoint,
+  getTrashedMatches,
+  restoreMatch,
+  getMatchComments,
+  createMatchComment,
+  updateMatchComment,
+  deleteMatchComment,
+  likeMatchComment,
+  unlikeMatchComment,
+  setMatchNote,
+  deleteMatchNote,
+  getMatchTags,
 } from '../controllers/matchController.js';
 import { videoUpload } from '../services/s3UploadService.js';
+import { uploadCsv } from '../services/uploadService.js';
 import {
   addSubscriptionInfo,
   setPriority,
@@ -31,6 +64,17 @@ router.use(addSubscriptionInfo); // Add subscription info to all responses
 router.route('/').get(getAllMatches).post(createMatch);
 router.get('/user-matches', getUserMatches);
 
+// Bulk import of played matches from a CSV - pass dryRun=true to validate
+// only, notify=false to import without notifying the players
+router.post('/import', uploadCsv, importMatches);
+
+// Deleted matches stay in the trash for 30 days and can be restored
+router.get('/trash', getTrashedMatches);
+router.post('/:matchId/restore', restoreMatch);
+
+// The user's private match tags, with how many matches carry each
+router.get('/tags', getMatchTags);
+
 // Check analysis quota
 router.get('/analysis-quota', checkAnalysisQuota);
 
@@ -55,6 +99,53 @@ router.get('/testing', checkAnalysisQuotaService);
 
 router.get('/profile', getUserProfile);
 
+// Ranked results awaiting the current user's confirmation
+router.get('/pending-confirmations', getPendingConfirmations);
+router.post('/:matchId/confirm', confirmMatchResult);
+router.post('/:matchId/dispute', disputeMatchResult);
+
+// Scheduled matches: invited players confirm, any player can cancel
+router.post('/:matchId/schedule/confirm', confirmScheduledMatch);
+router.post('/:matchId/schedule/cancel', cancelScheduledMatch);
+
+// Invitations: players added to someone else's match accept or decline it
+router.get('/invitations', getMyInvitations);
+router.post('/invitations/:invitationId/accept', acceptMatchInvitation);
+router.post('/invitations/:invitationId/decline', declineMatchInvitation);
+router.post('/:matchId/invitations', inviteByEmail);
+
+// Claim links let a guest player attach their slot to their own account
+router.post('/:matchId/guests/:slotId/claim-link', createGuestClaimLink);
+router.get('/claims/:token', getGuestClaim);
+router.post('/claims/:token/accept', acceptGuestClaim);
+
+// Sharing private matches with specific users or the creator's followers
+router.route('/:matchId/sharing').get(getMatchSharing).post(shareMatch);
+router.delete('/:matchId/sharing/followers', unshareMatchFollowers);
+router.delete('/:matchId/sharing/users/:userId', unshareMatchUser);
+
+// Downloadable match report: ?format=csv|json|html|pdf
+router.get('/:matchId/export', exportMatchReport);
+
+// Point-by-point log for matches without video - also over the socket
+router.route('/:matchId/points').get(getMatchPoints).post(logMatchPoint);
+router.delete('/:matchId/points/:pointId', removeMatchPoint);
+
+// Threaded comments - pass `parent` to reply to a comment
+router
+  .route('/:matchId/comments')
+  .get(getMatchComments)
+  .post(createMatchComment);
+router
+  .route('/:matchId/comments/:commentId')
+  .patch(updateMatchComment)
+  .delete(deleteMatchComment);
+router.patch('/:matchId/comments/:commentId/like', likeMatchComment);
+router.patch('/:matchId/comments/:commentId/unlike', unlikeMatchComment);
+
+// The user's private note and tags - filter history with ?tag=
+router.route('/:matchId/notes').put(setMatchNote).delete(deleteMatchNote);
+
 router.route('/:matchId').get(getMatch).patch(updateMatch).delete(deleteMatch);
 
 export default router;
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import { protect } from '../controllers/authController.js';
+import {
+  createSocialSession,
+  getSocialSession,
+  getSessionStandings,
+  reportSessionGameScore,
+  startNextSessionRound,
+} from '../controllers/socialSessionController.js';
+
+const router = Router();
+
+router.use(protect);
+
+router.post('/', createSocialSession);
+router.get('/:sessionId', getSocialSession);
+
+// Live standings - also pushed to each game's match room on every score
+router.get('/:sessionId/standings', getSessionStandings);
+
+router.post('/:sessionId/rounds', startNextSessionRound);
+router.post(
+  '/:sessionId/rounds/:roundNumber/courts/:court/score',
+  reportSessionGameScore
+);
+
+export default router;
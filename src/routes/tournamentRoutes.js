@@ -0,0 +1,31 @@
+import { Router } from 'express';
+import { protect } from '../controllers/authController.js';
+import {
+  createTournament,
+  getAllTournaments,
+  getTournament,
+  joinTournament,
+  startTournament,
+  getTournamentBracket,
+  reportFixtureResult,
+} from '../controllers/tournamentController.js';
+
+const router = Router();
+
+router.use(protect);
+
+router.route('/').get(getAllTournaments).post(createTournament);
+
+router.get('/:tournamentId', getTournament);
+router.post('/:tournamentId/join', joinTournament);
+
+// Organizer closes registration and generates the fixtures
+router.post('/:tournamentId/start', startTournament);
+
+router.get('/:tournamentId/bracket', getTournamentBracket);
+router.post(
+  '/:tournamentId/fixtures/:fixtureKey/result',
+  reportFixtureResult
+);
+
+export default router;
@@ -1,7 +1,10 @@
 import { Router } from 'express';
 import {
   deleteUser,
+  getHeadToHead,
+  getPartnerships,
   getUser,
+  getUserRating,
   getUsers,
   updateUser,
   uploadImage,
@@ -15,6 +18,9 @@ router.use(protect);
 
 router.get('/', getUsers);
 router.patch('/image', uploadUserImage, uploadImage);
+router.get('/:id/rating', getUserRating);
+router.get('/:id/head-to-head/:otherId', getHeadToHead);
+router.get('/:id/partnerships', getPartnerships);
 router.route('/:id').get(getUser).patch(updateUser).delete(deleteUser);
 
 export default router;
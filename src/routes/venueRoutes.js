@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { protect } from '../controllers/authController.js';
+import {
+  createVenue,
+  getAllVenues,
+  getNearbyVenues,
+  getVenue,
+  updateVenue,
+} from '../controllers/venueController.js';
+
+const router = Router();
+
+router.use(protect);
+
+router.route('/').get(getAllVenues).post(createVenue);
+
+// Venues near a point, e.g. /nearby?lat=40.41&lng=-3.70&radius=15
+router.get('/nearby', getNearbyVenues);
+
+router.route('/:venueId').get(getVenue).patch(updateVenue);
+
+export default router;
@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+import AnalysisStatus from '../models/AnalysisStatus.js';
+import QuarantinedAnalysis from '../models/QuarantinedAnalysis.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { formatAnalysisResponse } from '../utils/analysisFormatter.js';
+import {
+  AnalysisPayloadError,
+  validateAnalysisPayload,
+} from '../utils/analysisPayloads.js';
+
+const QUARANTINE_STATUSES = ['quarantined', 'released', 'discarded'];
+
+const findQuarantinedAnalysis = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid quarantine ID', 400);
+  }
+
+  const entry = await QuarantinedAnalysis.findById(id);
+  if (!entry) throw new AppError('No quarantined analysis found', 404);
+
+  return entry;
+};
+
+// ?status=quarantined (default), released, discarded or all; ?match_id
+export const getQuarantinedAnalysesService = catchAsync(
+  async (req, res, next) => {
+    const { status = 'quarantined', match_id } = req.query;
+    const filter = {};
+
+    if (status !== 'all') {
+      if (!QUARANTINE_STATUSES.includes(status)) {
+        return next(
+          new AppError(
+            `status must be one of: ${QUARANTINE_STATUSES.join(', ')}, all`,
+            400
+          )
+        );
+      }
+      filter.status = status;
+    }
+    if (match_id) filter.match_id = match_id;
+
+    // Payloads can be large - fetch one entry to see its payload
+    const entries = await QuarantinedAnalysis.find(filter)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.status(200).json({
+      status: 'success',
+      length: entries.length,
+      data: {
+        entries,
+      },
+    });
+  }
+);
+
+// The entry with its payload, re-checked against the current formats
+export const getQuarantinedAnalysisService = catchAsync(
+  async (req, res, next) => {
+    const entry = await findQuarantinedAnalysis(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entry,
+        current_errors: validateAnalysisPayload(entry.payload),
+      },
+    });
+  }
+);
+
+/**
+ * Try a quarantined payload again, e.g. after a format or migrator fix.
+ * If it passes it is saved as the match's new current analysis version.
+ */
+export const retryQuarantinedAnalysisService = catchAsync(
+  async (req, res, next) => {
+    const entry = await findQuarantinedAnalysis(req.params.id);
+
+    if (entry.status !== 'quarantined') {
+      return next(
+        new AppError(`This payload has already been ${entry.status}`, 400)
+      );
+    }
+
+    entry.retries += 1;
+
+    let formattedData;
+    try {
+      formattedData = formatAnalysisResponse(entry.payload, entry.created_by);
+    } catch (error) {
+      if (!(error instanceof AnalysisPayloadError)) throw error;
+
+      entry.failed_version = String(error.version);
+      entry.validation_errors = error.errors;
+      await entry.save();
+
+      return next(error);
+    }
+
+    const analysis = await Analysis.createVersion({
+      ...formattedData,
+      ...entry.run,
+    });
+
+    entry.set({
+      status: 'released',
+      analysis: analysis._id,
+      validation_errors: [],
+      reviewed_by: req.user._id,
+      reviewed_at: new Date(),
+    });
+    await entry.save();
+
+    // Complete a match still waiting on this payload. One that was restarted
+    // meanwhile keeps the status of its new run.
+    if (mongoose.Types.ObjectId.isValid(entry.match_id)) {
+      await Promise.all([
+        Match.updateOne(
+          { _id: entry.match_id, analysisStatus: 'quarantined' },
+          { analysisStatus: 'completed' }
+        ),
+        AnalysisStatus.updateOne(
+          { match_id: entry.match_id, status: 'quarantined' },
+          { status: 'completed', message: 'Analysis completed' }
+        ),
+      ]);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Saved as analysis version ${analysis.version}`,
+      data: {
+        entry,
+        analysis,
+      },
+    });
+  }
+);
+
+export const discardQuarantinedAnalysisService = catchAsync(
+  async (req, res, next) => {
+    const entry = await findQuarantinedAnalysis(req.params.id);
+
+    if (entry.status !== 'quarantined') {
+      return next(
+        new AppError(`This payload has already been ${entry.status}`, 400)
+      );
+    }
+
+    entry.set({
+      status: 'discarded',
+      reviewed_by: req.user._id,
+      reviewed_at: new Date(),
+    });
+    await entry.save();
+
+    // Mark a match still waiting on this payload failed, so the analysis is
+    // restarted the next time its owner opens it
+    if (mongoose.Types.ObjectId.isValid(entry.match_id)) {
+      await Promise.all([
+        Match.updateOne(
+          { _id: entry.match_id, analysisStatus: 'quarantined' },
+          { analysisStatus: 'failed' }
+        ),
+        AnalysisStatus.updateOne(
+          { match_id: entry.match_id, status: 'quarantined' },
+          { status: 'failed', message: 'Analysis results could not be read' }
+        ),
+      ]);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Quarantined payload discarded',
+      data: {
+        entry,
+      },
+    });
+  }
+);
@@ -4,20 +4,60 @@ import fetch from 'node-fetch';
 import catchAsync from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 import { uploadLargeFile } from './s3UploadService.js';
-import Match from '../models/Match.js';
+import Match, { normalizeMatchTags } from '../models/Match.js';
 import { findOne } from '../factory/repo.js';
 import FirebaseService from './firebaseService.js';
 import { processAnalysisResponse } from '../utils/analysisFormatter.js';
+import { addRallyStats } from '../utils/rallySegmentation.js';
 import AnalysisStatus from '../models/AnalysisStatus.js';
 import mongoose from 'mongoose';
 import Analysis from '../models/Analysis.js';
+import config from '../config/config.js';
 
-// Configuration - update with your Python API URL
-// const PYTHON_API_BASE_URL = 'http://127.0.0.1:8000';
-const PYTHON_API_BASE_URL = 'https://server.padelize.ai';
-// const PYTHON_API_BASE_URL = 'http://54.195.115.106:8000';
+// Python analysis API connection - see analysisApi in config.js
+const {
+  baseUrl: PYTHON_API_BASE_URL,
+  apiKey: PYTHON_API_KEY,
+  bearerToken: PYTHON_API_TOKEN,
+  timeoutMs: PYTHON_API_TIMEOUT_MS,
+  uploadTimeoutMs: PYTHON_API_UPLOAD_TIMEOUT_MS,
+} = config.analysisApi;
 
 class VideoAnalysisService {
+  /**
+   * Call the Python API with the configured auth headers and a timeout
+   * @param {String} endpoint - Path on the API, e.g. '/analyses/'
+   * @param {Object} options - fetch options
+   * @param {Number} timeoutMs - Abort the request after this long. The
+   *   default suits quick calls like status polls - uploads and calls that
+   *   start processing pass PYTHON_API_UPLOAD_TIMEOUT_MS
+   * @returns {Promise<Response>}
+   */
+  static async request(
+    endpoint,
+    options = {},
+    timeoutMs = PYTHON_API_TIMEOUT_MS
+  ) {
+    const headers = { ...options.headers };
+    if (PYTHON_API_KEY) headers['X-API-Key'] = PYTHON_API_KEY;
+    if (PYTHON_API_TOKEN) headers.Authorization = `Bearer ${PYTHON_API_TOKEN}`;
+
+    try {
+      return await fetch(`${PYTHON_API_BASE_URL}${endpoint}`, {
+        ...options,
+        headers,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new Error(
+          `Python API timeout: ${endpoint} took longer than ${timeoutMs}ms`
+        );
+      }
+      throw error;
+    }
+  }
+
   static createMultipartFormData(videoPath, options = {}, userId, matchId) {
     const boundary = `----FormBoundary${Math.random()
       .toString(36)
@@ -83,13 +123,17 @@ class VideoAnalysisService {
         formData.append('video', body.video);
       }
 
-      const response = await fetch(`${PYTHON_API_BASE_URL}/fetch_players/`, {
-        method: 'POST',
-        body: formData,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
+      const response = await this.request(
+        '/fetch_players/',
+        {
+          method: 'POST',
+          body: formData,
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
         },
-      });
+        PYTHON_API_UPLOAD_TIMEOUT_MS
+      );
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -106,8 +150,8 @@ class VideoAnalysisService {
   // Check player detection status
   static async getPlayerDetectionStatus(jobId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/fetch_players/status/?job_id=${jobId}`
+      const response = await this.request(
+        `/fetch_players/status/?job_id=${jobId}`
       );
 
       if (!response.ok) {
@@ -134,13 +178,17 @@ class VideoAnalysisService {
       //   formData.append("video", body.video_path);
       // }
 
-      const response = await fetch(`${PYTHON_API_BASE_URL}/analyses/`, {
-        method: 'POST',
-        body: JSON.stringify(body),
-        headers: {
-          'Content-Type': 'application/json',
+      const response = await this.request(
+        '/analyses/',
+        {
+          method: 'POST',
+          body: JSON.stringify(body),
+          headers: {
+            'Content-Type': 'application/json',
+          },
         },
-      });
+        PYTHON_API_UPLOAD_TIMEOUT_MS
+      );
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -164,8 +212,8 @@ class VideoAnalysisService {
         matchId
       );
 
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/analyze-video-file`,
+      const response = await this.request(
+        '/analyze-video-file',
         {
           method: 'POST',
           body: body,
@@ -173,7 +221,8 @@ class VideoAnalysisService {
             'Content-Type': contentType,
             'Content-Length': body.length,
           },
-        }
+        },
+        PYTHON_API_UPLOAD_TIMEOUT_MS
       );
 
       if (!response.ok) {
@@ -191,9 +240,7 @@ class VideoAnalysisService {
   // Check analysis status
   static async getAnalysisStatus(jobId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/analyses/status/?job_id=${jobId}`
-      );
+      const response = await this.request(`/analyses/status/?job_id=${jobId}`);
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -212,11 +259,10 @@ class VideoAnalysisService {
   // Restart analysis
   static async restartAnalysis(matchId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/api/restart/${matchId}`,
-        {
-          method: 'POST',
-        }
+      const response = await this.request(
+        `/api/restart/${matchId}`,
+        { method: 'POST' },
+        PYTHON_API_UPLOAD_TIMEOUT_MS
       );
 
       if (!response.ok) {
@@ -234,9 +280,7 @@ class VideoAnalysisService {
   // Get analysis results
   static async getAnalysisResults(jobId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/analyses/status/?job_id=${jobId}`
-      );
+      const response = await this.request(`/analyses/status/?job_id=${jobId}`);
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -255,12 +299,9 @@ class VideoAnalysisService {
   // Delete analysis and cleanup files
   static async deleteAnalysis(analysisId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/analysis/${analysisId}`,
-        {
-          method: 'DELETE',
-        }
-      );
+      const response = await this.request(`/analysis/${analysisId}`, {
+        method: 'DELETE',
+      });
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -335,7 +376,7 @@ class VideoAnalysisService {
   // Check if Python API is healthy
   static async checkHealth() {
     try {
-      const response = await fetch(`${PYTHON_API_BASE_URL}/health`);
+      const response = await this.request('/health');
 
       if (!response.ok) {
         throw new Error(`Health check failed: ${response.status}`);
@@ -546,6 +587,10 @@ export const getAnalysisResultsService = catchAsync(async (req, res, next) => {
     );
     const results = transformNewAnalysisResults(rawResults);
 
+    // Rallies and rally stats (average and longest rally, win share in long
+    // and short rallies) from the shot events
+    addRallyStats(results);
+
     const match = await Match.findOne({
       analysisId: analysisId,
       creator: userId,
@@ -850,6 +895,7 @@ export const restartAnalysisService = catchAsync(async (req, res, next) => {
 
   match.analysisStatus = 'processing';
   analysisStatus.status = 'processing';
+  analysisStatus.started_at = new Date();
 
   await Promise.all([match.save(), analysisStatus.save()]);
 
@@ -864,6 +910,102 @@ export const restartAnalysisService = catchAsync(async (req, res, next) => {
 export { VideoAnalysisService };
 
 class PlayerAnalyticsAggregator {
+  /**
+   * Pipeline stages that turn each analysis into one document per credited
+   * player: the creator, plus any guest slots claimed by registered users.
+   * Sets `attributed_user` and `first_player` on each document.
+   * Analyses from before claims only credit the creator, as the first player.
+   */
+  static attributedPlayerStages() {
+    const players = { $ifNull: ['$player_analytics.players', []] };
+    const creatorPlayer = {
+      $ifNull: [
+        {
+          $arrayElemAt: [
+            {
+              $filter: {
+                input: players,
+                as: 'player',
+                cond: { $eq: ['$$player.user', '$created_by'] },
+              },
+            },
+            0,
+          ],
+        },
+        // Untagged, the creator is the first player - unless a guest who
+        // claimed their slot played as that player
+        {
+          $let: {
+            vars: { first: { $arrayElemAt: [players, 0] } },
+            in: {
+              $cond: [{ $ifNull: ['$$first.user', false] }, null, '$$first'],
+            },
+          },
+        },
+      ],
+    };
+    const claimedPlayers = {
+      $map: {
+        input: {
+          $filter: {
+            input: players,
+            as: 'player',
+            cond: {
+              $and: [
+                { $ne: [{ $ifNull: ['$$player.user', null] }, null] },
+                { $ne: ['$$player.user', '$created_by'] },
+              ],
+            },
+          },
+        },
+        as: 'player',
+        in: { user: '$$player.user', player: '$$player' },
+      },
+    };
+
+    return [
+      {
+        $addFields: {
+          attributed_players: {
+            $concatArrays: [
+              [{ user: '$created_by', player: creatorPlayer }],
+              claimedPlayers,
+            ],
+          },
+        },
+      },
+      { $unwind: '$attributed_players' },
+      {
+        $addFields: {
+          attributed_user: '$attributed_players.user',
+          first_player: '$attributed_players.player',
+        },
+      },
+      { $project: { attributed_players: 0 } },
+    ];
+  }
+
+  /**
+   * The player entry credited to a user in a single analysis document
+   * @param {Object} analysis - Analysis with created_by and player_analytics
+   * @param {String} userId
+   */
+  static getAttributedPlayer(analysis, userId) {
+    const players = analysis.player_analytics?.players || [];
+    const claimed = players.find(
+      (player) => player.user && player.user.toString() === userId.toString()
+    );
+
+    if (claimed) return claimed;
+
+    // Before the creator's entry is tagged it's taken to be the first one,
+    // unless a guest who claimed their slot played as that player
+    return analysis.created_by?.toString() === userId.toString() &&
+      !players[0]?.user
+      ? players[0]
+      : undefined;
+  }
+
   /**
    * Get player averages for a specific time duration
    * @param {Object} options - Query options
@@ -871,6 +1013,7 @@ class PlayerAnalyticsAggregator {
    * @param {Date} options.endDate - End date for the duration
    * @param {Array} options.matchIds - Specific match IDs to include (optional)
    * @param {String} options.status - Analysis status filter (optional, default: 'completed')
+   * @param {Array|String} options.tags - Only matches createdBy tagged with all of these (optional)
    */
   static async getPlayerAverages(options = {}) {
     const {
@@ -878,12 +1021,14 @@ class PlayerAnalyticsAggregator {
       endDate,
       createdBy,
       matchIds,
+      tags,
       status = 'completed',
     } = options;
 
-    // Build match criteria
+    // Build match criteria - only each match's current analysis version
     const matchCriteria = {
       status: status,
+      ...Analysis.currentCriteria(),
     };
 
     // Add date range filter
@@ -893,9 +1038,13 @@ class PlayerAnalyticsAggregator {
       if (endDate) matchCriteria.createdAt.$lte = new Date(endDate);
     }
 
-    // Add user filter
+    // Add user filter - analyses they created plus guest slots they claimed
     if (createdBy) {
-      matchCriteria.created_by = new mongoose.Types.ObjectId(createdBy);
+      const userObjectId = new mongoose.Types.ObjectId(createdBy);
+      matchCriteria.$or = [
+        { created_by: userObjectId },
+        { 'player_analytics.players.user': userObjectId },
+      ];
     }
 
     // Add match IDs filter
@@ -905,17 +1054,41 @@ class PlayerAnalyticsAggregator {
       };
     }
 
+    // Add tag filter - tags are private, so only the user's own count
+    if (tags && tags.length > 0) {
+      if (!createdBy) {
+        throw new AppError('Filtering by tag needs a user', 400);
+      }
+
+      const taggedMatches = await Match.find(
+        Match.taggedCriteria(new mongoose.Types.ObjectId(createdBy), tags)
+      ).select('analysisId reusedAnalysisId');
+
+      matchCriteria.$and = [
+        {
+          match_id: {
+            $in: taggedMatches.flatMap((match) => match.getAnalysisMatchIds()),
+          },
+        },
+      ];
+    }
+
     try {
       const pipeline = [
         // Match analyses based on criteria
         { $match: matchCriteria },
 
-        // Add field to get only the first player from each analysis
-        {
-          $addFields: {
-            first_player: { $arrayElemAt: ['$player_analytics.players', 0] },
-          },
-        },
+        // Get the player credited to each user from each analysis
+        ...this.attributedPlayerStages(),
+        ...(createdBy
+          ? [
+              {
+                $match: {
+                  attributed_user: new mongoose.Types.ObjectId(createdBy),
+                },
+              },
+            ]
+          : []),
 
         // Replace the players array with just the first player for processing
         {
@@ -1218,6 +1391,8 @@ class PlayerAnalyticsAggregator {
   }
 
   static calculatePercentageChange(oldValue, newValue) {
+    // A metric the analysis didn't measure has no change to report
+    if (oldValue == null || newValue == null) return null;
     if (oldValue === 0) return newValue > 0 ? 100 : 0;
     return Math.round(((newValue - oldValue) / oldValue) * 100 * 100) / 100;
   }
@@ -1231,14 +1406,19 @@ class PlayerAnalyticsAggregator {
   static async getLastTwoMatchesComparison(options = {}) {
     const { createdBy, status = 'completed' } = options;
 
-    // Build match criteria
+    // Build match criteria - only each match's current analysis version
     const matchCriteria = {
       status: status,
+      ...Analysis.currentCriteria(),
     };
 
-    // Add user filter
+    // Add user filter - analyses they created plus guest slots they claimed
     if (createdBy) {
-      matchCriteria.created_by = new mongoose.Types.ObjectId(createdBy);
+      const userObjectId = new mongoose.Types.ObjectId(createdBy);
+      matchCriteria.$or = [
+        { created_by: userObjectId },
+        { 'player_analytics.players.user': userObjectId },
+      ];
     }
 
     try {
@@ -1246,7 +1426,7 @@ class PlayerAnalyticsAggregator {
       const lastTwoAnalyses = await Analysis.find(matchCriteria)
         .sort({ createdAt: -1 })
         .limit(2)
-        .select('player_analytics createdAt match_id');
+        .select('player_analytics createdAt match_id created_by');
 
       if (lastTwoAnalyses.length < 2) {
         throw new Error(
@@ -1256,9 +1436,13 @@ class PlayerAnalyticsAggregator {
 
       const [latest, previous] = lastTwoAnalyses;
 
-      // Extract first player data from each analysis
-      const latestPlayer = latest.player_analytics.players[0];
-      const previousPlayer = previous.player_analytics.players[0];
+      // Extract the user's player data from each analysis
+      const latestPlayer = createdBy
+        ? this.getAttributedPlayer(latest, createdBy)
+        : latest.player_analytics.players[0];
+      const previousPlayer = createdBy
+        ? this.getAttributedPlayer(previous, createdBy)
+        : previous.player_analytics.players[0];
 
       if (!latestPlayer || !previousPlayer) {
         throw new Error('Player data not found in one or both analyses');
@@ -1385,7 +1569,7 @@ class PlayerAnalyticsAggregator {
 }
 
 export const playerAverageService = catchAsync(async (req, res, next) => {
-  const { startDate, endDate, matchIds } = req.query;
+  const { startDate, endDate, matchIds, tag } = req.query;
   const { _id: userId } = req.user;
 
   try {
@@ -1394,6 +1578,7 @@ export const playerAverageService = catchAsync(async (req, res, next) => {
       endDate: endDate ? new Date(endDate) : undefined,
       createdBy: userId,
       matchIds: matchIds ? matchIds.split(',') : undefined,
+      tags: tag ? normalizeMatchTags(tag) : undefined,
     };
 
     const averages = await PlayerAnalyticsAggregator.getPlayerAverages(options);
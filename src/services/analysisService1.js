@@ -4,16 +4,18 @@
 
 import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
 import catchAsync from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 import { uploadLargeFile } from './s3UploadService.js';
 import Match from '../models/Match.js';
 import { findOne } from '../factory/repo.js';
+import config from '../config/config.js';
+import { VideoAnalysisService as PythonApi } from './analysisService.js';
+import { addRallyStats } from '../utils/rallySegmentation.js';
 
-// Configuration - update with your Python API URL
-const PYTHON_API_BASE_URL = 'http://127.0.0.1:8000';
-// const PYTHON_API_BASE_URL = 'http://3.107.27.98';
+// Python analysis API connection - see analysisApi in config.js. Requests go
+// through PythonApi.request for the configured auth headers and timeouts.
+const PYTHON_API_BASE_URL = config.analysisApi.baseUrl;
 
 class VideoAnalysisService {
   // Helper function to create multipart form data manually
@@ -131,14 +133,18 @@ class VideoAnalysisService {
       //   userId
       // );
 
-      const response = await fetch(`${PYTHON_API_BASE_URL}/analyze-video`, {
-        method: 'POST',
-        body: JSON.stringify(body),
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': body.length,
+      const response = await PythonApi.request(
+        '/analyze-video',
+        {
+          method: 'POST',
+          body: JSON.stringify(body),
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': body.length,
+          },
         },
-      });
+        config.analysisApi.uploadTimeoutMs
+      );
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -167,9 +173,7 @@ class VideoAnalysisService {
         params.append('court_detection', options.court_detection);
 
       const queryString = params.toString();
-      const url = `${PYTHON_API_BASE_URL}/analyze-video${
-        queryString ? `?${queryString}` : ''
-      }`;
+      const endpoint = `/analyze-video${queryString ? `?${queryString}` : ''}`;
 
       // Read video file as buffer
       const videoBuffer = fs.readFileSync(videoPath);
@@ -190,14 +194,18 @@ class VideoAnalysisService {
         Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8'),
       ]);
 
-      const response = await fetch(url, {
-        method: 'POST',
-        body: body,
-        headers: {
-          'Content-Type': `multipart/form-data; boundary=${boundary}`,
-          'Content-Length': body.length,
+      const response = await PythonApi.request(
+        endpoint,
+        {
+          method: 'POST',
+          body: body,
+          headers: {
+            'Content-Type': `multipart/form-data; boundary=${boundary}`,
+            'Content-Length': body.length,
+          },
         },
-      });
+        config.analysisApi.uploadTimeoutMs
+      );
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -214,8 +222,8 @@ class VideoAnalysisService {
   // Check analysis status
   static async getAnalysisStatus(analysisId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/analysis/${analysisId}/status`
+      const response = await PythonApi.request(
+        `/analysis/${analysisId}/status`
       );
 
       if (!response.ok) {
@@ -235,8 +243,8 @@ class VideoAnalysisService {
   // Get analysis results
   static async getAnalysisResults(analysisId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/analysis/${analysisId}/results`
+      const response = await PythonApi.request(
+        `/analysis/${analysisId}/results`
       );
 
       if (!response.ok) {
@@ -256,12 +264,9 @@ class VideoAnalysisService {
   // Delete analysis and cleanup files
   static async deleteAnalysis(analysisId) {
     try {
-      const response = await fetch(
-        `${PYTHON_API_BASE_URL}/analysis/${analysisId}`,
-        {
-          method: 'DELETE',
-        }
-      );
+      const response = await PythonApi.request(`/analysis/${analysisId}`, {
+        method: 'DELETE',
+      });
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -323,7 +328,7 @@ class VideoAnalysisService {
   // Check if Python API is healthy
   static async checkHealth() {
     try {
-      const response = await fetch(`${PYTHON_API_BASE_URL}/`);
+      const response = await PythonApi.request('/');
 
       if (!response.ok) {
         throw new Error(`Health check failed: ${response.status}`);
@@ -428,6 +433,10 @@ export const getAnalysisResultsService = catchAsync(async (req, res, next) => {
   try {
     const results = await VideoAnalysisService.getAnalysisResults(analysisId);
 
+    // Rallies and rally stats (average and longest rally, win share in long
+    // and short rallies) from the shot events
+    addRallyStats(results);
+
     const match = await Match.findOne({
       analysisId: analysisId,
     }).populate({
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { findOne } from '../factory/repo.js';
+import { getMatchPermission } from './matchAccessService.js';
+import { PlayerAnalyticsAggregator } from './analysisService.js';
+import { filterAnalysisResultsBySubscription } from '../utils/subscriptionUtils.js';
+import { MATCH_HISTORY_METRICS } from '../utils/matchHistoryFeatures.js';
+
+const creatorPopulate = {
+  path: 'creator',
+  populate: {
+    path: 'subscription',
+    model: 'Subscription',
+  },
+};
+
+/**
+ * Load a match whose analysis versions the user wants to see or change.
+ * Anyone who can view the match can list and compare versions; only the
+ * creator can change which one is current.
+ * @param {String} matchId
+ * @param {Object} user
+ * @param {Object} options
+ * @param {Boolean} options.owner - Whether the user wants to roll back
+ * @returns {Promise<Object>} Match document, creator populated
+ */
+const findVersionedMatch = async (matchId, user, { owner = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(matchId)) {
+    throw new AppError('Invalid match ID', 400);
+  }
+
+  const match = await findOne(Match, { _id: matchId }, creatorPopulate);
+  if (!match) throw new AppError('No match found', 404);
+
+  const permission = await getMatchPermission(match, user._id);
+
+  if (!permission) {
+    throw new AppError('You are not authorized to view this match', 403);
+  }
+
+  if (owner && permission !== 'owner') {
+    throw new AppError(
+      'Only the match creator can change which analysis version is current',
+      403
+    );
+  }
+
+  return match;
+};
+
+// Every run of a match's analysis, oldest first
+const getMatchVersions = (match) =>
+  Analysis.find({ match_id: { $in: match.getAnalysisMatchIds() } }).sort({
+    version: 1,
+    createdAt: 1,
+  });
+
+const findVersion = (versions, value, name) => {
+  const version = Number(value);
+  const analysis = versions.find((entry) => (entry.version || 1) === version);
+
+  if (!analysis) {
+    throw new AppError(`Analysis version ${value} not found for ${name}`, 404);
+  }
+
+  return analysis;
+};
+
+// Read a MATCH_HISTORY_METRICS path, e.g. 'shots.total_shots'
+const readMetric = (player, path) => {
+  const value = path
+    .split('.')
+    .reduce((current, key) => current?.[key], player);
+  return typeof value === 'number' ? value : null;
+};
+
+// When and how a version was produced
+const describeVersion = (analysis) => ({
+  _id: analysis._id,
+  version: analysis.version || 1,
+  is_current: analysis.is_current !== false,
+  status: analysis.status,
+  job_id: analysis.job_id,
+  engine_version: analysis.engine_version,
+  parameters: analysis.parameters,
+  started_at: analysis.started_at,
+  completed_at: analysis.metadata?.completed_at,
+  createdAt: analysis.createdAt,
+});
+
+/**
+ * Each player's headline metrics in a version, limited to what the
+ * creator's plan shows on the match itself
+ * @param {Object} analysis - Analysis document
+ * @param {Object} match - Match document, creator populated
+ */
+const getVersionPlayers = (analysis, match) => {
+  const filtered = filterAnalysisResultsBySubscription(
+    analysis.toObject(),
+    match.creator
+  );
+  const players = analysis.player_analytics?.players || [];
+
+  return (filtered?.player_analytics?.players || []).map((player, index) => ({
+    player_id: player.player_id,
+    user: players[index]?.user,
+    metrics: Object.fromEntries(
+      Object.entries(MATCH_HISTORY_METRICS).map(([name, path]) => [
+        name,
+        readMetric(player, path),
+      ])
+    ),
+  }));
+};
+
+const summarizeVersion = (analysis, match) => ({
+  ...describeVersion(analysis),
+  players: getVersionPlayers(analysis, match),
+});
+
+export const getAnalysisVersionsService = catchAsync(async (req, res, next) => {
+  const match = await findVersionedMatch(req.params.matchId, req.user);
+  const versions = await getMatchVersions(match);
+
+  res.status(200).json({
+    status: 'success',
+    length: versions.length,
+    data: {
+      versions: versions.map((analysis) => summarizeVersion(analysis, match)),
+    },
+  });
+});
+
+// Compare two versions: ?from=1&to=3. Defaults to the current version
+// against the one before it.
+export const compareAnalysisVersionsService = catchAsync(
+  async (req, res, next) => {
+    const match = await findVersionedMatch(req.params.matchId, req.user);
+    const versions = await getMatchVersions(match);
+
+    if (versions.length < 2) {
+      return next(
+        new AppError('This match has only one analysis version so far', 400)
+      );
+    }
+
+    const to = req.query.to
+      ? findVersion(versions, req.query.to, 'to')
+      : versions.find((analysis) => analysis.is_current !== false) ||
+        versions[versions.length - 1];
+    const toIndex = versions.indexOf(to);
+    const from = req.query.from
+      ? findVersion(versions, req.query.from, 'from')
+      : versions[toIndex > 0 ? toIndex - 1 : toIndex + 1];
+
+    if (from === to) {
+      return next(
+        new AppError('Choose two different versions to compare', 400)
+      );
+    }
+
+    const fromPlayers = getVersionPlayers(from, match);
+
+    // Players line up by position - each run reports them in the same order
+    const players = getVersionPlayers(to, match).map((player, index) => {
+      const previous = fromPlayers[index];
+
+      return {
+        player_id: player.player_id,
+        user: player.user,
+        metrics: Object.fromEntries(
+          Object.entries(player.metrics).map(([name, value]) => {
+            const oldValue = previous?.metrics[name] ?? null;
+            const comparable = oldValue !== null && value !== null;
+
+            return [
+              name,
+              {
+                from: oldValue,
+                to: value,
+                change: comparable
+                  ? Math.round((value - oldValue) * 100) / 100
+                  : null,
+                change_percent: comparable
+                  ? PlayerAnalyticsAggregator.calculatePercentageChange(
+                      oldValue,
+                      value
+                    )
+                  : null,
+              },
+            ];
+          })
+        ),
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        from: describeVersion(from),
+        to: describeVersion(to),
+        players,
+      },
+    });
+  }
+);
+
+export const rollbackAnalysisVersionService = catchAsync(
+  async (req, res, next) => {
+    const match = await findVersionedMatch(req.params.matchId, req.user, {
+      owner: true,
+    });
+    const versions = await getMatchVersions(match);
+    const analysis = findVersion(versions, req.params.version, 'this match');
+
+    if (analysis.is_current !== false) {
+      return next(
+        new AppError(`Version ${analysis.version || 1} is already current`, 400)
+      );
+    }
+
+    if (analysis.status !== 'completed') {
+      return next(
+        new AppError('Only a completed analysis can be made current', 400)
+      );
+    }
+
+    await Analysis.makeCurrent(analysis);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Analysis version ${analysis.version || 1} is now current`,
+      data: {
+        version: summarizeVersion(analysis, match),
+      },
+    });
+  }
+);
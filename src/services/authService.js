@@ -76,10 +76,19 @@ export const signupService = catchAsync(async (req, res, next) => {
 
   console.log({ isExist });
 
-  if (isExist)
+  if (isExist && isExist.status !== 'invited')
     return next(new AppError('User with this email already exists', 400));
 
-  const user = await createOne(User, req.body);
+  // Someone invited to a match by email already has a placeholder account -
+  // signing up completes it so the invitations stay attached
+  let user;
+  const details = User.withoutProtectedFields(req.body);
+  if (isExist) {
+    isExist.set({ ...details, status: 'active' });
+    user = await isExist.save();
+  } else {
+    user = await createOne(User, details);
+  }
 
   regid &&
     (await createOne(FirebaseToken, {
@@ -95,7 +104,11 @@ export const loginService = catchAsync(async (req, res, next) => {
 
   const user = await findUserByEmail(User, email.toLowerCase(), '+password');
 
-  if (!user || !(await user.comparePasswords(password, user.password)))
+  if (
+    !user ||
+    !user.password ||
+    !(await user.comparePasswords(password, user.password))
+  )
     return next(new AppError('Invalid email or password', 401));
 
   console.log({ user });
@@ -7,13 +7,16 @@ import FirebaseService from './firebaseService.js';
 import AppError from '../utils/appError.js';
 import AnalysisStatus from '../models/AnalysisStatus.js';
 import { createOne, findOne, updateOne } from '../factory/repo.js';
-import {
-  processAnalysisResponse,
-  transformNewAnalysisResults,
-} from '../utils/analysisFormatter.js';
+import { processAnalysisResponse } from '../utils/analysisFormatter.js';
+import { AnalysisPayloadError } from '../utils/analysisPayloads.js';
 import ProcessingLock from '../models/ProcessingLock.js';
 import matchNotificationService from './matchNotificationService.js';
 import StreamingService from './streamingService.js';
+import {
+  checkDuplicateVideo,
+  deleteVideoObject,
+  getS3Key,
+} from './videoFingerprintService.js';
 
 class AnalysisStatusCronJob {
   constructor() {
@@ -121,12 +124,46 @@ class AnalysisStatusCronJob {
 
         console.log(`✅ Download completed for match ${matchId}, updating...`);
 
+        // The same video submitted twice shouldn't be analysed twice
+        const duplicate = await checkDuplicateVideo(match, jobStatus.s3Url);
+
+        if (duplicate.status === 'rejected') {
+          console.log(`⚠️  Duplicate video for match ${matchId}, rejecting`);
+
+          match.streamingStatus = 'failed';
+          match.streamingCompletedAt = new Date();
+          match.streamingError = duplicate.message;
+          await match.save();
+          await deleteVideoObject(getS3Key(jobStatus.s3Url));
+
+          await matchNotificationService.notifyMatchVideoFailed(
+            creator._id,
+            match,
+            duplicate.message
+          );
+          return;
+        }
+
         // Update match with video URL
         match.video = jobStatus.s3Url;
         match.streamingStatus = 'completed';
         match.streamingCompletedAt = new Date();
         await match.save();
 
+        if (duplicate.status === 'reused') {
+          console.log(
+            `♻️ Reusing analysis from match ${duplicate.original._id} for match ${matchId}`
+          );
+
+          await matchNotificationService.notifyDuplicateVideo(
+            creator._id,
+            match,
+            duplicate.original,
+            duplicate.message
+          );
+          return;
+        }
+
         // Send notification
         await matchNotificationService.notifyMatchVideoReady(creator._id, match);
 
@@ -633,11 +670,9 @@ class AnalysisStatusCronJob {
         status.results?.all_clips,
       );
 
-      let results = transformNewAnalysisResults(status);
-
-      // Don't use spread operator - it destroys the Map in files.highlights
-      // Instead, directly add the match_id property
-      results.match_id = matchId;
+      // Checked against the server's payload format and upgraded when it
+      // is saved - see utils/analysisPayloads.js
+      const results = { ...status, match_id: matchId.toString() };
 
       createLogger.info(
         `Analysis ${analysisId} completed with results: ${JSON.stringify(
@@ -651,7 +686,17 @@ class AnalysisStatusCronJob {
         analysisStatus: 'completed',
       });
 
-      await processAnalysisResponse(results, creator);
+      // Saved as a new version - a restarted analysis keeps the earlier run
+      const analysisStatus = await findOne(AnalysisStatus, {
+        match_id: matchId,
+      });
+
+      await processAnalysisResponse(results, creator, {
+        job_id: analysisId,
+        engine_version: status.engine_version || status.model_version,
+        parameters: analysisStatus?.parameters,
+        started_at: analysisStatus?.started_at,
+      });
 
       if (creator && creator._id) {
         await FirebaseService.sendNotification(
@@ -670,10 +715,54 @@ class AnalysisStatusCronJob {
       console.log(`Successfully processed completed analysis: ${analysisId}`);
     } catch (error) {
       console.error(`Error handling completed analysis ${analysisId}:`, error);
+
+      // The payload is held for review (see analysisQuarantineService).
+      // The match is marked quarantined rather than failed - a failed
+      // analysis is restarted when its owner opens the match, which would
+      // only quarantine the same results again.
+      if (error instanceof AnalysisPayloadError) {
+        return this.handleQuarantinedAnalysis(match);
+      }
+
       await this.handleAnalysisError(match, error);
     }
   }
 
+  async handleQuarantinedAnalysis(match) {
+    const { analysisId, _id: matchId, creator } = match;
+    const message = 'Analysis results could not be read and are under review';
+
+    try {
+      console.log(`Analysis ${analysisId} quarantined`);
+
+      await Promise.all([
+        Match.findByIdAndUpdate(matchId, { analysisStatus: 'quarantined' }),
+        updateOne(
+          AnalysisStatus,
+          { match_id: matchId },
+          { status: 'quarantined', message },
+        ),
+      ]);
+
+      if (creator && creator._id) {
+        await FirebaseService.sendNotification(
+          creator._id,
+          'Analysis Under Review',
+          'Your video analysis results are being reviewed by our team.',
+          {
+            matchId: matchId,
+            analysisId: analysisId,
+            type: 'analysis_quarantined',
+            status: 'quarantined',
+            error: message,
+          },
+        );
+      }
+    } catch (error) {
+      console.error(`Error handling quarantined analysis ${analysisId}:`, error);
+    }
+  }
+
   async handleFailedAnalysis(match, status) {
     const { analysisId, _id: matchId, creator } = match;
 
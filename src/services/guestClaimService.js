@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+import GuestClaim from '../models/GuestClaim.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { createOne, findOne } from '../factory/repo.js';
+import matchNotificationService from './matchNotificationService.js';
+
+// How long a claim link stays valid
+const CLAIM_LINK_EXPIRY_DAYS =
+  Number(process.env.GUEST_CLAIM_EXPIRY_DAYS) || 14;
+
+const getClaimLink = (claim) =>
+  `${process.env.FRONTEND_URL}/matches/claim/${claim.token}`;
+
+// The guest entry a claim points at, if it's still a guest
+const findGuestSlot = (match, slotId) =>
+  match.teams
+    .flatMap((team) => team.players)
+    .find(
+      (playerObj) =>
+        playerObj._id.toString() === slotId.toString() && !playerObj.player
+    );
+
+/**
+ * Which analysis player the guest was. The creator can say so when making the
+ * link; otherwise fall back to the player data sent for analysis, by name.
+ */
+const resolveAnalysisPlayerIndex = (match, claim) => {
+  if (claim.analysisPlayerIndex !== undefined) return claim.analysisPlayerIndex;
+
+  const name = claim.name?.trim().toLowerCase();
+  if (!name || !Array.isArray(match.players)) return undefined;
+
+  const index = match.players.findIndex(
+    (player) => player?.name?.trim().toLowerCase() === name
+  );
+  return index === -1 ? undefined : index;
+};
+
+/**
+ * Credit a guest's player entry in the match's past analyses to the user who
+ * claimed the slot. The creator's entry is tagged at the same time so both
+ * players are told apart from then on. Later versions are credited when they
+ * are saved, see GuestClaim.creditClaimedPlayers.
+ * @param {Object} match - Match document
+ * @param {Number} playerIndex - Index into player_analytics.players
+ * @param {String} userId - User who claimed the slot
+ * @returns {Promise<Number>} Number of analyses updated
+ */
+export const attributeGuestAnalytics = async (match, playerIndex, userId) => {
+  if (playerIndex === undefined || playerIndex === null) return 0;
+
+  // Includes an analysis the match reuses from another with the same video
+  const analyses = await Analysis.find({
+    match_id: { $in: match.getAnalysisMatchIds() },
+  }).select('created_by player_analytics.players.user');
+
+  let attributedCount = 0;
+
+  for (const analysis of analyses) {
+    const credits = GuestClaim.getPlayerCredits(
+      analysis.player_analytics?.players || [],
+      [{ index: playerIndex, user: userId }],
+      { index: match.creatorPlayerIndex ?? 0, user: analysis.created_by }
+    );
+    if (!credits.size) continue;
+
+    const update = Object.fromEntries(
+      [...credits].map(([index, user]) => [
+        `player_analytics.players.${index}.user`,
+        user,
+      ])
+    );
+
+    // Set directly - older analyses don't always pass the current schema
+    await Analysis.updateOne({ _id: analysis._id }, { $set: update });
+    attributedCount += 1;
+  }
+
+  return attributedCount;
+};
+
+export const createGuestClaimLinkService = catchAsync(
+  async (req, res, next) => {
+    const { matchId, slotId } = req.params;
+    const { analysisPlayerIndex } = req.body;
+
+    const match = await findOne(Match, { _id: matchId, creator: req.user._id });
+
+    if (!match)
+      return next(
+        new AppError(
+          'No match found or you are not authorized to share this match',
+          404
+        )
+      );
+
+    const slot = findGuestSlot(match, slotId);
+
+    if (!slot) {
+      return next(new AppError('No guest player found in that slot', 404));
+    }
+
+    if (
+      analysisPlayerIndex !== undefined &&
+      !(Number.isInteger(analysisPlayerIndex) && analysisPlayerIndex >= 0)
+    ) {
+      return next(
+        new AppError('analysisPlayerIndex must be a non-negative integer', 400)
+      );
+    }
+
+    // One open link per slot - making a new one replaces the old
+    await GuestClaim.updateMany(
+      { match: match._id, slot: slot._id, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
+    const claim = await createOne(GuestClaim, {
+      match: match._id,
+      slot: slot._id,
+      name: slot.name,
+      analysisPlayerIndex,
+      token: crypto.randomBytes(24).toString('hex'),
+      createdBy: req.user._id,
+      expiresAt: new Date(
+        Date.now() + CLAIM_LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        claimLink: getClaimLink(claim),
+        claim,
+      },
+    });
+  }
+);
+
+// Shared lookup for the claim preview and accept endpoints
+const findOpenClaim = async (token) => {
+  const claim = await findOne(GuestClaim, { token }, [
+    { path: 'createdBy', select: 'fullName image' },
+  ]);
+
+  if (!claim) return { error: new AppError('Invalid claim link', 404) };
+
+  if (claim.status !== 'pending') {
+    return {
+      error: new AppError(`This claim link has been ${claim.status}`, 400),
+    };
+  }
+
+  if (claim.expiresAt < new Date()) {
+    return { error: new AppError('This claim link has expired', 400) };
+  }
+
+  const match = await findOne(Match, { _id: claim.match });
+  const slot = match && findGuestSlot(match, claim.slot);
+
+  if (!slot) {
+    return {
+      error: new AppError('This guest spot has already been taken', 400),
+    };
+  }
+
+  return { claim, match, slot };
+};
+
+export const getGuestClaimService = catchAsync(async (req, res, next) => {
+  const { claim, match, slot, error } = await findOpenClaim(req.params.token);
+
+  if (error) return next(error);
+
+  await match.populate([
+    { path: 'teams.players.player', select: 'fullName image' },
+    { path: 'venue', select: 'name address' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      guest: { name: slot.name, color: slot.color },
+      invitedBy: claim.createdBy,
+      expiresAt: claim.expiresAt,
+      match,
+    },
+  });
+});
+
+export const acceptGuestClaimService = catchAsync(async (req, res, next) => {
+  const { claim, match, slot, error } = await findOpenClaim(req.params.token);
+
+  if (error) return next(error);
+
+  if (match.getPlayerSlot(req.user._id)) {
+    return next(new AppError('You are already in this match', 400));
+  }
+
+  // Claiming is the player's own choice, so there's no invitation to answer
+  slot.player = req.user._id;
+  slot.invitationStatus = 'accepted';
+  await match.save();
+
+  // The player index is kept so analyses saved later credit the guest too
+  claim.status = 'claimed';
+  claim.claimedBy = req.user._id;
+  claim.claimedAt = new Date();
+  claim.analysisPlayerIndex = resolveAnalysisPlayerIndex(match, claim);
+  await claim.save();
+
+  const attributedAnalyses = await attributeGuestAnalytics(
+    match,
+    claim.analysisPlayerIndex,
+    req.user._id
+  );
+
+  await matchNotificationService.notifyGuestSlotClaimed(
+    match.creator,
+    match,
+    req.user,
+    claim.name
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Match added to your account',
+    data: {
+      match,
+      attributedAnalyses,
+    },
+  });
+});
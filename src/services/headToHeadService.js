@@ -0,0 +1,240 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import {
+  analysisLookupStage,
+  analysisPlayerExpression,
+} from '../utils/matchHistoryFeatures.js';
+
+// Metrics compared side by side, as { output name: player_analytics field }
+const HEAD_TO_HEAD_METRICS = {
+  distance_km: 'total_distance_km',
+  speed_kmh: 'average_speed_kmh',
+  peak_speed_kmh: 'peak_speed_kmh',
+  net_dominance_percentage: 'net_dominance_percentage',
+  total_shots: 'shots.total_shots',
+  shot_success_rate: 'shots.success_rate',
+};
+
+class HeadToHeadAggregator {
+  /**
+   * Matches where two users played on opposing teams, with the record and
+   * side-by-side analysis averages from the first user's point of view
+   * @param {String} userId
+   * @param {String} otherId
+   * @param {Object} options
+   * @param {Boolean} options.publicOnly - Only include public matches
+   */
+  static async getHeadToHead(userId, otherId, { publicOnly = false } = {}) {
+    const user = new mongoose.Types.ObjectId(userId);
+    const other = new mongoose.Types.ObjectId(otherId);
+
+    // Both on the match (invitees once accepted), never on the same team,
+    // and only matches that were actually played
+    const matchCriteria = {
+      $and: [
+        Match.acceptedPlayerCriteria(user),
+        Match.acceptedPlayerCriteria(other),
+        {
+          teams: {
+            $not: { $elemMatch: { 'players.player': { $all: [user, other] } } },
+          },
+        },
+      ],
+      status: { $nin: ['pending', 'confirmed', 'cancelled'] },
+    };
+    if (publicOnly) matchCriteria.public = true;
+
+    // Team index of the given user on each match
+    const teamIndexOf = (id) => ({
+      $indexOfArray: [
+        {
+          $map: {
+            input: '$teams',
+            as: 'team',
+            in: { $in: [id, { $ifNull: ['$$team.players.player', []] }] },
+          },
+        },
+        true,
+      ],
+    });
+
+    const countedCriteria = Match.countedResultCriteria();
+
+    const averageFields = (prefix) =>
+      Object.fromEntries(
+        Object.entries(HEAD_TO_HEAD_METRICS).map(([name, field]) => [
+          `${prefix}_${name}`,
+          { $avg: `$${prefix}_player.${field}` },
+        ])
+      );
+
+    const roundedAverages = (prefix) => ({
+      matches_analysed: `$${prefix}_analysed`,
+      ...Object.fromEntries(
+        Object.keys(HEAD_TO_HEAD_METRICS).map((name) => [
+          name,
+          { $round: [`$${prefix}_${name}`, 2] },
+        ])
+      ),
+    });
+
+    const hasPlayer = (prefix) => ({
+      $sum: { $cond: [{ $ifNull: [`$${prefix}_player`, false] }, 1, 0] },
+    });
+
+    try {
+      const pipeline = [
+        { $match: matchCriteria },
+
+        // Attach each user's analysis player - only ones credited to them
+        analysisLookupStage(),
+        {
+          $addFields: {
+            user_player: analysisPlayerExpression(user, { creatorOnly: true }),
+            other_player: analysisPlayerExpression(other, {
+              creatorOnly: true,
+            }),
+            user_team: teamIndexOf(user),
+          },
+        },
+        { $unset: 'analysis' },
+
+        {
+          $facet: {
+            matches: [
+              { $sort: { createdAt: -1 } },
+              {
+                $project: {
+                  format: 1,
+                  type: 1,
+                  location: 1,
+                  venue: 1,
+                  teams: 1,
+                  score: 1,
+                  confirmation: 1,
+                  analysisStatus: 1,
+                  createdAt: 1,
+                  user_player: 1,
+                  other_player: 1,
+                  won: {
+                    $cond: [
+                      { $in: ['$score.winner', [0, 1]] },
+                      { $eq: ['$score.winner', '$user_team'] },
+                      null,
+                    ],
+                  },
+                },
+              },
+            ],
+
+            // Same counting rules as the profile win/loss record
+            record: [
+              {
+                $match: {
+                  'score.winner': { $in: [0, 1] },
+                  ...countedCriteria,
+                },
+              },
+              {
+                $group: {
+                  _id: null,
+                  wins: {
+                    $sum: {
+                      $cond: [{ $eq: ['$score.winner', '$user_team'] }, 1, 0],
+                    },
+                  },
+                  losses: {
+                    $sum: {
+                      $cond: [{ $eq: ['$score.winner', '$user_team'] }, 0, 1],
+                    },
+                  },
+                },
+              },
+            ],
+
+            averages: [
+              {
+                $group: {
+                  _id: null,
+                  user_analysed: hasPlayer('user'),
+                  other_analysed: hasPlayer('other'),
+                  ...averageFields('user'),
+                  ...averageFields('other'),
+                },
+              },
+              {
+                $project: {
+                  _id: 0,
+                  user: roundedAverages('user'),
+                  opponent: roundedAverages('other'),
+                },
+              },
+            ],
+          },
+        },
+      ];
+
+      const [result] = await Match.aggregate(pipeline);
+
+      await Match.populate(result.matches, [
+        { path: 'teams.players.player', select: 'fullName image' },
+        { path: 'venue', select: 'name address' },
+      ]);
+
+      const record = result.record[0] || { wins: 0, losses: 0 };
+
+      return {
+        record: {
+          played: result.matches.length,
+          wins: record.wins,
+          losses: record.losses,
+        },
+        averages: result.averages[0] || null,
+        matches: result.matches,
+      };
+    } catch (error) {
+      throw new Error(`Error calculating head-to-head stats: ${error.message}`);
+    }
+  }
+}
+
+export const getHeadToHeadService = catchAsync(async (req, res, next) => {
+  const { id, otherId } = req.params;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(id) ||
+    !mongoose.Types.ObjectId.isValid(otherId)
+  ) {
+    return next(new AppError('Invalid user ID', 400));
+  }
+
+  if (id === otherId) {
+    return next(new AppError('Pick two different players to compare', 400));
+  }
+
+  const users = await User.find({ _id: { $in: [id, otherId] } }).select(
+    'fullName image'
+  );
+
+  if (users.length !== 2) return next(new AppError('User not found', 404));
+
+  // Someone looking at two other players only sees their public matches
+  const viewerId = req.user._id.toString();
+  const headToHead = await HeadToHeadAggregator.getHeadToHead(id, otherId, {
+    publicOnly: viewerId !== id && viewerId !== otherId,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: users.find((user) => user._id.toString() === id),
+      opponent: users.find((user) => user._id.toString() === otherId),
+      ...headToHead,
+    },
+  });
+});
+
+export { HeadToHeadAggregator };
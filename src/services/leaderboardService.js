@@ -3,7 +3,20 @@ import mongoose from 'mongoose';
 import { PlayerAnalyticsAggregator } from './analysisService.js';
 import Follow from '../models/Follow.js';
 import Analysis from '../models/Analysis.js';
+import User from '../models/User.js';
+import { DEFAULT_RATING } from '../utils/ratingCalculator.js';
 import catchAsync from '../utils/catchAsync.js';
+import { LONG_RALLY_MIN_SHOTS } from '../utils/rallySegmentation.js';
+
+// Percentage of rallies won, null for users without any rallies so they
+// rank below everyone who has some
+const winShare = (won, played) => ({
+  $cond: {
+    if: { $gt: [played, 0] },
+    then: { $multiply: [{ $divide: [won, played] }, 100] },
+    else: null,
+  },
+});
 
 class TennisLeaderboard extends PlayerAnalyticsAggregator {
   /**
@@ -24,8 +37,15 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       minMatches = 1,
     } = options;
 
-    // Build match criteria
-    const matchCriteria = { status: 'completed' };
+    if (this.isRatingMetric(metric)) {
+      return this.getRatingLeaderboard({ metric, limit, minMatches });
+    }
+
+    // Build match criteria - only each match's current analysis version
+    const matchCriteria = {
+      status: 'completed',
+      ...Analysis.currentCriteria(),
+    };
 
     if (startDate || endDate) {
       matchCriteria.createdAt = {};
@@ -36,17 +56,13 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
     const pipeline = [
       { $match: matchCriteria },
 
-      // Get first player from each analysis
-      {
-        $addFields: {
-          first_player: { $arrayElemAt: ['$player_analytics.players', 0] },
-        },
-      },
+      // Get the player credited to each user from each analysis
+      ...this.attributedPlayerStages(),
 
-      // Group by user (created_by)
+      // Group by credited user
       {
         $group: {
-          _id: '$created_by',
+          _id: '$attributed_user',
           total_matches: { $sum: 1 },
 
           // Distance metrics
@@ -87,6 +103,26 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
             $avg: '$first_player.total_sprint_bursts',
           },
 
+          // Rally metrics - see utils/rallySegmentation.js
+          total_rallies: { $sum: '$first_player.rally_stats.total_rallies' },
+          total_rallies_won: { $sum: '$first_player.rally_stats.rallies_won' },
+          total_long_rallies: {
+            $sum: '$first_player.rally_stats.long_rallies',
+          },
+          total_long_rallies_won: {
+            $sum: '$first_player.rally_stats.long_rallies_won',
+          },
+          total_short_rallies: {
+            $sum: '$first_player.rally_stats.short_rallies',
+          },
+          total_short_rallies_won: {
+            $sum: '$first_player.rally_stats.short_rallies_won',
+          },
+          avg_rally_length: {
+            $avg: '$first_player.rally_stats.average_length',
+          },
+          longest_rally: { $max: '$first_player.rally_stats.longest_rally' },
+
           // Time range
           first_match: { $min: '$createdAt' },
           last_match: { $max: '$createdAt' },
@@ -96,7 +132,7 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       // Filter by minimum matches
       { $match: { total_matches: { $gte: minMatches } } },
 
-      // Calculate overall success rate
+      // Calculate overall success rate and rally win shares
       {
         $addFields: {
           overall_success_rate: {
@@ -111,6 +147,15 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
               else: 0,
             },
           },
+          rally_win_share: winShare('$total_rallies_won', '$total_rallies'),
+          long_rally_win_share: winShare(
+            '$total_long_rallies_won',
+            '$total_long_rallies'
+          ),
+          short_rally_win_share: winShare(
+            '$total_short_rallies_won',
+            '$total_short_rallies'
+          ),
         },
       },
 
@@ -169,6 +214,22 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
             $round: ['$avg_sprint_bursts_per_match', 2],
           },
 
+          // Rallies
+          total_rallies: 1,
+          avg_rally_length: { $round: ['$avg_rally_length', 2] },
+          longest_rally: 1,
+          rally_win_share: { $round: ['$rally_win_share', 2] },
+          long_rally_win_share: { $round: ['$long_rally_win_share', 2] },
+          short_rally_win_share: { $round: ['$short_rally_win_share', 2] },
+
+          // Skill ratings from ranked matches
+          singles_rating: {
+            $ifNull: ['$user.rating.singles.rating', DEFAULT_RATING],
+          },
+          doubles_rating: {
+            $ifNull: ['$user.rating.doubles.rating', DEFAULT_RATING],
+          },
+
           period: {
             from: '$first_match',
             to: '$last_match',
@@ -258,10 +319,19 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       };
     }
 
+    if (this.isRatingMetric(metric)) {
+      return this.getRatingLeaderboard({ metric, limit, minMatches, userIds });
+    }
+
     // Build match criteria with user filter
+    const userObjectIds = userIds.map((id) => new mongoose.Types.ObjectId(id));
     const matchCriteria = {
       status: 'completed',
-      created_by: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) },
+      ...Analysis.currentCriteria(),
+      $or: [
+        { created_by: { $in: userObjectIds } },
+        { 'player_analytics.players.user': { $in: userObjectIds } },
+      ],
     };
 
     if (baseOptions.startDate || baseOptions.endDate) {
@@ -276,17 +346,14 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
     const pipeline = [
       { $match: matchCriteria },
 
-      // Get first player from each analysis
-      {
-        $addFields: {
-          first_player: { $arrayElemAt: ['$player_analytics.players', 0] },
-        },
-      },
+      // Get the player credited to each user from each analysis
+      ...this.attributedPlayerStages(),
+      { $match: { attributed_user: { $in: userObjectIds } } },
 
-      // Group by user (created_by)
+      // Group by credited user
       {
         $group: {
-          _id: '$created_by',
+          _id: '$attributed_user',
           total_matches: { $sum: 1 },
 
           // Distance metrics
@@ -327,6 +394,26 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
             $avg: '$first_player.total_sprint_bursts',
           },
 
+          // Rally metrics - see utils/rallySegmentation.js
+          total_rallies: { $sum: '$first_player.rally_stats.total_rallies' },
+          total_rallies_won: { $sum: '$first_player.rally_stats.rallies_won' },
+          total_long_rallies: {
+            $sum: '$first_player.rally_stats.long_rallies',
+          },
+          total_long_rallies_won: {
+            $sum: '$first_player.rally_stats.long_rallies_won',
+          },
+          total_short_rallies: {
+            $sum: '$first_player.rally_stats.short_rallies',
+          },
+          total_short_rallies_won: {
+            $sum: '$first_player.rally_stats.short_rallies_won',
+          },
+          avg_rally_length: {
+            $avg: '$first_player.rally_stats.average_length',
+          },
+          longest_rally: { $max: '$first_player.rally_stats.longest_rally' },
+
           // Time range
           first_match: { $min: '$createdAt' },
           last_match: { $max: '$createdAt' },
@@ -336,7 +423,7 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       // Filter by minimum matches
       { $match: { total_matches: { $gte: minMatches } } },
 
-      // Calculate overall success rate
+      // Calculate overall success rate and rally win shares
       {
         $addFields: {
           overall_success_rate: {
@@ -351,6 +438,15 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
               else: 0,
             },
           },
+          rally_win_share: winShare('$total_rallies_won', '$total_rallies'),
+          long_rally_win_share: winShare(
+            '$total_long_rallies_won',
+            '$total_long_rallies'
+          ),
+          short_rally_win_share: winShare(
+            '$total_short_rallies_won',
+            '$total_short_rallies'
+          ),
         },
       },
 
@@ -407,6 +503,22 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
             $round: ['$avg_sprint_bursts_per_match', 2],
           },
 
+          // Rallies
+          total_rallies: 1,
+          avg_rally_length: { $round: ['$avg_rally_length', 2] },
+          longest_rally: 1,
+          rally_win_share: { $round: ['$rally_win_share', 2] },
+          long_rally_win_share: { $round: ['$long_rally_win_share', 2] },
+          short_rally_win_share: { $round: ['$short_rally_win_share', 2] },
+
+          // Skill ratings from ranked matches
+          singles_rating: {
+            $ifNull: ['$user.rating.singles.rating', DEFAULT_RATING],
+          },
+          doubles_rating: {
+            $ifNull: ['$user.rating.doubles.rating', DEFAULT_RATING],
+          },
+
           period: {
             from: '$first_match',
             to: '$last_match',
@@ -453,6 +565,72 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
     };
   }
 
+  /**
+   * Get the skill rating leaderboard. Ratings live on the user and come from
+   * ranked results, not analyses, so everyone with a rated match is ranked
+   * whether or not their matches were analysed. A rating is the current
+   * value, so there is no period to narrow it to.
+   * @param {Object} options
+   * @param {String} options.metric - 'rating', 'singles_rating' or 'doubles_rating'
+   * @param {Number} options.limit - Number of top users to return (default: 50)
+   * @param {Number} options.minMatches - Minimum rated matches to qualify (default: 1)
+   * @param {Array<String>} [options.userIds] - Only rank these users
+   */
+  static async getRatingLeaderboard(options = {}) {
+    const { metric, limit = 50, minMatches = 1, userIds } = options;
+    const ratingKey = metric === 'doubles_rating' ? 'doubles' : 'singles';
+
+    const userCriteria = {
+      [`rating.${ratingKey}.matches`]: { $gte: Math.max(minMatches, 1) },
+    };
+    if (userIds) {
+      userCriteria._id = {
+        $in: userIds.map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
+
+    const results = await User.aggregate([
+      { $match: userCriteria },
+      { $sort: { [`rating.${ratingKey}.rating`]: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          user_id: '$_id',
+          name: '$fullName',
+          username: '$username',
+          email: '$email',
+          profile_image: '$profile_image',
+          total_matches: `$rating.${ratingKey}.matches`,
+          singles_rating: {
+            $ifNull: ['$rating.singles.rating', DEFAULT_RATING],
+          },
+          doubles_rating: {
+            $ifNull: ['$rating.doubles.rating', DEFAULT_RATING],
+          },
+        },
+      },
+    ]);
+
+    return {
+      metric,
+      total_users: results.length,
+      leaderboard: results.map((entry, index) => ({
+        ...entry,
+        rank: index + 1,
+      })),
+    };
+  }
+
+  /**
+   * Whether a metric ranks by skill rating rather than analysis stats
+   */
+  static isRatingMetric(metric) {
+    return ['singles_rating', 'doubles_rating'].includes(
+      this.getSortField(metric)
+    );
+  }
+
   /**
    * Get user's network (followers + following + self)
    */
@@ -605,6 +783,15 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       net_dominance: 'avg_net_dominance', // Net dominance metric
       baseline_play: 'avg_baseline_play', // Baseline play metric
       matches: 'total_matches', // Total matches played metric
+      rating: 'singles_rating', // Skill rating metric (singles)
+      singles_rating: 'singles_rating', // Alternative naming
+      doubles_rating: 'doubles_rating', // Skill rating metric (doubles)
+      rallies: 'total_rallies', // Rally metrics
+      rally_length: 'avg_rally_length',
+      longest_rally: 'longest_rally',
+      rally_win_share: 'rally_win_share',
+      long_rally_win_share: 'long_rally_win_share',
+      short_rally_win_share: 'short_rally_win_share',
     };
 
     return sortFields[metric] || 'total_distance_km';
@@ -675,6 +862,57 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
         unit: 'matches',
         description: 'Total number of matches played',
       },
+      rating: {
+        field: 'singles_rating',
+        name: 'Singles Rating',
+        unit: 'pts',
+        description: 'Skill rating from confirmed ranked singles matches',
+      },
+      doubles_rating: {
+        field: 'doubles_rating',
+        name: 'Doubles Rating',
+        unit: 'pts',
+        description: 'Skill rating from confirmed ranked doubles matches',
+      },
+      rallies: {
+        field: 'total_rallies',
+        name: 'Total Rallies',
+        unit: 'rallies',
+        description: 'Total number of rallies played across all matches',
+      },
+      rally_length: {
+        field: 'avg_rally_length',
+        name: 'Average Rally Length',
+        unit: 'shots',
+        description: 'Average number of shots per rally',
+      },
+      longest_rally: {
+        field: 'longest_rally',
+        name: 'Longest Rally',
+        unit: 'shots',
+        description: 'Most shots in a single rally across all matches',
+      },
+      rally_win_share: {
+        field: 'rally_win_share',
+        name: 'Rally Win Share',
+        unit: '%',
+        description: 'Percentage of rallies won',
+      },
+      long_rally_win_share: {
+        field: 'long_rally_win_share',
+        name: 'Long Rally Win Share',
+        unit: '%',
+        description:
+          `Percentage of long rallies (${LONG_RALLY_MIN_SHOTS}+ shots) won`,
+      },
+      short_rally_win_share: {
+        field: 'short_rally_win_share',
+        name: 'Short Rally Win Share',
+        unit: '%',
+        description:
+          `Percentage of short rallies (under ${LONG_RALLY_MIN_SHOTS} shots) ` +
+          'won',
+      },
     };
   }
 
@@ -689,6 +927,11 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
   static async getAvailableMetricsWithAvailability() {
     const metrics = this.getAvailableMetrics();
 
+    const hasRallies = Analysis.exists({
+      status: 'completed',
+      'player_analytics.players.rally_stats.total_rallies': { $gt: 0 },
+    });
+
     // Build existence checks for each metric using the Analysis collection
     const checks = {
       distance: Analysis.exists({
@@ -708,7 +951,7 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       shots: Analysis.exists({
         status: 'completed',
         $or: [
-          { 'player_analytics.players.shots.total_shots': { $exists: true } },
+          { 'player_analytics.players.shots.total_shots': { $ne: null } },
           {
             'player_analytics.players.shot_analytics.total_shots': {
               $exists: true,
@@ -723,8 +966,8 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       success_rate: Analysis.exists({
         status: 'completed',
         $or: [
-          { 'player_analytics.players.shots.success_rate': { $exists: true } },
-          { 'player_analytics.players.shots.success': { $exists: true } },
+          { 'player_analytics.players.shots.success_rate': { $ne: null } },
+          { 'player_analytics.players.shots.success': { $ne: null } },
           { 'player_analytics.players.shot_events.0': { $exists: true } },
           { 'player_analytics.shot_events.0': { $exists: true } },
         ],
@@ -758,6 +1001,22 @@ class TennisLeaderboard extends PlayerAnalyticsAggregator {
       matches: Analysis.exists({
         status: 'completed',
       }),
+
+      // ratings: available once anyone has played a rated match
+      rating: User.exists({ 'rating.singles.matches': { $gt: 0 } }),
+      doubles_rating: User.exists({ 'rating.doubles.matches': { $gt: 0 } }),
+
+      // rallies: grouped from shot events when the analysis is saved
+      ...Object.fromEntries(
+        [
+          'rallies',
+          'rally_length',
+          'longest_rally',
+          'rally_win_share',
+          'long_rally_win_share',
+          'short_rally_win_share',
+        ].map((metric) => [metric, hasRallies])
+      ),
     };
 
     const results = await Promise.all(Object.values(checks));
@@ -0,0 +1,246 @@
+import mongoose from 'mongoose';
+import Match, { MATCH_SHARE_PERMISSIONS } from '../models/Match.js';
+import Follow from '../models/Follow.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { findOne } from '../factory/repo.js';
+import matchNotificationService from './matchNotificationService.js';
+
+// Later entries grant everything earlier ones do
+const PERMISSION_LEVELS = [null, 'view', 'comment', 'owner'];
+
+const highestPermission = (permissions) =>
+  permissions.reduce(
+    (best, permission) =>
+      PERMISSION_LEVELS.indexOf(permission) > PERMISSION_LEVELS.indexOf(best)
+        ? permission
+        : best,
+    null
+  );
+
+/**
+ * What a user may do with a match: 'owner', 'comment', 'view' or null.
+ * The creator owns it; players listed on either team can always view it;
+ * public matches can be viewed by anyone; otherwise access comes from the
+ * creator sharing it with the user directly or with their followers.
+ * @param {Object} match - Match document (creator may be populated)
+ * @param {String} userId
+ * @returns {Promise<String|null>}
+ */
+export const getMatchPermission = async (match, userId) => {
+  const creatorId = (match.creator?._id || match.creator).toString();
+
+  if (creatorId === userId.toString()) return 'owner';
+
+  const permissions = [];
+
+  if (match.public || match.getPlayerSlot(userId)) permissions.push('view');
+
+  const share = match.sharedWith?.find(
+    (entry) => entry.user.toString() === userId.toString()
+  );
+  if (share) permissions.push(share.permission);
+
+  if (
+    match.followerAccess &&
+    match.followerAccess !== 'none' &&
+    (await Follow.exists({ follower: userId, following: creatorId }))
+  ) {
+    permissions.push(match.followerAccess);
+  }
+
+  return highestPermission(permissions);
+};
+
+/**
+ * Whether a permission allows commenting on the match
+ * @param {String|null} permission - From getMatchPermission
+ */
+export const canComment = (permission) =>
+  PERMISSION_LEVELS.indexOf(permission) >= PERMISSION_LEVELS.indexOf('comment');
+
+// Send the share notification to several users without one failure stopping the rest
+const notifyShared = async (userIds, match, sharedBy, permission) => {
+  const results = await Promise.allSettled(
+    userIds.map((userId) =>
+      matchNotificationService.notifyMatchShared(
+        userId,
+        match,
+        sharedBy,
+        permission
+      )
+    )
+  );
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) =>
+      console.error(
+        `Failed to send share notification for match ${match._id}:`,
+        result.reason
+      )
+    );
+};
+
+const findOwnMatch = (matchId, userId) =>
+  findOne(Match, { _id: matchId, creator: userId });
+
+const sharingPopulate = { path: 'sharedWith.user', select: 'fullName image' };
+
+const sharingResponse = (match) => ({
+  public: match.public,
+  followerAccess: match.followerAccess,
+  sharedWith: match.sharedWith,
+});
+
+export const getMatchSharingService = catchAsync(async (req, res, next) => {
+  const match = await findOwnMatch(req.params.matchId, req.user._id);
+
+  if (!match)
+    return next(
+      new AppError(
+        'No match found or you are not authorized to manage its sharing',
+        404
+      )
+    );
+
+  await match.populate(sharingPopulate);
+
+  res.status(200).json({
+    status: 'success',
+    data: sharingResponse(match),
+  });
+});
+
+export const shareMatchService = catchAsync(async (req, res, next) => {
+  const { permission = 'view', followers } = req.body;
+  const userIds = [...new Set((req.body.userIds || []).map(String))];
+
+  if (!MATCH_SHARE_PERMISSIONS.includes(permission)) {
+    return next(
+      new AppError(
+        `permission must be one of: ${MATCH_SHARE_PERMISSIONS.join(', ')}`,
+        400
+      )
+    );
+  }
+
+  if (!userIds.length && !followers) {
+    return next(
+      new AppError('Provide userIds and/or followers: true to share with', 400)
+    );
+  }
+
+  if (userIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return next(new AppError('Invalid user ID', 400));
+  }
+
+  if (userIds.includes(req.user._id.toString())) {
+    return next(new AppError('You cannot share a match with yourself', 400));
+  }
+
+  const match = await findOwnMatch(req.params.matchId, req.user._id);
+
+  if (!match)
+    return next(
+      new AppError(
+        'No match found or you are not authorized to share this match',
+        404
+      )
+    );
+
+  const registeredCount = await User.countDocuments({ _id: { $in: userIds } });
+
+  if (registeredCount !== userIds.length) {
+    return next(new AppError('One or more users were not found', 404));
+  }
+
+  // Only people gaining access or a new permission get notified
+  const notifyIds = [];
+
+  userIds.forEach((userId) => {
+    const share = match.sharedWith.find(
+      (entry) => entry.user.toString() === userId
+    );
+
+    if (!share) {
+      match.sharedWith.push({ user: userId, permission });
+      notifyIds.push(userId);
+    } else if (share.permission !== permission) {
+      share.permission = permission;
+      share.sharedAt = new Date();
+      notifyIds.push(userId);
+    }
+  });
+
+  if (followers && match.followerAccess !== permission) {
+    match.followerAccess = permission;
+
+    const followerIds = (
+      await Follow.find({ following: req.user._id }).select('follower')
+    )
+      .map((follow) => follow.follower.toString())
+      .filter((followerId) => !notifyIds.includes(followerId));
+
+    notifyIds.push(...followerIds);
+  }
+
+  await match.save();
+  await notifyShared(notifyIds, match, req.user, permission);
+  await match.populate(sharingPopulate);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Match shared',
+    data: sharingResponse(match),
+  });
+});
+
+export const unshareMatchUserService = catchAsync(async (req, res, next) => {
+  const match = await findOwnMatch(req.params.matchId, req.user._id);
+
+  if (!match)
+    return next(
+      new AppError(
+        'No match found or you are not authorized to manage its sharing',
+        404
+      )
+    );
+
+  match.sharedWith = match.sharedWith.filter(
+    (entry) => entry.user.toString() !== req.params.userId
+  );
+  await match.save();
+  await match.populate(sharingPopulate);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Access removed',
+    data: sharingResponse(match),
+  });
+});
+
+export const unshareMatchFollowersService = catchAsync(
+  async (req, res, next) => {
+    const match = await findOwnMatch(req.params.matchId, req.user._id);
+
+    if (!match)
+      return next(
+        new AppError(
+          'No match found or you are not authorized to manage its sharing',
+          404
+        )
+      );
+
+    match.followerAccess = 'none';
+    await match.save();
+    await match.populate(sharingPopulate);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Followers no longer have access',
+      data: sharingResponse(match),
+    });
+  }
+);
@@ -0,0 +1,383 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import MatchComment from '../models/MatchComment.js';
+import Like from '../models/Like.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { createOne, deleteOne, findOne } from '../factory/repo.js';
+import { canComment, getMatchPermission } from './matchAccessService.js';
+import matchNotificationService from './matchNotificationService.js';
+import webSocketService from './webSocketService.js';
+
+const authorPopulate = { path: 'user', select: 'fullName image' };
+
+const userSummary = (user) => ({
+  _id: user._id,
+  fullName: user.fullName,
+  image: user.image,
+});
+
+// Send notifications without one failure stopping the rest or the request
+const notifyAll = async (notifications, match) => {
+  const results = await Promise.allSettled(notifications);
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) =>
+      console.error(
+        `Failed to send comment notification for match ${match._id}:`,
+        result.reason
+      )
+    );
+};
+
+/**
+ * Load a match and check what the user may do with its comments. Anyone who
+ * can view the match can read them; the creator, players who have accepted
+ * their place and users it was shared with for commenting can write.
+ * @param {String} matchId
+ * @param {Object} user
+ * @param {Object} options
+ * @param {Boolean} options.write - Whether the user wants to comment or like
+ * @returns {Promise<Object>} Match document
+ */
+const findCommentableMatch = async (matchId, user, { write = false } = {}) => {
+  const match = await findOne(Match, { _id: matchId });
+  if (!match) throw new AppError('No match found', 404);
+
+  const permission = await getMatchPermission(match, user._id);
+
+  if (!permission) {
+    throw new AppError('You are not authorized to view this match', 403);
+  }
+
+  if (
+    write &&
+    !canComment(permission) &&
+    !getMatchParticipantIds(match).includes(user._id.toString())
+  ) {
+    throw new AppError('You are not allowed to comment on this match', 403);
+  }
+
+  return match;
+};
+
+const findMatchComment = async (match, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) {
+    throw new AppError('Invalid comment ID', 400);
+  }
+
+  const comment = await findOne(MatchComment, {
+    _id: commentId,
+    match: match._id,
+  });
+  if (!comment) throw new AppError('Comment not found', 404);
+
+  return comment;
+};
+
+/**
+ * Nest comments under the comments they reply to, oldest first
+ * @param {Array<Object>} comments - A match's comments, sorted by createdAt
+ * @returns {Array<Object>} Top-level comments, each with its replies
+ */
+const buildCommentThreads = (comments) => {
+  const byId = new Map(
+    comments.map((comment) => [
+      comment._id.toString(),
+      { ...comment, replies: [] },
+    ])
+  );
+  const threads = [];
+
+  byId.forEach((comment) => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) parent.replies.push(comment);
+    else threads.push(comment);
+  });
+
+  return threads;
+};
+
+// Registered players and the creator - everyone with a stake in the match
+const getMatchParticipantIds = (match) => [
+  ...new Set([
+    (match.creator?._id || match.creator).toString(),
+    ...match.teams
+      .flatMap((team) => team.players)
+      .filter(
+        (playerObj) =>
+          playerObj.player && playerObj.invitationStatus !== 'pending'
+      )
+      .map((playerObj) =>
+        (playerObj.player._id || playerObj.player).toString()
+      ),
+  ]),
+];
+
+const getLikeCount = (commentId) =>
+  Like.countDocuments({ target: commentId, targetType: 'MatchComment' });
+
+export const getMatchCommentsService = catchAsync(async (req, res, next) => {
+  const match = await findCommentableMatch(req.params.matchId, req.user);
+
+  const comments = await MatchComment.find({ match: match._id })
+    .sort({ createdAt: 1 })
+    .populate(authorPopulate)
+    .lean();
+  const commentIds = comments.map((comment) => comment._id);
+
+  const [likeCounts, userLikes] = await Promise.all([
+    Like.aggregate([
+      { $match: { targetType: 'MatchComment', target: { $in: commentIds } } },
+      { $group: { _id: '$target', count: { $sum: 1 } } },
+    ]),
+    Like.find({
+      user: req.user._id,
+      targetType: 'MatchComment',
+      target: { $in: commentIds },
+    }).select('target'),
+  ]);
+
+  const likeCountById = new Map(
+    likeCounts.map(({ _id, count }) => [_id.toString(), count])
+  );
+  const likedIds = new Set(userLikes.map((like) => like.target.toString()));
+
+  const threads = buildCommentThreads(
+    comments.map((comment) => ({
+      ...comment,
+      likeCount: likeCountById.get(comment._id.toString()) || 0,
+      isLiked: likedIds.has(comment._id.toString()),
+    }))
+  );
+
+  res.status(200).json({
+    status: 'success',
+    length: comments.length,
+    data: {
+      comments: threads,
+    },
+  });
+});
+
+export const createMatchCommentService = catchAsync(async (req, res, next) => {
+  const { content, parent: parentId } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return next(new AppError('Comment content is required', 400));
+  }
+
+  const match = await findCommentableMatch(req.params.matchId, req.user, {
+    write: true,
+  });
+  const parent = parentId ? await findMatchComment(match, parentId) : null;
+
+  const comment = await createOne(MatchComment, {
+    match: match._id,
+    user: req.user._id,
+    content,
+    parent: parent?._id,
+  });
+  await comment.populate(authorPopulate);
+
+  webSocketService.handleMatchCommentUpdate(match._id, 'matchCommentAdded', {
+    comment,
+    commentedBy: userSummary(req.user),
+  });
+
+  // Replies go to the comment's author, new threads to everyone on the match
+  const authorId = req.user._id.toString();
+  if (parent) {
+    if (parent.user.toString() !== authorId) {
+      await notifyAll(
+        [
+          matchNotificationService.notifyMatchCommentReply(
+            parent.user,
+            match,
+            comment,
+            req.user
+          ),
+        ],
+        match
+      );
+    }
+  } else {
+    await notifyAll(
+      getMatchParticipantIds(match)
+        .filter((userId) => userId !== authorId)
+        .map((userId) =>
+          matchNotificationService.notifyMatchComment(
+            userId,
+            match,
+            comment,
+            req.user
+          )
+        ),
+      match
+    );
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Comment added successfully',
+    data: {
+      comment,
+    },
+  });
+});
+
+export const updateMatchCommentService = catchAsync(async (req, res, next) => {
+  const { content } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return next(new AppError('Comment content is required', 400));
+  }
+
+  const match = await findCommentableMatch(req.params.matchId, req.user, {
+    write: true,
+  });
+  const comment = await findMatchComment(match, req.params.commentId);
+
+  if (comment.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only edit your own comments', 403));
+  }
+
+  comment.content = content;
+  comment.editedAt = new Date();
+  await comment.save();
+  await comment.populate(authorPopulate);
+
+  webSocketService.handleMatchCommentUpdate(match._id, 'matchCommentUpdated', {
+    comment,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Comment updated successfully',
+    data: {
+      comment,
+    },
+  });
+});
+
+export const deleteMatchCommentService = catchAsync(async (req, res, next) => {
+  const match = await findCommentableMatch(req.params.matchId, req.user);
+  const comment = await findMatchComment(match, req.params.commentId);
+
+  // Authors can remove their comments, and creators anything on their match
+  const isAuthor = comment.user.toString() === req.user._id.toString();
+  const isCreator = match.creator.toString() === req.user._id.toString();
+
+  if (!isAuthor && !isCreator) {
+    return next(
+      new AppError('You are not authorized to delete this comment', 403)
+    );
+  }
+
+  // Replies go with the comment they answer, however deep the thread
+  const commentIds = [comment._id];
+  for (let level = [comment._id]; level.length; ) {
+    const replies = await MatchComment.find({ parent: { $in: level } }).select(
+      '_id'
+    );
+    level = replies.map((reply) => reply._id);
+    commentIds.push(...level);
+  }
+
+  await MatchComment.deleteMany({ _id: { $in: commentIds } });
+  await Like.deleteMany({
+    target: { $in: commentIds },
+    targetType: 'MatchComment',
+  });
+
+  webSocketService.handleMatchCommentUpdate(match._id, 'matchCommentDeleted', {
+    commentIds,
+    deletedBy: userSummary(req.user),
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+export const likeMatchCommentService = catchAsync(async (req, res, next) => {
+  const match = await findCommentableMatch(req.params.matchId, req.user, {
+    write: true,
+  });
+  const comment = await findMatchComment(match, req.params.commentId);
+
+  const existingLike = await findOne(Like, {
+    user: req.user._id,
+    target: comment._id,
+    targetType: 'MatchComment',
+  });
+
+  if (existingLike) {
+    return next(new AppError('Comment already liked', 400));
+  }
+
+  await createOne(Like, {
+    user: req.user._id,
+    target: comment._id,
+    targetType: 'MatchComment',
+  });
+
+  const likeCount = await getLikeCount(comment._id);
+
+  webSocketService.handleMatchCommentUpdate(match._id, 'matchCommentLiked', {
+    commentId: comment._id,
+    likeCount,
+    likedBy: userSummary(req.user),
+  });
+
+  if (comment.user.toString() !== req.user._id.toString()) {
+    await notifyAll(
+      [
+        matchNotificationService.notifyMatchCommentLiked(
+          comment.user,
+          match,
+          comment,
+          req.user
+        ),
+      ],
+      match
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Comment liked successfully',
+    data: {
+      likeCount,
+    },
+  });
+});
+
+export const unlikeMatchCommentService = catchAsync(async (req, res, next) => {
+  const match = await findCommentableMatch(req.params.matchId, req.user);
+  const comment = await findMatchComment(match, req.params.commentId);
+
+  await deleteOne(Like, {
+    user: req.user._id,
+    target: comment._id,
+    targetType: 'MatchComment',
+  });
+
+  const likeCount = await getLikeCount(comment._id);
+
+  webSocketService.handleMatchCommentUpdate(match._id, 'matchCommentUnliked', {
+    commentId: comment._id,
+    likeCount,
+    unlikedBy: userSummary(req.user),
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Comment unliked successfully',
+    data: {
+      likeCount,
+    },
+  });
+});
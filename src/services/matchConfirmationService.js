@@ -0,0 +1,240 @@
+import Match from '../models/Match.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { findOne } from '../factory/repo.js';
+import matchNotificationService from './matchNotificationService.js';
+import { getTeamIndexForUser } from '../utils/padelScoring.js';
+import { applyMatchRating } from './ratingService.js';
+
+// Ranked results nobody responds to are accepted after this many hours
+const CONFIRMATION_TIMEOUT_HOURS =
+  Number(process.env.MATCH_CONFIRMATION_TIMEOUT_HOURS) || 48;
+
+/**
+ * Registered players on the team opposing the match creator.
+ * If the creator didn't play (e.g. a coach recording a result), every
+ * registered player on the match may confirm.
+ * @param {Object} match - Match document
+ * @returns {Array<String>} User IDs
+ */
+export const getOpposingPlayerIds = (match) => {
+  const creatorId = (match.creator?._id || match.creator).toString();
+  const creatorTeamIndex = getTeamIndexForUser(match, creatorId);
+
+  return match.teams
+    .filter((team, index) => index !== creatorTeamIndex)
+    .flatMap((team) => team.players)
+    .map((playerObj) => playerObj.player?._id || playerObj.player)
+    .filter((playerId) => playerId && playerId.toString() !== creatorId)
+    .map((playerId) => playerId.toString());
+};
+
+// Ratings shouldn't block the confirmation itself, so failures are only logged
+const updateRatings = async (match) => {
+  try {
+    await applyMatchRating(match);
+  } catch (error) {
+    console.error(`Failed to update ratings for match ${match._id}:`, error);
+  }
+};
+
+/**
+ * Ask the opposing players to confirm a newly recorded ranked result.
+ * Called after save when the pre('save') hook flagged the result as pending.
+ * @param {Object} match - Saved match document
+ * @param {Object} requestedBy - User who recorded the result
+ */
+export const requestResultConfirmation = async (match, requestedBy) => {
+  if (!match.$locals.confirmationRequested) return;
+
+  const opponentIds = getOpposingPlayerIds(match);
+
+  const results = await Promise.allSettled(
+    opponentIds.map((opponentId) =>
+      matchNotificationService.notifyResultConfirmationRequested(
+        opponentId,
+        match,
+        requestedBy
+      )
+    )
+  );
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) =>
+      console.error(
+        `Failed to request result confirmation for match ${match._id}:`,
+        result.reason
+      )
+    );
+};
+
+// Shared checks for the confirm/dispute endpoints
+const findMatchForResponse = async (matchId, userId, allowedStatuses) => {
+  const match = await findOne(Match, { _id: matchId });
+
+  if (!match) return { error: new AppError('No match found', 404) };
+
+  if (match.type !== 'ranked') {
+    return {
+      error: new AppError('Only ranked match results need confirmation', 400),
+    };
+  }
+
+  if (!getOpposingPlayerIds(match).includes(userId.toString())) {
+    return {
+      error: new AppError(
+        'Only a registered player on the opposing team can respond to this result',
+        403
+      ),
+    };
+  }
+
+  if (!allowedStatuses.includes(match.confirmation.status)) {
+    return {
+      error: new AppError(
+        `This match result is ${match.confirmation.status.replace(
+          '_',
+          ' '
+        )} and cannot be changed`,
+        400
+      ),
+    };
+  }
+
+  return { match };
+};
+
+export const confirmMatchResultService = catchAsync(async (req, res, next) => {
+  // A disputed result can still be confirmed if the opponent changes their mind
+  const { match, error } = await findMatchForResponse(
+    req.params.matchId,
+    req.user._id,
+    ['pending', 'disputed']
+  );
+
+  if (error) return next(error);
+
+  match.confirmation.status = 'confirmed';
+  match.confirmation.respondedAt = new Date();
+  match.confirmation.respondedBy = req.user._id;
+  match.confirmation.disputeReason = undefined;
+  await match.save();
+
+  await updateRatings(match);
+
+  await matchNotificationService.notifyResultConfirmed(
+    match.creator,
+    match,
+    req.user
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Match result confirmed',
+    data: {
+      match,
+    },
+  });
+});
+
+export const disputeMatchResultService = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const { match, error } = await findMatchForResponse(
+    req.params.matchId,
+    req.user._id,
+    ['pending']
+  );
+
+  if (error) return next(error);
+
+  match.confirmation.status = 'disputed';
+  match.confirmation.respondedAt = new Date();
+  match.confirmation.respondedBy = req.user._id;
+  match.confirmation.disputeReason = reason;
+  await match.save();
+
+  await matchNotificationService.notifyResultDisputed(
+    match.creator,
+    match,
+    req.user,
+    reason
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'Match result disputed. The creator can correct the score to request confirmation again.',
+    data: {
+      match,
+    },
+  });
+});
+
+export const getPendingConfirmationsService = catchAsync(
+  async (req, res, next) => {
+    const userId = req.user._id.toString();
+
+    const candidates = await Match.find({
+      type: 'ranked',
+      'confirmation.status': 'pending',
+      'teams.players.player': req.user._id,
+      creator: { $ne: req.user._id },
+    })
+      .populate({ path: 'creator', select: 'fullName image' })
+      .sort({ 'confirmation.requestedAt': -1 });
+
+    const matches = candidates.filter((match) =>
+      getOpposingPlayerIds(match).includes(userId)
+    );
+
+    res.status(200).json({
+      status: 'success',
+      length: matches.length,
+      data: {
+        matches,
+      },
+    });
+  }
+);
+
+/**
+ * Confirm ranked results that have waited longer than the timeout.
+ * Disputed results are left for the creator to correct.
+ * @returns {Promise<Number>} Number of matches auto-confirmed
+ */
+export const autoConfirmExpiredResults = async () => {
+  const cutoff = new Date(
+    Date.now() - CONFIRMATION_TIMEOUT_HOURS * 60 * 60 * 1000
+  );
+
+  const expiredMatches = await Match.find({
+    'confirmation.status': 'pending',
+    'confirmation.requestedAt': { $lte: cutoff },
+  });
+
+  let confirmedCount = 0;
+
+  for (const match of expiredMatches) {
+    try {
+      match.confirmation.status = 'confirmed';
+      match.confirmation.respondedAt = new Date();
+      match.confirmation.autoConfirmed = true;
+      await match.save();
+
+      await updateRatings(match);
+
+      await matchNotificationService.notifyResultConfirmed(
+        match.creator,
+        match
+      );
+
+      confirmedCount += 1;
+    } catch (error) {
+      console.error(`Failed to auto-confirm match ${match._id}:`, error);
+    }
+  }
+
+  return confirmedCount;
+};
@@ -0,0 +1,139 @@
+import cron from 'node-cron';
+import { autoConfirmExpiredResults } from './matchConfirmationService.js';
+import { sendDueMatchReminders } from './matchScheduleService.js';
+import { purgeExpiredMatches } from './matchTrashService.js';
+
+/**
+ * Match Maintenance Cron Service
+ * Handles scheduled housekeeping for matches
+ */
+class MatchCronService {
+  static isRunning = false;
+  static tasks = [];
+
+  /**
+   * Initialize and start all match cron jobs
+   */
+  static initialize() {
+    if (this.isRunning) {
+      console.log('Match cron service is already running');
+      return;
+    }
+
+    console.log('🕐 Initializing Match Cron Service...');
+
+    // Auto-confirm ranked results - runs every 15 minutes
+    this.startResultConfirmationJob();
+
+    // Remind players about scheduled matches - runs every 5 minutes
+    this.startReminderJob();
+
+    // Purge matches that have been in the trash too long - runs daily
+    this.startTrashPurgeJob();
+
+    this.isRunning = true;
+    console.log('✅ Match Cron Service initialized successfully');
+  }
+
+  /**
+   * Confirm ranked results the opponents haven't responded to in time
+   * Runs every 15 minutes
+   */
+  static startResultConfirmationJob() {
+    const task = cron.schedule(
+      '*/15 * * * *',
+      async () => {
+        try {
+          const confirmedCount = await autoConfirmExpiredResults();
+
+          if (confirmedCount > 0) {
+            console.log(
+              `✅ Auto-confirmed ${confirmedCount} ranked match result(s)`
+            );
+          }
+        } catch (error) {
+          console.error('❌ Error auto-confirming match results:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'UTC',
+      }
+    );
+
+    this.tasks.push(task);
+    console.log('✅ Match result auto-confirm job scheduled (every 15 minutes)');
+  }
+
+  /**
+   * Remind players about scheduled matches that start soon
+   * Runs every 5 minutes
+   */
+  static startReminderJob() {
+    const task = cron.schedule(
+      '*/5 * * * *',
+      async () => {
+        try {
+          const remindedCount = await sendDueMatchReminders();
+
+          if (remindedCount > 0) {
+            console.log(`⏰ Sent reminders for ${remindedCount} match(es)`);
+          }
+        } catch (error) {
+          console.error('❌ Error sending match reminders:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'UTC',
+      }
+    );
+
+    this.tasks.push(task);
+    console.log('✅ Match reminder job scheduled (every 5 minutes)');
+  }
+
+  /**
+   * Permanently delete matches past their time in the trash, along with
+   * their analyses, insights and videos
+   * Runs daily at 3 AM
+   */
+  static startTrashPurgeJob() {
+    const task = cron.schedule(
+      '0 3 * * *',
+      async () => {
+        try {
+          const purgedCount = await purgeExpiredMatches();
+
+          if (purgedCount > 0) {
+            console.log(`🗑️ Purged ${purgedCount} match(es) from the trash`);
+          }
+        } catch (error) {
+          console.error('❌ Error purging trashed matches:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'UTC',
+      }
+    );
+
+    this.tasks.push(task);
+    console.log('✅ Match trash purge job scheduled (daily at 3 AM)');
+  }
+
+  /**
+   * Stop all match cron jobs
+   */
+  static stop() {
+    if (this.isRunning) {
+      console.log('🛑 Stopping Match Cron Service...');
+      this.tasks.forEach((task) => task.stop());
+      this.tasks = [];
+      this.isRunning = false;
+      console.log('✅ Match Cron Service stopped');
+    }
+  }
+}
+
+export default MatchCronService;
@@ -0,0 +1,105 @@
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+import CoachingInsight from '../models/CoachingInsight.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { findOne } from '../factory/repo.js';
+import { filterAnalysisResultsBySubscription } from '../utils/subscriptionUtils.js';
+import {
+  MATCH_EXPORT_FORMATS,
+  buildMatchReport,
+  renderMatchReport,
+} from '../utils/matchReportExport.js';
+import { getMatchPermission } from './matchAccessService.js';
+
+/**
+ * Display names for the analysis players: whoever is credited with each one,
+ * and the creator for the first player on analyses nobody has been credited on
+ * @param {Object} match - Match with teams.players.player populated
+ * @param {Object} analysis - Unfiltered Analysis document
+ * @returns {Array<String>}
+ */
+const getAnalysisPlayerNames = (match, analysis) => {
+  const players = analysis?.player_analytics?.players || [];
+  const creatorId = (match.creator?._id || match.creator).toString();
+  const creatorCredited = players.some(
+    (player) => player.user?.toString() === creatorId
+  );
+
+  const nameOf = (userId) => {
+    const slot = match.getPlayerSlot(userId);
+    return slot?.player?.fullName || slot?.name || match.creator?.fullName;
+  };
+
+  return players.map((player, index) => {
+    if (player.user) return nameOf(player.user);
+    if (index === 0 && !creatorCredited) return nameOf(creatorId);
+    return player.player_id
+      ? `Player ${player.player_id.toUpperCase()}`
+      : `Player ${index + 1}`;
+  });
+};
+
+export const exportMatchReportService = catchAsync(async (req, res, next) => {
+  const format = (req.query.format || 'json').toLowerCase();
+  const exportFormat = MATCH_EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return next(
+      new AppError(
+        `format must be one of: ${Object.keys(MATCH_EXPORT_FORMATS).join(', ')}`,
+        400
+      )
+    );
+  }
+
+  const match = await findOne(Match, { _id: req.params.matchId }, [
+    { path: 'teams.players.player', select: 'fullName' },
+    { path: 'venue', select: 'name address' },
+    {
+      path: 'creator',
+      populate: {
+        path: 'subscription',
+        model: 'Subscription',
+      },
+    },
+  ]);
+
+  if (!match) return next(new AppError('No match found', 404));
+
+  if (!(await getMatchPermission(match, req.user._id))) {
+    return next(
+      new AppError('You are not authorized to export this match', 403)
+    );
+  }
+
+  const analysis = await findOne(Analysis, {
+    match_id: { $in: match.getAnalysisMatchIds() },
+    ...Analysis.currentCriteria(),
+  });
+
+  // What's in the report follows the creator's plan, as it does in the app
+  const filteredAnalysis = analysis
+    ? filterAnalysisResultsBySubscription(analysis.toObject(), match.creator)
+    : null;
+
+  // Only insights that were already generated - exporting never calls the AI
+  const insights = analysis
+    ? await CoachingInsight.find({ analysis: analysis._id }).lean()
+    : [];
+
+  const report = buildMatchReport({
+    match: match.toObject(),
+    analysis: filteredAnalysis,
+    playerNames: getAnalysisPlayerNames(match, analysis),
+    insights,
+  });
+
+  const fileName = `padelize-match-${match._id}.${exportFormat.extension}`;
+
+  res.set({
+    'Content-Type': exportFormat.contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+  });
+  res.status(200).send(renderMatchReport(report, format));
+});
@@ -0,0 +1,218 @@
+import Match from '../models/Match.js';
+import User from '../models/User.js';
+import Venue, { normalizeVenueName } from '../models/Venue.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { createOne } from '../factory/repo.js';
+import { formatScore } from '../utils/padelScoring.js';
+import { parseMatchImportCsv } from '../utils/matchCsvImport.js';
+import { sendMatchInvitations } from './matchInvitationService.js';
+import { requestResultConfirmation } from './matchConfirmationService.js';
+
+// Largest number of matches a single CSV may hold
+const MATCH_IMPORT_MAX_ROWS = Number(process.env.MATCH_IMPORT_MAX_ROWS) || 500;
+
+/**
+ * Venues named in the import, keyed by normalized name. A name shared by
+ * venues in several cities is ambiguous, so it is left as a plain location.
+ * @param {Array<String>} names
+ * @returns {Promise<Map<String, Object>>}
+ */
+const findVenuesByName = async (names) => {
+  const normalizedNames = [...new Set(names.map(normalizeVenueName))];
+  const venues = await Venue.find({
+    normalizedName: { $in: normalizedNames },
+  }).select('name normalizedName');
+
+  const venuesByName = new Map();
+  normalizedNames.forEach((normalizedName) => {
+    const matches = venues.filter(
+      (venue) => venue.normalizedName === normalizedName
+    );
+    if (matches.length === 1) venuesByName.set(normalizedName, matches[0]);
+  });
+
+  return venuesByName;
+};
+
+/**
+ * Turn a validated row into match fields, linking players to accounts by
+ * email. Anyone without an account is added as a guest under their name.
+ * @param {Object} data - From validateMatchImportRow
+ * @param {Object} creator - Importing user
+ * @param {Map} usersByEmail
+ * @param {Map} venuesByName
+ */
+const buildImportedMatch = (data, creator, usersByEmail, venuesByName) => {
+  const venue = venuesByName.get(normalizeVenueName(data.venue));
+
+  const teams = data.teams.map((players) => ({
+    players: players.map(({ name, email }) => {
+      const user = email && usersByEmail.get(email);
+      return user
+        ? { player: user._id, name: name || user.fullName }
+        : { name: name || email };
+    }),
+  }));
+
+  return {
+    creator: creator._id,
+    format: data.format,
+    type: data.type,
+    ...(venue ? { venue: venue._id } : { location: data.venue }),
+    teams,
+    score: data.score,
+    // Historical matches keep their own date in match histories
+    startTime: data.date,
+    createdAt: data.date,
+  };
+};
+
+// What the dry run shows for each row
+const previewImportedMatch = (fields, data, usersByEmail, venuesByName) => ({
+  date: data.date,
+  venue: venuesByName.get(normalizeVenueName(data.venue))?.name || null,
+  location: data.venue,
+  format: fields.format,
+  type: fields.type,
+  score: formatScore(data.score),
+  teams: data.teams.map((players) =>
+    players.map(({ name, email }) => {
+      const user = email && usersByEmail.get(email);
+      return {
+        name: name || user?.fullName || email,
+        email,
+        user: user ? { _id: user._id, fullName: user.fullName } : null,
+      };
+    })
+  ),
+});
+
+export const importMatchesService = catchAsync(async (req, res, next) => {
+  const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  const dryRun = [true, 'true'].includes(req.body.dryRun ?? req.query.dryRun);
+  // Old matches can go in quietly - invitations and confirmations are still
+  // created, the players just aren't sent a notification for each one
+  const notify = ![false, 'false'].includes(
+    req.body.notify ?? req.query.notify
+  );
+
+  if (!csv) {
+    return next(
+      new AppError(
+        'Upload a CSV file as "file" or send its contents as "csv"',
+        400
+      )
+    );
+  }
+
+  const { error, rows } = parseMatchImportCsv(csv, {
+    maxRows: MATCH_IMPORT_MAX_ROWS,
+  });
+
+  if (error) return next(new AppError(error, 400));
+
+  const validRows = rows.filter((row) => row.data);
+
+  const emails = [
+    ...new Set(
+      validRows.flatMap((row) =>
+        row.data.teams.flat().map((player) => player.email)
+      )
+    ),
+  ].filter(Boolean);
+
+  const [users, venuesByName] = await Promise.all([
+    User.find({ email: { $in: emails } }).select('fullName email'),
+    findVenuesByName(validRows.map((row) => row.data.venue)),
+  ]);
+  const usersByEmail = new Map(users.map((user) => [user.email, user]));
+
+  const results = rows.map(({ row, errors, data }) => {
+    if (!data) return { row, errors };
+
+    const fields = buildImportedMatch(
+      data,
+      req.user,
+      usersByEmail,
+      venuesByName
+    );
+
+    return {
+      row,
+      errors,
+      fields,
+      preview: previewImportedMatch(fields, data, usersByEmail, venuesByName),
+    };
+  });
+
+  const invalidCount = rows.length - validRows.length;
+  const report = results.map(({ row, errors, preview }) => ({
+    row,
+    valid: !errors.length,
+    errors,
+    match: preview,
+  }));
+
+  if (dryRun || invalidCount) {
+    return res.status(dryRun ? 200 : 400).json({
+      status: dryRun ? 'success' : 'fail',
+      message: invalidCount
+        ? `${invalidCount} of ${rows.length} row(s) have errors. Fix them and import again.`
+        : `All ${rows.length} row(s) are valid and ready to import.`,
+      data: {
+        dryRun,
+        total: rows.length,
+        valid: validRows.length,
+        invalid: invalidCount,
+        rows: report,
+      },
+    });
+  }
+
+  // Every row passed validation, so matches go in one after another with the
+  // usual save hooks (invitation statuses, score results) applied to each.
+  // A row the hooks reject takes back the ones saved before it, so the file
+  // is imported whole or not at all and can be fixed and sent again.
+  const matches = [];
+  for (const { row, fields } of results) {
+    try {
+      matches.push(await createOne(Match, fields));
+    } catch (saveError) {
+      await Match.deleteMany({
+        _id: { $in: matches.map((match) => match._id) },
+      });
+
+      const failedRow = report.find((entry) => entry.row === row);
+      failedRow.valid = false;
+      failedRow.errors = [saveError.message];
+
+      return res.status(400).json({
+        status: 'fail',
+        message: `Row ${row} could not be saved, so nothing was imported. Fix it and import again.`,
+        data: {
+          dryRun,
+          total: rows.length,
+          valid: rows.length - 1,
+          invalid: 1,
+          rows: report,
+        },
+      });
+    }
+  }
+
+  // Players found by email are invited to confirm, as with any new match
+  for (const match of matches) {
+    if (notify) await requestResultConfirmation(match, req.user);
+    await sendMatchInvitations(match, req.user, { notify });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: `${matches.length} match(es) imported`,
+    data: {
+      imported: matches.length,
+      matches,
+    },
+  });
+});
@@ -0,0 +1,289 @@
+import validator from 'validator';
+import Match from '../models/Match.js';
+import MatchInvitation from '../models/MatchInvitation.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { createOne, findOne } from '../factory/repo.js';
+import nodeMailer from '../config/nodemailer.js';
+import { inviteEmail } from '../data/emails.js';
+import matchNotificationService from './matchNotificationService.js';
+import { recordPlayerConfirmation } from './matchScheduleService.js';
+
+/**
+ * Drop invitation statuses from client-supplied teams - only invitees can
+ * accept, so the status is never taken from a create/update request.
+ * @param {Object} body - Request body for a match create/update
+ */
+export const stripInvitationStatuses = (body) => {
+  if (!Array.isArray(body?.teams)) return;
+
+  body.teams.forEach((team) =>
+    team?.players?.forEach((playerObj) => {
+      if (playerObj) delete playerObj.invitationStatus;
+    })
+  );
+};
+
+// Users without an account get an email pointing them at signup instead of a push
+const sendInvitationEmail = async (invitee, invitedBy) => {
+  const signupLink = `${process.env.FRONTEND_URL}/signup?email=${encodeURIComponent(
+    invitee.email
+  )}`;
+
+  await nodeMailer(
+    invitee.email,
+    `${invitedBy.fullName} invited you to a padel match`,
+    inviteEmail(
+      invitee.email,
+      invitee.fullName.split(' ')[0],
+      invitedBy.fullName,
+      signupLink
+    )
+  );
+};
+
+/**
+ * Create invitations for the players the pre('save') hook flagged as newly
+ * added and let each of them know. Pending invitations for players who were
+ * taken off the match are cancelled.
+ * Called after a match is created or its teams are changed.
+ * @param {Object} match - Saved match document
+ * @param {Object} invitedBy - User who added the players
+ * @param {Object} options
+ * @param {Boolean} options.notify - Send the push/email (default: true). The
+ * invitations are created either way, so they can still be answered.
+ */
+export const sendMatchInvitations = async (
+  match,
+  invitedBy,
+  { notify = true } = {}
+) => {
+  const invitedPlayerIds = match.$locals.invitedPlayerIds || [];
+
+  await MatchInvitation.updateMany(
+    {
+      match: match._id,
+      status: 'pending',
+      invitee: { $nin: match.getRegisteredPlayerIds() },
+    },
+    { $set: { status: 'cancelled' } }
+  );
+
+  if (!invitedPlayerIds.length) return;
+
+  const invitees = await User.find({ _id: { $in: invitedPlayerIds } }).select(
+    'fullName email status'
+  );
+
+  // A player who declined earlier and was added again gets a fresh invitation
+  await MatchInvitation.bulkWrite(
+    invitees.map((invitee) => ({
+      updateOne: {
+        filter: { match: match._id, invitee: invitee._id },
+        update: {
+          $set: {
+            invitedBy: invitedBy._id,
+            status: 'pending',
+            ...(invitee.status === 'invited' && {
+              email: invitee.email,
+              ...(notify && { emailSentAt: new Date() }),
+            }),
+          },
+          $unset: { respondedAt: '' },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  if (!notify) return;
+
+  const results = await Promise.allSettled(
+    invitees.map((invitee) =>
+      invitee.status === 'invited'
+        ? sendInvitationEmail(invitee, invitedBy)
+        : matchNotificationService.notifyMatchInvitation(
+            invitee._id,
+            match,
+            invitedBy
+          )
+    )
+  );
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) =>
+      console.error(
+        `Failed to send invitation for match ${match._id}:`,
+        result.reason
+      )
+    );
+};
+
+export const inviteByEmailService = catchAsync(async (req, res, next) => {
+  const { name } = req.body;
+  const email = req.body.email?.toLowerCase().trim();
+  const team = Number(req.body.team);
+
+  if (!email || !validator.isEmail(email)) {
+    return next(new AppError('Please provide a valid email address', 400));
+  }
+
+  if (![0, 1].includes(team)) {
+    return next(new AppError('team must be 0 or 1', 400));
+  }
+
+  const match = await findOne(Match, {
+    _id: req.params.matchId,
+    creator: req.user._id,
+  });
+
+  if (!match)
+    return next(
+      new AppError(
+        'No match found or you are not authorized to invite players to it',
+        404
+      )
+    );
+
+  const slot = match.teams[team]?.players.find((playerObj) => !playerObj.player);
+
+  if (!slot) {
+    return next(new AppError('That team has no open player slot', 400));
+  }
+
+  // Anyone without an account is added as an invited user so the match can
+  // reference them now and the signup picks up the same record later
+  let invitee = await findOne(User, { email });
+
+  if (!invitee) {
+    invitee = await createOne(User, {
+      email,
+      fullName: name?.trim().length >= 3 ? name.trim() : email,
+      status: 'invited',
+    });
+  }
+
+  if (invitee._id.equals(req.user._id)) {
+    return next(new AppError('You are already in this match', 400));
+  }
+
+  if (match.getPlayerSlot(invitee._id)) {
+    return next(new AppError('That player is already in this match', 400));
+  }
+
+  slot.player = invitee._id;
+  slot.name = slot.name || name || invitee.fullName;
+  await match.save();
+
+  await sendMatchInvitations(match, req.user);
+
+  const invitation = await findOne(MatchInvitation, {
+    match: match._id,
+    invitee: invitee._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message:
+      invitee.status === 'invited'
+        ? `Invitation emailed to ${email}`
+        : `${invitee.fullName} has been invited`,
+    data: {
+      invitation,
+      match,
+    },
+  });
+});
+
+export const getMyInvitationsService = catchAsync(async (req, res, next) => {
+  const invitations = await MatchInvitation.find({
+    invitee: req.user._id,
+    status: 'pending',
+  })
+    .sort({ createdAt: -1 })
+    .populate({ path: 'invitedBy', select: 'fullName image' })
+    .populate({
+      path: 'match',
+      select: 'format type location venue startTime status teams',
+      populate: { path: 'teams.players.player', select: 'fullName image' },
+    });
+
+  res.status(200).json({
+    status: 'success',
+    length: invitations.length,
+    data: {
+      invitations,
+    },
+  });
+});
+
+// Shared flow for accepting and declining an invitation
+const respondToInvitation = async (req, res, next, accept) => {
+  const invitation = await findOne(MatchInvitation, {
+    _id: req.params.invitationId,
+    invitee: req.user._id,
+  });
+
+  if (!invitation) return next(new AppError('No invitation found', 404));
+
+  if (invitation.status !== 'pending') {
+    return next(
+      new AppError(`This invitation has already been ${invitation.status}`, 400)
+    );
+  }
+
+  const match = await findOne(Match, { _id: invitation.match });
+  const slot = match?.getPlayerSlot(req.user._id);
+
+  if (!slot) {
+    invitation.status = 'cancelled';
+    await invitation.save();
+    return next(new AppError('You are no longer part of this match', 404));
+  }
+
+  if (accept) {
+    slot.invitationStatus = 'accepted';
+
+    // Accepting a scheduled match also confirms the player will be there
+    if (['pending', 'confirmed'].includes(match.status)) {
+      recordPlayerConfirmation(match, req.user._id);
+    }
+  } else {
+    // The slot goes back to being a guest under the same display name
+    slot.name = slot.name || req.user.fullName;
+    slot.player = undefined;
+    slot.invitationStatus = undefined;
+  }
+
+  await match.save();
+
+  invitation.status = accept ? 'accepted' : 'declined';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  await matchNotificationService.notifyMatchInvitationResponse(
+    match.creator,
+    match,
+    req.user,
+    accept
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: accept ? 'Invitation accepted' : 'Invitation declined',
+    data: {
+      invitation,
+      match,
+    },
+  });
+};
+
+export const acceptMatchInvitationService = catchAsync(
+  async (req, res, next) => respondToInvitation(req, res, next, true)
+);
+
+export const declineMatchInvitationService = catchAsync(
+  async (req, res, next) => respondToInvitation(req, res, next, false)
+);
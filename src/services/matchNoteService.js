@@ -0,0 +1,158 @@
+import Match, {
+  MATCH_TAG_LIMITS,
+  normalizeMatchTags,
+} from '../models/Match.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Only the creator and the players on a match can note and tag it
+const findParticipantMatch = async (matchId, userId) => {
+  const match = await Match.findOne({
+    _id: matchId,
+    ...Match.participantCriteria(userId),
+  }).select('_id');
+
+  if (!match) throw new AppError('No match found', 404);
+
+  return match;
+};
+
+/**
+ * A user's private note and tags on a match
+ * @param {String} matchId
+ * @param {String} userId
+ * @returns {Promise<Object|null>} { note, tags, updatedAt }, or null
+ */
+export const getMatchNote = async (matchId, userId) => {
+  const match = await Match.findById(matchId).select('notes').lean();
+
+  const entry = match?.notes?.find(
+    (note) => note.user.toString() === userId.toString()
+  );
+  if (!entry) return null;
+
+  return { note: entry.note, tags: entry.tags, updatedAt: entry.updatedAt };
+};
+
+export const setMatchNoteService = catchAsync(async (req, res, next) => {
+  const { note = '', tags = [] } = req.body;
+  const userId = req.user._id;
+
+  if (typeof note !== 'string') {
+    return next(new AppError('note must be a string', 400));
+  }
+  if (note.trim().length > MAX_NOTE_LENGTH) {
+    return next(
+      new AppError(`A note can be at most ${MAX_NOTE_LENGTH} characters`, 400)
+    );
+  }
+
+  const cleanTags = normalizeMatchTags(tags);
+
+  if (cleanTags.length > MATCH_TAG_LIMITS.count) {
+    return next(
+      new AppError(
+        `A match can have at most ${MATCH_TAG_LIMITS.count} tags`,
+        400
+      )
+    );
+  }
+  if (cleanTags.some((tag) => tag.length > MATCH_TAG_LIMITS.length)) {
+    return next(
+      new AppError(
+        `A tag can be at most ${MATCH_TAG_LIMITS.length} characters`,
+        400
+      )
+    );
+  }
+
+  const match = await findParticipantMatch(req.params.matchId, userId);
+
+  // Clearing both the note and the tags removes the entry altogether
+  if (!note.trim() && !cleanTags.length) {
+    await Match.updateOne(
+      { _id: match._id },
+      { $pull: { notes: { user: userId } } }
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Note removed',
+      data: {
+        note: null,
+      },
+    });
+  }
+
+  const entry = {
+    note: note.trim(),
+    tags: cleanTags,
+    updatedAt: new Date(),
+  };
+
+  const { matchedCount } = await Match.updateOne(
+    { _id: match._id, 'notes.user': userId },
+    {
+      $set: {
+        'notes.$.note': entry.note,
+        'notes.$.tags': entry.tags,
+        'notes.$.updatedAt': entry.updatedAt,
+      },
+    }
+  );
+
+  // First note on this match - the user filter guards against a double push
+  if (!matchedCount) {
+    await Match.updateOne(
+      { _id: match._id, 'notes.user': { $ne: userId } },
+      { $push: { notes: { user: userId, ...entry } } }
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Note saved',
+    data: {
+      note: entry,
+    },
+  });
+});
+
+export const deleteMatchNoteService = catchAsync(async (req, res, next) => {
+  const match = await findParticipantMatch(req.params.matchId, req.user._id);
+
+  await Match.updateOne(
+    { _id: match._id },
+    { $pull: { notes: { user: req.user._id } } }
+  );
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// Every tag the user has used, most used first
+export const getMatchTagsService = catchAsync(async (req, res, next) => {
+  const userId = req.user._id;
+
+  const tags = await Match.aggregate([
+    { $match: { 'notes.user': userId } },
+    { $unwind: '$notes' },
+    { $match: { 'notes.user': userId } },
+    { $unwind: '$notes.tags' },
+    { $group: { _id: '$notes.tags', matches: { $sum: 1 } } },
+    { $sort: { matches: -1, _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', matches: 1 } },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    length: tags.length,
+    data: {
+      tags,
+    },
+  });
+});
@@ -121,6 +121,7 @@ class MatchNotificationService {
    * @param {string} options.priority - Priority level (low, medium, high)
    * @param {Object} options.data - Additional data for the notification
    * @param {Object} options.match - Match object (optional)
+   * @param {string} options.senderId - User who triggered it (optional, defaults to the recipient)
    */
   async sendMatchNotification(options) {
     const {
@@ -131,13 +132,14 @@ class MatchNotificationService {
       priority = 'medium',
       data = {},
       match = null,
+      senderId = null,
     } = options;
 
     try {
       // 1. Create in-app notification
       const notification = await notificationService.createNotification({
         recipient: userId,
-        sender: userId, // System notifications from self
+        sender: senderId || userId, // System notifications from self
         type: type,
         relatedMatch: match?._id || data?.matchId, // Link to match
         customTitle: title,
@@ -198,12 +200,12 @@ class MatchNotificationService {
   }
 
   // Match Deletion Notifications
-  async notifyMatchDeleted(userId, matchId) {
+  async notifyMatchDeleted(userId, matchId, restoreDays) {
     return this.sendMatchNotification({
       userId,
       type: 'matchDeleted',
       title: 'Match Deleted',
-      message: 'Your match has been deleted successfully!',
+      message: `Your match has been moved to the trash. You can restore it for the next ${restoreDays} days.`,
       priority: 'low',
       data: { matchId: matchId.toString() },
     });
@@ -225,6 +227,28 @@ class MatchNotificationService {
     });
   }
 
+  /**
+   * Notify user that a match video duplicates one from another of their matches
+   * @param {string} userId - User ID to notify
+   * @param {Object} match - Match the video was added to
+   * @param {Object} original - Match the video was first added to
+   * @param {string} message - What happened to the upload
+   */
+  async notifyDuplicateVideo(userId, match, original, message) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'duplicateVideo',
+      title: 'Video Already Uploaded',
+      message,
+      priority: 'medium',
+      data: {
+        matchId: match._id.toString(),
+        originalMatchId: original._id.toString(),
+      },
+      match,
+    });
+  }
+
   // Analysis Starting Notifications
   async notifyAnalysisStarting(userId, match) {
     return this.sendMatchNotification({
@@ -346,18 +370,237 @@ class MatchNotificationService {
   }
 
   // Match Shared Notifications (if you have sharing features)
-  async notifyMatchShared(userId, match, sharedBy) {
+  async notifyMatchShared(userId, match, sharedBy, permission = 'view') {
     return this.sendMatchNotification({
       userId,
       type: 'matchShared',
       title: 'Match Shared',
-      message: `${sharedBy.fullName} shared a match with you.`,
+      message:
+        permission === 'comment'
+          ? `${sharedBy.fullName} shared a match with you. You can view and comment on it.`
+          : `${sharedBy.fullName} shared a match with you.`,
       priority: 'medium',
       data: {
         matchId: match._id.toString(),
         sharedBy: sharedBy._id.toString(),
+        permission,
+      },
+      match,
+      senderId: sharedBy._id,
+    });
+  }
+
+  // Ranked result confirmation notifications
+  async notifyResultConfirmationRequested(userId, match, requestedBy) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchResultPending',
+      title: 'Confirm Match Result',
+      message: `${requestedBy.fullName} recorded a ranked result against you. Please confirm or dispute it.`,
+      priority: 'high',
+      data: {
+        matchId: match._id.toString(),
+        requestedBy: requestedBy._id.toString(),
+      },
+      match,
+      senderId: requestedBy._id,
+    });
+  }
+
+  async notifyResultConfirmed(userId, match, confirmedBy = null) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchResultConfirmed',
+      title: 'Match Result Confirmed',
+      message: confirmedBy
+        ? `${confirmedBy.fullName} confirmed your ranked match result.`
+        : 'Your ranked match result was confirmed automatically.',
+      priority: 'medium',
+      data: {
+        matchId: match._id.toString(),
+        ...(confirmedBy && { confirmedBy: confirmedBy._id.toString() }),
+      },
+      match,
+      senderId: confirmedBy?._id,
+    });
+  }
+
+  async notifyResultDisputed(userId, match, disputedBy, reason) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchResultDisputed',
+      title: 'Match Result Disputed',
+      message: `${disputedBy.fullName} disputed your ranked match result.`,
+      priority: 'high',
+      data: {
+        matchId: match._id.toString(),
+        disputedBy: disputedBy._id.toString(),
+        reason: reason || '',
+      },
+      match,
+      senderId: disputedBy._id,
+    });
+  }
+
+  // Match invitation notifications
+  async notifyMatchInvitation(userId, match, invitedBy) {
+    const scheduled = match.status === 'pending' && match.startTime;
+
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchInvitation',
+      title: 'Match Invitation',
+      message: scheduled
+        ? `${invitedBy.fullName} invited you to a match at ${
+            match.location
+          } on ${match.startTime.toUTCString()}. Accept to confirm you'll play.`
+        : `${invitedBy.fullName} added you to a match at ${match.location}. Accept to add it to your matches.`,
+      priority: 'high',
+      data: {
+        matchId: match._id.toString(),
+        invitedBy: invitedBy._id.toString(),
+        ...(scheduled && { startTime: match.startTime.toISOString() }),
+      },
+      match,
+      senderId: invitedBy._id,
+    });
+  }
+
+  async notifyMatchInvitationResponse(userId, match, respondedBy, accepted) {
+    return this.sendMatchNotification({
+      userId,
+      type: accepted ? 'matchInvitationAccepted' : 'matchInvitationDeclined',
+      title: accepted ? 'Invitation Accepted' : 'Invitation Declined',
+      message: accepted
+        ? `${respondedBy.fullName} accepted your invitation to the match at ${match.location}.`
+        : `${respondedBy.fullName} declined your invitation to the match at ${match.location}.`,
+      priority: 'medium',
+      data: {
+        matchId: match._id.toString(),
+        respondedBy: respondedBy._id.toString(),
+      },
+      match,
+      senderId: respondedBy._id,
+    });
+  }
+
+  async notifyGuestSlotClaimed(userId, match, claimedBy, guestName) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'guestSlotClaimed',
+      title: 'Guest Spot Claimed',
+      message: `${claimedBy.fullName} claimed ${
+        guestName ? `the guest spot for ${guestName}` : 'a guest spot'
+      } in your match at ${match.location}.`,
+      priority: 'medium',
+      data: {
+        matchId: match._id.toString(),
+        claimedBy: claimedBy._id.toString(),
+      },
+      match,
+      senderId: claimedBy._id,
+    });
+  }
+
+  // Scheduled match notifications
+  async notifyMatchPlayerConfirmed(userId, match, confirmedBy, allConfirmed) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchPlayerConfirmed',
+      title: allConfirmed ? 'Match Confirmed' : 'Player Confirmed',
+      message: allConfirmed
+        ? `${confirmedBy.fullName} confirmed - all players are in for your match at ${match.location}.`
+        : `${confirmedBy.fullName} confirmed they'll play your match at ${match.location}.`,
+      priority: 'medium',
+      data: {
+        matchId: match._id.toString(),
+        confirmedBy: confirmedBy._id.toString(),
+      },
+      match,
+      senderId: confirmedBy._id,
+    });
+  }
+
+  async notifyMatchCancelled(userId, match, cancelledBy) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchCancelled',
+      title: 'Match Cancelled',
+      message: `${cancelledBy.fullName} cancelled the match at ${match.location}${
+        match.cancellationReason ? `: ${match.cancellationReason}` : '.'
+      }`,
+      priority: 'high',
+      data: {
+        matchId: match._id.toString(),
+        cancelledBy: cancelledBy._id.toString(),
+      },
+      match,
+      senderId: cancelledBy._id,
+    });
+  }
+
+  async notifyMatchReminder(userId, match, minutesUntilStart) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchReminder',
+      title: 'Match Starting Soon',
+      message: `Your match at ${match.location} starts in ${minutesUntilStart} minutes.`,
+      priority: 'high',
+      data: {
+        matchId: match._id.toString(),
+        startTime: match.startTime.toISOString(),
+      },
+      match,
+    });
+  }
+
+  // Match comment notifications
+  async notifyMatchComment(userId, match, comment, commentedBy) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchComment',
+      title: 'New Comment',
+      message: `${commentedBy.fullName} commented on the match at ${match.location}.`,
+      priority: 'low',
+      data: {
+        matchId: match._id.toString(),
+        commentId: comment._id.toString(),
+      },
+      match,
+      senderId: commentedBy._id,
+    });
+  }
+
+  async notifyMatchCommentReply(userId, match, reply, repliedBy) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchCommentReply',
+      title: 'New Reply',
+      message: `${repliedBy.fullName} replied to your comment on the match at ${match.location}.`,
+      priority: 'medium',
+      data: {
+        matchId: match._id.toString(),
+        commentId: reply._id.toString(),
+        parentId: reply.parent.toString(),
+      },
+      match,
+      senderId: repliedBy._id,
+    });
+  }
+
+  async notifyMatchCommentLiked(userId, match, comment, likedBy) {
+    return this.sendMatchNotification({
+      userId,
+      type: 'matchCommentLike',
+      title: 'Comment Liked',
+      message: `${likedBy.fullName} liked your comment on the match at ${match.location}.`,
+      priority: 'low',
+      data: {
+        matchId: match._id.toString(),
+        commentId: comment._id.toString(),
       },
       match,
+      senderId: likedBy._id,
     });
   }
 
@@ -0,0 +1,294 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import MatchPoint from '../models/MatchPoint.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { findOne } from '../factory/repo.js';
+import { formatScore } from '../utils/padelScoring.js';
+import {
+  scoreMatchPoints,
+  summarizeMatchPoints,
+  validateMatchPoint,
+} from '../utils/matchPoints.js';
+import { getMatchPermission } from './matchAccessService.js';
+import { requestResultConfirmation } from './matchConfirmationService.js';
+import { applyTournamentMatchResult } from './tournamentService.js';
+import webSocketService from './webSocketService.js';
+
+const POINT_FIELDS = ['winner', 'outcome', 'shotType', 'server', 'hitBy'];
+
+/**
+ * Whether a user may log points on a match: the creator, or a player who
+ * has accepted their place on it
+ * @param {Object} match - Match document
+ * @param {String} userId
+ */
+export const canLogPoints = (match, userId) => {
+  const creatorId = (match.creator?._id || match.creator).toString();
+  if (creatorId === userId.toString()) return true;
+
+  const slot = match.getPlayerSlot(userId);
+  return Boolean(slot) && slot.invitationStatus !== 'pending';
+};
+
+/**
+ * A match's logged points in the order they were played
+ * @param {String} matchId
+ * @returns {Promise<Array<Object>>}
+ */
+export const getMatchPoints = (matchId) =>
+  MatchPoint.find({ match: matchId }).sort({ sequence: 1 }).lean();
+
+/**
+ * Score and stats derived from the point log, shown next to the AI analysis
+ * @param {Object} match - Match document
+ * @param {Array<Object>} points - From getMatchPoints
+ * @returns {Object|null} Null when no points have been logged
+ */
+export const getMatchPointSummary = (match, points) => {
+  if (!points.length) return null;
+
+  const { sets, setsWon, current, winner, errors } = scoreMatchPoints(
+    points,
+    match.score
+  );
+
+  return {
+    score: {
+      sets,
+      setsWon,
+      current,
+      winner,
+      formatted: formatScore({ sets }),
+    },
+    stats: summarizeMatchPoints(points, match),
+    errors,
+  };
+};
+
+/**
+ * Keep the match's recorded score in line with its point log. The score is
+ * written once the points decide the match, and cleared again if a
+ * correction reopens it. Scores entered by hand are left alone.
+ * @param {Object} match - Match document
+ * @param {Object} before - scoreMatchPoints result before the change
+ * @param {Object} after - scoreMatchPoints result after the change
+ * @returns {Boolean} Whether the score changed
+ */
+const syncMatchScore = (match, before, after) => {
+  const recorded = formatScore(match.score);
+  const fromLog =
+    !recorded || (before.winner !== null && recorded === formatScore(before));
+
+  if (!fromLog || (after.winner === null && before.winner === null)) {
+    return false;
+  }
+
+  match.score.sets = after.winner === null ? [] : after.sets;
+  return true;
+};
+
+// Confirmation requests and tournament progress, as for any score update
+const afterScoreChange = async (match, user) => {
+  await requestResultConfirmation(match, user);
+  await applyTournamentMatchResult(match);
+};
+
+const findMatchForLogging = async (matchId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(matchId)) {
+    throw new AppError('Invalid match ID', 400);
+  }
+
+  const match = await findOne(Match, { _id: matchId });
+  if (!match) throw new AppError('No match found', 404);
+
+  if (!canLogPoints(match, userId)) {
+    throw new AppError(
+      'Only the match creator and its players can log points',
+      403
+    );
+  }
+
+  if (match.status === 'cancelled') {
+    throw new AppError('Points cannot be logged on a cancelled match', 400);
+  }
+
+  // The opponents signed off on this result, so its points stay as they are
+  if (match.confirmation?.status === 'confirmed') {
+    throw new AppError(
+      'This match result has been confirmed, so its points can no longer be changed',
+      400
+    );
+  }
+
+  return match;
+};
+
+// Tell everyone watching the match about the new score and stats
+const broadcastPointLog = (match, event, data) => {
+  try {
+    webSocketService.sendToMatchRoom(match._id.toString(), event, {
+      matchId: match._id,
+      ...data,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error(
+      `Failed to broadcast ${event} for match ${match._id}:`,
+      error
+    );
+  }
+};
+
+/**
+ * Append a point to a match's log and update the score from it.
+ * Used by the REST endpoint and the 'logMatchPoint' socket event.
+ * @param {String} matchId
+ * @param {Object} user - User logging the point
+ * @param {Object} data - { winner, outcome, shotType, server, hitBy }
+ * @returns {Promise<{ point: Object, summary: Object, match: Object }>}
+ */
+export const logMatchPoint = async (matchId, user, data = {}) => {
+  const match = await findMatchForLogging(matchId, user._id);
+
+  const fields = Object.fromEntries(
+    POINT_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+      field,
+      data[field],
+    ])
+  );
+
+  const errors = validateMatchPoint(fields, match);
+  if (errors.length) throw new AppError(errors.join('; '), 400);
+
+  const points = await getMatchPoints(match._id);
+
+  if (!points.length && match.score?.sets?.length) {
+    throw new AppError(
+      'This match already has a score entered by hand, so its points cannot be logged',
+      400
+    );
+  }
+
+  const before = scoreMatchPoints(points, match.score);
+  if (before.winner !== null) {
+    throw new AppError(
+      'The logged points have already decided this match',
+      400
+    );
+  }
+
+  let point;
+  try {
+    point = await MatchPoint.create({
+      ...fields,
+      match: match._id,
+      sequence: (points.at(-1)?.sequence || 0) + 1,
+      recordedBy: user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(
+        'Another point was logged at the same time. Refresh the match and try again.',
+        409
+      );
+    }
+    throw error;
+  }
+
+  const updatedPoints = [...points, point.toObject()];
+  const after = scoreMatchPoints(updatedPoints, match.score);
+
+  if (syncMatchScore(match, before, after)) {
+    await match.save();
+    await afterScoreChange(match, user);
+  }
+
+  const summary = getMatchPointSummary(match, updatedPoints);
+  broadcastPointLog(match, 'matchPointLogged', { point, summary });
+
+  return { point, summary, match };
+};
+
+/**
+ * Remove a point from a match's log (e.g. one logged by mistake) and
+ * re-derive the score without it
+ * @param {String} matchId
+ * @param {String} pointId
+ * @param {Object} user - User making the correction
+ * @returns {Promise<{ summary: Object|null, match: Object }>}
+ */
+export const removeMatchPoint = async (matchId, pointId, user) => {
+  const match = await findMatchForLogging(matchId, user._id);
+
+  const points = await getMatchPoints(match._id);
+  const remaining = points.filter((point) => point._id.toString() !== pointId);
+
+  if (remaining.length === points.length) {
+    throw new AppError('No point found on this match', 404);
+  }
+
+  await MatchPoint.deleteOne({ _id: pointId, match: match._id });
+
+  const before = scoreMatchPoints(points, match.score);
+  const after = scoreMatchPoints(remaining, match.score);
+
+  if (syncMatchScore(match, before, after)) {
+    await match.save();
+    await afterScoreChange(match, user);
+  }
+
+  const summary = getMatchPointSummary(match, remaining);
+  broadcastPointLog(match, 'matchPointRemoved', { pointId, summary });
+
+  return { summary, match };
+};
+
+export const getMatchPointsService = catchAsync(async (req, res, next) => {
+  const match = await findOne(Match, { _id: req.params.matchId }, [
+    { path: 'teams.players.player', select: 'fullName image' },
+  ]);
+
+  if (!match) return next(new AppError('No match found', 404));
+
+  if (!(await getMatchPermission(match, req.user._id))) {
+    return next(new AppError('You are not authorized to view this match', 403));
+  }
+
+  const points = await getMatchPoints(match._id);
+
+  res.status(200).json({
+    status: 'success',
+    length: points.length,
+    data: {
+      points,
+      summary: getMatchPointSummary(match, points),
+    },
+  });
+});
+
+export const logMatchPointService = catchAsync(async (req, res, next) => {
+  const { point, summary, match } = await logMatchPoint(
+    req.params.matchId,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: { point, summary, score: match.score },
+  });
+});
+
+export const removeMatchPointService = catchAsync(async (req, res, next) => {
+  const { summary, match } = await removeMatchPoint(
+    req.params.matchId,
+    req.params.pointId,
+    req.user
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { summary, score: match.score },
+  });
+});
@@ -0,0 +1,252 @@
+import Match from '../models/Match.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { findOne } from '../factory/repo.js';
+import matchNotificationService from './matchNotificationService.js';
+
+// How long before the start time players get their reminder
+const REMINDER_LEAD_MINUTES =
+  Number(process.env.MATCH_REMINDER_LEAD_MINUTES) || 60;
+
+const UPCOMING_STATUSES = ['pending', 'confirmed'];
+
+// Send the same notification to several players without one failure stopping the rest
+const notifyPlayers = async (playerIds, send, description) => {
+  const results = await Promise.allSettled(playerIds.map(send));
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) =>
+      console.error(`Failed to send ${description}:`, result.reason)
+    );
+};
+
+/**
+ * Mark a player as confirmed for a scheduled match and confirm the match once
+ * every registered player other than the creator is in. Doesn't save.
+ * @param {Object} match - Match document
+ * @param {String} userId - Confirming player
+ * @returns {{ alreadyConfirmed: Boolean, allConfirmed: Boolean }}
+ */
+export const recordPlayerConfirmation = (match, userId) => {
+  const alreadyConfirmed = match.confirmedPlayers.some(
+    (entry) => entry.player.toString() === userId.toString()
+  );
+
+  if (!alreadyConfirmed) {
+    match.confirmedPlayers.push({ player: userId });
+  }
+
+  const creatorId = match.creator.toString();
+  const confirmedIds = match.confirmedPlayers.map((entry) =>
+    entry.player.toString()
+  );
+  const allConfirmed = match
+    .getRegisteredPlayerIds()
+    .filter((playerId) => playerId !== creatorId)
+    .every((playerId) => confirmedIds.includes(playerId));
+
+  if (allConfirmed) match.status = 'confirmed';
+
+  return { alreadyConfirmed, allConfirmed };
+};
+
+// Shared checks for the confirm/cancel endpoints
+const findScheduledMatch = async (matchId, userId) => {
+  const match = await findOne(Match, { _id: matchId });
+
+  if (!match) return { error: new AppError('No match found', 404) };
+
+  const isCreator = match.creator.toString() === userId.toString();
+  const isPlayer = match.getRegisteredPlayerIds().includes(userId.toString());
+
+  if (!isCreator && !isPlayer) {
+    return {
+      error: new AppError('Only players in this match can respond to it', 403),
+    };
+  }
+
+  if (!UPCOMING_STATUSES.includes(match.status)) {
+    return {
+      error: new AppError(
+        `This match is ${match.status} and can no longer be changed`,
+        400
+      ),
+    };
+  }
+
+  return { match, isCreator };
+};
+
+export const confirmScheduledMatchService = catchAsync(
+  async (req, res, next) => {
+    const { match, isCreator, error } = await findScheduledMatch(
+      req.params.matchId,
+      req.user._id
+    );
+
+    if (error) return next(error);
+
+    // The creator is in by definition - only the invited players confirm
+    if (isCreator) {
+      return next(
+        new AppError('The match creator does not need to confirm', 400)
+      );
+    }
+
+    if (match.getPlayerSlot(req.user._id)?.invitationStatus === 'pending') {
+      return next(
+        new AppError('Accept your invitation to this match first', 400)
+      );
+    }
+
+    const { alreadyConfirmed, allConfirmed } = recordPlayerConfirmation(
+      match,
+      req.user._id
+    );
+
+    await match.save();
+
+    if (!alreadyConfirmed) {
+      await matchNotificationService.notifyMatchPlayerConfirmed(
+        match.creator,
+        match,
+        req.user,
+        allConfirmed
+      );
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: allConfirmed
+        ? 'All players have confirmed this match'
+        : 'You have confirmed this match',
+      data: {
+        match,
+      },
+    });
+  }
+);
+
+export const cancelScheduledMatchService = catchAsync(
+  async (req, res, next) => {
+    const { match, isCreator, error } = await findScheduledMatch(
+      req.params.matchId,
+      req.user._id
+    );
+
+    if (error) return next(error);
+
+    // Cancelling calls it off for everyone, so only the creator can
+    if (!isCreator) {
+      return next(
+        new AppError(
+          'Only the match creator can cancel it - decline your invitation instead',
+          403
+        )
+      );
+    }
+
+    match.status = 'cancelled';
+    match.cancelledBy = req.user._id;
+    match.cancelledAt = new Date();
+    match.cancellationReason = req.body.reason;
+    await match.save();
+
+    const userId = req.user._id.toString();
+    const otherPlayerIds = [
+      ...new Set([match.creator.toString(), ...match.getRegisteredPlayerIds()]),
+    ].filter((playerId) => playerId !== userId);
+
+    await notifyPlayers(
+      otherPlayerIds,
+      (playerId) =>
+        matchNotificationService.notifyMatchCancelled(
+          playerId,
+          match,
+          req.user
+        ),
+      `cancellation notification for match ${match._id}`
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Match cancelled',
+      data: {
+        match,
+      },
+    });
+  }
+);
+
+/**
+ * Upcoming (pending or confirmed) matches a user created or plays in
+ * @param {String} userId
+ * @param {Object} options
+ * @param {Boolean} options.publicOnly - Only include public matches
+ * @returns {Promise<Array>}
+ */
+export const getUpcomingMatches = async (
+  userId,
+  { publicOnly = false } = {}
+) => {
+  const query = {
+    status: { $in: UPCOMING_STATUSES },
+    ...Match.participantCriteria(userId),
+  };
+  if (publicOnly) query.public = true;
+
+  return Match.find(query)
+    .sort({ startTime: 1 })
+    .populate({ path: 'teams.players.player', select: 'fullName image' })
+    .populate({ path: 'venue', select: 'name address' });
+};
+
+/**
+ * Remind the creator and every player who has accepted their place about
+ * matches starting within the lead time. A rescheduled match is reminded
+ * again, see the Match pre('save') hooks.
+ * Each match is claimed before sending so overlapping runs don't double up.
+ * @returns {Promise<Number>} Number of matches reminded
+ */
+export const sendDueMatchReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+
+  const dueMatches = await Match.find({
+    status: { $in: UPCOMING_STATUSES },
+    startTime: { $gt: now, $lte: horizon },
+    reminderSentAt: { $exists: false },
+  });
+
+  let remindedCount = 0;
+
+  for (const match of dueMatches) {
+    const claim = await Match.updateOne(
+      { _id: match._id, reminderSentAt: { $exists: false } },
+      { $set: { reminderSentAt: now } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    // Invitees who haven't accepted yet aren't expected to turn up
+    const minutesUntilStart = Math.round((match.startTime - now) / 60000);
+    const playerIds = [
+      ...new Set([match.creator.toString(), ...match.getAcceptedPlayerIds()]),
+    ];
+
+    await notifyPlayers(
+      playerIds,
+      (playerId) =>
+        matchNotificationService.notifyMatchReminder(
+          playerId,
+          match,
+          minutesUntilStart
+        ),
+      `reminder for match ${match._id}`
+    );
+
+    remindedCount += 1;
+  }
+
+  return remindedCount;
+};
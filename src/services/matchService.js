@@ -1,5 +1,4 @@
-import { createOne, deleteOne, findOne, getAll } from '../factory/repo.js';
-import { findOneAndUpdate } from '../factory/userRepo.js';
+import { createOne, findOne, getAll } from '../factory/repo.js';
 import Match from '../models/Match.js';
 import AppError from '../utils/appError.js';
 import catchAsync from '../utils/catchAsync.js';
@@ -26,12 +25,32 @@ import {
   getBatchPresignedUrls,
 } from './multipartUploadService.js';
 import StreamingService from './streamingService.js';
+import { requestResultConfirmation } from './matchConfirmationService.js';
+import { applyTournamentMatchResult } from './tournamentService.js';
+import { getUpcomingMatches } from './matchScheduleService.js';
+import { getMatchPermission } from './matchAccessService.js';
+import { getMatchPointSummary, getMatchPoints } from './matchPointService.js';
+import { getMatchNote } from './matchNoteService.js';
+import { MATCH_TRASH_DAYS, moveMatchToTrash } from './matchTrashService.js';
+import { PartnershipAggregator } from './partnershipService.js';
+import {
+  checkDuplicateVideo,
+  deleteVideoObject,
+} from './videoFingerprintService.js';
+import MatchHistoryFeatures from '../utils/matchHistoryFeatures.js';
+import {
+  sendMatchInvitations,
+  stripInvitationStatuses,
+} from './matchInvitationService.js';
 
 export const createMatchServiceService = catchAsync(async (req, res, next) => {
+  stripInvitationStatuses(req.body);
   const match = await createOne(Match, req.body);
 
   // Send notification using the dedicated service
   await matchNotificationService.notifyMatchCreated(req.user._id, match);
+  await requestResultConfirmation(match, req.user);
+  await sendMatchInvitations(match, req.user);
 
   res.status(201).json({
     status: 'success',
@@ -208,6 +227,7 @@ export const getMatchService = catchAsync(async (req, res, next) => {
       },
       [
         { path: 'analysisStatusId' },
+        { path: 'venue', select: 'name address geo courts surface courtType' },
         {
           path: 'creator',
           populate: {
@@ -222,7 +242,9 @@ export const getMatchService = catchAsync(async (req, res, next) => {
 
   if (!match) return next(new AppError('No match found', 404));
 
-  if (!match.public && userId.toString() != match.creator.id.toString()) {
+  const permission = await getMatchPermission(match, userId);
+
+  if (!permission) {
     return next(
       new AppError(
         "You are not authorized to view this match because it's not made public",
@@ -231,6 +253,10 @@ export const getMatchService = catchAsync(async (req, res, next) => {
     );
   }
 
+  // Viewers see the match as it is - only the creator's views kick off
+  // analysis work, since it runs against the creator's quota
+  const isOwner = permission === 'owner';
+
   // Player detection is now handled by:
   // 1. Upload service (quick attempt with 10s timeout)
   // 2. Cron job (background processing and retry)
@@ -272,6 +298,7 @@ export const getMatchService = catchAsync(async (req, res, next) => {
 
   // Only auto-start analysis if player detection is completed
   if (
+    isOwner &&
     !match.analysisStatus &&
     match.formattedPlayerData &&
     match.playerDetectionStatus === 'completed'
@@ -303,13 +330,14 @@ export const getMatchService = catchAsync(async (req, res, next) => {
     }
   }
 
-  if (match.analysisStatus === 'failed') {
+  if (isOwner && match.analysisStatus === 'failed') {
     try {
       await VideoAnalysisService.restartAnalysis(match.analysisId || match._id);
       match.analysisStatus = 'processing';
 
       if (analysisStatus) {
         analysisStatus.status = 'processing';
+        analysisStatus.started_at = new Date();
         await analysisStatus.save();
       }
 
@@ -344,13 +372,20 @@ export const getMatchService = catchAsync(async (req, res, next) => {
 
   await match.save();
 
-  let analysis = await findOne(Analysis, { match_id: match._id });
+  let analysis = await findOne(Analysis, {
+    match_id: { $in: match.getAnalysisMatchIds() },
+    ...Analysis.currentCriteria(),
+  });
 
   if (analysis) {
     const analysisObj = analysis.toObject ? analysis.toObject() : analysis;
     analysis = filterAnalysisResultsBySubscription(analysisObj, match.creator);
   }
 
+  // Score and winners/errors from a hand-logged point log, if there is one
+  const pointLog = getMatchPointSummary(match, await getMatchPoints(match._id));
+  const note = await getMatchNote(match._id, req.user._id);
+
   // Build comprehensive status message
   let message = 'Match retrieved successfully.';
 
@@ -359,11 +394,17 @@ export const getMatchService = catchAsync(async (req, res, next) => {
   } else if (match.playerDetectionStatus === 'failed') {
     message =
       'Match retrieved. Player detection failed. Our system will retry automatically.';
-  } else if (!quotaCheck.canAnalyze && match.analysisStatus != 'completed') {
+  } else if (
+    isOwner &&
+    !quotaCheck.canAnalyze &&
+    match.analysisStatus != 'completed'
+  ) {
     message =
       'Match analysis failed to start. You have exceeded your quota for this week.';
   } else if (match.analysisStatus === 'failed') {
     message = 'Match analysis failed, restarting now...';
+  } else if (match.analysisStatus === 'quarantined') {
+    message = 'Match analysis results are being reviewed by our team.';
   } else if (
     match.analysisStatus === 'processing' ||
     match.analysisStatus === 'pending'
@@ -385,7 +426,10 @@ export const getMatchService = catchAsync(async (req, res, next) => {
     data: {
       match,
       analysis,
+      pointLog,
+      note,
       processingStatus,
+      permission,
     },
   });
 });
@@ -475,59 +519,17 @@ async function processPlayersAsync(matchId, videoUrl) {
 
 export const getAllMatchesService = catchAsync(async (req, res, next) => {
   const { _id: userId } = req.user;
-  req.query.creator = userId;
 
-  const matches = await Match.aggregate([
-    {
-      $match: {
-        creator: new mongoose.Types.ObjectId(userId),
-      },
-    },
-    {
-      $lookup: {
-        from: 'analyses',
-        let: {
-          matchAnalysisId: '$analysisId',
-          matchObjectId: '$_id',
-        },
-        pipeline: [
-          {
-            $match: {
-              $expr: {
-                $or: [
-                  { $eq: ['$match_id', '$$matchAnalysisId'] },
-                  { $eq: ['$match_id', { $toString: '$$matchObjectId' }] },
-                ],
-              },
-            },
-          },
-        ],
-        as: 'analysis',
-      },
-    },
-    {
-      $addFields: {
-        firstPlayer: {
-          $let: {
-            vars: { analysisDoc: { $arrayElemAt: ['$analysis', 0] } },
-            in: {
-              $cond: {
-                if: { $ne: ['$$analysisDoc', null] },
-                then: {
-                  $arrayElemAt: [
-                    '$$analysisDoc.player_analytics.players',
-                    { $ifNull: ['$creatorPlayerIndex', 0] },
-                  ],
-                },
-                else: null,
-              },
-            },
-          },
-        },
-      },
-    },
-    { $unset: 'analysis' },
-  ]);
+  const features = new MatchHistoryFeatures(
+    Match.aggregate().match(Match.participantCriteria(userId)),
+    req.query,
+    userId
+  )
+    .filter()
+    .sort()
+    .paginate();
+
+  const matches = await features.query;
 
   // Compute processing status for all matches
   const { computeMatchProcessingStatus } = await import('../utils/matchStatusHelper.js');
@@ -546,70 +548,26 @@ export const getAllMatchesService = catchAsync(async (req, res, next) => {
 });
 
 export const getUserMatchesService = catchAsync(async (req, res, next) => {
-  const matches = await Match.aggregate([
-    {
-      $match: {
-        creator: new mongoose.Types.ObjectId(req.query.userId),
-        analysisStatus: 'completed',
-      },
-    },
-    {
-      $lookup: {
-        from: 'analyses',
-        let: {
-          matchAnalysisId: '$analysisId',
-          matchObjectId: '$_id',
-        },
-        pipeline: [
-          {
-            $match: {
-              $expr: {
-                $or: [
-                  { $eq: ['$match_id', '$$matchAnalysisId'] },
-                  { $eq: ['$match_id', { $toString: '$$matchObjectId' }] },
-                ],
-              },
-            },
-          },
-        ],
-        as: 'analysis',
-      },
-    },
-    {
-      $addFields: {
-        firstPlayer: {
-          $let: {
-            vars: { analysisDoc: { $arrayElemAt: ['$analysis', 0] } },
-            in: {
-              $cond: {
-                if: { $ne: ['$$analysisDoc', null] },
-                then: {
-                  $arrayElemAt: [
-                    '$$analysisDoc.player_analytics.players',
-                    { $ifNull: ['$creatorPlayerIndex', 0] },
-                  ],
-                },
-                else: null,
-              },
-            },
-          },
-        },
-      },
-    },
-    { $unset: 'analysis' },
-    // {
-    //   $project: {
-    //     format: 1,
-    //     type: 1,
-    //     teams: 1,
-    //     location: 1,
-    //     analysisStatus: 1,
-    //     firstPlayer: 1,
-    //     createdAt: 1,
-    //     updatedAt: 1,
-    //   },
-    // },
-  ]);
+  if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+    return next(new AppError('Invalid user ID', 400));
+  }
+
+  const userId = new mongoose.Types.ObjectId(req.query.userId);
+
+  const features = new MatchHistoryFeatures(
+    Match.aggregate().match({
+      ...Match.participantCriteria(userId),
+      analysisStatus: 'completed',
+    }),
+    req.query,
+    userId,
+    { viewerId: req.user._id }
+  )
+    .filter()
+    .sort()
+    .paginate();
+
+  const matches = await features.query;
 
   // Compute processing status for all matches
   const { computeMatchProcessingStatus } = await import('../utils/matchStatusHelper.js');
@@ -618,19 +576,41 @@ export const getUserMatchesService = catchAsync(async (req, res, next) => {
     processingStatus: computeMatchProcessingStatus(match),
   }));
 
+  // Scheduled matches that haven't been played yet are listed separately.
+  // Other users' schedules only show their public matches.
+  const upcoming = await getUpcomingMatches(req.query.userId, {
+    publicOnly: req.query.userId !== req.user._id.toString(),
+  });
+
   res.status(200).json({
     status: 'success',
     length: matchesWithStatus.length,
-    data: { matches: matchesWithStatus },
+    data: { matches: matchesWithStatus, upcoming },
   });
 });
 
+// Fields the creator can edit. The result confirmation, lifecycle status,
+// sharing, analysis and trash state all have their own endpoints or are
+// kept by the server, so they're never taken from an update request.
+const MATCH_UPDATE_FIELDS = [
+  'format',
+  'type',
+  'location',
+  'venue',
+  'teams',
+  'score',
+  'startTime',
+  'public',
+];
+
+// Fields that decide a ranked result, fixed once it is confirmed and rated
+const MATCH_RESULT_FIELDS = ['format', 'type', 'teams', 'score'];
+
 export const updateMatchService = catchAsync(async (req, res, next) => {
-  const match = await findOneAndUpdate(
-    Match,
-    { _id: req.params.matchId, creator: req.user._id },
-    req.body
-  );
+  const match = await findOne(Match, {
+    _id: req.params.matchId,
+    creator: req.user._id,
+  });
 
   if (!match)
     return next(
@@ -640,8 +620,38 @@ export const updateMatchService = catchAsync(async (req, res, next) => {
       )
     );
 
+  // Save through the document so the pre('save') team and score validation
+  // runs and the winner is derived from the updated score. Merge so a partial
+  // score update (e.g. only `sets`) keeps the existing mode and format.
+  const updates = Object.fromEntries(
+    Object.entries(req.body).filter(([field]) =>
+      MATCH_UPDATE_FIELDS.includes(field)
+    )
+  );
+  stripInvitationStatuses(updates);
+
+  // Ratings were applied from the confirmed result, see applyMatchRating
+  if (
+    match.type === 'ranked' &&
+    match.confirmation?.status === 'confirmed' &&
+    MATCH_RESULT_FIELDS.some((field) => field in updates)
+  ) {
+    return next(
+      new AppError(
+        'This ranked result has been confirmed and rated, so its format, type, teams and score can no longer be changed',
+        400
+      )
+    );
+  }
+
+  match.set(updates, undefined, { merge: true });
+  await match.save();
+
   // Send notification using the dedicated service
   await matchNotificationService.notifyMatchUpdated(req.user._id, match);
+  await requestResultConfirmation(match, req.user);
+  await sendMatchInvitations(match, req.user);
+  await applyTournamentMatchResult(match);
 
   res.status(200).json({
     status: 'success',
@@ -651,8 +661,10 @@ export const updateMatchService = catchAsync(async (req, res, next) => {
   });
 });
 
+// Deleting moves the match to the trash - it can be restored until the
+// purge job removes it along with its analysis and video
 export const deleteMatchService = catchAsync(async (req, res, next) => {
-  const match = await deleteOne(Match, {
+  const match = await findOne(Match, {
     _id: req.params.matchId,
     creator: req.user._id,
   });
@@ -665,10 +677,13 @@ export const deleteMatchService = catchAsync(async (req, res, next) => {
       )
     );
 
+  await moveMatchToTrash(match, req.user);
+
   // Send notification using the dedicated service
   await matchNotificationService.notifyMatchDeleted(
     req.user._id,
-    req.params.matchId
+    req.params.matchId,
+    MATCH_TRASH_DAYS
   );
 
   res.status(204).json({
@@ -1051,12 +1066,14 @@ const startVideoAnalysis = async (
     console.log('Player color:', generateColorString(match));
     console.log('Processing priority:', priority);
 
-    const analysisResult = await VideoAnalysisService.analyzeVideo({
+    const parameters = {
       video_path: match.video, // New API only needs video URL,
       players_data: requestBody.playersData
         ? requestBody.playersData
         : match.players,
-    });
+    };
+
+    const analysisResult = await VideoAnalysisService.analyzeVideo(parameters);
 
     if (!analysisResult || !analysisResult.job_id) {
       throw new Error('Analysis failed to start');
@@ -1066,6 +1083,8 @@ const startVideoAnalysis = async (
       match_id: match._id,
       status: 'processing', // Set initial status
       message: 'Analysis started successfully',
+      started_at: new Date(),
+      parameters, // Recorded on the analysis version this run produces
     });
 
     // Update match with analysis info - store job_id as analysisId
@@ -1144,7 +1163,9 @@ export const getUserProfileService = catchAsync(async (req, res, next) => {
 
   if (!user) return next(new AppError('User not found'));
 
-  const matchCount = await Match.countDocuments({ creator: userId });
+  const matchCount = await Match.countDocuments(
+    Match.participantCriteria(userId)
+  );
   const followers = await Follow.countDocuments({ following: userId });
   const following = await Follow.countDocuments({ follower: userId });
 
@@ -1155,10 +1176,20 @@ export const getUserProfileService = catchAsync(async (req, res, next) => {
 
   const isFollowing = follow ? true : false;
 
+  const record = await getWinLossRecord(userId);
+
+  // Other users' partnerships only come from their public matches
+  const { partners } = await PartnershipAggregator.getPartnerships(userId, {
+    publicOnly: userId.toString() !== req.user._id.toString(),
+  });
+  const bestPartners = PartnershipAggregator.getBestPartners(partners);
+
   res.status(200).json({
     status: 'success',
     data: {
       matchCount,
+      record,
+      bestPartners,
       followers,
       following,
       isFollowing,
@@ -1170,6 +1201,42 @@ export const getUserProfileService = catchAsync(async (req, res, next) => {
   });
 });
 
+// Wins and losses across matches the user played in that have a decided score.
+// Ranked results only count once the opponents have confirmed them, and
+// matches the user was invited to only once they've accepted.
+const getWinLossRecord = async (userId) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+
+  const [record] = await Match.aggregate([
+    {
+      $match: {
+        ...Match.acceptedPlayerCriteria(userObjectId),
+        'score.winner': { $in: [0, 1] },
+        ...Match.countedResultCriteria(),
+      },
+    },
+    {
+      $project: {
+        won: {
+          $in: [
+            userObjectId,
+            { $arrayElemAt: ['$teams.players.player', '$score.winner'] },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        wins: { $sum: { $cond: ['$won', 1, 0] } },
+        losses: { $sum: { $cond: ['$won', 0, 1] } },
+      },
+    },
+  ]);
+
+  return { wins: record?.wins || 0, losses: record?.losses || 0 };
+};
+
 const generateColorString = (match) => {
   // Function to extract colors from a team
   const getTeamColors = (team) => {
@@ -1210,6 +1277,7 @@ export const checkAnalysisQuotaService = catchAsync(async (req, res, next) => {
   const analysesThisWeek = await Analysis.countDocuments({
     created_by: req.user._id,
     createdAt: { $gte: quotaCheck.startOfWeek },
+    version: { $not: { $gt: 1 } }, // Re-runs of a match don't use up quota
   });
 
   res.status(200).json({
@@ -2238,6 +2306,19 @@ export const completeMatchVideoUploadService = catchAsync(
       // Complete the multipart upload in S3
       const result = await completeMultipartUpload(uploadId, key, parts);
 
+      // The same video uploaded twice shouldn't be analysed twice
+      const duplicate = await checkDuplicateVideo(match, result.key);
+
+      if (duplicate.status === 'rejected') {
+        match.videoUpload.status = 'failed';
+        await match.save();
+        await deleteVideoObject(result.key);
+
+        return next(new AppError(duplicate.message, 409));
+      }
+
+      const reused = duplicate.status === 'reused';
+
       // Update match with video URL and status
       match.video = result.location;
       match.videoUpload.status = 'completed';
@@ -2247,28 +2328,43 @@ export const completeMatchVideoUploadService = catchAsync(
 
       await match.save();
 
-      // Initiate player detection asynchronously
-      processPlayersAsync(matchId, result.location).catch((error) => {
-        console.error(
-          `Failed to start player detection for match ${matchId}:`,
-          error
+      if (reused) {
+        await matchNotificationService.notifyDuplicateVideo(
+          req.user._id,
+          match,
+          duplicate.original,
+          duplicate.message
         );
-      });
-
-      // Send notification about successful upload
-      await matchNotificationService.notifyVideoUploaded(
-        req.user._id,
-        match,
-        result.location
-      );
+      } else {
+        // Initiate player detection asynchronously
+        processPlayersAsync(matchId, result.location).catch((error) => {
+          console.error(
+            `Failed to start player detection for match ${matchId}:`,
+            error
+          );
+        });
+
+        // Send notification about successful upload
+        await matchNotificationService.notifyVideoUploaded(
+          req.user._id,
+          match,
+          result.location
+        );
+      }
 
       console.log(`✅ Match video upload completed for match ${matchId}`);
       console.log(`📁 Video location: ${result.location}`);
-      console.log(`🔍 Player detection initiated`);
+      console.log(
+        reused
+          ? `♻️ Reusing analysis from match ${duplicate.original._id}`
+          : `🔍 Player detection initiated`
+      );
 
       res.status(200).json({
         status: 'success',
-        message: 'Video uploaded successfully. Player detection in progress.',
+        message: reused
+          ? duplicate.message
+          : 'Video uploaded successfully. Player detection in progress.',
         data: {
           matchId: match._id,
           location: result.location,
@@ -2277,7 +2373,8 @@ export const completeMatchVideoUploadService = catchAsync(
           key: result.key,
           totalParts: parts.length,
           fileSize: match.videoUpload.fileSize,
-          playerDetectionStatus: 'processing',
+          playerDetectionStatus: reused ? 'completed' : 'processing',
+          duplicateOf: match.duplicateOf,
           uploadedAt: match.videoUpload.completedAt,
         },
       });
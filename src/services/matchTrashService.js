@@ -0,0 +1,217 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+import AnalysisStatus from '../models/AnalysisStatus.js';
+import CoachingInsight from '../models/CoachingInsight.js';
+import MatchInvitation from '../models/MatchInvitation.js';
+import MatchPoint from '../models/MatchPoint.js';
+import MatchComment from '../models/MatchComment.js';
+import Like from '../models/Like.js';
+import GuestClaim from '../models/GuestClaim.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { VideoAnalysisService } from './analysisService.js';
+import { deleteVideoObject, getS3Key } from './videoFingerprintService.js';
+
+// How long deleted matches can be restored before they are purged for good
+export const MATCH_TRASH_DAYS = Number(process.env.MATCH_TRASH_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getPurgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + MATCH_TRASH_DAYS * DAY_MS);
+
+/**
+ * Analysis match_ids that belong to this match alone. An analysis another
+ * match also points at - its original, or a match reusing it (see
+ * videoFingerprintService) - stays where it is.
+ * @param {Object} match - Match document
+ * @param {Object} options
+ * @param {Boolean} options.withDeleted - Count trashed matches as references
+ *   too, as they can still be restored until they are purged
+ * @returns {Promise<Array<String>>}
+ */
+const getOwnAnalysisMatchIds = async (match, { withDeleted = false } = {}) => {
+  const ids = match.getAnalysisMatchIds();
+
+  const others = await Match.find({
+    _id: { $ne: match._id },
+    $or: [
+      { _id: { $in: ids.filter((id) => mongoose.Types.ObjectId.isValid(id)) } },
+      { analysisId: { $in: ids } },
+      { reusedAnalysisId: { $in: ids } },
+    ],
+  })
+    .select('analysisId reusedAnalysisId')
+    .setOptions({ withDeleted });
+
+  const shared = new Set(
+    others.flatMap((other) => other.getAnalysisMatchIds())
+  );
+
+  return ids.filter((id) => !shared.has(id));
+};
+
+/**
+ * Move a match to the trash. Its analysis is hidden along with it, so it
+ * drops out of stats and leaderboards until the match is restored.
+ * @param {Object} match - Match document
+ * @param {Object} user - User deleting the match
+ * @returns {Promise<Date>} When the match will be purged
+ */
+export const moveMatchToTrash = async (match, user) => {
+  const deletedAt = new Date();
+
+  await Match.updateOne(
+    { _id: match._id },
+    { $set: { deletedAt, deletedBy: user._id } }
+  );
+
+  await Analysis.updateMany(
+    { match_id: { $in: await getOwnAnalysisMatchIds(match) } },
+    { $set: { deletedAt } }
+  );
+
+  return getPurgeDate(deletedAt);
+};
+
+/**
+ * Permanently delete a trashed match and everything hanging off it: the
+ * analysis (here and on the analysis server), its coaching insights and
+ * status records, the point log, comments, invitations, claim links and
+ * the video.
+ * @param {Object} match - Trashed match document
+ */
+export const purgeMatch = async (match) => {
+  const analysisMatchIds = await getOwnAnalysisMatchIds(match, {
+    withDeleted: true,
+  });
+
+  if (analysisMatchIds.length) {
+    if (analysisMatchIds.includes(match.analysisId)) {
+      try {
+        await VideoAnalysisService.deleteAnalysis(match.analysisId);
+      } catch (error) {
+        // The analysis server may already have dropped it - carry on
+        console.error(
+          `Failed to delete analysis ${match.analysisId} on the analysis server:`,
+          error.message
+        );
+      }
+    }
+
+    const analyses = await Analysis.find({
+      match_id: { $in: analysisMatchIds },
+      deletedAt: { $exists: true },
+    }).select('_id');
+    const analysisIds = analyses.map((analysis) => analysis._id);
+
+    await CoachingInsight.deleteMany({ analysis: { $in: analysisIds } });
+    await Analysis.deleteMany({ _id: { $in: analysisIds } });
+  }
+
+  const commentIds = await MatchComment.distinct('_id', { match: match._id });
+
+  await Promise.all([
+    AnalysisStatus.deleteMany({ match_id: match._id }),
+    MatchComment.deleteMany({ match: match._id }),
+    Like.deleteMany({
+      target: { $in: commentIds },
+      targetType: 'MatchComment',
+    }),
+    MatchPoint.deleteMany({ match: match._id }),
+    MatchInvitation.deleteMany({ match: match._id }),
+    GuestClaim.deleteMany({ match: match._id }),
+  ]);
+
+  // Only remove the video if no other match points at the same object -
+  // trashed ones included, they may still be restored
+  const videoKey = getS3Key(match.video);
+  if (
+    videoKey &&
+    !(await Match.exists({
+      _id: { $ne: match._id },
+      video: match.video,
+    }).setOptions({ withDeleted: true }))
+  ) {
+    await deleteVideoObject(videoKey);
+  }
+
+  await Match.deleteOne({ _id: match._id });
+};
+
+/**
+ * Purge every match that has been in the trash longer than MATCH_TRASH_DAYS.
+ * One match failing doesn't stop the rest - it is retried on the next run.
+ * @returns {Promise<Number>} Number of matches purged
+ */
+export const purgeExpiredMatches = async () => {
+  const cutoff = new Date(Date.now() - MATCH_TRASH_DAYS * DAY_MS);
+  const matches = await Match.find({ deletedAt: { $lte: cutoff } });
+
+  let purgedCount = 0;
+
+  for (const match of matches) {
+    try {
+      await purgeMatch(match);
+      purgedCount += 1;
+    } catch (error) {
+      console.error(`Failed to purge match ${match._id}:`, error);
+    }
+  }
+
+  return purgedCount;
+};
+
+export const getTrashedMatchesService = catchAsync(async (req, res, next) => {
+  const matches = await Match.find({
+    creator: req.user._id,
+    deletedAt: { $ne: null },
+  })
+    .sort({ deletedAt: -1 })
+    .populate('venue', 'name address');
+
+  res.status(200).json({
+    status: 'success',
+    length: matches.length,
+    data: {
+      matches: matches.map((match) => ({
+        ...match.toObject(),
+        purgeAt: getPurgeDate(match.deletedAt),
+      })),
+    },
+  });
+});
+
+export const restoreMatchService = catchAsync(async (req, res, next) => {
+  const match = await Match.findOne({
+    _id: req.params.matchId,
+    creator: req.user._id,
+    deletedAt: { $ne: null },
+  });
+
+  if (!match) {
+    return next(new AppError('No deleted match found to restore', 404));
+  }
+
+  // A match reusing another's analysis gets that analysis back as well
+  const analysisMatchIds = match.getAnalysisMatchIds();
+
+  await Match.updateOne(
+    { _id: match._id, deletedAt: { $ne: null } },
+    { $unset: { deletedAt: 1, deletedBy: 1 } }
+  );
+  await Analysis.updateMany(
+    { match_id: { $in: analysisMatchIds }, deletedAt: { $ne: null } },
+    { $unset: { deletedAt: 1 } }
+  );
+
+  const restored = await Match.findById(match._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Match restored',
+    data: {
+      match: restored,
+    },
+  });
+});
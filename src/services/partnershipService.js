@@ -0,0 +1,295 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { PlayerAnalyticsAggregator } from './analysisService.js';
+import {
+  analysisLookupStage,
+  analysisPlayerExpression,
+} from '../utils/matchHistoryFeatures.js';
+
+// Matches a pair needs together before they can show up as best partners
+const BEST_PARTNER_MIN_MATCHES =
+  Number(process.env.BEST_PARTNER_MIN_MATCHES) || 3;
+
+// Metrics compared with and without each partner
+const PARTNERSHIP_METRICS = {
+  distance_km: { field: 'total_distance_km', label: 'distance covered' },
+  speed_kmh: { field: 'average_speed_kmh', label: 'average speed' },
+  net_dominance_percentage: {
+    field: 'net_dominance_percentage',
+    label: 'net dominance',
+  },
+  total_shots: { field: 'shots.total_shots', label: 'shot count' },
+  shot_success_rate: {
+    field: 'shots.success_rate',
+    label: 'shot success rate',
+  },
+};
+
+class PartnershipAggregator extends PlayerAnalyticsAggregator {
+  /**
+   * Doubles stats for each registered partner a user has played with: matches
+   * together, record, combined court coverage, and how the user's own metrics
+   * with that partner compare to their doubles averages overall
+   * @param {String} userId
+   * @param {Object} options
+   * @param {Boolean} options.publicOnly - Only include public matches
+   * @returns {Promise<{overall: Object, partners: Array}>}
+   */
+  static async getPartnerships(userId, { publicOnly = false } = {}) {
+    const user = new mongoose.Types.ObjectId(userId);
+
+    const userTeam = {
+      $indexOfArray: [
+        {
+          $map: {
+            input: '$teams',
+            as: 'team',
+            in: { $in: [user, { $ifNull: ['$$team.players.player', []] }] },
+          },
+        },
+        true,
+      ],
+    };
+
+    // The other registered player on the user's team, if there is one
+    const partner = {
+      $arrayElemAt: [
+        {
+          $filter: {
+            input: {
+              $ifNull: [
+                { $arrayElemAt: ['$teams.players.player', '$user_team'] },
+                [],
+              ],
+            },
+            as: 'player',
+            cond: { $ne: ['$$player', user] },
+          },
+        },
+        0,
+      ],
+    };
+
+    // Same rule as Match.countedResultCriteria, as an expression
+    const counted = {
+      $and: [
+        { $in: ['$score.winner', [0, 1]] },
+        {
+          $or: [
+            { $ne: ['$type', 'ranked'] },
+            { $eq: ['$confirmation.status', 'confirmed'] },
+          ],
+        },
+      ],
+    };
+
+    const metricAverages = (prefix) =>
+      Object.fromEntries(
+        Object.entries(PARTNERSHIP_METRICS).map(([name, { field }]) => [
+          name,
+          { $avg: `$${prefix}_player.${field}` },
+        ])
+      );
+
+    const matchCriteria = {
+      format: 'double',
+      ...Match.acceptedPlayerCriteria(user),
+      status: { $nin: ['pending', 'confirmed', 'cancelled'] },
+    };
+    if (publicOnly) matchCriteria.public = true;
+
+    try {
+      const [result] = await Match.aggregate([
+        { $match: matchCriteria },
+        { $addFields: { user_team: userTeam } },
+        { $addFields: { partner } },
+
+        analysisLookupStage(),
+        {
+          $addFields: {
+            user_player: analysisPlayerExpression(user, { creatorOnly: true }),
+            partner_player: analysisPlayerExpression('$partner', {
+              creatorOnly: true,
+            }),
+            won: {
+              $cond: [counted, { $eq: ['$score.winner', '$user_team'] }, null],
+            },
+          },
+        },
+        { $unset: 'analysis' },
+
+        {
+          $facet: {
+            overall: [
+              {
+                $group: {
+                  _id: null,
+                  matches: { $sum: 1 },
+                  ...metricAverages('user'),
+                },
+              },
+            ],
+            partners: [
+              { $match: { partner: { $ne: null } } },
+              {
+                $group: {
+                  _id: '$partner',
+                  matches: { $sum: 1 },
+                  wins: { $sum: { $cond: [{ $eq: ['$won', true] }, 1, 0] } },
+                  losses: {
+                    $sum: { $cond: [{ $eq: ['$won', false] }, 1, 0] },
+                  },
+                  analysed: {
+                    $sum: {
+                      $cond: [{ $ifNull: ['$user_player', false] }, 1, 0],
+                    },
+                  },
+                  // Ground the pair covered together, when both were analysed
+                  combined_distance_km: {
+                    $avg: {
+                      $add: [
+                        '$user_player.total_distance_km',
+                        '$partner_player.total_distance_km',
+                      ],
+                    },
+                  },
+                  last_played: { $max: '$createdAt' },
+                  ...metricAverages('user'),
+                },
+              },
+              { $sort: { matches: -1, last_played: -1 } },
+            ],
+          },
+        },
+      ]);
+
+      const round = (value) =>
+        value === null || value === undefined
+          ? null
+          : Math.round(value * 100) / 100;
+
+      const metricsOf = (group) =>
+        Object.fromEntries(
+          Object.keys(PARTNERSHIP_METRICS).map((name) => [
+            name,
+            round(group?.[name]),
+          ])
+        );
+
+      const overall = {
+        matches: result.overall[0]?.matches || 0,
+        averages: metricsOf(result.overall[0]),
+      };
+
+      const partnerUsers = await User.find({
+        _id: { $in: result.partners.map((group) => group._id) },
+      }).select('fullName image');
+
+      const partners = result.partners.map((group) => {
+        const averages = metricsOf(group);
+        const decided = group.wins + group.losses;
+
+        // How the user's numbers with this partner differ from their usual
+        const deltas = Object.fromEntries(
+          Object.keys(PARTNERSHIP_METRICS).map((name) => [
+            name,
+            averages[name] === null || !overall.averages[name]
+              ? null
+              : this.calculatePercentageChange(
+                  overall.averages[name],
+                  averages[name]
+                ),
+          ])
+        );
+
+        const partnerUser = partnerUsers.find((candidate) =>
+          candidate._id.equals(group._id)
+        );
+
+        return {
+          partner: partnerUser || { _id: group._id },
+          matches: group.matches,
+          wins: group.wins,
+          losses: group.losses,
+          win_rate: decided ? round((group.wins / decided) * 100) : null,
+          analysed_matches: group.analysed,
+          combined_distance_km: round(group.combined_distance_km),
+          averages,
+          deltas,
+          highlight: this.getPartnerHighlight(deltas),
+          last_played: group.last_played,
+        };
+      });
+
+      return { overall, partners };
+    } catch (error) {
+      throw new Error(`Error calculating partnerships: ${error.message}`);
+    }
+  }
+
+  /**
+   * Partners the user does best with, by win rate and then matches played.
+   * Only pairs with at least BEST_PARTNER_MIN_MATCHES decided results count.
+   * @param {Array} partners - From getPartnerships
+   * @param {Number} limit
+   */
+  static getBestPartners(partners, limit = 3) {
+    return partners
+      .filter(
+        (partnership) =>
+          partnership.wins + partnership.losses >= BEST_PARTNER_MIN_MATCHES
+      )
+      .sort((a, b) => b.win_rate - a.win_rate || b.matches - a.matches)
+      .slice(0, limit);
+  }
+
+  /**
+   * The biggest difference with a partner as a sentence, e.g.
+   * "Your net dominance is 8% higher with this partner"
+   * @param {Object} deltas - Percentage change per PARTNERSHIP_METRICS key
+   */
+  static getPartnerHighlight(deltas) {
+    const [name, delta] =
+      Object.entries(deltas)
+        .filter(([, value]) => value !== null && value !== 0)
+        .sort(([, a], [, b]) => Math.abs(b) - Math.abs(a))[0] || [];
+
+    if (!name) return null;
+
+    return `Your ${PARTNERSHIP_METRICS[name].label} is ${Math.abs(
+      Math.round(delta)
+    )}% ${delta > 0 ? 'higher' : 'lower'} with this partner`;
+  }
+}
+
+export const getPartnershipsService = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid user ID', 400));
+  }
+
+  if (!(await User.exists({ _id: id }))) {
+    return next(new AppError('User not found', 404));
+  }
+
+  // Someone looking at another player only sees their public matches
+  const { overall, partners } = await PartnershipAggregator.getPartnerships(
+    id,
+    { publicOnly: id !== req.user._id.toString() }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      overall,
+      bestPartners: PartnershipAggregator.getBestPartners(partners),
+      partners,
+    },
+  });
+});
+
+export { PartnershipAggregator };
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RatingHistory from '../models/RatingHistory.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import {
+  DEFAULT_RATING,
+  PROVISIONAL_MATCHES,
+  calculateRatingChanges,
+} from '../utils/ratingCalculator.js';
+
+const getRatingKey = (format) => (format === 'double' ? 'doubles' : 'singles');
+
+/**
+ * Update player ratings for a ranked match whose result now counts
+ * (confirmed by the opponents or auto-confirmed).
+ *
+ * Guest slots are rated at the default rating so a registered player still
+ * gets credit for beating (or losing to) an unregistered one. A match with no
+ * registered player on one side is not rated. Each match is only rated once,
+ * and updateMatchService refuses result changes after confirmation.
+ *
+ * @param {Object} match - Match document
+ * @returns {Promise<Array>} Rating history entries created (empty if skipped)
+ */
+export const applyMatchRating = async (match) => {
+  if (
+    match.type !== 'ranked' ||
+    match.confirmation?.status !== 'confirmed' ||
+    ![0, 1].includes(match.score?.winner)
+  ) {
+    return [];
+  }
+
+  if (await RatingHistory.exists({ match: match._id })) return [];
+
+  const teamPlayerIds = match.teams.map((team) =>
+    team.players
+      .map((playerObj) => playerObj.player?._id || playerObj.player)
+      .filter(Boolean)
+      .map((playerId) => playerId.toString())
+  );
+
+  if (teamPlayerIds.some((ids) => ids.length === 0)) return [];
+
+  const ratingKey = getRatingKey(match.format);
+  const users = await User.find({ _id: { $in: teamPlayerIds.flat() } })
+    .select(`rating.${ratingKey}`)
+    .lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const teams = match.teams.map((team) =>
+    team.players.map((playerObj) => {
+      const playerId = (
+        playerObj.player?._id || playerObj.player
+      )?.toString();
+      const current = usersById.get(playerId)?.rating?.[ratingKey];
+
+      return {
+        id: usersById.has(playerId) ? playerId : null,
+        rating: current?.rating ?? DEFAULT_RATING,
+        matches: current?.matches ?? 0,
+        peak: current?.peak ?? DEFAULT_RATING,
+      };
+    })
+  );
+
+  const playersById = new Map(
+    teams.flat().map((player) => [player.id, player])
+  );
+  const changes = calculateRatingChanges(teams, match.score.winner).filter(
+    (change) => change.id
+  );
+
+  const ratedAt = new Date();
+
+  await User.bulkWrite(
+    changes.map((change) => {
+      const player = playersById.get(change.id);
+
+      return {
+        updateOne: {
+          filter: { _id: change.id },
+          update: {
+            $set: {
+              [`rating.${ratingKey}.rating`]: change.ratingAfter,
+              [`rating.${ratingKey}.peak`]: Math.max(
+                player.peak,
+                change.ratingAfter
+              ),
+              [`rating.${ratingKey}.matches`]: player.matches + 1,
+              [`rating.${ratingKey}.lastMatchAt`]: ratedAt,
+            },
+          },
+        },
+      };
+    })
+  );
+
+  return RatingHistory.insertMany(
+    changes.map(({ id, ...change }) => ({
+      ...change,
+      user: id,
+      match: match._id,
+      format: match.format,
+    }))
+  );
+};
+
+export const getUserRatingService = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { format } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid user ID', 400));
+  }
+
+  if (format && !['single', 'double'].includes(format)) {
+    return next(new AppError("format must be 'single' or 'double'", 400));
+  }
+
+  const user = await User.findById(id).select('fullName image rating');
+
+  if (!user) return next(new AppError('User not found', 404));
+
+  const historyQuery = { user: user._id };
+  if (format) historyQuery.format = format;
+
+  const history = await RatingHistory.find(historyQuery)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate({ path: 'match', select: 'format type score teams createdAt' });
+
+  const describe = (rating) => ({
+    rating: rating.rating,
+    peak: rating.peak,
+    matches: rating.matches,
+    provisional: rating.matches < PROVISIONAL_MATCHES,
+    lastMatchAt: rating.lastMatchAt,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: {
+        _id: user._id,
+        fullName: user.fullName,
+        image: user.image,
+      },
+      rating: {
+        singles: describe(user.rating.singles),
+        doubles: describe(user.rating.doubles),
+      },
+      history,
+    },
+  });
+});
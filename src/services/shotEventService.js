@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { getMatchPermission } from './matchAccessService.js';
+import { filterAnalysisResultsBySubscription } from '../utils/subscriptionUtils.js';
+import {
+  buildShotHistogram,
+  buildVelocityDistribution,
+  collectShotEvents,
+  filterShotEvents,
+  parseShotQuery,
+} from '../utils/shotTimeline.js';
+
+/**
+ * Find an analysis by its document ID (any version) or by the analysis
+ * server's job ID (the match's current version)
+ * @param {String} analysisId
+ * @returns {Promise<Object|null>}
+ */
+const findAnalysis = async (analysisId) => {
+  if (mongoose.Types.ObjectId.isValid(analysisId)) {
+    return Analysis.findById(analysisId);
+  }
+
+  const analysis = await Analysis.findOne({
+    job_id: analysisId,
+    ...Analysis.currentCriteria(),
+  });
+  if (analysis) return analysis;
+
+  // Analyses saved before job_id was recorded
+  const match = await Match.findOne({ analysisId });
+  if (!match) return null;
+
+  return Analysis.findOne({
+    match_id: { $in: match.getAnalysisMatchIds() },
+    ...Analysis.currentCriteria(),
+  });
+};
+
+/**
+ * The match an analysis belongs to that the user can view. A reused
+ * analysis (see videoFingerprintService) can belong to several.
+ * @param {Object} analysis
+ * @param {Object} user
+ * @returns {Promise<Object>} Match document, creator populated
+ */
+const findViewableMatch = async (analysis, user) => {
+  const matchIds = [
+    { analysisId: analysis.match_id },
+    { reusedAnalysisId: analysis.match_id },
+  ];
+  if (mongoose.Types.ObjectId.isValid(analysis.match_id)) {
+    matchIds.push({ _id: analysis.match_id });
+  }
+
+  const matches = await Match.find({ $or: matchIds }).populate({
+    path: 'creator',
+    populate: {
+      path: 'subscription',
+      model: 'Subscription',
+    },
+  });
+  if (!matches.length) throw new AppError('No match found', 404);
+
+  for (const match of matches) {
+    if (await getMatchPermission(match, user._id)) return match;
+  }
+
+  throw new AppError('You are not authorized to view this match', 403);
+};
+
+// Shot events of an analysis as a timeline, see utils/shotTimeline.js for
+// the query params
+export const getShotEventsService = catchAsync(async (req, res, next) => {
+  const filters = parseShotQuery(req.query);
+
+  const analysis = await findAnalysis(req.params.analysisId);
+  if (!analysis) return next(new AppError('No analysis found', 404));
+
+  const match = await findViewableMatch(analysis, req.user);
+
+  // Shot types the match creator's plan doesn't include are left out, as
+  // on the match itself
+  const visible = filterAnalysisResultsBySubscription(
+    analysis.toObject(),
+    match.creator
+  );
+  const players = analysis.player_analytics?.players || [];
+  visible.player_analytics?.players?.forEach((player, index) => {
+    player.user = players[index]?.user;
+  });
+
+  const shots = filterShotEvents(collectShotEvents(visible), filters);
+  const durationMinutes = analysis.player_analytics?.metadata?.duration_minutes;
+
+  res.status(200).json({
+    status: 'success',
+    length: shots.length,
+    data: {
+      analysis: {
+        _id: analysis._id,
+        match_id: analysis.match_id,
+        version: analysis.version || 1,
+        duration_minutes: durationMinutes ?? null,
+        fps: analysis.player_analytics?.metadata?.fps ?? null,
+      },
+      shots,
+      histogram: buildShotHistogram(shots, {
+        from: filters.from,
+        to: filters.to,
+        durationSeconds: (durationMinutes || 0) * 60,
+      }),
+      velocity: buildVelocityDistribution(shots, filters.velocityBin),
+    },
+  });
+});
@@ -0,0 +1,356 @@
+import mongoose from 'mongoose';
+import SocialSession from '../models/SocialSession.js';
+import Match from '../models/Match.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { createOne, findOne } from '../factory/repo.js';
+import webSocketService from './webSocketService.js';
+import {
+  buildAmericanoSchedule,
+  buildMexicanoRound,
+  computeSessionStandings,
+} from '../utils/socialSessionScheduler.js';
+
+const playerPopulate = {
+  path: 'players.player',
+  select: 'fullName image',
+};
+
+const isOrganizer = (session, userId) =>
+  (session.organizer?._id || session.organizer).toString() ===
+  userId.toString();
+
+const isSessionPlayer = (session, userId, indexes) =>
+  indexes.some((index) => {
+    const player = session.players[index]?.player;
+    return player && (player._id || player).toString() === userId.toString();
+  });
+
+/**
+ * Standings with each row's player details attached
+ */
+const getStandings = (session) =>
+  computeSessionStandings(session.players.length, session.rounds).map(
+    ({ index, ...row }, position) => ({
+      rank: position + 1,
+      player: session.players[index],
+      ...row,
+    })
+  );
+
+/**
+ * Draw the next round and create a doubles Match for each game in it
+ */
+const startNextRound = async (session) => {
+  let roundPlan;
+
+  if (session.mode === 'americano') {
+    roundPlan = session.schedule[session.rounds.length];
+  } else {
+    const standings = computeSessionStandings(
+      session.players.length,
+      session.rounds
+    );
+    const sitOuts = [];
+    standings.forEach((row) => {
+      sitOuts[row.index] = row.satOut;
+    });
+
+    roundPlan = buildMexicanoRound(
+      standings.map((row) => row.index),
+      sitOuts,
+      session.courts
+    );
+  }
+
+  // Players signed up for the session, so there's nothing to accept
+  const toTeam = (indexes) => ({
+    players: indexes.map((index) => {
+      const { player, name } = session.players[index];
+      return player
+        ? { player: player._id || player, invitationStatus: 'accepted' }
+        : { name };
+    }),
+  });
+
+  // Created one by one so the Match pre('save') hooks run. The round is
+  // played straight away, so its games start now rather than being upcoming
+  const startTime = new Date();
+  const matches = await Promise.all(
+    roundPlan.games.map((game) =>
+      createOne(Match, {
+        format: 'double',
+        type: 'friendly',
+        startTime,
+        creator: session.organizer?._id || session.organizer,
+        location: session.location,
+        teams: game.teams.map(toTeam),
+        socialSession: session._id,
+      })
+    )
+  );
+
+  session.rounds.push({
+    number: session.rounds.length + 1,
+    games: roundPlan.games.map((game, index) => ({
+      court: index + 1,
+      teams: game.teams,
+      match: matches[index]._id,
+    })),
+    sittingOut: roundPlan.sittingOut,
+  });
+};
+
+export const createSocialSessionService = catchAsync(
+  async (req, res, next) => {
+    const { name, mode, location, courts, pointsPerGame, totalRounds } =
+      req.body;
+    const players = req.body.players || [];
+
+    if (players.length < 4) {
+      return next(new AppError('A session needs at least 4 players', 400));
+    }
+
+    if (!(courts >= 1)) {
+      return next(new AppError('A session needs at least 1 court', 400));
+    }
+
+    const playerIds = players
+      .filter((entry) => entry.player)
+      .map((entry) => entry.player.toString());
+
+    if (playerIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return next(new AppError('Invalid player ID', 400));
+    }
+
+    if (new Set(playerIds).size !== playerIds.length) {
+      return next(new AppError('A player can only be added once', 400));
+    }
+
+    if (players.some((entry) => !entry.player && !entry.name)) {
+      return next(
+        new AppError('Each player needs a registered user or a name', 400)
+      );
+    }
+
+    const registeredCount = await User.countDocuments({
+      _id: { $in: playerIds },
+    });
+
+    if (registeredCount !== playerIds.length) {
+      return next(new AppError('One or more players were not found', 404));
+    }
+
+    const session = new SocialSession({
+      name,
+      mode,
+      location,
+      courts,
+      pointsPerGame,
+      organizer: req.user._id,
+      players: players.map(({ player, name: playerName }) => ({
+        player,
+        name: playerName,
+      })),
+    });
+
+    // Fail on bad input before any matches get created
+    await session.validate();
+
+    // Americano plays out its fixed rotation; Mexicano defaults to the same length
+    const fullRotation = buildAmericanoSchedule(
+      session.players.length,
+      session.courts
+    );
+    session.totalRounds = Math.min(
+      parseInt(totalRounds) || fullRotation.length,
+      session.mode === 'americano' ? fullRotation.length : Infinity
+    );
+    if (session.mode === 'americano') {
+      session.schedule = fullRotation.slice(0, session.totalRounds);
+    }
+
+    await startNextRound(session);
+    await session.save();
+    await session.populate(playerPopulate);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        session,
+      },
+    });
+  }
+);
+
+export const getSocialSessionService = catchAsync(async (req, res, next) => {
+  const session = await findOne(
+    SocialSession,
+    { _id: req.params.sessionId },
+    [playerPopulate, { path: 'organizer', select: 'fullName image' }]
+  );
+
+  if (!session) return next(new AppError('No session found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      session,
+    },
+  });
+});
+
+export const getSessionStandingsService = catchAsync(
+  async (req, res, next) => {
+    const session = await findOne(
+      SocialSession,
+      { _id: req.params.sessionId },
+      playerPopulate
+    );
+
+    if (!session) return next(new AppError('No session found', 404));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        round: session.rounds.length,
+        totalRounds: session.totalRounds,
+        status: session.status,
+        standings: getStandings(session),
+      },
+    });
+  }
+);
+
+export const reportSessionGameScoreService = catchAsync(
+  async (req, res, next) => {
+    const { sessionId, roundNumber, court } = req.params;
+    const { points } = req.body;
+
+    const session = await findOne(SocialSession, { _id: sessionId });
+
+    if (!session) return next(new AppError('No session found', 404));
+
+    const round = session.rounds.find(
+      (r) => r.number === parseInt(roundNumber)
+    );
+    const game = round?.games.find((g) => g.court === parseInt(court));
+
+    if (!game) return next(new AppError('No game found', 404));
+
+    // Scores can be corrected until the round is closed by its last result
+    if (round.status === 'completed') {
+      return next(new AppError('This round has already finished', 400));
+    }
+
+    if (
+      !isOrganizer(session, req.user._id) &&
+      !isSessionPlayer(session, req.user._id, game.teams.flat())
+    ) {
+      return next(
+        new AppError(
+          'Only the organizer or the players in this game can report its score',
+          403
+        )
+      );
+    }
+
+    if (
+      !Array.isArray(points) ||
+      points.length !== 2 ||
+      !points.every((n) => Number.isInteger(n) && n >= 0)
+    ) {
+      return next(
+        new AppError('points must be a pair of non-negative whole numbers', 400)
+      );
+    }
+
+    if (points[0] + points[1] !== session.pointsPerGame) {
+      return next(
+        new AppError(
+          `Points must add up to ${session.pointsPerGame} for this session`,
+          400
+        )
+      );
+    }
+
+    game.points = points;
+    game.status = 'completed';
+
+    if (round.games.every((g) => g.status === 'completed')) {
+      round.status = 'completed';
+
+      if (session.rounds.length >= session.totalRounds) {
+        session.status = 'completed';
+        session.completedAt = new Date();
+      }
+    }
+
+    await session.save();
+
+    // Points are kept on the match too so it reads correctly on its own
+    const match = await findOne(Match, { _id: game.match });
+    if (match) {
+      match.teams.forEach((team, index) => {
+        team.score = points[index];
+      });
+      match.status = 'completed';
+      await match.save();
+    }
+
+    await session.populate(playerPopulate);
+    const standings = getStandings(session);
+    webSocketService.handleSessionStandingsUpdated(session, standings);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Score recorded',
+      data: {
+        round,
+        standings,
+      },
+    });
+  }
+);
+
+export const startNextSessionRoundService = catchAsync(
+  async (req, res, next) => {
+    const session = await findOne(SocialSession, {
+      _id: req.params.sessionId,
+    });
+
+    if (!session) return next(new AppError('No session found', 404));
+
+    if (!isOrganizer(session, req.user._id)) {
+      return next(
+        new AppError('Only the organizer can start the next round', 403)
+      );
+    }
+
+    if (session.status === 'completed') {
+      return next(new AppError('This session has finished', 400));
+    }
+
+    if (session.currentRound?.status !== 'completed') {
+      return next(
+        new AppError(
+          'All scores for the current round must be in before the next round',
+          400
+        )
+      );
+    }
+
+    await startNextRound(session);
+    await session.save();
+    await session.populate(playerPopulate);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        round: session.currentRound,
+        standings: getStandings(session),
+      },
+    });
+  }
+);
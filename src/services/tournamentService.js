@@ -0,0 +1,563 @@
+import mongoose from 'mongoose';
+import Tournament from '../models/Tournament.js';
+import Match from '../models/Match.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { createOne, findOne, getAll } from '../factory/repo.js';
+import { deriveMatchResult } from '../utils/padelScoring.js';
+import { DEFAULT_RATING } from '../utils/ratingCalculator.js';
+import {
+  buildEliminationFixtures,
+  buildGroupFixtures,
+  settleFixtures,
+  recordFixtureResult,
+  computeGroupStandings,
+  getGroupWinners,
+} from '../utils/tournamentBracket.js';
+
+const entrantPopulate = {
+  path: 'entrants.players',
+  select: 'fullName image rating',
+};
+
+const isOrganizer = (tournament, userId) =>
+  (tournament.organizer?._id || tournament.organizer).toString() ===
+  userId.toString();
+
+/**
+ * Order entrants for seeding: explicit seeds first, then by skill rating
+ * (team average for doubles), then by who joined first
+ */
+const orderEntrantsBySeed = async (tournament) => {
+  const ratingKey = tournament.format === 'double' ? 'doubles' : 'singles';
+  const playerIds = tournament.entrants.flatMap((entrant) => entrant.players);
+  const users = await User.find({ _id: { $in: playerIds } })
+    .select(`rating.${ratingKey}`)
+    .lean();
+  const ratings = new Map(
+    users.map((user) => [
+      user._id.toString(),
+      user.rating?.[ratingKey]?.rating ?? DEFAULT_RATING,
+    ])
+  );
+
+  const entrantRating = (entrant) =>
+    entrant.players.reduce(
+      (sum, player) => sum + (ratings.get(player.toString()) ?? DEFAULT_RATING),
+      0
+    ) / entrant.players.length;
+
+  return [...tournament.entrants].sort(
+    (a, b) =>
+      (a.seed ?? Infinity) - (b.seed ?? Infinity) ||
+      entrantRating(b) - entrantRating(a) ||
+      a.joinedAt - b.joinedAt
+  );
+};
+
+/**
+ * Create the Match for a fixture once both entrants are known
+ */
+const createFixtureMatch = async (tournament, fixture) => {
+  const teams = fixture.slots.map((slot) => ({
+    // Entrants signed up for the tournament, so there's nothing to accept
+    players: tournament.getEntrant(slot.entrant).players.map((player) => ({
+      player,
+      invitationStatus: 'accepted',
+    })),
+  }));
+
+  const match = await createOne(Match, {
+    format: tournament.format,
+    type: 'tournament',
+    status: 'pending', // Completed by the pre('save') hook once scored
+    creator: tournament.organizer?._id || tournament.organizer,
+    location: tournament.location,
+    teams,
+    score: {
+      mode: tournament.matchSettings.mode,
+      bestOf: tournament.matchSettings.bestOf,
+      superTiebreak: tournament.matchSettings.superTiebreak,
+    },
+    tournament: tournament._id,
+    tournamentFixture: fixture.key,
+  });
+
+  fixture.match = match._id;
+  return match;
+};
+
+/**
+ * Once every group has been played, draw the knockout between the group
+ * winners. Only tournaments with more than one group have one.
+ * @returns {Array<Object>} Knockout fixtures ready to be played
+ */
+const startKnockoutStage = (tournament) => {
+  if (
+    tournament.bracketType !== 'group_stage' ||
+    tournament.groupCount < 2 ||
+    tournament.fixtures.some(
+      (fixture) => fixture.bracket !== 'group' || fixture.status !== 'completed'
+    )
+  ) {
+    return [];
+  }
+
+  tournament.fixtures.push(
+    ...buildEliminationFixtures(getGroupWinners(tournament.fixtures))
+  );
+  return settleFixtures(tournament.fixtures);
+};
+
+// A single group ends with its table; elimination brackets, and the knockout
+// after several groups, end at the fixture nobody advances from
+const updateTournamentCompletion = (tournament) => {
+  if (tournament.bracketType === 'group_stage' && tournament.groupCount === 1) {
+    if (tournament.fixtures.some((fixture) => fixture.status !== 'completed'))
+      return;
+
+    const [leader] = computeGroupStandings(
+      tournament.fixtures,
+      tournament.entrants.map((entrant) => entrant._id)
+    );
+    tournament.winner = leader?.entrant;
+  } else {
+    const final = tournament.fixtures.find(
+      (fixture) =>
+        !fixture.winnerTo && !['losers', 'group'].includes(fixture.bracket)
+    );
+    if (!final || !['completed', 'bye'].includes(final.status)) return;
+
+    tournament.winner = final.winner;
+  }
+
+  tournament.status = 'completed';
+  tournament.completedAt = new Date();
+};
+
+/**
+ * Advance the tournament after one of its fixture matches gets a result.
+ * Safe to call for any match - does nothing unless the match is an
+ * unfinished tournament fixture with a decided score.
+ * @param {Object} match - Saved match document
+ * @returns {Promise<Object|null>} Updated tournament, or null if nothing changed
+ */
+export const applyTournamentMatchResult = async (match) => {
+  if (!match.tournament || ![0, 1].includes(match.score?.winner)) return null;
+
+  const tournament = await Tournament.findById(match.tournament);
+  if (!tournament || tournament.status !== 'in_progress') return null;
+
+  const fixture = tournament.getFixture(match.tournamentFixture);
+  if (!fixture || fixture.status !== 'ready') return null;
+
+  fixture.result = {
+    sets: match.teams.map((team) => team.score),
+    games: [0, 1].map((teamIndex) =>
+      match.score.sets.reduce(
+        (sum, set) => sum + (set.games?.[teamIndex] || 0),
+        0
+      )
+    ),
+  };
+
+  // Match teams are built in slot order, so the team index is the slot
+  const readyFixtures = recordFixtureResult(
+    tournament.fixtures,
+    fixture.key,
+    match.score.winner
+  );
+  readyFixtures.push(...startKnockoutStage(tournament));
+
+  for (const readyFixture of readyFixtures) {
+    await createFixtureMatch(tournament, readyFixture);
+  }
+
+  updateTournamentCompletion(tournament);
+  await tournament.save();
+
+  return tournament;
+};
+
+export const createTournamentService = catchAsync(async (req, res, next) => {
+  const {
+    name,
+    description,
+    format,
+    bracketType,
+    groupCount,
+    location,
+    startDate,
+    maxEntrants,
+    matchSettings,
+  } = req.body;
+
+  if (bracketType !== 'group_stage' && groupCount > 1) {
+    return next(
+      new AppError('groupCount only applies to group_stage tournaments', 400)
+    );
+  }
+
+  const tournament = await createOne(Tournament, {
+    name,
+    description,
+    format,
+    bracketType,
+    groupCount,
+    location,
+    startDate,
+    maxEntrants,
+    matchSettings,
+    organizer: req.user._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      tournament,
+    },
+  });
+});
+
+export const getAllTournamentsService = catchAsync(async (req, res, next) => {
+  const tournaments = await getAll(Tournament, req.query, {}, [
+    { path: 'organizer', select: 'fullName image' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tournaments,
+    },
+  });
+});
+
+export const getTournamentService = catchAsync(async (req, res, next) => {
+  const tournament = await findOne(
+    Tournament,
+    { _id: req.params.tournamentId },
+    [{ path: 'organizer', select: 'fullName image' }, entrantPopulate]
+  );
+
+  if (!tournament) return next(new AppError('No tournament found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tournament,
+    },
+  });
+});
+
+export const joinTournamentService = catchAsync(async (req, res, next) => {
+  const { partnerId, name } = req.body;
+
+  const tournament = await findOne(Tournament, {
+    _id: req.params.tournamentId,
+  });
+
+  if (!tournament) return next(new AppError('No tournament found', 404));
+
+  if (tournament.status !== 'registration') {
+    return next(
+      new AppError('Registration for this tournament has closed', 400)
+    );
+  }
+
+  if (tournament.entrants.length >= tournament.maxEntrants) {
+    return next(new AppError('This tournament is full', 400));
+  }
+
+  const players = [req.user._id];
+
+  if (tournament.format === 'double') {
+    if (!partnerId || !mongoose.Types.ObjectId.isValid(partnerId)) {
+      return next(
+        new AppError('A partner is required to join a doubles tournament', 400)
+      );
+    }
+
+    if (partnerId.toString() === req.user._id.toString()) {
+      return next(new AppError('You cannot partner yourself', 400));
+    }
+
+    const partner = await findOne(User, { _id: partnerId });
+    if (!partner) return next(new AppError('Partner not found', 404));
+
+    players.push(partner._id);
+  }
+
+  const alreadyEntered = players.find((playerId) =>
+    tournament.getEntrantForUser(playerId)
+  );
+
+  if (alreadyEntered) {
+    return next(
+      new AppError(
+        alreadyEntered === req.user._id
+          ? 'You have already joined this tournament'
+          : 'Your partner has already joined this tournament',
+        400
+      )
+    );
+  }
+
+  tournament.entrants.push({ players, name });
+  await tournament.save();
+  await tournament.populate(entrantPopulate);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Joined tournament successfully',
+    data: {
+      tournament,
+    },
+  });
+});
+
+export const startTournamentService = catchAsync(async (req, res, next) => {
+  const tournament = await findOne(Tournament, {
+    _id: req.params.tournamentId,
+  });
+
+  if (!tournament) return next(new AppError('No tournament found', 404));
+
+  if (!isOrganizer(tournament, req.user._id)) {
+    return next(
+      new AppError('Only the organizer can start this tournament', 403)
+    );
+  }
+
+  if (tournament.status !== 'registration') {
+    return next(new AppError('This tournament has already started', 400));
+  }
+
+  const minEntrants =
+    tournament.bracketType === 'group_stage' ? tournament.groupCount * 2 : 2;
+
+  if (tournament.entrants.length < minEntrants) {
+    return next(
+      new AppError(
+        `At least ${minEntrants} entrants are needed to start this tournament`,
+        400
+      )
+    );
+  }
+
+  const seeded = await orderEntrantsBySeed(tournament);
+  seeded.forEach((entrant, index) => {
+    entrant.seed = index + 1;
+  });
+  const entrantIds = seeded.map((entrant) => entrant._id);
+
+  tournament.fixtures =
+    tournament.bracketType === 'group_stage'
+      ? buildGroupFixtures(entrantIds, tournament.groupCount)
+      : buildEliminationFixtures(entrantIds, {
+          doubleElimination: tournament.bracketType === 'double_elimination',
+        });
+
+  // Byes are walked through straight away; everything else gets a match
+  const readyFixtures = settleFixtures(tournament.fixtures);
+
+  for (const fixture of readyFixtures) {
+    await createFixtureMatch(tournament, fixture);
+  }
+
+  tournament.status = 'in_progress';
+  tournament.startedAt = new Date();
+  await tournament.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Tournament started',
+    data: {
+      tournament,
+    },
+  });
+});
+
+export const getTournamentBracketService = catchAsync(
+  async (req, res, next) => {
+    const tournament = await findOne(
+      Tournament,
+      { _id: req.params.tournamentId },
+      [
+        entrantPopulate,
+        { path: 'fixtures.match', select: 'score teams.score' },
+      ]
+    );
+
+    if (!tournament) return next(new AppError('No tournament found', 404));
+
+    const describeEntrant = (entrantId) => {
+      const entrant = tournament.getEntrant(entrantId);
+      if (!entrant) return null;
+
+      return {
+        _id: entrant._id,
+        seed: entrant.seed,
+        name:
+          entrant.name ||
+          entrant.players.map((player) => player.fullName).join(' / '),
+        players: entrant.players,
+      };
+    };
+
+    const describeFixture = (fixture) => ({
+      key: fixture.key,
+      round: fixture.round,
+      position: fixture.position,
+      status: fixture.status,
+      entrants: fixture.slots.map((slot) => describeEntrant(slot.entrant)),
+      winner: describeEntrant(fixture.winner),
+      match: fixture.match,
+      result: fixture.result,
+    });
+
+    const groupByRound = (fixtures) =>
+      fixtures.reduce((rounds, fixture) => {
+        rounds[fixture.round - 1] = rounds[fixture.round - 1] || [];
+        rounds[fixture.round - 1].push(describeFixture(fixture));
+        return rounds;
+      }, []);
+
+    const inBracket = (bracket) =>
+      tournament.fixtures.filter((fixture) => fixture.bracket === bracket);
+
+    let bracket;
+
+    if (tournament.bracketType === 'group_stage') {
+      const groupNumbers = [
+        ...new Set(inBracket('group').map((fixture) => fixture.group)),
+      ];
+
+      bracket = {
+        groups: groupNumbers.map((group) => {
+          const fixtures = inBracket('group').filter(
+            (fixture) => fixture.group === group
+          );
+          const entrantIds = [
+            ...new Set(
+              fixtures.flatMap((fixture) =>
+                fixture.slots.map((slot) => slot.entrant.toString())
+              )
+            ),
+          ];
+
+          return {
+            group,
+            standings: computeGroupStandings(fixtures, entrantIds).map(
+              ({ entrant, ...row }) => ({
+                entrant: describeEntrant(entrant),
+                ...row,
+              })
+            ),
+            rounds: groupByRound(fixtures),
+          };
+        }),
+        // Drawn between the group winners once every group has been played
+        knockout: groupByRound(inBracket('winners')),
+      };
+    } else {
+      const [grandFinal] = inBracket('grand_final');
+
+      bracket = {
+        winners: groupByRound(inBracket('winners')),
+        losers: groupByRound(inBracket('losers')),
+        grandFinal: grandFinal ? describeFixture(grandFinal) : null,
+      };
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tournament: {
+          _id: tournament._id,
+          name: tournament.name,
+          format: tournament.format,
+          bracketType: tournament.bracketType,
+          status: tournament.status,
+          winner: describeEntrant(tournament.winner),
+        },
+        bracket,
+      },
+    });
+  }
+);
+
+export const reportFixtureResultService = catchAsync(
+  async (req, res, next) => {
+    const { tournamentId, fixtureKey } = req.params;
+    const { score } = req.body;
+
+    const tournament = await findOne(Tournament, { _id: tournamentId });
+
+    if (!tournament) return next(new AppError('No tournament found', 404));
+
+    const fixture = tournament.getFixture(fixtureKey);
+
+    if (!fixture) return next(new AppError('No fixture found', 404));
+
+    if (fixture.status !== 'ready') {
+      return next(
+        new AppError(
+          fixture.status === 'completed'
+            ? 'A result has already been reported for this fixture'
+            : 'This fixture is not ready to be played yet',
+          400
+        )
+      );
+    }
+
+    const isFixturePlayer = fixture.slots.some((slot) =>
+      tournament
+        .getEntrant(slot.entrant)
+        .players.some(
+          (player) => player.toString() === req.user._id.toString()
+        )
+    );
+
+    if (!isOrganizer(tournament, req.user._id) && !isFixturePlayer) {
+      return next(
+        new AppError(
+          'Only the organizer or the players in this fixture can report its result',
+          403
+        )
+      );
+    }
+
+    const match = await findOne(Match, { _id: fixture.match });
+
+    if (!match) return next(new AppError('No match found for fixture', 404));
+
+    match.set({ score }, undefined, { merge: true });
+
+    // Knockout fixtures need a winner, so reject scores that don't decide one
+    const { errors, winner } = deriveMatchResult(match.score);
+    if (errors.length) {
+      return next(
+        new AppError(`Invalid match score: ${errors.join('; ')}`, 400)
+      );
+    }
+    if (winner === null) {
+      return next(
+        new AppError('The score must decide a winner to report a result', 400)
+      );
+    }
+
+    await match.save();
+
+    const updatedTournament = await applyTournamentMatchResult(match);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Result reported',
+      data: {
+        match,
+        tournament: updatedTournament,
+      },
+    });
+  }
+);
@@ -53,3 +53,23 @@ export const uploadUserImage = upload.single('image');
 
 export const uploadFile = upload.single('attachment');
 export const uploadDocument = upload.single('document');
+
+// CSV files are parsed straight from memory, never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+  fileFilter: (req, file, cb) => {
+    if (
+      ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(
+        file.mimetype
+      ) ||
+      file.originalname.toLowerCase().endsWith('.csv')
+    ) {
+      cb(null, true);
+    } else {
+      cb(new AppError('File is not a CSV. Please upload a .csv file.', 400));
+    }
+  },
+});
+
+export const uploadCsv = csvUpload.single('file');
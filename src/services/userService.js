@@ -48,7 +48,10 @@ export const getUsersService = catchAsync(async (req, res, next) => {
 export const updateUserService = catchAsync(async (req, res, next) => {
   const { id } = req.user;
 
-  const user = await updateOne(User, { _id: id }, req.body);
+  // The role, ratings and account state are never changed from here
+  const updates = User.withoutProtectedFields(req.body);
+
+  const user = await updateOne(User, { _id: id }, updates);
 
   if (!user) return next(new AppError('User not found', 404));
 
@@ -0,0 +1,167 @@
+import Venue, { normalizeVenueName } from '../models/Venue.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { createOne, findOne, getAll } from '../factory/repo.js';
+
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const MAX_NEARBY_RADIUS_KM = 100;
+
+// Fields users may set - normalizedName and source are managed here
+const pickVenueFields = ({
+  name,
+  address,
+  geo,
+  lat,
+  lng,
+  courts,
+  surface,
+  courtType,
+}) => {
+  const fields = { name, address, courts, surface, courtType };
+
+  // Accept plain lat/lng as well as a GeoJSON point
+  if (lat !== undefined && lng !== undefined) {
+    fields.geo = { coordinates: [Number(lng), Number(lat)] };
+  } else if (geo) {
+    fields.geo = { coordinates: geo.coordinates };
+  }
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+};
+
+export const createVenueService = catchAsync(async (req, res, next) => {
+  const fields = pickVenueFields(req.body);
+
+  const existing = await findOne(Venue, {
+    normalizedName: normalizeVenueName(fields.name),
+    'address.city': fields.address?.city,
+  });
+
+  if (existing) {
+    return next(
+      new AppError(
+        `${existing.name} already exists - use venue ${existing._id} instead`,
+        409
+      )
+    );
+  }
+
+  const venue = await createOne(Venue, {
+    ...fields,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      venue,
+    },
+  });
+});
+
+export const getAllVenuesService = catchAsync(async (req, res, next) => {
+  const { searchTerm, ...filterParams } = req.query;
+
+  const venues = await getAll(Venue, filterParams, {
+    searchFields: ['name', 'address.city', 'address.street'],
+    searchTerm: searchTerm || '',
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      venues,
+    },
+  });
+});
+
+export const getNearbyVenuesService = catchAsync(async (req, res, next) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  const radiusKm = Math.min(
+    parseFloat(req.query.radius) || DEFAULT_NEARBY_RADIUS_KM,
+    MAX_NEARBY_RADIUS_KM
+  );
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+  if (
+    Number.isNaN(lat) ||
+    Number.isNaN(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return next(
+      new AppError('Valid lat and lng query parameters are required', 400)
+    );
+  }
+
+  const venues = await Venue.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+      },
+    },
+    { $limit: limit },
+    {
+      $addFields: {
+        distance_km: { $round: [{ $divide: ['$distance', 1000] }, 2] },
+      },
+    },
+    { $project: { distance: 0 } },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    length: venues.length,
+    data: {
+      radius_km: radiusKm,
+      venues,
+    },
+  });
+});
+
+export const getVenueService = catchAsync(async (req, res, next) => {
+  const venue = await findOne(Venue, { _id: req.params.venueId });
+
+  if (!venue) return next(new AppError('No venue found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      venue,
+    },
+  });
+});
+
+export const updateVenueService = catchAsync(async (req, res, next) => {
+  const venue = await findOne(Venue, { _id: req.params.venueId });
+
+  if (!venue) return next(new AppError('No venue found', 404));
+
+  // Migrated venues have no owner, so anyone may fill in their details
+  const canEdit =
+    req.user.role === 'admin' ||
+    !venue.createdBy ||
+    venue.createdBy.toString() === req.user._id.toString();
+
+  if (!canEdit) {
+    return next(
+      new AppError('You are not authorized to update this venue', 403)
+    );
+  }
+
+  venue.set(pickVenueFields(req.body), undefined, { merge: true });
+  await venue.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      venue,
+    },
+  });
+});
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+import { fromEnv } from '@aws-sdk/credential-provider-env';
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+import { findOne } from '../factory/repo.js';
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION,
+  credentials: fromEnv(),
+});
+
+// How many byte ranges are read from a video, and how big each one is
+const FINGERPRINT_SAMPLES = Number(process.env.VIDEO_FINGERPRINT_SAMPLES) || 5;
+const FINGERPRINT_SAMPLE_BYTES =
+  Number(process.env.VIDEO_FINGERPRINT_SAMPLE_BYTES) || 64 * 1024;
+
+// Analysis states where the original video is still being worked on
+const ANALYSIS_IN_PROGRESS = [
+  'restarting',
+  'pending',
+  'processing',
+  'progressing',
+];
+
+/**
+ * S3 key for a video, from either a key or an S3 object URL in our bucket
+ * (virtual-hosted or path style). Returns null for anything else.
+ * @param {String} location
+ */
+export const getS3Key = (location) => {
+  if (!location) return null;
+  if (!/^https?:\/\//i.test(location)) return location;
+
+  const bucket = process.env.S3_BUCKET_NAME;
+  const url = new URL(location);
+  const path = decodeURIComponent(url.pathname.slice(1));
+
+  if (url.hostname.startsWith(`${bucket}.`)) return path;
+  if (path.startsWith(`${bucket}/`)) return path.slice(bucket.length + 1);
+  return null;
+};
+
+/**
+ * Byte ranges sampled for a file of the given size - evenly spread from the
+ * start to the end, or the whole file when it's smaller than the samples
+ * @param {Number} size - File size in bytes
+ * @returns {Array<[Number, Number]>} Inclusive [start, end] ranges
+ */
+export const getSampleRanges = (
+  size,
+  samples = FINGERPRINT_SAMPLES,
+  sampleBytes = FINGERPRINT_SAMPLE_BYTES
+) => {
+  if (size <= 0) return [];
+  if (size <= samples * sampleBytes) return [[0, size - 1]];
+
+  return Array.from({ length: samples }, (_, index) => {
+    const start = Math.floor(
+      ((size - sampleBytes) * index) / Math.max(samples - 1, 1)
+    );
+    return [start, start + sampleBytes - 1];
+  });
+};
+
+/**
+ * Content fingerprint of a video in S3: a SHA-256 of its size and sampled
+ * byte ranges. Cheap enough to run on every upload without downloading it.
+ * @param {String} key - S3 object key
+ * @returns {Promise<String>} Hex digest
+ */
+export const fingerprintVideo = async (key) => {
+  const bucket = process.env.S3_BUCKET_NAME;
+  const head = await s3Client.send(
+    new HeadObjectCommand({ Bucket: bucket, Key: key })
+  );
+  const size = head.ContentLength;
+
+  const hash = crypto.createHash('sha256').update(`${size}:`);
+
+  for (const [start, end] of getSampleRanges(size)) {
+    const response = await s3Client.send(
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: `bytes=${start}-${end}`,
+      })
+    );
+    hash.update(await response.Body.transformToByteArray());
+  }
+
+  return hash.digest('hex');
+};
+
+/**
+ * Delete a video from S3 - a rejected duplicate upload, or the video of a
+ * purged match
+ * @param {String} key - S3 object key
+ */
+export const deleteVideoObject = async (key) => {
+  try {
+    await s3Client.send(
+      new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET_NAME, Key: key })
+    );
+  } catch (error) {
+    console.error(`Failed to delete video ${key}:`, error);
+  }
+};
+
+/**
+ * Fingerprint a match's newly uploaded video and compare it with the
+ * creator's other matches, so the same video never uses up quota twice.
+ *  - Already analysed for another match: that analysis is reused and the
+ *    match is marked completed (nothing left to detect or analyse).
+ *  - Still being analysed for another match: rejected.
+ *  - Otherwise the video is new, or was never analysed, and goes ahead.
+ * Sets videoFingerprint (and the reuse fields) on the match without saving.
+ * A fingerprint that can't be computed never blocks the upload.
+ * @param {Object} match - Match document
+ * @param {String} location - S3 key or URL of the video
+ * @returns {Promise<{status: 'unique'|'reused'|'rejected', original?: Object, message?: String}>}
+ */
+export const checkDuplicateVideo = async (match, location) => {
+  const key = getS3Key(location);
+  if (!key) return { status: 'unique' };
+
+  let fingerprint;
+  try {
+    fingerprint = await fingerprintVideo(key);
+  } catch (error) {
+    console.error(`Failed to fingerprint video for match ${match._id}:`, error);
+    return { status: 'unique' };
+  }
+
+  match.videoFingerprint = fingerprint;
+
+  const others = await Match.find({
+    _id: { $ne: match._id },
+    creator: match.creator?._id || match.creator,
+    videoFingerprint: fingerprint,
+    status: { $ne: 'cancelled' },
+  }).sort({ createdAt: 1 });
+
+  const original = others.find((other) => other.analysisStatus === 'completed');
+  const analysis =
+    original &&
+    (await findOne(Analysis, {
+      match_id: { $in: original.getAnalysisMatchIds() },
+      ...Analysis.currentCriteria(),
+    }));
+
+  if (!analysis) {
+    const inProgress = others.find((other) =>
+      ANALYSIS_IN_PROGRESS.includes(other.analysisStatus)
+    );
+
+    return inProgress
+      ? {
+          status: 'rejected',
+          original: inProgress,
+          message:
+            'This video is already being analysed for another of your matches. Open that match to see the results once they are ready.',
+        }
+      : { status: 'unique' };
+  }
+
+  match.duplicateOf = original._id;
+  match.reusedAnalysisId = analysis.match_id;
+  match.analysisStatus = 'completed';
+  match.players = original.players;
+  match.creatorPlayerIndex = original.creatorPlayerIndex;
+  match.fetchedPlayerData = original.fetchedPlayerData;
+  match.formattedPlayerData = original.formattedPlayerData;
+  match.playerDetectionStatus = 'completed';
+  match.playerDetectionCompletedAt = new Date();
+
+  return {
+    status: 'reused',
+    original,
+    message:
+      'This video was already analysed for another of your matches, so that analysis has been reused.',
+  };
+};
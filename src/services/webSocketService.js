@@ -1,9 +1,13 @@
 // src/services/websocketService.js - Enhanced for match events
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Match from '../models/Match.js';
 import notificationService from './notificationService.js';
 import matchNotificationService from './matchNotificationService.js';
+import { logMatchPoint } from './matchPointService.js';
+import { getMatchPermission } from './matchAccessService.js';
 
 class WebSocketService {
   constructor() {
@@ -66,14 +70,39 @@ class WebSocketService {
       // Send unread notification count on connect
       this.sendUnreadCount(socket.userId);
 
-      // Handle match-specific room joining
-      socket.on('joinMatchRoom', (matchId) => {
-        socket.join(`match_${matchId}`);
-        if (!this.matchRooms.has(matchId)) {
-          this.matchRooms.set(matchId, new Set());
+      // Handle match-specific room joining. The room gets comments, likes
+      // and logged points, so only users who can view the match may join.
+      socket.on('joinMatchRoom', async (matchId, acknowledge) => {
+        try {
+          const match = mongoose.Types.ObjectId.isValid(matchId)
+            ? await Match.findById(matchId)
+            : null;
+          if (!match || !(await getMatchPermission(match, socket.userId))) {
+            throw new Error('You are not authorized to view this match');
+          }
+
+          socket.join(`match_${matchId}`);
+          if (!this.matchRooms.has(matchId)) {
+            this.matchRooms.set(matchId, new Set());
+          }
+          this.matchRooms.get(matchId).add(socket.userId);
+          console.log(`User ${socket.userId} joined match room ${matchId}`);
+
+          if (typeof acknowledge === 'function') {
+            acknowledge({ status: 'success' });
+          }
+        } catch (error) {
+          if (typeof acknowledge === 'function') {
+            acknowledge({ status: 'fail', message: error.message });
+          } else {
+            this.handleMatchOperationError(
+              socket.userId,
+              'joinMatchRoom',
+              error,
+              matchId
+            );
+          }
         }
-        this.matchRooms.get(matchId).add(socket.userId);
-        console.log(`User ${socket.userId} joined match room ${matchId}`);
       });
 
       socket.on('leaveMatchRoom', (matchId) => {
@@ -95,6 +124,32 @@ class WebSocketService {
         // You could emit current status here if needed
       });
 
+      // Log a point live while scoring a match - same rules as the REST
+      // endpoint. Everyone in the match room gets 'matchPointLogged'.
+      socket.on('logMatchPoint', async (data = {}, acknowledge) => {
+        try {
+          const { point, summary } = await logMatchPoint(
+            data.matchId,
+            socket.user,
+            data
+          );
+          if (typeof acknowledge === 'function') {
+            acknowledge({ status: 'success', data: { point, summary } });
+          }
+        } catch (error) {
+          if (typeof acknowledge === 'function') {
+            acknowledge({ status: 'fail', message: error.message });
+          } else {
+            this.handleMatchOperationError(
+              socket.userId,
+              'logMatchPoint',
+              error,
+              data.matchId
+            );
+          }
+        }
+      });
+
       // Handle disconnection
       socket.on('disconnect', () => {
         console.log(`User ${socket.userId} disconnected`);
@@ -503,6 +558,37 @@ class WebSocketService {
     await notificationService.handleFollowNotification(followedUser, follower);
   }
 
+  // Handle Americano / Mexicano standings change - push to every game in the session
+  handleSessionStandingsUpdated(session, standings) {
+    const standingsData = {
+      sessionId: session._id,
+      round: session.rounds.length,
+      status: session.status,
+      standings,
+      timestamp: new Date(),
+    };
+
+    session.rounds
+      .flatMap((round) => round.games)
+      .filter((game) => game.match)
+      .forEach((game) =>
+        this.sendToMatchRoom(
+          game.match.toString(),
+          'sessionStandingsUpdated',
+          standingsData
+        )
+      );
+  }
+
+  // Handle match comment activity - push to everyone viewing the match
+  handleMatchCommentUpdate(matchId, event, data) {
+    this.sendToMatchRoom(matchId.toString(), event, {
+      matchId,
+      ...data,
+      timestamp: new Date(),
+    });
+  }
+
   // Broadcast system-wide announcements
   broadcastAnnouncement(announcement) {
     this.io.emit('announcement', {
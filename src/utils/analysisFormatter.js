@@ -1,7 +1,15 @@
 import Analysis from '../models/Analysis.js';
+import QuarantinedAnalysis from '../models/QuarantinedAnalysis.js';
 import AppError from './appError.js';
-import { createOne } from '../factory/repo.js';
 import { calculateCaloriesBurned } from './calorieCalculator.js';
+import {
+  ANALYSIS_PAYLOAD_VERSION,
+  AnalysisPayloadError,
+  detectPayloadVersion,
+  upgradeAnalysisPayload,
+  validateAnalysisPayload,
+} from './analysisPayloads.js';
+import { addRallyStats } from './rallySegmentation.js';
 
 // Formatter to convert API response to MongoDB document
 const formatAnalysisResponse = (apiResponse, userId) => {
@@ -10,8 +18,12 @@ const formatAnalysisResponse = (apiResponse, userId) => {
   console.log('  - Highlights type:', Array.isArray(apiResponse.files?.highlights) ? 'Array' : typeof apiResponse.files?.highlights);
   console.log('  - Highlights count:', apiResponse.files?.highlights?.length || 0);
 
-  // Create a copy to avoid mutating the original
-  const formatted = JSON.parse(JSON.stringify(apiResponse));
+  // Validate and upgrade to the current format - throws an
+  // AnalysisPayloadError listing every problem if the payload is malformed.
+  // The copy also keeps the original from being mutated.
+  const formatted = JSON.parse(
+    JSON.stringify(upgradeAnalysisPayload(apiResponse))
+  );
 
   // 1. Add required fields that aren't in the API response
   formatted.created_by = userId;
@@ -31,159 +43,7 @@ const formatAnalysisResponse = (apiResponse, userId) => {
     formatted.metadata.completed_at = new Date(formatted.metadata.completed_at);
   }
 
-  // 3. Handle both old and new shot analytics formats
-  if (formatted.player_analytics?.players) {
-    formatted.player_analytics.players.forEach((player) => {
-      // If the new format has shot_analytics, ensure compatibility
-      if (player.shot_analytics && !player.shots) {
-        // Convert shot_analytics to shots format for backward compatibility
-        player.shots = {
-          forehand: player.shot_analytics.forehand || 0,
-          backhand: player.shot_analytics.backhand || 0,
-          volley: player.shot_analytics.volley || 0,
-          smash: player.shot_analytics.smash || 0,
-          total_shots: player.shot_analytics.total_shots || 0,
-          success: player.shot_analytics.total_shots || 0, // Default success count
-          success_rate: 100, // Default success rate
-        };
-      }
-      // If old format has shots but no shot_analytics, create shot_analytics
-      else if (player.shots && !player.shot_analytics) {
-        player.shot_analytics = {
-          forehand: player.shots.forehand || 0,
-          backhand: player.shots.backhand || 0,
-          volley: player.shots.volley || 0,
-          smash: player.shots.smash || 0,
-          total_shots: player.shots.total_shots || 0,
-        };
-      }
-
-      // Ensure new metrics are present with default values if missing
-      if (
-        player.peak_speed_kmh === undefined ||
-        player.peak_speed_kmh === null
-      ) {
-        player.peak_speed_kmh = player.average_speed_kmh || 0;
-      }
-      if (
-        player.net_dominance_percentage === undefined ||
-        player.net_dominance_percentage === null
-      ) {
-        player.net_dominance_percentage = 0;
-      }
-      if (
-        player.dead_zone_presence_percentage === undefined ||
-        player.dead_zone_presence_percentage === null
-      ) {
-        player.dead_zone_presence_percentage = 0;
-      }
-      if (
-        player.baseline_play_percentage === undefined ||
-        player.baseline_play_percentage === null
-      ) {
-        player.baseline_play_percentage = 0;
-      }
-
-      // Ensure new fields from API update are present with defaults if missing
-      if (
-        player.total_sprint_bursts === undefined ||
-        player.total_sprint_bursts === null
-      ) {
-        player.total_sprint_bursts = 0;
-      }
-
-      if (
-        player.player_heatmap === undefined ||
-        player.player_heatmap === null
-      ) {
-        player.player_heatmap = null;
-      }
-
-      // Recalculate calories if missing or zero but we have valid distance/speed
-      // This handles older data that was saved without calorie calculation
-      if (
-        (!player.calories_burned || player.calories_burned === 0) &&
-        player.total_distance_km > 0 &&
-        player.average_speed_kmh > 0
-      ) {
-        player.calories_burned = calculateCaloriesBurned({
-          distance_km: player.total_distance_km,
-          avg_speed_kmh: player.average_speed_kmh,
-          total_sprints: player.total_sprint_bursts || 0,
-          weight_kg: 80,
-        });
-        console.log(`📊 Recalculated calories for player:`, {
-          distance_km: player.total_distance_km,
-          avg_speed_kmh: player.average_speed_kmh,
-          total_sprints: player.total_sprint_bursts || 0,
-          calories_burned: player.calories_burned,
-        });
-      }
-
-      // Handle shot_events - ensure they are properly formatted arrays
-      if (player.shot_events) {
-        if (Array.isArray(player.shot_events)) {
-          // Already an array, ensure each event has proper structure
-          player.shot_events = player.shot_events
-            .map((event) => {
-              if (typeof event === 'object' && event !== null) {
-                return event;
-              } else {
-                // If it's not an object, skip it or create a minimal structure
-                console.warn('Invalid shot event format, skipping:', event);
-                return null;
-              }
-            })
-            .filter((event) => event !== null);
-        } else {
-          // If it's not an array, wrap it or clear it
-          console.warn(
-            'shot_events is not an array, clearing:',
-            player.shot_events
-          );
-          player.shot_events = [];
-        }
-      } else {
-        // Ensure shot_events exists as empty array
-        player.shot_events = [];
-      }
-    });
-  }
-
-  // Handle top-level shot_events if they exist
-  if (formatted.player_analytics?.shot_events) {
-    if (Array.isArray(formatted.player_analytics.shot_events)) {
-      // Already an array, ensure each event has proper structure
-      formatted.player_analytics.shot_events =
-        formatted.player_analytics.shot_events
-          .map((event) => {
-            if (typeof event === 'object' && event !== null) {
-              return event;
-            } else {
-              console.warn(
-                'Invalid top-level shot event format, skipping:',
-                event
-              );
-              return null;
-            }
-          })
-          .filter((event) => event !== null);
-    } else {
-      console.warn(
-        'Top-level shot_events is not an array, clearing:',
-        formatted.player_analytics.shot_events
-      );
-      formatted.player_analytics.shot_events = [];
-    }
-  }
-
-  // 4. Ensure highlights is an array
-  if (formatted.files?.highlights && !Array.isArray(formatted.files.highlights)) {
-    // If it's not an array, convert to empty array
-    formatted.files.highlights = [];
-  }
-
-  // 5. Validate and clean up any null/undefined values
+  // 3. Clean up any null/undefined values
   if (formatted.files) {
     // Convert null strings to actual null
     Object.keys(formatted.files).forEach((key) => {
@@ -193,7 +53,7 @@ const formatAnalysisResponse = (apiResponse, userId) => {
     });
   }
 
-  // 6. Ensure all required nested objects exist
+  // 4. Ensure all required nested objects exist
   if (!formatted.player_analytics) {
     formatted.player_analytics = null;
   }
@@ -206,6 +66,9 @@ const formatAnalysisResponse = (apiResponse, userId) => {
     formatted.metadata = null;
   }
 
+  // 5. Group the shot events into rallies
+  addRallyStats(formatted);
+
   return formatted;
 };
 
@@ -245,62 +108,87 @@ const createAnalysisWithHelper = async (createOne, apiResponse, userId) => {
   }
 };
 
-// Utility function to validate the API response before formatting
+// Utility function to validate the API response before formatting. Checks
+// the payload against its own format - see analysisPayloads.js
 const validateApiResponse = (response) => {
-  const errors = [];
-
-  if (!response.match_id) {
-    errors.push('match_id is missing');
-  }
-
-  if (!response.status) {
-    errors.push('status is missing');
-  }
-
-  // if (response.status === 'completed') {
-  // if (!response.player_analytics) {
-  //   errors.push('player_analytics is required for completed status');
-  // }
-
-  // if (!response.files) {
-  //   errors.push('files is required for completed status');
-  // }
-
-  // if (!response.metadata) {
-  //   errors.push('metadata is required for completed status');
-  // }
-  // }
+  const errors = validateAnalysisPayload(response);
 
   console.log('Validation errors:', errors);
 
   return errors;
 };
 
-// Complete workflow function
-const processAnalysisResponse = async (apiResponse, userId) => {
+/**
+ * Hold a payload that failed validation for inspection instead of saving it.
+ * It can be retried once the format or a migrator is fixed, see
+ * analysisQuarantineService.
+ * @param {Object} apiResponse - Payload as received
+ * @param {String} userId - Match creator
+ * @param {Object} run - As passed to processAnalysisResponse
+ * @param {AnalysisPayloadError} error
+ * @returns {Promise<Object>} QuarantinedAnalysis document
+ */
+const quarantineAnalysisPayload = async (apiResponse, userId, run, error) => {
+  const entry = await QuarantinedAnalysis.create({
+    match_id: apiResponse?.match_id?.toString(),
+    job_id: run.job_id || apiResponse?.job_id,
+    created_by: userId,
+    payload_version: String(detectPayloadVersion(apiResponse)),
+    failed_version: String(error.version),
+    validation_errors: error.errors,
+    payload: apiResponse,
+    run,
+  });
+
+  console.error(
+    `Analysis payload for match ${entry.match_id} quarantined (${entry._id}):`,
+    error.message
+  );
+  return entry;
+};
+
+/**
+ * Complete workflow function - validates and formats an analysis server
+ * response and saves it as the match's new current analysis version. A
+ * payload that fails validation is quarantined and the AnalysisPayloadError
+ * rethrown, with the QuarantinedAnalysis entry as error.quarantined.
+ * @param {Object} apiResponse
+ * @param {String} userId - Match creator
+ * @param {Object} run - Where the run came from: job_id, engine_version,
+ *   parameters and started_at (optional)
+ */
+const processAnalysisResponse = async (apiResponse, userId, run = {}) => {
   // console.log(
   //   'Processing analysis response...',
   //   apiResponse,
   //   apiResponse.player_analytics
   // );
   try {
-    // Step 1: Validate the API response
-    const validationErrors = validateApiResponse(apiResponse);
-    if (validationErrors.length > 0) {
-      throw new AppError(
-        `API response validation failed: ${validationErrors.join(', ')}`
-      );
+    // Step 1: Validate the payload and upgrade it to the current format.
+    // A malformed one is quarantined rather than saved with gaps.
+    let formattedData;
+    try {
+      formattedData = formatAnalysisResponse(apiResponse, userId);
+    } catch (error) {
+      if (error instanceof AnalysisPayloadError) {
+        error.quarantined = await quarantineAnalysisPayload(
+          apiResponse,
+          userId,
+          run,
+          error
+        );
+      }
+      throw error;
     }
 
-    // Step 2: Format the response
-    const formattedData = formatAnalysisResponse(apiResponse, userId);
-
     console.log('Formatted data:', formattedData);
 
-    // Step 3: Create the document
-    const analysis = await createOne(Analysis, formattedData);
+    // Step 2: Create the document as a new version, keeping earlier runs
+    const analysis = await Analysis.createVersion({ ...formattedData, ...run });
 
-    console.log('Analysis created successfully:', analysis.match_id);
+    console.log(
+      `Analysis created successfully: ${analysis.match_id} (version ${analysis.version})`
+    );
     return analysis;
   } catch (error) {
     console.error('Error processing analysis response:', error);
@@ -325,11 +213,13 @@ const transformNewAnalysisResults = (newFormatResponse) => {
   console.log('  - has all_clips:', 'all_clips' in results);
   console.log('  - all_clips value:', all_clips);
 
-  // Helper function to safely parse numeric values with units
+  // Helper function to safely parse numeric values with units. A metric the
+  // server didn't report is null, not 0.
   const parseValueWithUnit = (value, unit) => {
-    if (!value) return 0;
+    if (value === undefined || value === null || value === '') return null;
     const numStr = value.toString().replace(unit, '').trim();
-    return parseFloat(numStr) || 0;
+    const parsed = parseFloat(numStr);
+    return Number.isFinite(parsed) ? parsed : null;
   };
 
   // Convert numbered player results to player analytics format
@@ -351,8 +241,11 @@ const transformNewAnalysisResults = (newFormatResponse) => {
 
     // Convert the new format metrics to the expected format
     // Note: Units changed from Miles/Hour to Kilometers/Hour in the new API
-    const total_distance_km =
-      parseValueWithUnit(playerData['Distance Covered'], 'Meters') / 1000;
+    const distance_m = parseValueWithUnit(
+      playerData['Distance Covered'],
+      'Meters'
+    );
+    const total_distance_km = distance_m === null ? null : distance_m / 1000;
     const average_speed_kmh = parseValueWithUnit(
       playerData['Average Speed'],
       'Kilometers per Hour'
@@ -384,17 +277,17 @@ const transformNewAnalysisResults = (newFormatResponse) => {
       'total_sprints',
     ];
 
-    let total_sprint_bursts = 0;
+    let total_sprint_bursts = null;
     for (const k of sprintKeys) {
       if (playerData[k] !== undefined && playerData[k] !== null) {
         const raw = playerData[k];
         if (typeof raw === 'number') {
-          total_sprint_bursts = Number.isFinite(raw) ? Math.max(0, Math.round(raw)) : 0;
+          total_sprint_bursts = Number.isFinite(raw) ? Math.max(0, Math.round(raw)) : null;
         } else if (typeof raw === 'string') {
           // Clean numeric strings like "12", "12.0", "12 bursts", "12,000"
           const cleaned = raw.replace(/[^0-9.-]+/g, '');
           const parsed = parseFloat(cleaned);
-          total_sprint_bursts = Number.isFinite(parsed) ? Math.max(0, Math.round(parsed)) : 0;
+          total_sprint_bursts = Number.isFinite(parsed) ? Math.max(0, Math.round(parsed)) : null;
         }
         break;
       }
@@ -405,7 +298,7 @@ const transformNewAnalysisResults = (newFormatResponse) => {
     const calories_burned = calculateCaloriesBurned({
       distance_km: total_distance_km,
       avg_speed_kmh: average_speed_kmh,
-      total_sprints: total_sprint_bursts,
+      total_sprints: total_sprint_bursts || 0,
       weight_kg: 80, // Default weight
     });
 
@@ -439,19 +332,20 @@ const transformNewAnalysisResults = (newFormatResponse) => {
       // Player heatmap URL
       player_heatmap: playerData['Player Heatmap'] || null,
 
-      // Fields not provided by new API - set defaults
-      average_distance_from_center_km: 0,
+      // Fields not provided by new API
+      average_distance_from_center_km: null,
       calories_burned,
 
-      // Shots data - not provided in new format yet
+      // Shots data - not provided in new format yet. No shots are counted,
+      // and success is unknown rather than 0%.
       shots: {
         total_shots: 0,
         forehand: 0,
         backhand: 0,
         volley: 0,
         smash: 0,
-        success: 0,
-        success_rate: 0,
+        success: null,
+        success_rate: null,
       },
       shot_events: [],
       highlight_urls: [],
@@ -475,8 +369,9 @@ const transformNewAnalysisResults = (newFormatResponse) => {
     console.log('  - all_clips value:', all_clips);
   }
 
-  // Return in expected format
+  // Return in expected format - the current payload format
   return {
+    schema_version: ANALYSIS_PAYLOAD_VERSION,
     status: analysis_status || status,
     analysis_status: analysis_status,
     job_id: job_id,
@@ -540,5 +435,7 @@ const analysis = await createAnalysisWithHelper(createOne, response, userId);
 // Example 3: Complete workflow
 /*
 const response = await VideoAnalysisService.getAnalysisResult(analysisId);
-const analysis = await processAnalysisResponse(response, userId, createOne);
+const analysis = await processAnalysisResponse(response, userId, {
+  job_id: analysisId,
+});
 */
@@ -0,0 +1,545 @@
+import AppError from './appError.js';
+import { calculateCaloriesBurned } from './calorieCalculator.js';
+import { transformNewAnalysisResults } from './analysisFormatter.js';
+
+/**
+ * Analysis payload formats - what the analysis server has sent us over time,
+ * described field by field, and the migrators that upgrade each format to
+ * the next. Every payload is validated against its own format, upgraded one
+ * step at a time and validated again as the current format before it is
+ * saved. A payload that fails is rejected with an AnalysisPayloadError
+ * listing every problem, rather than patched up with zeros.
+ *
+ * Formats:
+ *   1         players carry a `shots` summary with success counts; shot
+ *             events may sit at player_analytics.shot_events
+ *   2         players carry `shot_analytics` (counts only) and may carry
+ *             their own `shot_events`
+ *             Both may send files.highlights keyed by player index.
+ *   'results' the analysis server's /analyses/status response: per-player
+ *             metrics as strings with units, e.g. '1825.4 Meters'
+ *   3         current - what an Analysis document stores. Metrics a format
+ *             never measured are null, not 0.
+ *
+ * A payload can name its format in `schema_version`; otherwise it is told
+ * apart by shape (see detectPayloadVersion).
+ */
+
+export const ANALYSIS_PAYLOAD_VERSION = 3;
+
+const ANALYSIS_STATUSES = [
+  'pending',
+  'processing',
+  'progressing',
+  'completed',
+  'failed',
+  'cancelled',
+];
+const SHOT_TYPES = ['forehand', 'backhand', 'volley', 'smash'];
+
+export class AnalysisPayloadError extends AppError {
+  /**
+   * @param {Number|String} version - Format the payload was checked against
+   * @param {Array<String>} errors - One entry per problem, with its path
+   */
+  constructor(version, errors) {
+    const shown = errors.slice(0, 5).join('; ');
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+
+    super(
+      `Analysis payload (format ${version}) is invalid: ${shown}${more}`,
+      422
+    );
+    this.version = version;
+    this.errors = errors;
+  }
+}
+
+// Field descriptions. Fields are required unless marked optional; optional
+// and nullable fields may be null.
+const number = (options = {}) => ({ type: 'number', ...options });
+const count = (options = {}) => number({ min: 0, integer: true, ...options });
+const percentage = (options = {}) => number({ min: 0, max: 100, ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+const date = (options = {}) => ({ type: 'date', ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (fields, options = {}) => ({
+  type: 'object',
+  fields,
+  ...options,
+});
+const optional = (field) => ({ ...field, optional: true });
+const nullable = (field) => ({ ...field, nullable: true });
+
+// A number, or a string holding one and its unit, e.g. '6.82 Kilometers per
+// Hour'
+const measurement = (options = {}) => ({ type: 'measurement', ...options });
+
+const TYPE_CHECKS = {
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  string: (value) => typeof value === 'string',
+  boolean: (value) => typeof value === 'boolean',
+  date: (value) =>
+    (typeof value === 'string' || value instanceof Date) &&
+    !Number.isNaN(new Date(value).getTime()),
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === 'object' && value !== null && !Array.isArray(value),
+  measurement: (value) =>
+    (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && Number.isFinite(parseFloat(value))),
+};
+
+const TYPE_NAMES = {
+  number: 'a number',
+  string: 'a string',
+  boolean: 'true or false',
+  date: 'a date',
+  array: 'an array',
+  object: 'an object',
+  measurement: 'a number, optionally with a unit',
+};
+
+const describePath = (path) => path || 'payload';
+
+/**
+ * Check a value against a field description
+ * @param {Object} field
+ * @param {*} value
+ * @param {String} path - Where the value sits, for error messages
+ * @param {Array<String>} errors - Problems are pushed here
+ */
+const checkField = (field, value, path, errors) => {
+  if (value === undefined || value === null) {
+    if (value === null && field.nullable) return;
+    if (!field.optional) {
+      errors.push(
+        `${describePath(path)} is ${value === null ? 'null' : 'missing'}`
+      );
+    }
+    return;
+  }
+
+  if (field.oneOf) {
+    const matches = field.oneOf.some((option) => {
+      const optionErrors = [];
+      checkField(option, value, path, optionErrors);
+      return !optionErrors.length;
+    });
+    if (!matches) {
+      errors.push(`${describePath(path)} must be ${field.description}`);
+    }
+    return;
+  }
+
+  if (!TYPE_CHECKS[field.type](value)) {
+    errors.push(`${describePath(path)} must be ${TYPE_NAMES[field.type]}`);
+    return;
+  }
+
+  if (field.type === 'number' || field.type === 'measurement') {
+    const numeric = typeof value === 'number' ? value : parseFloat(value);
+
+    if (field.integer && !Number.isInteger(numeric)) {
+      errors.push(`${describePath(path)} must be a whole number`);
+    }
+    if (field.min !== undefined && numeric < field.min) {
+      errors.push(`${describePath(path)} must be at least ${field.min}`);
+    }
+    if (field.max !== undefined && numeric > field.max) {
+      errors.push(`${describePath(path)} must be at most ${field.max}`);
+    }
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    errors.push(
+      `${describePath(path)} must be one of: ${field.enum.join(', ')}`
+    );
+  }
+
+  if (field.type === 'array') {
+    if (field.minItems && value.length < field.minItems) {
+      errors.push(
+        `${describePath(path)} must have at least ${field.minItems} item(s)`
+      );
+    }
+    value.forEach((item, index) =>
+      checkField(field.items, item, `${path}[${index}]`, errors)
+    );
+  }
+
+  if (field.type === 'object') {
+    Object.entries(field.fields || {}).forEach(([key, child]) =>
+      checkField(child, value[key], path ? `${path}.${key}` : key, errors)
+    );
+
+    // Objects keyed by something other than a fixed name, e.g. player keys
+    if (field.values) {
+      const keys = Object.keys(value).filter(
+        (key) => !(field.fields && key in field.fields)
+      );
+      if (field.minKeys && keys.length < field.minKeys) {
+        errors.push(
+          `${describePath(path)} must have at least ${field.minKeys} entry(ies)`
+        );
+      }
+      keys.forEach((key) =>
+        checkField(field.values, value[key], `${path}.${key}`, errors)
+      );
+    }
+  }
+};
+
+// Parts shared by formats 1, 2 and 3
+const shotCounts = {
+  forehand: count(),
+  backhand: count(),
+  volley: count(),
+  smash: count(),
+  total_shots: count(),
+};
+
+const shotEvent = object({
+  frame: optional(number()),
+  start_frame: optional(number()),
+  end_frame: optional(number()),
+  timestamp: optional(number({ min: 0 })),
+  ball_pos: optional(array(number())),
+  player_pos: optional(array(number())),
+  velocity: optional(number({ min: 0 })),
+  type: optional(string({ enum: SHOT_TYPES })),
+  success: optional({ type: 'boolean' }),
+});
+
+const movementFields = {
+  player_id: optional(string()),
+  color: array(number({ min: 0, max: 255 })),
+  average_speed_kmh: number({ min: 0 }),
+  total_distance_km: number({ min: 0 }),
+  average_distance_from_center_km: number({ min: 0 }),
+  highlight_urls: array(string()),
+};
+
+// Metrics added to the server's output after format 1
+const laterMetricFields = {
+  peak_speed_kmh: optional(number({ min: 0 })),
+  net_dominance_percentage: optional(percentage()),
+  dead_zone_presence_percentage: optional(percentage()),
+  baseline_play_percentage: optional(percentage()),
+  total_sprint_bursts: optional(count()),
+  player_heatmap: optional(string()),
+};
+
+const playerAnalytics = (player) =>
+  object({
+    metadata: object({
+      duration_minutes: number({ min: 0 }),
+      date_analysed: date(),
+      frame_shape: array(number({ min: 0 })),
+      fps: number({ min: 0 }),
+      num_players: count(),
+    }),
+    players: array(player, { minItems: 1 }),
+    court_info: optional(
+      object({
+        length: optional(number({ min: 0 })),
+        width: optional(number({ min: 0 })),
+        corners: optional(array(array(number()))),
+        field_bbox: optional(array(number())),
+      })
+    ),
+    shot_events: optional(array(shotEvent)),
+  });
+
+// Formats 1 and 2 may send highlights per player: { 0: [urls], 1: [urls] }
+const legacyHighlights = {
+  oneOf: [array(string()), object({}, { values: array(string()) })],
+  description: 'an array of URLs, or arrays of URLs keyed by player',
+};
+
+// player_analytics is only required once the analysis has completed, see
+// validateAnalysisPayload
+const envelope = (player, highlights = array(string())) =>
+  object({
+    match_id: string(),
+    status: string({ enum: ANALYSIS_STATUSES }),
+    player_analytics: playerAnalytics(player),
+    files: optional(
+      object({
+        player_analytics: optional(string()),
+        player_heatmap_overlay: optional(string()),
+        performance_analysis: optional(string()),
+        heatmap_analysis: optional(string()),
+        processed_video: optional(string()),
+        raw_data: optional(string()),
+        highlights: optional(highlights),
+      })
+    ),
+    metadata: optional(
+      object({
+        created_at: date(),
+        completed_at: date(),
+        storage: string({ enum: ['s3', 'local', 'gcs', 'azure'] }),
+      })
+    ),
+  });
+
+const V1_PLAYER = object({
+  ...movementFields,
+  ...laterMetricFields,
+  calories_burned: optional(number({ min: 0 })),
+  shots: object({
+    ...shotCounts,
+    success: count(),
+    success_rate: optional(percentage()),
+  }),
+  shot_events: optional(array(shotEvent)),
+});
+
+const V2_PLAYER = object({
+  ...movementFields,
+  ...laterMetricFields,
+  calories_burned: optional(number({ min: 0 })),
+  shot_analytics: object(shotCounts),
+  shot_events: optional(array(shotEvent)),
+});
+
+const V3_PLAYER = object({
+  ...movementFields,
+  average_distance_from_center_km: nullable(number({ min: 0 })),
+  calories_burned: number({ min: 0 }),
+  // Counts are null when the format didn't count shots at all
+  shots: object({
+    ...Object.fromEntries(
+      Object.entries(shotCounts).map(([key, field]) => [key, nullable(field)])
+    ),
+    success: nullable(count()),
+    success_rate: nullable(percentage()),
+  }),
+  shot_analytics: optional(object(shotCounts)),
+  shot_events: array(shotEvent),
+  peak_speed_kmh: nullable(number({ min: 0 })),
+  net_dominance_percentage: nullable(percentage()),
+  dead_zone_presence_percentage: nullable(percentage()),
+  baseline_play_percentage: nullable(percentage()),
+  total_sprint_bursts: nullable(count()),
+  player_heatmap: nullable(string()),
+});
+
+const RESULTS_PLAYER = object({
+  'Distance Covered': measurement({ min: 0 }),
+  'Average Speed': measurement({ min: 0 }),
+  'Peak Speed': optional(measurement({ min: 0 })),
+  'Net Dominance': optional(measurement({ min: 0, max: 100 })),
+  'Dead Zone Presence': optional(measurement({ min: 0, max: 100 })),
+  'Baseline Play': optional(measurement({ min: 0, max: 100 })),
+  'Player Heatmap': optional(string()),
+});
+
+const RESULTS_PAYLOAD = object({
+  match_id: string(),
+  job_id: string(),
+  results: object(
+    { all_clips: optional(array(string())) },
+    { values: RESULTS_PLAYER, minKeys: 1 }
+  ),
+});
+
+// Calories weren't always worked out by the server, so older payloads may
+// have none (or 0) - estimate them as transformNewAnalysisResults does
+const withCalories = (player) => {
+  if (player.calories_burned || !(player.total_distance_km > 0)) {
+    return { ...player, calories_burned: player.calories_burned ?? 0 };
+  }
+
+  return {
+    ...player,
+    calories_burned: calculateCaloriesBurned({
+      distance_km: player.total_distance_km,
+      avg_speed_kmh: player.average_speed_kmh,
+      total_sprints: player.total_sprint_bursts || 0,
+      weight_kg: 80,
+    }),
+  };
+};
+
+const mapPlayers = (payload, upgrade) =>
+  payload.player_analytics
+    ? {
+        ...payload,
+        player_analytics: {
+          ...payload.player_analytics,
+          players: payload.player_analytics.players.map(upgrade),
+        },
+      }
+    : payload;
+
+/**
+ * Every format we accept, keyed by version. `upgrade` turns a valid payload
+ * of that format into the format named by `next`.
+ */
+const PAYLOAD_FORMATS = {
+  1: {
+    schema: envelope(V1_PLAYER, legacyHighlights),
+    next: 2,
+    // Shot counts move to shot_analytics; the success counts only format 1
+    // has ride along in `shots`. Events that aren't on a player stay at
+    // player_analytics.shot_events - there is no telling whose they are.
+    upgrade: (payload) =>
+      mapPlayers(payload, ({ shots, shot_events = [], ...player }) => ({
+        ...player,
+        shots: {
+          ...shots,
+          success_rate:
+            shots.success_rate ??
+            (shots.total_shots
+              ? Math.round((shots.success / shots.total_shots) * 10000) / 100
+              : null),
+        },
+        shot_analytics: {
+          forehand: shots.forehand,
+          backhand: shots.backhand,
+          volley: shots.volley,
+          smash: shots.smash,
+          total_shots: shots.total_shots,
+        },
+        shot_events,
+      })),
+  },
+  2: {
+    schema: envelope(V2_PLAYER, legacyHighlights),
+    next: 3,
+    // Shot success and the later movement metrics weren't measured by
+    // format 2, so they are null rather than 0. Per-player highlights are
+    // merged into one list, in player order.
+    upgrade: (payload) => ({
+      ...mapPlayers(payload, (player) =>
+        withCalories({
+          ...player,
+          shot_events: player.shot_events || [],
+          shots: player.shots || {
+            ...player.shot_analytics,
+            success: null,
+            success_rate: null,
+          },
+          peak_speed_kmh: player.peak_speed_kmh ?? null,
+          net_dominance_percentage: player.net_dominance_percentage ?? null,
+          dead_zone_presence_percentage:
+            player.dead_zone_presence_percentage ?? null,
+          baseline_play_percentage: player.baseline_play_percentage ?? null,
+          total_sprint_bursts: player.total_sprint_bursts ?? null,
+          player_heatmap: player.player_heatmap ?? null,
+        })
+      ),
+      ...(TYPE_CHECKS.object(payload.files?.highlights) && {
+        files: {
+          ...payload.files,
+          highlights: Object.values(payload.files.highlights).flat(),
+        },
+      }),
+    }),
+  },
+  results: {
+    schema: RESULTS_PAYLOAD,
+    next: 3,
+    // The results format doesn't count shots - transformNewAnalysisResults
+    // fills in zeros, which would read as "no shots played", so the counts
+    // are null instead
+    upgrade: (payload) => {
+      const transformed = transformNewAnalysisResults(payload);
+
+      return {
+        ...mapPlayers(transformed, (player) => ({
+          ...player,
+          shots: Object.fromEntries(
+            [...Object.keys(shotCounts), 'success', 'success_rate'].map(
+              (key) => [key, null]
+            )
+          ),
+        })),
+        match_id: payload.match_id,
+      };
+    },
+  },
+  3: {
+    schema: envelope(V3_PLAYER),
+  },
+};
+
+/**
+ * Work out which format a payload is in
+ * @param {Object} payload
+ * @returns {Number|String} A PAYLOAD_FORMATS key, or whatever
+ *   schema_version says (checked by upgradeAnalysisPayload)
+ */
+export const detectPayloadVersion = (payload) => {
+  if (payload?.schema_version !== undefined) return payload.schema_version;
+  if (TYPE_CHECKS.object(payload?.results)) return 'results';
+
+  const players = payload?.player_analytics?.players;
+  if (!Array.isArray(players)) return ANALYSIS_PAYLOAD_VERSION;
+
+  return players.some((player) => player?.shots) ? 1 : 2;
+};
+
+/**
+ * Validate a payload against one format
+ * @param {Object} payload
+ * @param {Number|String} version - Defaults to the detected format
+ * @returns {Array<String>} Problems found, empty when valid
+ */
+export const validateAnalysisPayload = (
+  payload,
+  version = detectPayloadVersion(payload)
+) => {
+  const format = PAYLOAD_FORMATS[version];
+  if (!format) {
+    return [`schema_version ${version} is not a known analysis payload format`];
+  }
+
+  const errors = [];
+  const schema =
+    payload?.status === 'completed' || version === 'results'
+      ? format.schema
+      : {
+          ...format.schema,
+          fields: {
+            ...format.schema.fields,
+            player_analytics: optional(format.schema.fields.player_analytics),
+          },
+        };
+
+  checkField(schema, payload, '', errors);
+  return errors;
+};
+
+const assertValid = (payload, version) => {
+  const errors = validateAnalysisPayload(payload, version);
+  if (errors.length) throw new AnalysisPayloadError(version, errors);
+};
+
+/**
+ * Validate a payload and upgrade it to the current format one migrator at a
+ * time. The result is validated again, so a migrator can't produce a
+ * document the current format wouldn't accept.
+ * @param {Object} payload - Analysis server response (not modified)
+ * @returns {Object} Current-format payload with schema_version set
+ * @throws {AnalysisPayloadError}
+ */
+export const upgradeAnalysisPayload = (payload) => {
+  let version = detectPayloadVersion(payload);
+  let upgraded = payload;
+
+  while (version !== ANALYSIS_PAYLOAD_VERSION) {
+    assertValid(upgraded, version);
+
+    const { upgrade, next } = PAYLOAD_FORMATS[version];
+    upgraded = upgrade(upgraded);
+    version = next;
+  }
+
+  upgraded = { ...upgraded, schema_version: ANALYSIS_PAYLOAD_VERSION };
+  assertValid(upgraded, ANALYSIS_PAYLOAD_VERSION);
+
+  return upgraded;
+};
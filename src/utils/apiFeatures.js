@@ -4,6 +4,14 @@ class APIFeatures {
     this.queryString = queryString;
   }
 
+  // Turn ?field[gte]=1 style query params into MongoDB operators
+  static parseOperators(queryObj) {
+    let queryStr = JSON.stringify(queryObj);
+    queryStr = queryStr.replace(/\b(gte|gt|lt|lte)\b/g, (match) => `$${match}`);
+
+    return JSON.parse(queryStr);
+  }
+
   filter() {
     const queryObj = { ...this.queryString };
 
@@ -31,12 +39,7 @@ class APIFeatures {
     // console.log('Query Obj', { ...queryObj });
 
     // Advance Querying
-    let queryStr = JSON.stringify(queryObj);
-    queryStr = queryStr.replace(/\b(gte|gt|lt|lte)\b/g, (match) => `$${match}`);
-
-    console.log({ queryStr });
-
-    const parsedQuery = JSON.parse(queryStr);
+    const parsedQuery = APIFeatures.parseOperators(queryObj);
     console.log({ parsedQuery });
 
     this.query = this.query.find(parsedQuery);
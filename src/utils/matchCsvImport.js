@@ -0,0 +1,247 @@
+import validator from 'validator';
+import { deriveMatchResult, parseScore } from './padelScoring.js';
+
+/**
+ * Match CSV import - parsing and per-row validation for
+ * POST /api/v1/matches/import. Looking up users and venues is left to the
+ * service; everything here works on the file alone.
+ *
+ * Columns (header row required, any order, case-insensitive):
+ *   date, venue, format, type, score,
+ *   team1_player1, team1_player2, team2_player1, team2_player2
+ * Player cells hold a name, an email, or both as "Name <email>".
+ */
+
+export const MATCH_IMPORT_COLUMNS = [
+  'date',
+  'venue',
+  'format',
+  'type',
+  'score',
+  'team1_player1',
+  'team1_player2',
+  'team2_player1',
+  'team2_player2',
+];
+
+const REQUIRED_COLUMNS = [
+  'date',
+  'venue',
+  'score',
+  'team1_player1',
+  'team2_player1',
+];
+
+// Tournament fixtures come from tournaments, so imports are friendly or ranked
+const IMPORT_TYPES = ['friendly', 'ranked'];
+const IMPORT_FORMATS = ['single', 'double'];
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells (with commas,
+ * newlines and doubled quotes), CRLF line endings and a leading BOM.
+ * @param {String} text
+ * @returns {Array<Array<String>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const isBlankRow = (cells) => cells.every((value) => !value.trim());
+
+const normalizeHeader = (header) =>
+  header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Read a player cell: "Name <email>", a bare email, or a bare name
+ * @param {String} value
+ * @returns {{ name: String|undefined, email: String|undefined }|null}
+ */
+export const parsePlayerCell = (value = '') => {
+  const text = value.trim();
+  if (!text) return null;
+
+  const withEmail = text.match(/^(.*)<([^>]+)>$/);
+  if (withEmail) {
+    return {
+      name: withEmail[1].trim() || undefined,
+      email: withEmail[2].trim().toLowerCase(),
+    };
+  }
+
+  if (text.includes('@')) return { name: undefined, email: text.toLowerCase() };
+  return { name: text, email: undefined };
+};
+
+/**
+ * Validate one row and turn it into the pieces of a match
+ * @param {Object} fields - Cell values keyed by column name
+ * @param {Date} now - Imports are of matches already played
+ * @returns {{ errors: Array<String>, data: Object|null }}
+ */
+export const validateMatchImportRow = (fields, now = new Date()) => {
+  const errors = [];
+
+  const date = new Date(fields.date);
+  if (!fields.date || Number.isNaN(date.getTime())) {
+    errors.push('date must be a valid date, e.g. 2025-06-14 18:30');
+  } else if (date > now) {
+    errors.push('date is in the future - only played matches can be imported');
+  }
+
+  const venue = fields.venue?.trim();
+  if (!venue) errors.push('venue is required');
+
+  const type = fields.type?.trim().toLowerCase() || 'friendly';
+  if (!IMPORT_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${IMPORT_TYPES.join(', ')}`);
+  }
+
+  const teams = [1, 2].map((team) =>
+    [1, 2]
+      .map((slot) => parsePlayerCell(fields[`team${team}_player${slot}`]))
+      .filter(Boolean)
+  );
+
+  // Without a format column, a second player on either team makes it doubles
+  const format =
+    fields.format?.trim().toLowerCase() ||
+    (teams.some((players) => players.length > 1) ? 'double' : 'single');
+  if (!IMPORT_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  } else {
+    const perTeam = format === 'single' ? 1 : 2;
+    teams.forEach((players, index) => {
+      if (players.length !== perTeam) {
+        errors.push(
+          `team ${index + 1} needs ${perTeam} player(s) for a ${format} match`
+        );
+      }
+    });
+  }
+
+  teams.flat().forEach((player) => {
+    if (player.email && !validator.isEmail(player.email)) {
+      errors.push(`${player.email} is not a valid email address`);
+    }
+  });
+
+  const emails = teams
+    .flat()
+    .map((player) => player.email)
+    .filter(Boolean);
+  if (new Set(emails).size !== emails.length) {
+    errors.push('the same player is listed more than once');
+  }
+
+  const { score, error: scoreError } = parseScore(fields.score);
+  if (scoreError) {
+    errors.push(`score: ${scoreError}`);
+  } else {
+    const result = deriveMatchResult(score);
+    if (result.errors.length) {
+      errors.push(`score: ${result.errors.join('; ')}`);
+    } else if (result.winner === null) {
+      errors.push('score: the match is not finished');
+    }
+  }
+
+  if (errors.length) return { errors, data: null };
+
+  return {
+    errors,
+    data: { date, venue, format, type, teams, score },
+  };
+};
+
+/**
+ * Parse and validate a whole import file
+ * @param {String} text - CSV contents
+ * @param {Object} options
+ * @param {Number} options.maxRows - Largest number of matches per import
+ * @returns {{ error: String|null, rows: Array<{ row: Number, errors: Array<String>, data: Object|null }> }}
+ */
+export const parseMatchImportCsv = (text, { maxRows = 500 } = {}) => {
+  const [headerRow, ...records] = parseCsv(text);
+
+  if (!headerRow || isBlankRow(headerRow)) {
+    return { error: 'The CSV file is empty', rows: [] };
+  }
+
+  // Row numbers as a spreadsheet shows them, counting the header. Blank
+  // lines (spreadsheets often leave some at the end) are skipped.
+  const lines = records
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    .filter(({ cells }) => !isBlankRow(cells));
+
+  const headers = headerRow.map(normalizeHeader);
+  const missing = REQUIRED_COLUMNS.filter(
+    (column) => !headers.includes(column)
+  );
+  if (missing.length) {
+    return {
+      error: `Missing column(s): ${missing.join(', ')}. Expected: ${MATCH_IMPORT_COLUMNS.join(', ')}`,
+      rows: [],
+    };
+  }
+
+  if (!lines.length) return { error: 'The CSV file has no matches', rows: [] };
+
+  if (lines.length > maxRows) {
+    return {
+      error: `A single import can have at most ${maxRows} matches`,
+      rows: [],
+    };
+  }
+
+  const now = new Date();
+
+  return {
+    error: null,
+    rows: lines.map(({ cells, row }) => {
+      const fields = Object.fromEntries(
+        headers.map((header, column) => [header, cells[column] ?? ''])
+      );
+
+      return { row, ...validateMatchImportRow(fields, now) };
+    }),
+  };
+};
@@ -0,0 +1,372 @@
+import mongoose from 'mongoose';
+import APIFeatures from './apiFeatures.js';
+import AppError from './appError.js';
+import Match from '../models/Match.js';
+import Analysis from '../models/Analysis.js';
+
+// Analysis metrics a match history can be filtered and sorted by, keyed by
+// query param name, e.g. ?distance[gt]=3&sort=-distance
+export const MATCH_HISTORY_METRICS = {
+  distance: 'total_distance_km',
+  speed: 'average_speed_kmh',
+  peak_speed: 'peak_speed_kmh',
+  calories: 'calories_burned',
+  sprint_bursts: 'total_sprint_bursts',
+  net_dominance: 'net_dominance_percentage',
+  baseline_play: 'baseline_play_percentage',
+  dead_zone: 'dead_zone_presence_percentage',
+  shots: 'shots.total_shots',
+  success_rate: 'shots.success_rate',
+};
+
+// Match fields that can be sorted on directly
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'startTime',
+  'format',
+  'type',
+  'location',
+  'analysisStatus',
+];
+
+const toList = (value) =>
+  String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Free text is matched literally - regex characters in it are escaped so a
+// search can't be a malformed or catastrophically slow pattern
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new AppError(`Invalid ${name} ID`, 400);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+const toDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+// $lookup stage attaching a match's current analysis as `analysis`
+export const analysisLookupStage = () => ({
+  $lookup: {
+    from: 'analyses',
+    let: {
+      matchAnalysisId: '$analysisId',
+      matchObjectId: '$_id',
+    },
+    pipeline: [
+      {
+        $match: {
+          $expr: {
+            $or: [
+              { $eq: ['$match_id', '$$matchAnalysisId'] },
+              { $eq: ['$match_id', { $toString: '$$matchObjectId' }] },
+            ],
+          },
+          ...Analysis.currentCriteria(),
+        },
+      },
+    ],
+    as: 'analysis',
+  },
+});
+
+/**
+ * Expression for the analysis player credited to a user, read from the
+ * `analysis` array added by analysisLookupStage: the player they claimed when
+ * there is one, otherwise the creator's player (null without an analysis).
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {Boolean} options.creatorOnly - Only fall back to the creator's
+ *   player when the user is the creator
+ */
+export const analysisPlayerExpression = (
+  userId,
+  { creatorOnly = false } = {}
+) => {
+  const creatorPlayer = {
+    $ifNull: [
+      {
+        $arrayElemAt: ['$$players', { $ifNull: ['$creatorPlayerIndex', 0] }],
+      },
+      null,
+    ],
+  };
+
+  return {
+    $let: {
+      vars: {
+        players: {
+          $ifNull: [
+            { $arrayElemAt: ['$analysis.player_analytics.players', 0] },
+            [],
+          ],
+        },
+      },
+      in: {
+        $ifNull: [
+          {
+            $arrayElemAt: [
+              {
+                $filter: {
+                  input: '$$players',
+                  as: 'player',
+                  cond: { $eq: ['$$player.user', userId] },
+                },
+              },
+              0,
+            ],
+          },
+          creatorOnly
+            ? { $cond: [{ $eq: ['$creator', userId] }, creatorPlayer, null] }
+            : creatorPlayer,
+        ],
+      },
+    },
+  };
+};
+
+/**
+ * APIFeatures for a user's match history, run as an aggregation so each
+ * match carries the user's own analysis player (`firstPlayer`) to filter and
+ * sort on, and the viewer's private note and tags (`note`).
+ *
+ * Query params: from, to, format, type, analysisStatus, venue, location,
+ * partner, opponent, result (won|lost), tag (the viewer's tags, comma
+ * separated, all must match), any MATCH_HISTORY_METRICS key with
+ * gt/gte/lt/lte, sort, page, limit.
+ */
+class MatchHistoryFeatures extends APIFeatures {
+  /**
+   * @param {Aggregate} query - Match.aggregate() with the base $match applied
+   * @param {Object} queryString - req.query
+   * @param {String} userId - Whose history this is
+   * @param {Object} options
+   * @param {String} options.viewerId - Who is looking, if not that user.
+   *   Notes and tags are private, so only theirs are used.
+   */
+  constructor(query, queryString, userId, { viewerId = userId } = {}) {
+    super(query, queryString);
+    this.userId = toObjectId(userId, 'user');
+    this.viewerId = toObjectId(viewerId, 'viewer');
+  }
+
+  filter() {
+    const q = this.queryString;
+    const conditions = [];
+
+    if (q.format) conditions.push({ format: { $in: toList(q.format) } });
+    if (q.type) conditions.push({ type: { $in: toList(q.type) } });
+    if (q.analysisStatus) {
+      conditions.push({ analysisStatus: { $in: toList(q.analysisStatus) } });
+    }
+    if (q.venue) conditions.push({ venue: toObjectId(q.venue, 'venue') });
+    if (q.location) {
+      conditions.push({
+        location: { $regex: escapeRegex(q.location), $options: 'i' },
+      });
+    }
+
+    if (q.tag) {
+      conditions.push(Match.taggedCriteria(this.viewerId, q.tag));
+    }
+
+    if (q.from || q.to) {
+      const createdAt = {};
+      if (q.from) createdAt.$gte = toDate(q.from, 'from');
+      if (q.to) createdAt.$lte = toDate(q.to, 'to');
+      conditions.push({ createdAt });
+    }
+
+    // Partner: on the user's team. Opponent: on the match, but not the user's team.
+    if (q.partner) {
+      const partnerId = toObjectId(q.partner, 'partner');
+      conditions.push({
+        teams: {
+          $elemMatch: { 'players.player': { $all: [this.userId, partnerId] } },
+        },
+      });
+    }
+    if (q.opponent) {
+      const opponentId = toObjectId(q.opponent, 'opponent');
+      conditions.push(
+        { 'teams.players.player': opponentId },
+        {
+          teams: {
+            $not: {
+              $elemMatch: {
+                'players.player': { $all: [this.userId, opponentId] },
+              },
+            },
+          },
+        }
+      );
+    }
+
+    if (q.result) {
+      if (!['won', 'lost'].includes(q.result)) {
+        throw new AppError('result must be won or lost', 400);
+      }
+      conditions.push(
+        { 'score.winner': { $in: [0, 1] } },
+        Match.countedResultCriteria()
+      );
+    }
+
+    if (conditions.length) this.query.match({ $and: conditions });
+
+    this.addUserPlayer().addViewerNote();
+
+    if (q.result) {
+      this.query.append(
+        {
+          $addFields: {
+            userTeamIndex: {
+              $indexOfArray: [
+                {
+                  $map: {
+                    input: '$teams',
+                    as: 'team',
+                    in: {
+                      $in: [
+                        this.userId,
+                        { $ifNull: ['$$team.players.player', []] },
+                      ],
+                    },
+                  },
+                },
+                true,
+              ],
+            },
+          },
+        },
+        {
+          $match: {
+            userTeamIndex: { $gte: 0 },
+            $expr:
+              q.result === 'won'
+                ? { $eq: ['$score.winner', '$userTeamIndex'] }
+                : { $ne: ['$score.winner', '$userTeamIndex'] },
+          },
+        },
+        { $unset: 'userTeamIndex' }
+      );
+    }
+
+    const metricConditions = {};
+    Object.entries(MATCH_HISTORY_METRICS).forEach(([name, field]) => {
+      if (q[name] === undefined) return;
+
+      const parsed = APIFeatures.parseOperators(q[name]);
+      const condition =
+        typeof parsed === 'object'
+          ? Object.fromEntries(
+              Object.entries(parsed).map(([op, value]) => [op, Number(value)])
+            )
+          : Number(parsed);
+
+      const values =
+        typeof condition === 'object'
+          ? Object.entries(condition)
+          : [['$eq', condition]];
+      if (
+        values.some(
+          ([op, value]) => !op.startsWith('$') || Number.isNaN(value)
+        )
+      ) {
+        throw new AppError(`${name} must be numeric`, 400);
+      }
+
+      metricConditions[`firstPlayer.${field}`] = condition;
+    });
+
+    if (Object.keys(metricConditions).length) {
+      this.query.match(metricConditions);
+    }
+
+    return this;
+  }
+
+  /**
+   * Attach the analysis player for this user as `firstPlayer`
+   */
+  addUserPlayer() {
+    this.query.append(
+      analysisLookupStage(),
+      { $addFields: { firstPlayer: analysisPlayerExpression(this.userId) } },
+      { $unset: 'analysis' }
+    );
+
+    return this;
+  }
+
+  /**
+   * Replace every user's notes with the viewer's own as `note`
+   */
+  addViewerNote() {
+    this.query.append(
+      {
+        $addFields: {
+          note: {
+            $ifNull: [
+              {
+                $arrayElemAt: [
+                  {
+                    $filter: {
+                      input: { $ifNull: ['$notes', []] },
+                      as: 'note',
+                      cond: { $eq: ['$$note.user', this.viewerId] },
+                    },
+                  },
+                  0,
+                ],
+              },
+              null,
+            ],
+          },
+        },
+      },
+      { $unset: 'notes' }
+    );
+
+    return this;
+  }
+
+  sort() {
+    const fields = toList(this.queryString.sort || '-createdAt').map(
+      (token) => {
+        const descending = token.startsWith('-');
+        const name = descending ? token.slice(1) : token;
+        const field = MATCH_HISTORY_METRICS[name]
+          ? `firstPlayer.${MATCH_HISTORY_METRICS[name]}`
+          : name;
+
+        if (!MATCH_HISTORY_METRICS[name] && !SORTABLE_FIELDS.includes(name)) {
+          throw new AppError(`Cannot sort matches by ${name}`, 400);
+        }
+
+        return `${descending ? '-' : ''}${field}`;
+      }
+    );
+
+    this.query.sort(fields.join(' '));
+    return this;
+  }
+
+  // Histories were always returned whole, so only page when asked to
+  paginate() {
+    if (!this.queryString.page && !this.queryString.limit) return this;
+    return super.paginate();
+  }
+}
+
+export default MatchHistoryFeatures;
@@ -0,0 +1,291 @@
+import { BEST_OF_OPTIONS, SCORING_MODES } from './padelScoring.js';
+
+/**
+ * Match Point Log Helper
+ *
+ * Replays a match's point-by-point log (see MatchPoint) into a score and
+ * per-player stats. Positions refer to match slots as { team, index }, i.e.
+ * match.teams[team].players[index].
+ */
+
+export const POINT_OUTCOMES = ['winner', 'unforced_error', 'forced_error'];
+export const POINT_SHOT_TYPES = [
+  'serve',
+  'return',
+  'forehand',
+  'backhand',
+  'volley',
+  'smash',
+  'bandeja',
+  'vibora',
+  'lob',
+  'drop_shot',
+  'other',
+];
+
+// How regular game points are called out, by points won
+const GAME_POINT_CALLS = ['0', '15', '30', '40'];
+
+const isTeamIndex = (value) => value === 0 || value === 1;
+
+const samePosition = (a, b) =>
+  Boolean(a && b) && a.team === b.team && a.index === b.index;
+
+/**
+ * Check a point against the match it is logged on
+ * @param {Object} point - { winner, outcome, shotType, server, hitBy }
+ * @param {Object} match - Match document or plain object
+ * @returns {Array<String>} Errors, empty when the point is valid
+ */
+export const validateMatchPoint = (point = {}, match) => {
+  const errors = [];
+
+  if (!isTeamIndex(point.winner)) {
+    errors.push('winner must be the team that won the point (0 or 1)');
+  }
+
+  if (!POINT_OUTCOMES.includes(point.outcome)) {
+    errors.push(`outcome must be one of: ${POINT_OUTCOMES.join(', ')}`);
+  }
+
+  if (point.shotType && !POINT_SHOT_TYPES.includes(point.shotType)) {
+    errors.push(`shotType must be one of: ${POINT_SHOT_TYPES.join(', ')}`);
+  }
+
+  const isPosition = (position) =>
+    isTeamIndex(position?.team) &&
+    Boolean(match.teams[position.team]?.players[position.index]);
+
+  if (!isPosition(point.server)) {
+    errors.push('server must be a player on the match, as { team, index }');
+  }
+
+  if (point.hitBy !== undefined && point.hitBy !== null) {
+    if (!isPosition(point.hitBy)) {
+      errors.push('hitBy must be a player on the match, as { team, index }');
+    } else if (
+      isTeamIndex(point.winner) &&
+      POINT_OUTCOMES.includes(point.outcome)
+    ) {
+      // A winner is hit by the team that takes the point, an error is made
+      // by the team that loses it
+      const expectedTeam =
+        point.outcome === 'winner' ? point.winner : 1 - point.winner;
+      if (point.hitBy.team !== expectedTeam) {
+        errors.push(
+          point.outcome === 'winner'
+            ? 'hitBy must be on the team that won the point'
+            : 'hitBy must be on the team that lost the point'
+        );
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Replay logged points into a score, following the match's scoring rules:
+ * golden point or advantage games, a tiebreak to 7 at 6-6, and optionally a
+ * super tiebreak to 10 instead of the deciding set.
+ * @param {Array<Object>} points - Points in the order they were played
+ * @param {Object} score - Match.score subdocument (mode, bestOf, superTiebreak)
+ * @returns {{
+ *   sets: Array<Object>,
+ *   setsWon: Array<Number>,
+ *   current: Object|null,
+ *   winner: Number|null,
+ *   errors: Array<String>,
+ * }} Completed sets in Match.score form, and the set and game in progress
+ */
+export const scoreMatchPoints = (points = [], score = {}) => {
+  const mode = SCORING_MODES.includes(score.mode) ? score.mode : 'golden_point';
+  const bestOf = BEST_OF_OPTIONS.includes(score.bestOf) ? score.bestOf : 3;
+  const setsToWin = Math.ceil(bestOf / 2);
+
+  const sets = [];
+  const setsWon = [0, 0];
+  const errors = [];
+  let games = [0, 0];
+  let gamePoints = [0, 0];
+  let winner = null;
+
+  const isSuperTiebreak = () =>
+    Boolean(score.superTiebreak) &&
+    bestOf > 1 &&
+    setsWon[0] === setsToWin - 1 &&
+    setsWon[1] === setsToWin - 1;
+  const isTiebreak = () => games[0] === 6 && games[1] === 6;
+
+  const finishSet = (set, team) => {
+    sets.push(set);
+    setsWon[team] += 1;
+    if (setsWon[team] === setsToWin) winner = team;
+    games = [0, 0];
+    gamePoints = [0, 0];
+  };
+
+  points.forEach((point, position) => {
+    if (winner !== null) {
+      errors.push(
+        `point ${position + 1} was logged after the match was decided`
+      );
+      return;
+    }
+
+    const team = point.winner;
+    const other = 1 - team;
+    gamePoints[team] += 1;
+
+    const lead = gamePoints[team] - gamePoints[other];
+
+    if (isSuperTiebreak()) {
+      if (gamePoints[team] >= 10 && lead >= 2) {
+        finishSet({ tiebreak: gamePoints }, team);
+      }
+      return;
+    }
+
+    if (isTiebreak()) {
+      if (gamePoints[team] >= 7 && lead >= 2) {
+        games[team] += 1;
+        finishSet({ games, tiebreak: gamePoints }, team);
+      }
+      return;
+    }
+
+    // With golden point the point played at 40-40 decides the game
+    const gameWon =
+      gamePoints[team] >= 4 && (mode === 'golden_point' || lead >= 2);
+    if (!gameWon) return;
+
+    games[team] += 1;
+    gamePoints = [0, 0];
+
+    const gameLead = games[team] - games[other];
+    if ((games[team] >= 6 && gameLead >= 2) || games[team] === 7) {
+      finishSet({ games }, team);
+    }
+  });
+
+  const callPoints = () => {
+    if (isSuperTiebreak() || isTiebreak()) return gamePoints.map(String);
+
+    const [a, b] = gamePoints;
+    if (a >= 3 && b >= 3) {
+      if (a === b) return ['40', '40'];
+      return a > b ? ['AD', '40'] : ['40', 'AD'];
+    }
+    return gamePoints.map((won) => GAME_POINT_CALLS[won]);
+  };
+
+  const current =
+    winner === null
+      ? {
+          set: sets.length + 1,
+          games,
+          points: gamePoints,
+          call: callPoints(),
+          tiebreak: isTiebreak(),
+          superTiebreak: isSuperTiebreak(),
+        }
+      : null;
+
+  return { sets, setsWon, current, winner, errors };
+};
+
+// Point totals kept for each player and team
+const emptyPointStats = () => ({
+  points_won: 0,
+  winners: 0,
+  unforced_errors: 0,
+  forced_errors: 0,
+  service_points: 0,
+  service_points_won: 0,
+  winners_by_shot: {},
+  errors_by_shot: {},
+});
+
+const addShot = (counts, shotType = 'other') => {
+  counts[shotType] = (counts[shotType] || 0) + 1;
+};
+
+const withRates = (stats) => {
+  const { service_points: played, service_points_won: won } = stats;
+
+  return {
+    ...stats,
+    service_points_won_pct: played
+      ? Math.round((won / played) * 1000) / 10
+      : null,
+  };
+};
+
+/**
+ * Winners, errors and serve stats per player and team from the point log.
+ * A point's winner or error is credited to the player in hitBy; points
+ * logged without one only count toward the team totals.
+ * @param {Array<Object>} points - Logged points
+ * @param {Object} match - Match with teams (players may be populated)
+ * @returns {{ total_points: Number, teams: Array<Object>, players: Array<Object> }}
+ */
+export const summarizeMatchPoints = (points = [], match) => {
+  const teams = [emptyPointStats(), emptyPointStats()];
+  const players = match.teams.flatMap((team, teamIndex) =>
+    team.players.map((playerObj, index) => ({
+      team: teamIndex,
+      index,
+      player: playerObj.player?._id || playerObj.player || null,
+      name: playerObj.player?.fullName || playerObj.name || null,
+      ...emptyPointStats(),
+    }))
+  );
+
+  const findPlayer = (position) =>
+    position && players.find((player) => samePosition(player, position));
+
+  points.forEach((point) => {
+    const loser = 1 - point.winner;
+    const errorKey =
+      point.outcome === 'forced_error' ? 'forced_errors' : 'unforced_errors';
+    const creditedTeam = point.outcome === 'winner' ? point.winner : loser;
+    const hitter = findPlayer(point.hitBy);
+
+    teams[point.winner].points_won += 1;
+    players
+      .filter((player) => player.team === point.winner)
+      .forEach((player) => {
+        player.points_won += 1;
+      });
+
+    [teams[creditedTeam], hitter].filter(Boolean).forEach((stats) => {
+      if (point.outcome === 'winner') {
+        stats.winners += 1;
+        addShot(stats.winners_by_shot, point.shotType);
+      } else {
+        stats[errorKey] += 1;
+        addShot(stats.errors_by_shot, point.shotType);
+      }
+    });
+
+    const server = findPlayer(point.server);
+    [teams[point.server?.team], server].filter(Boolean).forEach((stats) => {
+      stats.service_points += 1;
+      if (point.server.team === point.winner) stats.service_points_won += 1;
+    });
+  });
+
+  return {
+    total_points: points.length,
+    teams: teams.map(withRates),
+    players: players.map(withRates),
+  };
+};
+
+export default {
+  POINT_OUTCOMES,
+  POINT_SHOT_TYPES,
+  validateMatchPoint,
+  scoreMatchPoints,
+  summarizeMatchPoints,
+};
@@ -0,0 +1,408 @@
+import { formatScore } from './padelScoring.js';
+
+/**
+ * Match report exports - one downloadable file per match with the match
+ * details, the (subscription filtered) analysis, shot events and coaching
+ * insights. The same report is rendered as JSON, CSV, HTML or PDF.
+ */
+
+export const MATCH_EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+// Player metric columns, as [label, getter]. Metrics a plan doesn't include
+// are missing from the filtered analysis and come out blank.
+const PLAYER_COLUMNS = [
+  ['Distance (km)', (player) => player.total_distance_km],
+  ['Avg speed (km/h)', (player) => player.average_speed_kmh],
+  ['Peak speed (km/h)', (player) => player.peak_speed_kmh],
+  ['Calories', (player) => player.calories_burned],
+  ['Net %', (player) => player.net_dominance_percentage],
+  ['Baseline %', (player) => player.baseline_play_percentage],
+  ['Dead zone %', (player) => player.dead_zone_presence_percentage],
+  ['Sprints', (player) => player.total_sprint_bursts],
+  ['Shots', (player) => shotsOf(player).total_shots],
+  ['Forehand', (player) => shotsOf(player).forehand],
+  ['Backhand', (player) => shotsOf(player).backhand],
+  ['Volley', (player) => shotsOf(player).volley],
+  ['Smash', (player) => shotsOf(player).smash],
+  ['Success rate %', (player) => shotsOf(player).success_rate],
+];
+
+const shotsOf = (player) => player.shots || player.shot_analytics || {};
+
+const round = (value) =>
+  typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+
+const slotName = (playerObj) =>
+  playerObj.player?.fullName || playerObj.name || 'Guest';
+
+/**
+ * Put together everything a match report contains
+ * @param {Object} params
+ * @param {Object} params.match - Match with teams.players.player and venue populated
+ * @param {Object|null} params.analysis - Output of filterAnalysisResultsBySubscription
+ * @param {Array<String>} params.playerNames - Display name per analysis player
+ * @param {Array} params.insights - CoachingInsight documents for the analysis
+ * @returns {Object} Plain report object
+ */
+export const buildMatchReport = ({
+  match,
+  analysis = null,
+  playerNames = [],
+  insights = [],
+}) => {
+  const players = analysis?.player_analytics?.players || [];
+  const nameOf = (index) => playerNames[index] || `Player ${index + 1}`;
+  const nameByPlayerId = Object.fromEntries(
+    players.map((player, index) => [player.player_id, nameOf(index)])
+  );
+
+  const teams = (match.teams || []).map((team, index) => ({
+    name: `Team ${index + 1}`,
+    players: team.players.map(slotName),
+    sets_won: team.score,
+  }));
+
+  const winner = match.score?.winner;
+
+  return {
+    generated_at: new Date().toISOString(),
+    match: {
+      id: match._id?.toString(),
+      date: match.startTime || match.createdAt,
+      format: match.format,
+      type: match.type,
+      status: match.status,
+      location: match.location,
+      venue: match.venue?.name,
+      score: formatScore(match.score || {}),
+      winner: [0, 1].includes(winner) ? teams[winner]?.name : null,
+      teams,
+    },
+    // Shot events are listed once, below, rather than under each player
+    players: players.map(({ shot_events, ...player }, index) => ({
+      name: nameOf(index),
+      ...player,
+    })),
+    shot_events: players
+      .flatMap((player, index) =>
+        (player.shot_events || []).map((event) => ({
+          player: nameOf(index),
+          timestamp: event.timestamp,
+          type: event.type,
+          success: event.success,
+          velocity: event.velocity,
+        }))
+      )
+      .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0)),
+    coaching_insights: insights.map((insight) => ({
+      player: nameByPlayerId[insight.player_id] || insight.player_id,
+      ...insight.insights,
+    })),
+    analysis: analysis && {
+      ...analysis,
+      player_analytics: analysis.player_analytics && {
+        ...analysis.player_analytics,
+        players: undefined,
+      },
+    },
+  };
+};
+
+/**
+ * The report as titled tables, shared by the CSV, HTML and PDF renderers
+ * @param {Object} report - From buildMatchReport
+ * @returns {Array<{title: String, headers: Array, rows: Array<Array>}>}
+ */
+export const getReportSections = (report) => {
+  const { match } = report;
+
+  const insightRows = report.coaching_insights.flatMap((insight) => [
+    ...(insight.player_profile
+      ? [
+          [
+            insight.player,
+            'Profile',
+            insight.player_profile.playing_style,
+            [
+              insight.player_profile.intensity_level,
+              insight.player_profile.court_coverage,
+            ]
+              .filter(Boolean)
+              .join('. '),
+          ],
+        ]
+      : []),
+    ...(insight.strengths || []).map((item) => [
+      insight.player,
+      'Strength',
+      item.title,
+      item.description,
+    ]),
+    ...(insight.weaknesses || []).map((item) => [
+      insight.player,
+      'Weakness',
+      item.title,
+      item.description,
+    ]),
+    ...(insight.actionable_tips || []).map((tip) => [
+      insight.player,
+      'Tip',
+      '',
+      tip,
+    ]),
+    ...(insight.tactical_summary
+      ? [[insight.player, 'Summary', '', insight.tactical_summary]]
+      : []),
+  ]);
+
+  return [
+    {
+      title: 'Match',
+      headers: ['Field', 'Value'],
+      rows: [
+        ['Date', match.date ? new Date(match.date).toISOString() : ''],
+        ['Format', match.format],
+        ['Type', match.type],
+        ['Status', match.status],
+        ['Venue', match.venue],
+        ['Location', match.location],
+        ...match.teams.map((team) => [team.name, team.players.join(' / ')]),
+        ['Score', match.score],
+        ['Winner', match.winner],
+      ],
+    },
+    {
+      title: 'Player metrics',
+      headers: ['Player', ...PLAYER_COLUMNS.map(([label]) => label)],
+      rows: report.players.map((player) => [
+        player.name,
+        ...PLAYER_COLUMNS.map(([, getValue]) => round(getValue(player))),
+      ]),
+    },
+    {
+      title: 'Shot events',
+      headers: ['Player', 'Time (s)', 'Type', 'Success', 'Velocity'],
+      rows: report.shot_events.map((event) => [
+        event.player,
+        round(event.timestamp),
+        event.type,
+        event.success === undefined ? '' : event.success ? 'yes' : 'no',
+        round(event.velocity),
+      ]),
+    },
+    {
+      title: 'Coaching insights',
+      headers: ['Player', 'Category', 'Title', 'Detail'],
+      rows: insightRows,
+    },
+  ];
+};
+
+const toText = (value) =>
+  value === undefined || value === null ? '' : String(value);
+
+// Quote fields that need it, and keep spreadsheet apps from reading text
+// cells as formulas
+const csvField = (value) => {
+  let text = toText(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const renderMatchReportCsv = (report) =>
+  getReportSections(report)
+    .map((section) =>
+      [[section.title], section.headers, ...section.rows]
+        .map((row) => row.map(csvField).join(','))
+        .join('\r\n')
+    )
+    .join('\r\n\r\n') + '\r\n';
+
+const escapeHtml = (value) =>
+  toText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+export const renderMatchReportHtml = (report) => {
+  const tables = getReportSections(report)
+    .map(
+      (section) => `<h2>${escapeHtml(section.title)}</h2>
+<table>
+<thead><tr>${section.headers
+        .map((header) => `<th>${escapeHtml(header)}</th>`)
+        .join('')}</tr></thead>
+<tbody>
+${
+  section.rows.length
+    ? section.rows
+        .map(
+          (row) =>
+            `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`
+        )
+        .join('\n')
+    : `<tr><td colspan="${section.headers.length}">None</td></tr>`
+}
+</tbody>
+</table>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Padelize match report</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 28px; font-size: 18px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f2f2f2; }
+  tr { page-break-inside: avoid; }
+  .generated { color: #777; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>Padelize match report</h1>
+<p class="generated">Generated ${escapeHtml(report.generated_at)}</p>
+${tables}
+</body>
+</html>
+`;
+};
+
+// A4 in points, with the built-in Helvetica fonts - enough for a text report
+// without pulling in a PDF library
+const PDF_PAGE = {
+  width: 595,
+  height: 842,
+  margin: 50,
+  fontSize: 9,
+  lineHeight: 13,
+  maxChars: 105,
+};
+
+// PDF strings are Latin-1 here; anything outside it is replaced
+const pdfString = (text) =>
+  toText(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+const wrapLine = (text, width) => {
+  const lines = [];
+  let rest = text;
+  while (rest.length > width) {
+    const breakAt = rest.lastIndexOf(' ', width);
+    const cut = breakAt > 0 ? breakAt : width;
+    lines.push(rest.slice(0, cut));
+    rest = rest.slice(cut).trimStart();
+  }
+  lines.push(rest);
+  return lines;
+};
+
+export const renderMatchReportPdf = (report) => {
+  // [font, text] per output line; F2 is bold
+  const lines = [
+    ['F2', 'Padelize match report'],
+    ['F1', `Generated ${report.generated_at}`],
+  ];
+
+  getReportSections(report).forEach((section) => {
+    lines.push(['F1', ''], ['F2', section.title]);
+    [section.headers, ...section.rows].forEach((row, index) =>
+      wrapLine(row.map(toText).join(' | '), PDF_PAGE.maxChars).forEach(
+        (text) => lines.push([index === 0 ? 'F2' : 'F1', text])
+      )
+    );
+    if (!section.rows.length) lines.push(['F1', 'None']);
+  });
+
+  const linesPerPage = Math.floor(
+    (PDF_PAGE.height - 2 * PDF_PAGE.margin) / PDF_PAGE.lineHeight
+  );
+  const pages = [];
+  for (let i = 0; i < lines.length; i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // Objects 1-4 are fixed; each page then takes a page and a content object
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(' ')}] /Count ${pages.length} >>`;
+  objects[3] =
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] =
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const top = PDF_PAGE.height - PDF_PAGE.margin;
+    const stream = pageLines
+      .map(
+        ([font, text], lineIndex) =>
+          `BT /${font} ${PDF_PAGE.fontSize} Tf ${PDF_PAGE.margin} ${
+            top - lineIndex * PDF_PAGE.lineHeight
+          } Td (${pdfString(text)}) Tj ET`
+      )
+      .join('\n');
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${
+      PDF_PAGE.width
+    } ${PDF_PAGE.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+      pageId + 1
+    } 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(
+      stream,
+      'latin1'
+    )} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+/**
+ * Render a report in one of MATCH_EXPORT_FORMATS
+ * @param {Object} report - From buildMatchReport
+ * @param {String} format - json, csv, html or pdf
+ * @returns {String|Buffer}
+ */
+export const renderMatchReport = (report, format) => {
+  switch (format) {
+    case 'csv':
+      return renderMatchReportCsv(report);
+    case 'html':
+      return renderMatchReportHtml(report);
+    case 'pdf':
+      return renderMatchReportPdf(report);
+    default:
+      return JSON.stringify(report, null, 2);
+  }
+};
@@ -161,6 +161,11 @@ function determineCurrentStage(match, uploadPath) {
   if (match.analysisStatus === 'completed') {
     return { name: 'completed', hasFailed: false };
   }
+
+  // Results held for review - see analysisQuarantineService
+  if (match.analysisStatus === 'quarantined') {
+    return { name: 'under_review', hasFailed: false };
+  }
   
   // Check current stage
   if (match.analysisStatus === 'processing' || match.analysisStatus === 'pending') {
@@ -259,6 +264,7 @@ function generateStatusMessage(match, uploadPath, currentStage) {
     'detecting_players': 'Detecting players in video...',
     'awaiting_analysis': 'Ready for analysis',
     'analyzing': 'Analyzing gameplay...',
+    'under_review': 'Analysis results are being reviewed',
     'completed': 'Analysis complete!',
     'failed': `Processing failed at ${currentStage.failedStages?.join(', ') || 'unknown stage'}`,
   };
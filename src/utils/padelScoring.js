@@ -0,0 +1,270 @@
+/**
+ * Padel Scoring Helper
+ *
+ * Validates structured match scores (sets, games, tiebreaks) and derives
+ * the result from them:
+ * - Regular sets are won 6-0 to 6-4, 7-5, or 7-6 after a tiebreak to 7
+ * - An optional super tiebreak (to 10) can replace the deciding set
+ * - The match is won by the first team to take the majority of `bestOf` sets
+ *
+ * Scoring mode (golden point vs advantage) only affects how games are won,
+ * so it is stored with the score but not needed to validate set results.
+ */
+
+export const SCORING_MODES = ['golden_point', 'advantage'];
+export const BEST_OF_OPTIONS = [1, 3, 5];
+
+const isScorePair = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every((n) => Number.isInteger(n) && n >= 0);
+
+/**
+ * Check a tiebreak score: first to `target` points, won by two.
+ * @param {Array<Number>} points - [team0Points, team1Points]
+ * @param {Number} target - 7 for a set tiebreak, 10 for a super tiebreak
+ * @returns {Number|null} Winning team index, or null if not a finished tiebreak
+ */
+const getTiebreakWinner = (points, target) => {
+  if (!isScorePair(points)) return null;
+
+  const [a, b] = points;
+  const high = Math.max(a, b);
+  const low = Math.min(a, b);
+
+  if (high < target || high - low < 2) return null;
+  // Past the target the tiebreak ends as soon as the lead reaches two
+  if (high > target && high - low !== 2) return null;
+
+  return a > b ? 0 : 1;
+};
+
+/**
+ * Validate a single set and work out who won it
+ * @param {Object} set - { games: [Number, Number], tiebreak: [Number, Number] }
+ * @param {Object} options
+ * @param {Boolean} options.superTiebreak - Whether this set is a super tiebreak
+ * @returns {{ winner: Number|null, error: String|null }}
+ */
+export const getSetWinner = (set, { superTiebreak = false } = {}) => {
+  const tiebreak = set?.tiebreak?.length ? set.tiebreak : null;
+
+  if (superTiebreak) {
+    const winner = getTiebreakWinner(tiebreak, 10);
+    if (winner === null) {
+      return {
+        winner: null,
+        error:
+          'a super tiebreak must be played to 10 points and won by two points',
+      };
+    }
+    return { winner, error: null };
+  }
+
+  if (!isScorePair(set?.games)) {
+    return {
+      winner: null,
+      error: 'games must be a pair of non-negative whole numbers',
+    };
+  }
+
+  const [a, b] = set.games;
+  const high = Math.max(a, b);
+  const low = Math.min(a, b);
+  const setWinner = a > b ? 0 : 1;
+
+  if (high === 7 && low === 6) {
+    const tiebreakWinner = getTiebreakWinner(tiebreak, 7);
+    if (tiebreakWinner === null) {
+      return {
+        winner: null,
+        error: `${a}-${b} requires a finished tiebreak score (first to 7, won by two)`,
+      };
+    }
+    if (tiebreakWinner !== setWinner) {
+      return {
+        winner: null,
+        error: `tiebreak ${tiebreak.join('-')} does not match the ${a}-${b} set winner`,
+      };
+    }
+    return { winner: setWinner, error: null };
+  }
+
+  if (tiebreak) {
+    return {
+      winner: null,
+      error: `a tiebreak is only played at 6-6, not in a ${a}-${b} set`,
+    };
+  }
+
+  if ((high === 6 && low <= 4) || (high === 7 && low === 5)) {
+    return { winner: setWinner, error: null };
+  }
+
+  return { winner: null, error: `${a}-${b} is not a finished set` };
+};
+
+/**
+ * Validate a structured score and derive the sets won and match winner
+ * @param {Object} score - Match.score subdocument
+ * @returns {{ errors: Array<String>, setsWon: Array<Number>, winner: Number|null }}
+ */
+export const deriveMatchResult = (score = {}) => {
+  const { bestOf = 3, superTiebreak = false, mode } = score;
+  const sets = score.sets || [];
+  const errors = [];
+  const setsWon = [0, 0];
+  const setsToWin = Math.ceil(bestOf / 2);
+  let winner = null;
+
+  if (!BEST_OF_OPTIONS.includes(bestOf)) {
+    errors.push(`bestOf must be one of ${BEST_OF_OPTIONS.join(', ')}`);
+  }
+
+  if (mode && !SCORING_MODES.includes(mode)) {
+    errors.push(`mode must be one of ${SCORING_MODES.join(', ')}`);
+  }
+
+  if (sets.length > bestOf) {
+    errors.push(`a best of ${bestOf} match cannot have ${sets.length} sets`);
+  }
+
+  if (errors.length) return { errors, setsWon, winner };
+
+  sets.forEach((set, index) => {
+    if (winner !== null) {
+      errors.push(`set ${index + 1} was played after the match was decided`);
+      return;
+    }
+
+    // The super tiebreak replaces the deciding set when both teams are one set away
+    const isDecidingSet =
+      setsWon[0] === setsToWin - 1 && setsWon[1] === setsToWin - 1;
+
+    const result = getSetWinner(set, {
+      superTiebreak: superTiebreak && bestOf > 1 && isDecidingSet,
+    });
+
+    if (result.error) {
+      errors.push(`set ${index + 1}: ${result.error}`);
+      return;
+    }
+
+    setsWon[result.winner] += 1;
+    if (setsWon[result.winner] === setsToWin) winner = result.winner;
+  });
+
+  return { errors, setsWon, winner };
+};
+
+/**
+ * Render a score the way it is usually written, e.g. "6-4 3-6 7-6(5)"
+ * @param {Object} score - Match.score subdocument
+ * @returns {String}
+ */
+export const formatScore = (score = {}) => {
+  const sets = score.sets || [];
+
+  return sets
+    .map((set) => {
+      const tiebreak = set.tiebreak?.length ? set.tiebreak : null;
+
+      if (!set.games?.length && tiebreak) {
+        return `[${tiebreak[0]}-${tiebreak[1]}]`;
+      }
+
+      const games = `${set.games[0]}-${set.games[1]}`;
+      // Conventionally only the tiebreak loser's points are shown
+      return tiebreak ? `${games}(${Math.min(...tiebreak)})` : games;
+    })
+    .join(' ');
+};
+
+/**
+ * Read a score written the way formatScore renders it, e.g. "6-4 3-6 7-6(5)"
+ * or "6-4 3-6 [10-8]" with a super tiebreak. Sets may also be comma separated.
+ * bestOf is the smallest format the number of sets fits in.
+ * The result still needs checking with deriveMatchResult.
+ * @param {String} text
+ * @returns {{ score: Object|null, error: String|null }}
+ */
+export const parseScore = (text = '') => {
+  const tokens = String(text).trim().split(/[\s,]+/).filter(Boolean);
+
+  if (!tokens.length) return { score: null, error: 'score is empty' };
+
+  const sets = [];
+  let superTiebreak = false;
+
+  for (const [index, token] of tokens.entries()) {
+    const superMatch = token.match(/^\[(\d+)-(\d+)\]$/);
+    if (superMatch) {
+      if (index !== tokens.length - 1 || index === 0) {
+        return {
+          score: null,
+          error: `"${token}": a super tiebreak can only be the deciding set`,
+        };
+      }
+      superTiebreak = true;
+      sets.push({ tiebreak: [Number(superMatch[1]), Number(superMatch[2])] });
+      continue;
+    }
+
+    const setMatch = token.match(/^(\d+)-(\d+)(?:\((\d+)\))?$/);
+    if (!setMatch) {
+      return { score: null, error: `"${token}" is not a set score` };
+    }
+
+    const games = [Number(setMatch[1]), Number(setMatch[2])];
+    if (setMatch[3] === undefined) {
+      sets.push({ games });
+      continue;
+    }
+
+    // Only the tiebreak loser's points are written - the winner scored at
+    // least 7 and won by two
+    const loserPoints = Number(setMatch[3]);
+    const winnerPoints = Math.max(7, loserPoints + 2);
+    sets.push({
+      games,
+      tiebreak:
+        games[0] > games[1]
+          ? [winnerPoints, loserPoints]
+          : [loserPoints, winnerPoints],
+    });
+  }
+
+  const bestOf = BEST_OF_OPTIONS.find((option) => option >= sets.length);
+  if (!bestOf) {
+    return { score: null, error: `${sets.length} sets is too many` };
+  }
+
+  return { score: { sets, bestOf, superTiebreak }, error: null };
+};
+
+/**
+ * Find which team (0 or 1) a registered user played on
+ * @param {Object} match - Match document or plain object
+ * @param {String} userId - User ID
+ * @returns {Number} Team index, or -1 if the user is not on either team
+ */
+export const getTeamIndexForUser = (match, userId) => {
+  if (!match?.teams || !userId) return -1;
+
+  return match.teams.findIndex((team) =>
+    team.players.some((playerObj) => {
+      const player = playerObj.player?._id || playerObj.player;
+      return player && player.toString() === userId.toString();
+    })
+  );
+};
+
+export default {
+  SCORING_MODES,
+  BEST_OF_OPTIONS,
+  getSetWinner,
+  deriveMatchResult,
+  formatScore,
+  parseScore,
+  getTeamIndexForUser,
+};
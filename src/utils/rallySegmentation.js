@@ -0,0 +1,165 @@
+import { collectShotEvents } from './shotTimeline.js';
+
+/**
+ * Rally segmentation - groups an analysis' shot events into rallies and
+ * works out rally stats for the match and for each player. Works on a
+ * plain analysis object, see addRallyStats.
+ *
+ * A rally ends when the gap to the next shot is longer than maxGapSeconds,
+ * or when the same side hits twice in a row (sides must alternate). The
+ * last hitter's side wins the rally unless their shot is marked
+ * unsuccessful; when the analysis doesn't say, the last hitter is taken to
+ * have won it, as nobody returned the ball.
+ */
+
+export const RALLY_MAX_GAP_SECONDS = 5;
+// Rallies of at least this many shots count as long
+export const LONG_RALLY_MIN_SHOTS = 6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const share = (won, played) => (played ? round((won / played) * 100) : null);
+
+/**
+ * Which side of the net each player is on. The analysis server lists
+ * doubles players team by team, so the first half of the players are one
+ * side and the rest the other; in singles each player is their own side.
+ * @param {Number} playerCount
+ * @returns {Array<Number>} Side (0 or 1) by player position
+ */
+export const defaultSides = (playerCount) =>
+  Array.from({ length: playerCount }, (_, index) =>
+    index < Math.ceil(playerCount / 2) ? 0 : 1
+  );
+
+/**
+ * Split shot events into rallies
+ * @param {Array<Object>} events - From collectShotEvents
+ * @param {Object} options
+ * @param {Array<Number>} options.sides - Side by player position
+ * @param {Number} options.maxGapSeconds
+ * @returns {Array<Object>} { start_time, end_time, shots, last_hitter,
+ *   last_hitter_index, winner_side }
+ */
+export const segmentRallies = (
+  events,
+  { sides = [], maxGapSeconds = RALLY_MAX_GAP_SECONDS } = {}
+) => {
+  // Only shots we can place in time and on a side can be grouped
+  const shots = events.filter(
+    (event) => event.time !== null && sides[event.player_index] !== undefined
+  );
+  if (new Set(shots.map((event) => sides[event.player_index])).size < 2) {
+    return [];
+  }
+
+  const rallies = [];
+  let current = [];
+
+  const closeRally = () => {
+    if (!current.length) return;
+
+    const first = current[0];
+    const last = current[current.length - 1];
+    const lastSide = sides[last.player_index];
+
+    rallies.push({
+      start_time: first.time,
+      end_time: last.end_time ?? last.time,
+      shots: current.length,
+      last_hitter: last.player_id,
+      last_hitter_index: last.player_index,
+      winner_side: last.success === false ? 1 - lastSide : lastSide,
+    });
+    current = [];
+  };
+
+  shots.forEach((event) => {
+    const previous = current[current.length - 1];
+    if (
+      previous &&
+      (event.time - previous.time > maxGapSeconds ||
+        sides[event.player_index] === sides[previous.player_index])
+    ) {
+      closeRally();
+    }
+    current.push(event);
+  });
+  closeRally();
+
+  return rallies;
+};
+
+/**
+ * Rally stats for the match
+ * @param {Array<Object>} rallies - From segmentRallies
+ * @returns {Object} { total_rallies, average_length, longest_rally, ... }
+ */
+export const buildRallyStats = (rallies) => {
+  const lengths = rallies.map((rally) => rally.shots);
+
+  return {
+    total_rallies: rallies.length,
+    average_length: lengths.length
+      ? round(lengths.reduce((sum, shots) => sum + shots, 0) / lengths.length)
+      : null,
+    longest_rally: lengths.length ? Math.max(...lengths) : null,
+    long_rallies: lengths.filter((shots) => shots >= LONG_RALLY_MIN_SHOTS)
+      .length,
+    long_rally_min_shots: LONG_RALLY_MIN_SHOTS,
+  };
+};
+
+/**
+ * Rally stats from one side's point of view - every rally is played by
+ * both sides, so both players of a doubles team get the same stats
+ * @param {Array<Object>} rallies - From segmentRallies
+ * @param {Number} side
+ * @returns {Object}
+ */
+export const buildSideRallyStats = (rallies, side) => {
+  const long = rallies.filter((rally) => rally.shots >= LONG_RALLY_MIN_SHOTS);
+  const short = rallies.filter((rally) => rally.shots < LONG_RALLY_MIN_SHOTS);
+  const wonBySide = (list) =>
+    list.filter((rally) => rally.winner_side === side).length;
+
+  return {
+    ...buildRallyStats(rallies),
+    rallies_won: wonBySide(rallies),
+    long_rallies_won: wonBySide(long),
+    short_rallies: short.length,
+    short_rallies_won: wonBySide(short),
+    win_share: share(wonBySide(rallies), rallies.length),
+    long_rally_win_share: share(wonBySide(long), long.length),
+    short_rally_win_share: share(wonBySide(short), short.length),
+  };
+};
+
+/**
+ * Segment an analysis' shot events into rallies and add them to it:
+ * `rallies` and `rally_stats` at the top level and `rally_stats` on each
+ * player. Analyses with no shot events from both sides get no rallies.
+ * @param {Object} analysis - Plain analysis object, changed in place
+ * @param {Object} options - See segmentRallies
+ * @returns {Object} The analysis
+ */
+export const addRallyStats = (analysis, options = {}) => {
+  const players = analysis?.player_analytics?.players;
+  if (!players?.length) return analysis;
+
+  const sides = options.sides || defaultSides(players.length);
+  const rallies = segmentRallies(collectShotEvents(analysis), {
+    ...options,
+    sides,
+  });
+
+  analysis.rallies = rallies;
+  analysis.rally_stats = rallies.length ? buildRallyStats(rallies) : null;
+  players.forEach((player, index) => {
+    player.rally_stats = rallies.length
+      ? buildSideRallyStats(rallies, sides[index])
+      : null;
+  });
+
+  return analysis;
+};
@@ -0,0 +1,88 @@
+/**
+ * Skill Rating Calculator
+ *
+ * Elo-style ratings for ranked matches:
+ * - Every player starts at DEFAULT_RATING
+ * - A team's rating is the average of its players' ratings, so doubles
+ *   teams are rated as a unit and each partner gains or loses the same amount
+ * - New players move faster (provisional K-factor) until their rating settles
+ *
+ * Singles and doubles are rated separately since they are different games.
+ */
+
+export const DEFAULT_RATING = 1500;
+export const PROVISIONAL_MATCHES = 10;
+export const PROVISIONAL_K_FACTOR = 40;
+export const ESTABLISHED_K_FACTOR = 24;
+
+/**
+ * Probability that a side rated `rating` beats a side rated `opponentRating`
+ * @param {Number} rating
+ * @param {Number} opponentRating
+ * @returns {Number} Value between 0 and 1
+ */
+export const getExpectedScore = (rating, opponentRating) =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+/**
+ * @param {Number} matchesPlayed - Rated matches the player has completed
+ * @returns {Number}
+ */
+export const getKFactor = (matchesPlayed = 0) =>
+  matchesPlayed < PROVISIONAL_MATCHES
+    ? PROVISIONAL_K_FACTOR
+    : ESTABLISHED_K_FACTOR;
+
+/**
+ * @param {Array<{ rating: Number }>} players
+ * @returns {Number} Combined team rating
+ */
+export const getTeamRating = (players) =>
+  players.reduce((sum, player) => sum + (player.rating ?? DEFAULT_RATING), 0) /
+  players.length;
+
+/**
+ * Work out each player's new rating after a decided match
+ * @param {Array<Array<Object>>} teams - Two arrays of { id, rating, matches }
+ * @param {Number} winner - Index of the winning team (0 or 1)
+ * @returns {Array<Object>} One entry per player with before/after values
+ */
+export const calculateRatingChanges = (teams, winner) => {
+  const teamRatings = teams.map(getTeamRating);
+
+  return teams.flatMap((players, teamIndex) => {
+    const opponentRating = teamRatings[1 - teamIndex];
+    const expectedScore = getExpectedScore(
+      teamRatings[teamIndex],
+      opponentRating
+    );
+    const actualScore = teamIndex === winner ? 1 : 0;
+
+    return players.map((player) => {
+      const ratingBefore = player.rating ?? DEFAULT_RATING;
+      const change = Math.round(
+        getKFactor(player.matches) * (actualScore - expectedScore)
+      );
+
+      return {
+        id: player.id,
+        ratingBefore,
+        ratingAfter: ratingBefore + change,
+        change,
+        expectedScore: Math.round(expectedScore * 1000) / 1000,
+        teamRating: Math.round(teamRatings[teamIndex]),
+        opponentRating: Math.round(opponentRating),
+        result: actualScore === 1 ? 'win' : 'loss',
+      };
+    });
+  });
+};
+
+export default {
+  DEFAULT_RATING,
+  PROVISIONAL_MATCHES,
+  getExpectedScore,
+  getKFactor,
+  getTeamRating,
+  calculateRatingChanges,
+};
@@ -0,0 +1,296 @@
+import AppError from './appError.js';
+
+/**
+ * Shot timeline - flattens an analysis' shot events into one time-ordered
+ * list and builds the per-minute histogram and velocity distribution for
+ * GET /api/v1/analysis/:analysisId/shots. Everything here works on a plain
+ * (already plan-filtered) analysis object.
+ */
+
+export const SHOT_TYPES = ['forehand', 'backhand', 'volley', 'smash'];
+
+// Most bins a velocity distribution is split into - the bin size is
+// widened to stay under it
+const MAX_VELOCITY_BINS = 50;
+const DEFAULT_VELOCITY_BIN = 10;
+
+const toList = (value) =>
+  String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const toSeconds = (value, name) => {
+  const seconds = Number(value);
+  if (value === '' || !Number.isFinite(seconds) || seconds < 0) {
+    throw new AppError(`${name} must be a number of seconds`, 400);
+  }
+  return seconds;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Read the shot filters from a request query:
+ *   ?player=a,b  player_id, player position (0-3) or user ID
+ *   ?type=forehand,smash
+ *   ?from=60&to=300  seconds into the video
+ *   ?success=true|false
+ *   ?velocity_bin=5  width of a velocity distribution bin
+ * @param {Object} query - req.query
+ * @returns {Object} Filters, only those given are set
+ * @throws {AppError} 400 on an invalid value
+ */
+export const parseShotQuery = (query = {}) => {
+  const filters = {};
+
+  if (query.player) filters.players = toList(query.player);
+
+  if (query.type) {
+    filters.types = toList(query.type).map((type) => type.toLowerCase());
+    const unknown = filters.types.filter((type) => !SHOT_TYPES.includes(type));
+    if (unknown.length) {
+      throw new AppError(
+        `type must be one of: ${SHOT_TYPES.join(', ')} (got ${unknown})`,
+        400
+      );
+    }
+  }
+
+  if (query.from !== undefined) filters.from = toSeconds(query.from, 'from');
+  if (query.to !== undefined) filters.to = toSeconds(query.to, 'to');
+  if (
+    filters.from !== undefined &&
+    filters.to !== undefined &&
+    filters.from > filters.to
+  ) {
+    throw new AppError('from must be before to', 400);
+  }
+
+  if (query.success !== undefined) {
+    if (!['true', 'false'].includes(query.success)) {
+      throw new AppError('success must be true or false', 400);
+    }
+    filters.success = query.success === 'true';
+  }
+
+  if (query.velocity_bin !== undefined) {
+    const size = Number(query.velocity_bin);
+    if (!Number.isFinite(size) || size <= 0) {
+      throw new AppError('velocity_bin must be a positive number', 400);
+    }
+    filters.velocityBin = size;
+  }
+
+  return filters;
+};
+
+/**
+ * Every shot event in an analysis, earliest first. Events on a player carry
+ * that player; events only listed at player_analytics.shot_events (older
+ * payloads) are used when no player has any, and belong to no one.
+ * @param {Object} analysis - Plain analysis object
+ * @returns {Array<Object>} Events with `time` (seconds, for seeking the
+ *   video) worked out from the timestamp or frame numbers
+ */
+export const collectShotEvents = (analysis) => {
+  const fps = analysis.player_analytics?.metadata?.fps;
+  const players = analysis.player_analytics?.players || [];
+
+  const frameTime = (frame) =>
+    typeof frame === 'number' && fps > 0 ? round(frame / fps) : null;
+
+  const normalize = (event, index, player, position) => {
+    const time =
+      typeof event.timestamp === 'number'
+        ? event.timestamp
+        : frameTime(event.start_frame ?? event.frame);
+
+    return {
+      id: `${player?.player_id ?? position ?? 'shot'}-${index}`,
+      player_id: player?.player_id ?? null,
+      player_index: position ?? null,
+      user: player?.user ?? null,
+      time,
+      end_time: frameTime(event.end_frame),
+      frame: event.frame ?? event.start_frame ?? null,
+      type: event.type?.toLowerCase() ?? null,
+      velocity: typeof event.velocity === 'number' ? event.velocity : null,
+      success: typeof event.success === 'boolean' ? event.success : null,
+      ball_pos: event.ball_pos ?? null,
+      player_pos: event.player_pos ?? null,
+    };
+  };
+
+  let events = players.flatMap((player, position) =>
+    (player.shot_events || []).map((event, index) =>
+      normalize(event, index, player, position)
+    )
+  );
+
+  if (!events.length) {
+    events = (analysis.player_analytics?.shot_events || []).map(
+      (event, index) => normalize(event, index)
+    );
+  }
+
+  // Events without a time go last
+  return events.sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity));
+};
+
+const matchesPlayer = (event, players) =>
+  players.some(
+    (player) =>
+      player === event.player_id ||
+      player === String(event.player_index) ||
+      (event.user && player === event.user.toString())
+  );
+
+/**
+ * Apply parseShotQuery filters. A time range leaves out events without a
+ * time; a success filter leaves out events that don't say.
+ * @param {Array<Object>} events - From collectShotEvents
+ * @param {Object} filters - From parseShotQuery
+ * @returns {Array<Object>}
+ */
+export const filterShotEvents = (events, filters = {}) =>
+  events.filter(
+    (event) =>
+      (!filters.players || matchesPlayer(event, filters.players)) &&
+      (!filters.types || filters.types.includes(event.type)) &&
+      (filters.from === undefined ||
+        (event.time !== null && event.time >= filters.from)) &&
+      (filters.to === undefined ||
+        (event.time !== null && event.time <= filters.to)) &&
+      (filters.success === undefined || event.success === filters.success)
+  );
+
+/**
+ * Shots per minute of the video, with every minute in the range present
+ * (empty ones as 0) so the timeline has no gaps
+ * @param {Array<Object>} events - Filtered events
+ * @param {Object} options
+ * @param {Number} options.from - Range start in seconds (default 0)
+ * @param {Number} options.to - Range end in seconds
+ * @param {Number} options.durationSeconds - Video length, if known
+ * @returns {Array<Object>} { minute, total, successful, by_type }
+ */
+export const buildShotHistogram = (
+  events,
+  { from = 0, to, durationSeconds = 0 } = {}
+) => {
+  const timed = events.filter((event) => event.time !== null);
+  const lastShot = timed.length ? timed[timed.length - 1].time : 0;
+  const end = Math.min(Math.max(durationSeconds, lastShot), to ?? Infinity);
+
+  if (!timed.length && !durationSeconds) return [];
+
+  const firstMinute = Math.floor(from / 60);
+  // A video ending exactly on a minute has no shots in the next one
+  const lastMinute = Math.max(
+    firstMinute,
+    Math.ceil(end / 60) - 1,
+    Math.floor(lastShot / 60)
+  );
+
+  const minutes = Array.from(
+    { length: lastMinute - firstMinute + 1 },
+    (_, index) => ({
+      minute: firstMinute + index,
+      total: 0,
+      successful: 0,
+      by_type: Object.fromEntries(SHOT_TYPES.map((type) => [type, 0])),
+    })
+  );
+
+  timed.forEach((event) => {
+    const bucket = minutes[Math.floor(event.time / 60) - firstMinute];
+    if (!bucket) return;
+
+    bucket.total += 1;
+    if (event.success) bucket.successful += 1;
+    if (event.type in bucket.by_type) bucket.by_type[event.type] += 1;
+  });
+
+  return minutes;
+};
+
+const summarizeVelocities = (velocities) => {
+  if (!velocities.length) {
+    return { count: 0, min: null, max: null, average: null, median: null };
+  }
+
+  const sorted = [...velocities].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    average: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    median: round(
+      sorted.length % 2
+        ? sorted[middle]
+        : (sorted[middle - 1] + sorted[middle]) / 2
+    ),
+  };
+};
+
+/**
+ * Velocity distribution of the shots that report one: overall summary,
+ * fixed-width bins and a summary per shot type
+ * @param {Array<Object>} events - Filtered events
+ * @param {Number} binSize - Requested bin width, in the server's units
+ * @returns {Object}
+ */
+export const buildVelocityDistribution = (
+  events,
+  binSize = DEFAULT_VELOCITY_BIN
+) => {
+  const withVelocity = events.filter((event) => event.velocity !== null);
+  const summary = summarizeVelocities(
+    withVelocity.map((event) => event.velocity)
+  );
+
+  let bins = [];
+  let size = binSize;
+
+  if (summary.count) {
+    const start = Math.floor(summary.min / size) * size;
+    // Widen the bins rather than return hundreds of them
+    size = Math.max(size, (summary.max - start) / (MAX_VELOCITY_BINS - 1));
+    const count = Math.floor((summary.max - start) / size) + 1;
+
+    bins = Array.from({ length: count }, (_, index) => ({
+      from: round(start + index * size),
+      to: round(start + (index + 1) * size),
+      count: 0,
+    }));
+
+    withVelocity.forEach((event) => {
+      const index = Math.min(
+        Math.floor((event.velocity - start) / size),
+        count - 1
+      );
+      bins[index].count += 1;
+    });
+  }
+
+  const byType = Object.fromEntries(
+    SHOT_TYPES.map((type) => [
+      type,
+      summarizeVelocities(
+        withVelocity
+          .filter((event) => event.type === type)
+          .map((event) => event.velocity)
+      ),
+    ]).filter(([, stats]) => stats.count)
+  );
+
+  return {
+    ...summary,
+    bin_size: round(size),
+    bins,
+    by_type: byType,
+  };
+};
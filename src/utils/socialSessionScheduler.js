@@ -0,0 +1,187 @@
+/**
+ * Social Session Scheduler
+ *
+ * Pairs players for Americano and Mexicano nights. Players are referred to
+ * by their index in the session's player list.
+ * - Americano: the whole schedule is fixed up front. Partners rotate using a
+ *   round-robin (circle method) so everyone partners everyone once.
+ * - Mexicano: each round is drawn from the current standings, with the 1st
+ *   and 4th placed players facing the 2nd and 3rd on each court.
+ *
+ * When there are more players than court spots, the players who have sat
+ * out the least are rested first.
+ */
+
+export const SESSION_MODES = ['americano', 'mexicano'];
+
+const countPair = (counts, a, b) => {
+  const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+  return counts.get(key) || 0;
+};
+
+const addPair = (counts, a, b) => {
+  const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+  counts.set(key, (counts.get(key) || 0) + 1);
+};
+
+/**
+ * Build the full Americano schedule
+ * @param {Number} playerCount
+ * @param {Number} courts
+ * @returns {Array<{ games: Array<{ teams: Array<Array<Number>> }>, sittingOut: Array<Number> }>}
+ */
+export const buildAmericanoSchedule = (playerCount, courts) => {
+  const rotation = Array.from({ length: playerCount }, (_, i) => i);
+  if (rotation.length % 2 === 1) rotation.push(null);
+
+  const sitOuts = new Array(playerCount).fill(0);
+  const opponentCounts = new Map();
+  const rounds = [];
+
+  for (let round = 0; round < rotation.length - 1; round++) {
+    const pairs = [];
+
+    for (let i = 0; i < rotation.length / 2; i++) {
+      const a = rotation[i];
+      const b = rotation[rotation.length - 1 - i];
+      if (a !== null && b !== null) pairs.push([a, b]);
+    }
+
+    // Rest the pairs whose players have sat out least
+    const gameCount = Math.min(courts, Math.floor(pairs.length / 2));
+    pairs.sort(
+      (x, y) =>
+        sitOuts[y[0]] + sitOuts[y[1]] - (sitOuts[x[0]] + sitOuts[x[1]])
+    );
+    const playing = pairs.slice(0, gameCount * 2);
+
+    // Match pairs up so the same players don't keep facing each other
+    const games = [];
+    while (playing.length) {
+      const home = playing.shift();
+      let bestIndex = 0;
+      let bestScore = Infinity;
+
+      playing.forEach((away, index) => {
+        const score = home.reduce(
+          (sum, a) =>
+            sum + away.reduce((s, b) => s + countPair(opponentCounts, a, b), 0),
+          0
+        );
+        if (score < bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+
+      const [away] = playing.splice(bestIndex, 1);
+      home.forEach((a) => away.forEach((b) => addPair(opponentCounts, a, b)));
+      games.push({ teams: [home, away] });
+    }
+
+    const playingPlayers = new Set(games.flatMap((game) => game.teams.flat()));
+    const sittingOut = sitOuts
+      .map((_, index) => index)
+      .filter((index) => !playingPlayers.has(index));
+    sittingOut.forEach((index) => {
+      sitOuts[index] += 1;
+    });
+
+    rounds.push({ games, sittingOut });
+    rotation.splice(1, 0, rotation.pop());
+  }
+
+  return rounds;
+};
+
+/**
+ * Draw the next Mexicano round from the standings
+ * @param {Array<Number>} ranking - Player indexes, best first
+ * @param {Array<Number>} sitOuts - Rounds each player has sat out so far
+ * @param {Number} courts
+ * @returns {{ games: Array<{ teams: Array<Array<Number>> }>, sittingOut: Array<Number> }}
+ */
+export const buildMexicanoRound = (ranking, sitOuts, courts) => {
+  const gameCount = Math.min(courts, Math.floor(ranking.length / 4));
+  const restCount = ranking.length - gameCount * 4;
+
+  // Rest whoever has sat out least, lowest ranked first
+  const sittingOut = [...ranking]
+    .reverse()
+    .sort((a, b) => (sitOuts[a] || 0) - (sitOuts[b] || 0))
+    .slice(0, restCount);
+
+  const playing = ranking.filter((index) => !sittingOut.includes(index));
+  const games = [];
+
+  for (let i = 0; i < gameCount; i++) {
+    const [first, second, third, fourth] = playing.slice(i * 4, i * 4 + 4);
+    games.push({
+      teams: [
+        [first, fourth],
+        [second, third],
+      ],
+    });
+  }
+
+  return { games, sittingOut };
+};
+
+/**
+ * Individual standings: everyone keeps the points their team scored
+ * @param {Number} playerCount
+ * @param {Array<Object>} rounds - Session rounds with scored games
+ * @returns {Array<Object>} Rows sorted by points, then wins, then point difference
+ */
+export const computeSessionStandings = (playerCount, rounds) => {
+  const rows = Array.from({ length: playerCount }, (_, index) => ({
+    index,
+    points: 0,
+    pointsAgainst: 0,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    satOut: 0,
+  }));
+
+  rounds.forEach((round) => {
+    (round.sittingOut || []).forEach((index) => {
+      rows[index].satOut += 1;
+    });
+
+    round.games
+      .filter((game) => game.status === 'completed')
+      .forEach((game) => {
+        game.teams.forEach((team, teamIndex) => {
+          const scored = game.points[teamIndex];
+          const conceded = game.points[1 - teamIndex];
+
+          team.forEach((index) => {
+            const row = rows[index];
+            row.points += scored;
+            row.pointsAgainst += conceded;
+            row.played += 1;
+            if (scored > conceded) row.won += 1;
+            else if (scored < conceded) row.lost += 1;
+            else row.drawn += 1;
+          });
+        });
+      });
+  });
+
+  return rows.sort(
+    (a, b) =>
+      b.points - a.points ||
+      b.won - a.won ||
+      b.points - b.pointsAgainst - (a.points - a.pointsAgainst) ||
+      a.index - b.index
+  );
+};
+
+export default {
+  SESSION_MODES,
+  buildAmericanoSchedule,
+  buildMexicanoRound,
+  computeSessionStandings,
+};
@@ -0,0 +1,46 @@
+/**
+ * Soft Delete Plugin
+ *
+ * Adds a deletedAt date to a schema. Documents that have one are in the
+ * trash: finds, counts, updates and aggregations leave them out. Queries and
+ * pipelines that filter on deletedAt themselves (the trash list, the purge
+ * job) get exactly what they ask for, and queries run with
+ * setOptions({ withDeleted: true }) see trashed and live documents alike.
+ */
+
+const SOFT_DELETE_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+];
+
+export const softDeletePlugin = (schema) => {
+  schema.add({ deletedAt: Date });
+  schema.index({ deletedAt: 1 }, { sparse: true });
+
+  schema.pre(SOFT_DELETE_QUERIES, function () {
+    if (
+      this.getFilter().deletedAt === undefined &&
+      !this.getOptions().withDeleted
+    ) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const [firstStage] = this.pipeline();
+
+    // $geoNear has to stay the first stage
+    if (firstStage?.$geoNear || firstStage?.$match?.deletedAt !== undefined) {
+      return;
+    }
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+export default softDeletePlugin;
@@ -35,6 +35,7 @@ export const checkUserAnalysisQuota = async (user) => {
   const analysesThisWeek = await Analysis.countDocuments({
     created_by: user._id,
     createdAt: { $gte: startOfWeek },
+    version: { $not: { $gt: 1 } }, // Re-runs of a match don't use up quota
   });
 
   const remaining = Math.max(
@@ -71,6 +72,9 @@ export const filterAnalysisResultsBySubscription = (analysis, creator) => {
     _id: analysis._id,
     match_id: analysis.match_id,
     status: analysis.status,
+    // Which analysis run this is (see analysisVersionService)
+    version: analysis.version || 1,
+    engine_version: analysis.engine_version,
     // Handle both timestamp formats (created_at vs createdAt)
     created_at: analysis.created_at || analysis.createdAt,
     updated_at: analysis.updated_at || analysis.updatedAt,
@@ -140,15 +144,19 @@ export const filterAnalysisResultsBySubscription = (analysis, creator) => {
               }
             } else {
               // Free plan: Only forehand/backhand, completely exclude volley/smash
+              // Null counts when the analysis didn't count shots
+              const counted = shotData.total_shots != null;
               if (player.shots) {
                 filteredPlayer.shots = {
-                  total_shots:
-                    (shotData.forehand || 0) + (shotData.backhand || 0),
-                  forehand: shotData.forehand || 0,
-                  backhand: shotData.backhand || 0,
+                  total_shots: counted
+                    ? (shotData.forehand || 0) + (shotData.backhand || 0)
+                    : null,
+                  forehand: counted ? shotData.forehand || 0 : null,
+                  backhand: counted ? shotData.backhand || 0 : null,
                   // volley and smash fields completely excluded for free users
-                  success: shotData.success || 0,
-                  success_rate: shotData.success_rate || 0,
+                  // Null when the analysis didn't measure shot success
+                  success: shotData.success ?? null,
+                  success_rate: shotData.success_rate ?? null,
                 };
               }
               if (player.shot_analytics) {
@@ -203,6 +211,9 @@ export const filterAnalysisResultsBySubscription = (analysis, creator) => {
             if (player.player_heatmap !== undefined) {
               filteredPlayer.player_heatmap = player.player_heatmap;
             }
+            if (player.rally_stats !== undefined) {
+              filteredPlayer.rally_stats = player.rally_stats;
+            }
           }
           // If no shot classification access, completely exclude shot-related data
 
@@ -233,6 +244,13 @@ export const filterAnalysisResultsBySubscription = (analysis, creator) => {
         analysis.player_analytics.speed_metrics;
     }
 
+    // Rallies are grouped from all shot events, so a free plan still gets
+    // the whole rally even where some of its shots are left out above
+    if (analysis.rallies && features.basicShotClassification) {
+      result.rallies = analysis.rallies;
+      result.rally_stats = analysis.rally_stats;
+    }
+
     // Handle top-level shot_events if they exist
     if (
       analysis.player_analytics.shot_events &&
@@ -0,0 +1,402 @@
+/**
+ * Tournament Bracket Helper
+ *
+ * Builds fixtures for the supported tournament formats and moves entrants
+ * through them as results come in:
+ * - single_elimination: seeded bracket, top seeds get byes when the field
+ *   isn't a power of two
+ * - double_elimination: winners bracket plus a losers bracket; the losers
+ *   bracket champion meets the winners bracket champion in a grand final
+ * - group_stage: snake-seeded groups, everyone plays everyone in their group;
+ *   with several groups the group winners then play a knockout
+ *
+ * Fixtures are plain objects linked by `key`. Each slot is filled from a
+ * previous fixture (`winnerTo` / `loserTo`); a slot that resolves with no
+ * entrant (e.g. the loser of a bye) turns the fixture into a bye so the
+ * other entrant walks through.
+ */
+
+export const BRACKET_TYPES = [
+  'single_elimination',
+  'double_elimination',
+  'group_stage',
+];
+
+const emptySlot = () => ({ entrant: null, resolved: false });
+const seededSlot = (entrant) => ({ entrant, resolved: true });
+
+const createFixture = (key, bracket, round, position, extra = {}) => ({
+  key,
+  bracket,
+  round,
+  position,
+  slots: [emptySlot(), emptySlot()],
+  status: 'waiting',
+  winner: null,
+  loser: null,
+  winnerTo: null,
+  loserTo: null,
+  ...extra,
+});
+
+/**
+ * Standard bracket seed order so the top seeds meet as late as possible,
+ * e.g. size 8 → [1, 8, 4, 5, 2, 7, 3, 6]
+ * @param {Number} size - Bracket size (power of two)
+ * @returns {Array<Number>} 1-based seeds in bracket order
+ */
+export const getSeedOrder = (size) => {
+  let order = [1];
+
+  while (order.length < size) {
+    const nextSize = order.length * 2;
+    order = order.flatMap((seed) => [seed, nextSize + 1 - seed]);
+  }
+
+  return order;
+};
+
+/**
+ * Build the fixtures for a single or double elimination bracket
+ * @param {Array} entrants - Entrant IDs ordered by seed (best first)
+ * @param {Object} options
+ * @param {Boolean} options.doubleElimination
+ * @returns {Array<Object>} Fixtures
+ */
+export const buildEliminationFixtures = (
+  entrants,
+  { doubleElimination = false } = {}
+) => {
+  const rounds = Math.max(1, Math.ceil(Math.log2(entrants.length)));
+  const size = 2 ** rounds;
+  const seedOrder = getSeedOrder(size);
+  const fixtures = [];
+  const winnersKey = (round, position) => `W${round}-${position}`;
+  const losersKey = (round, position) => `L${round}-${position}`;
+
+  // Winners bracket
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / 2 ** round;
+
+    for (let position = 0; position < count; position++) {
+      const fixture = createFixture(
+        winnersKey(round, position),
+        'winners',
+        round,
+        position
+      );
+
+      if (round === 1) {
+        fixture.slots = [0, 1].map((slot) =>
+          seededSlot(entrants[seedOrder[position * 2 + slot] - 1] ?? null)
+        );
+      }
+
+      if (round < rounds) {
+        fixture.winnerTo = {
+          fixture: winnersKey(round + 1, Math.floor(position / 2)),
+          slot: position % 2,
+        };
+      }
+
+      fixtures.push(fixture);
+    }
+  }
+
+  if (!doubleElimination) return fixtures;
+
+  const winnersFinal = fixtures[fixtures.length - 1];
+  const grandFinal = createFixture('GF', 'grand_final', 1, 0);
+  winnersFinal.winnerTo = { fixture: 'GF', slot: 0 };
+
+  if (rounds === 1) {
+    // Two entrants: the loser of the only match gets a second chance in the final
+    winnersFinal.loserTo = { fixture: 'GF', slot: 1 };
+    return [...fixtures, grandFinal];
+  }
+
+  // Losers bracket: odd rounds play off losers bracket survivors, even rounds
+  // bring in the losers dropping down from the next winners round
+  const losersRounds = 2 * (rounds - 1);
+  const losersFixtures = [];
+
+  for (let round = 1; round <= losersRounds; round++) {
+    const count = size / 2 ** (Math.floor((round + 1) / 2) + 1);
+
+    for (let position = 0; position < count; position++) {
+      const fixture = createFixture(
+        losersKey(round, position),
+        'losers',
+        round,
+        position
+      );
+
+      if (round === losersRounds) {
+        fixture.winnerTo = { fixture: 'GF', slot: 1 };
+      } else if (round % 2 === 1) {
+        // Odd round winners meet the next winners bracket dropouts
+        fixture.winnerTo = { fixture: losersKey(round + 1, position), slot: 0 };
+      } else {
+        fixture.winnerTo = {
+          fixture: losersKey(round + 1, Math.floor(position / 2)),
+          slot: position % 2,
+        };
+      }
+
+      losersFixtures.push(fixture);
+    }
+  }
+
+  fixtures.forEach((fixture) => {
+    const { round, position } = fixture;
+
+    if (round === 1) {
+      fixture.loserTo = {
+        fixture: losersKey(1, Math.floor(position / 2)),
+        slot: position % 2,
+      };
+      return;
+    }
+
+    // Winners round r drops into losers round 2(r - 1). Alternate the order
+    // so entrants don't meet the same opponent straight away.
+    const count = size / 2 ** round;
+    const dropPosition = round % 2 === 0 ? count - 1 - position : position;
+    fixture.loserTo = {
+      fixture: losersKey(2 * (round - 1), dropPosition),
+      slot: 1,
+    };
+  });
+
+  return [...fixtures, ...losersFixtures, grandFinal];
+};
+
+/**
+ * Split entrants into groups and build round-robin fixtures for each
+ * @param {Array} entrants - Entrant IDs ordered by seed (best first)
+ * @param {Number} groupCount
+ * @returns {Array<Object>} Fixtures, all with both slots filled
+ */
+export const buildGroupFixtures = (entrants, groupCount = 1) => {
+  const groups = Array.from({ length: groupCount }, () => []);
+
+  // Snake seeding: 1,2,3,4 then 4,3,2,1 so groups are balanced
+  entrants.forEach((entrant, index) => {
+    const lap = Math.floor(index / groupCount);
+    const offset = index % groupCount;
+    const group = lap % 2 === 0 ? offset : groupCount - 1 - offset;
+    groups[group].push(entrant);
+  });
+
+  const fixtures = [];
+
+  groups.forEach((members, group) => {
+    // Circle method: fix the first entrant and rotate the rest each round
+    const rotation = members.length % 2 === 0 ? [...members] : [...members, null];
+    const roundCount = rotation.length - 1;
+
+    for (let round = 1; round <= roundCount; round++) {
+      let position = 0;
+
+      for (let i = 0; i < rotation.length / 2; i++) {
+        const home = rotation[i];
+        const away = rotation[rotation.length - 1 - i];
+
+        if (home !== null && away !== null) {
+          const fixture = createFixture(
+            `G${group + 1}-R${round}-${position}`,
+            'group',
+            round,
+            position,
+            { group: group + 1 }
+          );
+          fixture.slots = [seededSlot(home), seededSlot(away)];
+          fixtures.push(fixture);
+          position++;
+        }
+      }
+
+      rotation.splice(1, 0, rotation.pop());
+    }
+  });
+
+  return fixtures;
+};
+
+const findFixture = (fixtures, key) =>
+  fixtures.find((fixture) => fixture.key === key);
+
+const sameEntrant = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * Send an entrant (or nobody) into a slot of a later fixture
+ */
+const fillSlot = (fixtures, target, entrant) => {
+  if (!target) return;
+
+  const fixture = findFixture(fixtures, target.fixture);
+  fixture.slots[target.slot].entrant = entrant;
+  fixture.slots[target.slot].resolved = true;
+};
+
+/**
+ * Record a finished fixture and move its winner and loser on
+ * @param {Array<Object>} fixtures
+ * @param {Object} fixture - Fixture being completed
+ * @param {Number|null} winnerSlot - 0 or 1, null if nobody advances
+ */
+const closeFixture = (fixtures, fixture, winnerSlot) => {
+  const winner = winnerSlot === null ? null : fixture.slots[winnerSlot].entrant;
+  const loser =
+    winnerSlot === null ? null : fixture.slots[1 - winnerSlot].entrant;
+
+  fixture.winner = winner;
+  fixture.loser = loser;
+
+  fillSlot(fixtures, fixture.winnerTo, winner);
+  fillSlot(fixtures, fixture.loserTo, loser);
+};
+
+/**
+ * Settle every fixture whose slots are now known: byes are walked through
+ * straight away, real pairings become `ready` for a match to be created.
+ * Repeats until nothing changes since a bye can unlock the next fixture.
+ * @param {Array<Object>} fixtures
+ * @returns {Array<Object>} Fixtures that just became ready to play
+ */
+export const settleFixtures = (fixtures) => {
+  const ready = [];
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+
+    fixtures
+      .filter(
+        (fixture) =>
+          fixture.status === 'waiting' &&
+          fixture.slots.every((slot) => slot.resolved)
+      )
+      .forEach((fixture) => {
+        const [home, away] = fixture.slots.map((slot) => slot.entrant);
+        changed = true;
+
+        if (home && away) {
+          fixture.status = 'ready';
+          ready.push(fixture);
+          return;
+        }
+
+        fixture.status = 'bye';
+        closeFixture(fixtures, fixture, home ? 0 : away ? 1 : null);
+      });
+  }
+
+  return ready;
+};
+
+/**
+ * Record the winner of a played fixture and advance the bracket
+ * @param {Array<Object>} fixtures
+ * @param {String} key - Fixture key
+ * @param {Number} winnerSlot - 0 or 1
+ * @returns {Array<Object>} Fixtures that just became ready to play
+ */
+export const recordFixtureResult = (fixtures, key, winnerSlot) => {
+  const fixture = findFixture(fixtures, key);
+
+  fixture.status = 'completed';
+  closeFixture(fixtures, fixture, winnerSlot);
+
+  return settleFixtures(fixtures);
+};
+
+/**
+ * Group table: wins first, then set difference, then game difference
+ * @param {Array<Object>} fixtures - Group fixtures
+ * @param {Array} entrants - Entrant IDs in the group
+ * @returns {Array<Object>} Sorted standings rows
+ */
+export const computeGroupStandings = (fixtures, entrants) => {
+  const rows = new Map(
+    entrants.map((entrant) => [
+      entrant.toString(),
+      {
+        entrant,
+        played: 0,
+        won: 0,
+        lost: 0,
+        setsWon: 0,
+        setsLost: 0,
+        gamesWon: 0,
+        gamesLost: 0,
+      },
+    ])
+  );
+
+  fixtures
+    .filter((fixture) => fixture.status === 'completed')
+    .forEach((fixture) => {
+      fixture.slots.forEach((slot, index) => {
+        const row = rows.get(slot.entrant.toString());
+        if (!row) return;
+
+        const sets = fixture.result?.sets || [0, 0];
+        const games = fixture.result?.games || [0, 0];
+
+        row.played += 1;
+        if (sameEntrant(fixture.winner, slot.entrant)) row.won += 1;
+        else row.lost += 1;
+        row.setsWon += sets[index];
+        row.setsLost += sets[1 - index];
+        row.gamesWon += games[index];
+        row.gamesLost += games[1 - index];
+      });
+    });
+
+  return [...rows.values()].sort(
+    (a, b) =>
+      b.won - a.won ||
+      b.setsWon - b.setsLost - (a.setsWon - a.setsLost) ||
+      b.gamesWon - b.gamesLost - (a.gamesWon - a.gamesLost)
+  );
+};
+
+export default {
+  BRACKET_TYPES,
+  getSeedOrder,
+  buildEliminationFixtures,
+  buildGroupFixtures,
+  settleFixtures,
+  recordFixtureResult,
+  computeGroupStandings,
+};
+
+/**
+ * The leader of each group once its fixtures are played, in group order.
+ * Snake seeding puts the top seed in group 1, so this is also the seeding
+ * for the knockout between the groups.
+ * @param {Array<Object>} fixtures - Group fixtures
+ * @returns {Array} Entrant IDs, one per group
+ */
+export const getGroupWinners = (fixtures) => {
+  const groupNumbers = [...new Set(fixtures.map((fixture) => fixture.group))];
+
+  return groupNumbers
+    .sort((a, b) => a - b)
+    .map((group) => {
+      const groupFixtures = fixtures.filter(
+        (fixture) => fixture.group === group
+      );
+      const entrants = new Map(
+        groupFixtures.flatMap((fixture) =>
+          fixture.slots.map((slot) => [slot.entrant.toString(), slot.entrant])
+        )
+      );
+
+      const [leader] = computeGroupStandings(groupFixtures, [
+        ...entrants.values(),
+      ]);
+      return leader.entrant;
+    });
+};
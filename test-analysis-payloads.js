@@ -0,0 +1,256 @@
+/**
+ * Test Analysis Payload Formats (No DB Connection Required)
+ *
+ * Checks format detection, validation reports and the migrators that
+ * upgrade older analysis server payloads to the current format, and the
+ * quarantine retry with its database calls replaced by fakes
+ */
+
+import mongoose from 'mongoose';
+import Analysis from './src/models/Analysis.js';
+import AnalysisStatus from './src/models/AnalysisStatus.js';
+import Match from './src/models/Match.js';
+import QuarantinedAnalysis from './src/models/QuarantinedAnalysis.js';
+import { retryQuarantinedAnalysisService } from './src/services/analysisQuarantineService.js';
+import {
+  ANALYSIS_PAYLOAD_VERSION,
+  AnalysisPayloadError,
+  detectPayloadVersion,
+  upgradeAnalysisPayload,
+  validateAnalysisPayload,
+} from './src/utils/analysisPayloads.js';
+import { filterAnalysisResultsBySubscription } from './src/utils/subscriptionUtils.js';
+import { computeMatchProcessingStatus } from './src/utils/matchStatusHelper.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING ANALYSIS PAYLOAD FORMATS');
+
+const upgradeErrors = (payload) => {
+  try {
+    upgradeAnalysisPayload(payload);
+    return [];
+  } catch (error) {
+    return error instanceof AnalysisPayloadError ? error.errors : [error];
+  }
+};
+
+const metadata = {
+  duration_minutes: 60,
+  date_analysed: '2024-01-01T10:00:00Z',
+  frame_shape: [1080, 1920],
+  fps: 30,
+  num_players: 1,
+};
+
+const player = {
+  color: [255, 0, 0],
+  average_speed_kmh: 10,
+  total_distance_km: 2,
+  average_distance_from_center_km: 1,
+  highlight_urls: [],
+};
+
+const v1 = {
+  match_id: 'match-1',
+  status: 'completed',
+  player_analytics: {
+    metadata,
+    shot_events: [{ timestamp: 1, type: 'forehand', success: true }],
+    players: [
+      {
+        ...player,
+        calories_burned: 0,
+        shots: {
+          forehand: 4,
+          backhand: 3,
+          volley: 2,
+          smash: 1,
+          total_shots: 10,
+          success: 7,
+        },
+      },
+    ],
+  },
+  files: { highlights: { 0: ['https://example.com/h1.mp4'] } },
+};
+
+const v2 = {
+  match_id: 'match-2',
+  status: 'completed',
+  player_analytics: {
+    metadata,
+    players: [
+      {
+        ...player,
+        peak_speed_kmh: 18,
+        shot_analytics: {
+          forehand: 4,
+          backhand: 3,
+          volley: 2,
+          smash: 1,
+          total_shots: 10,
+        },
+        shot_events: [],
+      },
+    ],
+  },
+};
+
+const results = {
+  match_id: 'match-3',
+  status: 'completed',
+  job_id: 'job-1',
+  results: {
+    a: {
+      'Distance Covered': '1825.4 Meters',
+      'Average Speed': '6.82 Kilometers per Hour',
+      'Peak Speed': '17.9 Kilometers per Hour',
+      'Total Sprint Bursts': '14',
+    },
+    all_clips: ['https://example.com/clip1.mp4'],
+  },
+};
+
+// Detection
+check('Detects format 1 by shots', detectPayloadVersion(v1) === 1);
+check('Detects format 2 by shot_analytics', detectPayloadVersion(v2) === 2);
+check(
+  'Detects the results format',
+  detectPayloadVersion(results) === 'results'
+);
+check(
+  'schema_version wins over shape',
+  detectPayloadVersion({ ...v1, schema_version: 2 }) === 2
+);
+
+// Format 1
+const fromV1 = upgradeAnalysisPayload(v1);
+const v1Player = fromV1.player_analytics.players[0];
+check(
+  'Upgrades format 1 to the current format',
+  fromV1.schema_version === ANALYSIS_PAYLOAD_VERSION
+);
+check('Keeps shot success', v1Player.shots.success === 7);
+check('Works out a missing success rate', v1Player.shots.success_rate === 70);
+check('Copies shot counts', v1Player.shot_analytics.total_shots === 10);
+check('Estimates missing calories', v1Player.calories_burned > 0);
+check('Unmeasured metrics are null', v1Player.peak_speed_kmh === null);
+check('Merges per-player highlights', fromV1.files.highlights.length === 1);
+check('Leaves the original alone', !Array.isArray(v1.files.highlights));
+
+// Format 2
+const v2Player = upgradeAnalysisPayload(v2).player_analytics.players[0];
+check('Shot success is unknown, not 0', v2Player.shots.success === null);
+check('Keeps measured metrics', v2Player.peak_speed_kmh === 18);
+
+// Results format
+const fromResults = upgradeAnalysisPayload(results);
+check('Upgrades the results format', fromResults.match_id === 'match-3');
+check(
+  'Unreported results metrics are null',
+  fromResults.player_analytics.players[0].net_dominance_percentage === null
+);
+const resultsShots = fromResults.player_analytics.players[0].shots;
+check(
+  'Uncounted shots are null, not 0',
+  resultsShots.total_shots === null && resultsShots.forehand === null
+);
+check(
+  'Free plans keep uncounted shots null',
+  filterAnalysisResultsBySubscription(fromResults, {}).player_analytics
+    .players[0].shots.total_shots === null
+);
+check(
+  'Free plans still count counted shots',
+  filterAnalysisResultsBySubscription(fromV1, {}).player_analytics.players[0]
+    .shots.total_shots === 7
+);
+
+// Malformed payloads
+const badV2 = structuredClone(v2);
+badV2.player_analytics.players[0].shot_events = 'type';
+badV2.player_analytics.players[0].shot_analytics.total_shots = -1;
+delete badV2.player_analytics.players[0].average_speed_kmh;
+const errors = upgradeErrors(badV2);
+console.log('Errors:', errors);
+check('Reports every problem', errors.length === 3);
+check(
+  'Errors name the field',
+  errors.includes('player_analytics.players[0].average_speed_kmh is missing')
+);
+
+const badResults = structuredClone(results);
+badResults.results.a['Distance Covered'] = 'lots';
+check(
+  'Rejects unreadable results metrics',
+  upgradeErrors(badResults)[0] ===
+    'results.a.Distance Covered must be a number, optionally with a unit'
+);
+check(
+  'Rejects unknown formats',
+  validateAnalysisPayload({ ...v1, schema_version: 9 }).length === 1
+);
+check(
+  'Only completed analyses need player_analytics',
+  validateAnalysisPayload({ match_id: 'match-4', status: 'processing' })
+    .length === 0
+);
+
+// Quarantined matches wait for review instead of failing (and restarting)
+const quarantined = computeMatchProcessingStatus({
+  analysisStatus: 'quarantined',
+  playerDetectionStatus: 'completed',
+}).overall;
+check(
+  'Quarantined analyses are under review, not failed',
+  quarantined.stage === 'under_review' && !quarantined.hasFailed
+);
+
+// Releasing a quarantined payload only completes a match still waiting on it
+const matchId = new mongoose.Types.ObjectId().toString();
+const entry = new QuarantinedAnalysis({
+  match_id: matchId,
+  payload: { ...v2, match_id: matchId },
+  status: 'quarantined',
+});
+entry.save = async () => entry;
+QuarantinedAnalysis.findById = async () => entry;
+Analysis.createVersion = async () => ({
+  _id: new mongoose.Types.ObjectId(),
+  version: 2,
+});
+
+const statusFilters = [];
+Match.updateOne = async (filter) => statusFilters.push(filter);
+AnalysisStatus.updateOne = async (filter) => statusFilters.push(filter);
+
+const retried = await new Promise((resolve) => {
+  let statusCode;
+  const res = {
+    status: (code) => {
+      statusCode = code;
+      return res;
+    },
+    json: () => resolve(statusCode),
+  };
+  retryQuarantinedAnalysisService(
+    {
+      params: { id: entry._id.toString() },
+      user: { _id: new mongoose.Types.ObjectId() },
+    },
+    res,
+    (error) => resolve(error.statusCode)
+  );
+});
+check(
+  'Retrying a payload saves it as a new version',
+  retried === 200 && entry.status === 'released'
+);
+check(
+  'A match restarted meanwhile keeps its new status',
+  statusFilters.length === 2 &&
+    statusFilters[0].analysisStatus === 'quarantined' &&
+    statusFilters[1].status === 'quarantined'
+);
+
+finish();
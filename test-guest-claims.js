@@ -0,0 +1,233 @@
+/**
+ * Test Guest Claim Links (No DB Connection Required)
+ *
+ * Checks which analysis players are credited when a guest claims their slot,
+ * crediting claims in a newly saved analysis, and accepting a claim link.
+ * Lookups, saves and notifications are replaced with fakes
+ */
+
+import mongoose from 'mongoose';
+import Analysis from './src/models/Analysis.js';
+import GuestClaim from './src/models/GuestClaim.js';
+import Match from './src/models/Match.js';
+import {
+  acceptGuestClaimService,
+  attributeGuestAnalytics,
+} from './src/services/guestClaimService.js';
+import matchNotificationService from './src/services/matchNotificationService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING GUEST CLAIM LINKS');
+
+const creator = new mongoose.Types.ObjectId();
+const guestUser = new mongoose.Types.ObjectId();
+const otherUser = new mongoose.Types.ObjectId();
+
+const analysisPlayers = () => [{}, {}, {}, {}];
+
+// Who gets credited
+{
+  const credits = GuestClaim.getPlayerCredits(
+    analysisPlayers(),
+    [{ index: 2, user: guestUser }],
+    { index: 0, user: creator }
+  );
+  check(
+    'The claimed player and the creator are credited',
+    credits.get(2) === guestUser &&
+      credits.get(0) === creator &&
+      credits.size === 2
+  );
+}
+{
+  const players = analysisPlayers();
+  players[2].user = otherUser;
+  const credits = GuestClaim.getPlayerCredits(
+    players,
+    [{ index: 2, user: guestUser }],
+    { index: 0, user: creator }
+  );
+  check('Players already credited are left alone', credits.size === 0);
+}
+{
+  const credits = GuestClaim.getPlayerCredits(
+    analysisPlayers(),
+    [{ index: 7, user: guestUser }],
+    { index: 0, user: creator }
+  );
+  check('Claims for a missing player credit nobody', credits.size === 0);
+}
+
+// Crediting a newly saved analysis
+const match = Match.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  format: 'double',
+  type: 'friendly',
+  creator,
+  location: 'Court 1',
+  creatorPlayerIndex: 1,
+  teams: [
+    {
+      players: [
+        { player: creator, color: 'red' },
+        { name: 'Guest Player', color: 'blue' },
+      ],
+    },
+    {
+      players: [
+        { name: 'Second Guest', color: 'green' },
+        { name: 'Third Guest', color: 'yellow' },
+      ],
+    },
+  ],
+  players: [
+    { name: 'Someone' },
+    { name: 'Creator' },
+    { name: 'Guest Player' },
+    { name: 'Second Guest' },
+  ],
+});
+
+const chain = (result) => {
+  const query = Promise.resolve(result);
+  query.select = () => query;
+  query.setOptions = () => query;
+  query.populate = () => query;
+  return query;
+};
+
+let claims = [];
+Match.find = () => chain([match]);
+GuestClaim.find = () => chain(claims);
+
+{
+  claims = [{ analysisPlayerIndex: 3, claimedBy: guestUser }];
+  const data = {
+    match_id: match._id.toString(),
+    created_by: creator,
+    player_analytics: { players: analysisPlayers() },
+  };
+  await GuestClaim.creditClaimedPlayers(data);
+  const { players } = data.player_analytics;
+  check(
+    'Claims made before the analysis are credited',
+    players[3].user === guestUser
+  );
+  check(
+    "The creator's entry is the one the match names",
+    players[1].user === creator && !players[0].user
+  );
+}
+{
+  claims = [];
+  const data = {
+    match_id: match._id.toString(),
+    created_by: creator,
+    player_analytics: { players: analysisPlayers() },
+  };
+  await GuestClaim.creditClaimedPlayers(data);
+  check(
+    'The creator is tagged even with no claims',
+    data.player_analytics.players[1].user === creator
+  );
+}
+
+// Crediting past analyses
+const analysisUpdates = [];
+Analysis.find = () =>
+  chain([
+    {
+      _id: new mongoose.Types.ObjectId(),
+      created_by: creator,
+      player_analytics: { players: analysisPlayers() },
+    },
+  ]);
+Analysis.updateOne = async (filter, update) => {
+  analysisUpdates.push(update.$set);
+};
+
+check(
+  'Without a player index no analysis is touched',
+  (await attributeGuestAnalytics(match, undefined, guestUser)) === 0 &&
+    analysisUpdates.length === 0
+);
+check(
+  'Past analyses credit the guest and the creator',
+  (await attributeGuestAnalytics(match, 2, guestUser)) === 1 &&
+    analysisUpdates[0]['player_analytics.players.2.user'] === guestUser &&
+    analysisUpdates[0]['player_analytics.players.1.user'] === creator
+);
+
+// Accepting a claim link
+let claim;
+const newClaim = (fields = {}) => {
+  claim = new GuestClaim({
+    match: match._id,
+    slot: match.teams[1].players[0]._id,
+    name: 'Second Guest',
+    token: 'claim-token',
+    createdBy: creator,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+  });
+  claim.save = async () => claim;
+};
+
+GuestClaim.findOne = () => chain(claim);
+Match.findOne = async () => match;
+match.save = async () => match;
+matchNotificationService.notifyGuestSlotClaimed = async () => {};
+analysisUpdates.length = 0;
+
+const accept = (userId) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    acceptGuestClaimService(
+      { params: { token: claim.token }, user: { _id: userId } },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+newClaim({ expiresAt: new Date(Date.now() - 1000) });
+check(
+  'An expired link cannot be used',
+  (await accept(guestUser)).statusCode === 400
+);
+
+newClaim();
+check(
+  'A player already on the match cannot claim a guest',
+  (await accept(creator)).statusCode === 400 && claim.status === 'pending'
+);
+
+const accepted = await accept(guestUser);
+const slot = match.teams[1].players[0];
+check(
+  'Claiming puts the user in the guest slot',
+  accepted.statusCode === 200 &&
+    slot.player.equals(guestUser) &&
+    slot.invitationStatus === 'accepted'
+);
+check(
+  'The claim remembers the player matched by name',
+  claim.status === 'claimed' &&
+    claim.claimedBy.equals(guestUser) &&
+    claim.analysisPlayerIndex === 3 &&
+    accepted.body.data.attributedAnalyses === 1
+);
+
+newClaim();
+check(
+  'A slot that was claimed cannot be claimed again',
+  (await accept(otherUser)).statusCode === 400
+);
+
+finish();
@@ -0,0 +1,163 @@
+/**
+ * Test Head-to-Head Stats (No DB Connection Required)
+ *
+ * Checks GET /api/v1/users/:id/head-to-head/:otherId - input checks, which
+ * matches the aggregation asks for and how its result is shaped. The
+ * database calls are replaced and the pipeline they are given is recorded
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import User from './src/models/User.js';
+import {
+  HeadToHeadAggregator,
+  getHeadToHeadService,
+} from './src/services/headToHeadService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING HEAD-TO-HEAD STATS');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherId = new mongoose.Types.ObjectId().toString();
+
+// Match.aggregate() records the pipeline and returns `facets`
+let pipeline;
+let facets;
+Match.aggregate = async (stages) => {
+  pipeline = stages;
+  return [facets];
+};
+Match.populate = async (docs) => docs;
+
+let users = [];
+User.find = () => ({ select: async () => users });
+
+const matchStage = () => pipeline[0].$match;
+
+// Which matches are compared
+facets = { matches: [], record: [], averages: [] };
+await HeadToHeadAggregator.getHeadToHead(userId, otherId);
+
+const [userOn, otherOn, opposing] = matchStage().$and;
+check(
+  'Both users have to be on the match',
+  userOn['teams.players'].$elemMatch.player.equals(userId) &&
+    otherOn['teams.players'].$elemMatch.player.equals(otherId)
+);
+check(
+  'Pending invitations do not count',
+  userOn['teams.players'].$elemMatch.invitationStatus.$ne === 'pending'
+);
+check(
+  'Teammates are left out',
+  opposing.teams.$not.$elemMatch['players.player'].$all.map(String).join() ===
+    `${userId},${otherId}`
+);
+check(
+  'Only matches that were played',
+  ['pending', 'confirmed', 'cancelled'].every((status) =>
+    matchStage().status.$nin.includes(status)
+  )
+);
+check('Private matches count by default', !('public' in matchStage()));
+
+await HeadToHeadAggregator.getHeadToHead(userId, otherId, {
+  publicOnly: true,
+});
+check('Can be limited to public matches', matchStage().public === true);
+
+const { record, averages } = pipeline.at(-1).$facet;
+check(
+  'Record skips unconfirmed ranked results, like the profile record',
+  JSON.stringify(record[0].$match.$or) ===
+    JSON.stringify(Match.countedResultCriteria().$or)
+);
+check(
+  'Averages are side by side',
+  Object.keys(averages.at(-1).$project).join() === '_id,user,opponent'
+);
+check(
+  'Averages cover distance, speed, net dominance and shots',
+  [
+    'distance_km',
+    'speed_kmh',
+    'net_dominance_percentage',
+    'total_shots',
+    'shot_success_rate',
+  ].every((metric) => metric in averages.at(-1).$project.user)
+);
+
+// Result shape
+facets = {
+  matches: [{ won: true }, { won: false }, { won: null }],
+  record: [{ wins: 1, losses: 1 }],
+  averages: [{ user: { distance_km: 2.1 }, opponent: { distance_km: 1.9 } }],
+};
+const headToHead = await HeadToHeadAggregator.getHeadToHead(userId, otherId);
+check(
+  'Played counts every match, the record only counted results',
+  headToHead.record.played === 3 &&
+    headToHead.record.wins === 1 &&
+    headToHead.record.losses === 1
+);
+check('Returns the averages', headToHead.averages.user.distance_km === 2.1);
+
+facets = { matches: [], record: [], averages: [] };
+const empty = await HeadToHeadAggregator.getHeadToHead(userId, otherId);
+check(
+  'Never played each other',
+  empty.record.played === 0 &&
+    empty.record.wins === 0 &&
+    empty.averages === null
+);
+
+// The route handler
+const callHandler = (params, viewerId = userId) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (body) => resolve({ statusCode, body }),
+    };
+    getHeadToHeadService(
+      { params, user: { _id: new mongoose.Types.ObjectId(viewerId) } },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+check(
+  'Rejects an invalid user ID',
+  (await callHandler({ id: 'nope', otherId })).statusCode === 400
+);
+check(
+  'Rejects comparing a player with themselves',
+  (await callHandler({ id: userId, otherId: userId })).statusCode === 400
+);
+
+users = [{ _id: new mongoose.Types.ObjectId(userId) }];
+check(
+  'Unknown opponent is a 404',
+  (await callHandler({ id: userId, otherId })).statusCode === 404
+);
+
+users = [
+  { _id: new mongoose.Types.ObjectId(otherId), fullName: 'Other' },
+  { _id: new mongoose.Types.ObjectId(userId), fullName: 'User' },
+];
+const response = await callHandler({ id: userId, otherId });
+check(
+  'Returns the users in the order asked for',
+  response.statusCode === 200 &&
+    response.body.data.user.fullName === 'User' &&
+    response.body.data.opponent.fullName === 'Other'
+);
+check('A player sees their private matches', !('public' in matchStage()));
+
+await callHandler({ id: userId, otherId }, new mongoose.Types.ObjectId());
+check('Someone else only sees public matches', matchStage().public === true);
+
+finish();
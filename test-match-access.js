@@ -0,0 +1,199 @@
+/**
+ * Test Match Access Levels (No DB Connection Required)
+ *
+ * Checks the permission each kind of user gets on a match and sharing a
+ * match with users and followers. Follow lookups, saves and notifications
+ * are replaced with fakes
+ */
+
+import mongoose from 'mongoose';
+import Follow from './src/models/Follow.js';
+import Match from './src/models/Match.js';
+import User from './src/models/User.js';
+import {
+  canComment,
+  getMatchPermission,
+  shareMatchService,
+} from './src/services/matchAccessService.js';
+import matchNotificationService from './src/services/matchNotificationService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH ACCESS LEVELS');
+
+const creator = new mongoose.Types.ObjectId();
+const player = new mongoose.Types.ObjectId();
+const viewer = new mongoose.Types.ObjectId();
+const commenter = new mongoose.Types.ObjectId();
+const follower = new mongoose.Types.ObjectId();
+const stranger = new mongoose.Types.ObjectId();
+
+const buildMatch = (fields = {}) =>
+  Match.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    format: 'single',
+    type: 'friendly',
+    creator,
+    location: 'Court 1',
+    teams: [
+      { players: [{ player: creator, color: 'red' }] },
+      {
+        players: [{ player, color: 'blue', invitationStatus: 'pending' }],
+      },
+    ],
+    sharedWith: [
+      { user: viewer, permission: 'view' },
+      { user: commenter, permission: 'comment' },
+    ],
+    ...fields,
+  });
+
+// Only the follower follows the creator
+Follow.exists = async ({ follower: userId, following }) =>
+  userId.toString() === follower.toString() &&
+  following.toString() === creator.toString();
+
+// Permission levels
+{
+  const match = buildMatch();
+  check(
+    'The creator owns the match',
+    (await getMatchPermission(match, creator)) === 'owner'
+  );
+  check(
+    'Populated creators are recognised',
+    (await getMatchPermission(
+      buildMatch({ creator: { _id: creator, fullName: 'Creator' } }),
+      creator
+    )) === 'owner'
+  );
+  check(
+    'Players on the match can view it',
+    (await getMatchPermission(match, player)) === 'view'
+  );
+  check(
+    'Users it is shared with get the shared permission',
+    (await getMatchPermission(match, viewer)) === 'view' &&
+      (await getMatchPermission(match, commenter)) === 'comment'
+  );
+  check(
+    'Private matches are hidden from everyone else',
+    (await getMatchPermission(match, stranger)) === null &&
+      (await getMatchPermission(match, follower)) === null
+  );
+}
+{
+  const match = buildMatch({ public: true });
+  check(
+    'Anyone can view a public match',
+    (await getMatchPermission(match, stranger)) === 'view'
+  );
+}
+{
+  const match = buildMatch({
+    followerAccess: 'comment',
+    sharedWith: [{ user: follower, permission: 'view' }],
+  });
+  check(
+    "Followers get the follower access when it's higher",
+    (await getMatchPermission(match, follower)) === 'comment'
+  );
+  check(
+    "Follower access doesn't reach other users",
+    (await getMatchPermission(match, stranger)) === null
+  );
+}
+{
+  const match = buildMatch({
+    public: true,
+    sharedWith: [{ user: player, permission: 'comment' }],
+  });
+  check(
+    'The highest permission wins',
+    (await getMatchPermission(match, player)) === 'comment'
+  );
+}
+
+// Commenting
+check(
+  'Comment and owner access allow comments',
+  canComment('comment') && canComment('owner')
+);
+check(
+  'View access and no access do not',
+  !canComment('view') && !canComment(null)
+);
+
+// Sharing
+let stored;
+const notified = [];
+Match.findOne = async () => stored;
+User.countDocuments = async ({ _id }) => _id.$in.length;
+Follow.find = () => ({
+  select: async () => [{ follower }, { follower: viewer }],
+});
+matchNotificationService.notifyMatchShared = async (
+  userId,
+  match,
+  sharedBy,
+  permission
+) => {
+  notified.push(`${userId}:${permission}`);
+};
+
+const share = (body) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    shareMatchService(
+      {
+        params: { matchId: stored._id.toString() },
+        user: { _id: creator },
+        body,
+      },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+stored = buildMatch();
+stored.save = async () => stored;
+stored.populate = async () => stored;
+
+check(
+  'Only known permissions can be shared',
+  (await share({ userIds: [stranger], permission: 'owner' })).statusCode === 400
+);
+check(
+  "A match can't be shared with its creator",
+  (await share({ userIds: [creator] })).statusCode === 400
+);
+
+const shared = await share({
+  userIds: [viewer, stranger],
+  permission: 'comment',
+  followers: true,
+});
+check(
+  'Sharing adds new users and upgrades existing ones',
+  shared.statusCode === 200 &&
+    stored.sharedWith.find((entry) => entry.user.equals(viewer)).permission ===
+      'comment' &&
+    stored.sharedWith.some((entry) => entry.user.equals(stranger)) &&
+    stored.followerAccess === 'comment'
+);
+check(
+  'Everyone gaining access is notified once',
+  notified.sort().join() ===
+    [viewer, stranger, follower]
+      .map((userId) => `${userId}:comment`)
+      .sort()
+      .join()
+);
+
+finish();
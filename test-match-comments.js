@@ -0,0 +1,134 @@
+/**
+ * Test Match Comments (No DB Connection Required)
+ *
+ * Checks who may comment on a match and edit their comments. Match and
+ * comment lookups, saves and notifications are replaced with fakes
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import MatchComment from './src/models/MatchComment.js';
+import {
+  createMatchCommentService,
+  updateMatchCommentService,
+} from './src/services/matchCommentService.js';
+import matchNotificationService from './src/services/matchNotificationService.js';
+import webSocketService from './src/services/webSocketService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH COMMENTS');
+
+const creator = new mongoose.Types.ObjectId();
+const accepted = new mongoose.Types.ObjectId();
+const invited = new mongoose.Types.ObjectId();
+const viewer = new mongoose.Types.ObjectId();
+
+const match = Match.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  format: 'double',
+  type: 'friendly',
+  creator,
+  location: 'Court 1',
+  teams: [
+    {
+      players: [
+        { player: creator, color: 'red' },
+        { player: accepted, color: 'blue', invitationStatus: 'accepted' },
+      ],
+    },
+    {
+      players: [
+        { player: invited, color: 'green', invitationStatus: 'pending' },
+        { name: 'Guest Player', color: 'yellow' },
+      ],
+    },
+  ],
+  sharedWith: [{ user: viewer, permission: 'view' }],
+});
+Match.findOne = async () => match;
+
+// Comments are kept in `comments` and saving is a no-op
+const comments = [];
+const fakeComment = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...fields,
+  save: async () => {},
+  populate: async () => {},
+});
+MatchComment.create = async (fields) => {
+  const comment = fakeComment(fields);
+  comments.push(comment);
+  return comment;
+};
+MatchComment.findOne = async ({ _id }) =>
+  comments.find((comment) => comment._id.equals(_id)) || null;
+
+webSocketService.handleMatchCommentUpdate = () => {};
+matchNotificationService.notifyMatchComment = async () => {};
+
+const callHandler = (handler, userId, params = {}, body = {}) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    handler(
+      {
+        params: { matchId: match._id.toString(), ...params },
+        user: { _id: userId, fullName: 'Player' },
+        body,
+      },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+const comment = (userId) =>
+  callHandler(createMatchCommentService, userId, {}, { content: 'Nice one' });
+
+// Commenting
+check('The creator can comment', (await comment(creator)).statusCode === 201);
+check(
+  'A player who accepted can comment',
+  (await comment(accepted)).statusCode === 201
+);
+check(
+  "An invitee who hasn't accepted can't comment yet",
+  (await comment(invited)).statusCode === 403
+);
+check(
+  "A user it was shared with to view can't comment",
+  (await comment(viewer)).statusCode === 403
+);
+
+// Editing
+const viewerComment = fakeComment({ match: match._id, user: viewer });
+comments.push(viewerComment);
+const edit = await callHandler(
+  updateMatchCommentService,
+  viewer,
+  { commentId: viewerComment._id.toString() },
+  { content: 'Edited' }
+);
+check(
+  'Losing comment access stops edits to earlier comments',
+  edit.statusCode === 403 && !viewerComment.editedAt
+);
+
+const ownComment = comments[1];
+const ownEdit = await callHandler(
+  updateMatchCommentService,
+  accepted,
+  { commentId: ownComment._id.toString() },
+  { content: 'Edited' }
+);
+check(
+  'Players can edit their own comments',
+  ownEdit.statusCode === 200 && ownComment.content === 'Edited'
+);
+
+finish();
@@ -0,0 +1,249 @@
+/**
+ * Test Ranked Result Confirmation (No DB Connection Required)
+ *
+ * Checks who confirms a ranked result, the confirmation states set by the
+ * Match pre('save') hooks, the confirm / dispute / auto-confirm flow and
+ * which fields a match update may change. Lookups, saves, ratings and
+ * notifications are replaced with fakes
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import MatchInvitation from './src/models/MatchInvitation.js';
+import RatingHistory from './src/models/RatingHistory.js';
+import {
+  autoConfirmExpiredResults,
+  confirmMatchResultService,
+  disputeMatchResultService,
+  getOpposingPlayerIds,
+} from './src/services/matchConfirmationService.js';
+import { updateMatchService } from './src/services/matchService.js';
+import matchNotificationService from './src/services/matchNotificationService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING RANKED RESULT CONFIRMATION');
+
+const creator = new mongoose.Types.ObjectId();
+const partner = new mongoose.Types.ObjectId();
+const opponent = new mongoose.Types.ObjectId();
+
+const win = { sets: [{ games: [6, 4] }, { games: [6, 3] }] };
+
+const buildMatch = (fields = {}) =>
+  new Match({
+    format: 'double',
+    type: 'ranked',
+    creator,
+    location: 'Court 1',
+    teams: [
+      {
+        players: [
+          { player: creator, color: 'red' },
+          { player: partner, color: 'blue', invitationStatus: 'accepted' },
+        ],
+      },
+      {
+        players: [
+          { player: opponent, color: 'green', invitationStatus: 'accepted' },
+          { name: 'Guest Player', color: 'yellow' },
+        ],
+      },
+    ],
+    score: win,
+    ...fields,
+  });
+
+// Run only the pre('save') hooks so no database connection is needed
+const runSaveHooks = (match) =>
+  new Promise((resolve, reject) => {
+    match.schema.s.hooks.execPre('save', match, [], (error) =>
+      error ? reject(error) : resolve(match)
+    );
+  });
+
+// Saving runs the hooks and then treats the match as stored
+const save = async (match) => {
+  await runSaveHooks(match);
+  match.isNew = false;
+  match.$__reset();
+  return match;
+};
+
+// Who confirms
+check(
+  'Only registered players on the other team confirm',
+  getOpposingPlayerIds(buildMatch()).join() === opponent.toString()
+);
+{
+  const coached = buildMatch({ creator: new mongoose.Types.ObjectId() });
+  check(
+    "If the creator didn't play, any registered player confirms",
+    getOpposingPlayerIds(coached).length === 3
+  );
+}
+
+// Confirmation states
+{
+  const match = await save(buildMatch());
+  check(
+    'A new ranked result waits for confirmation',
+    match.confirmation.status === 'pending' &&
+      match.$locals.confirmationRequested
+  );
+
+  match.confirmation.status = 'confirmed';
+  match.location = 'Court 2';
+  await save(match);
+  check(
+    'Other changes keep the confirmation',
+    match.confirmation.status === 'confirmed'
+  );
+
+  match.score.sets = [{ games: [6, 4] }, { games: [3, 6] }, { games: [6, 2] }];
+  await save(match);
+  check(
+    'A corrected score needs confirming again',
+    match.confirmation.status === 'pending'
+  );
+}
+{
+  const friendly = await save(buildMatch({ type: 'friendly' }));
+  const unscored = await save(buildMatch({ score: undefined }));
+  check(
+    'Friendly matches and matches without a result need no confirmation',
+    friendly.confirmation.status === 'not_required' &&
+      unscored.confirmation.status === 'not_required'
+  );
+}
+
+// Confirming and disputing
+let stored;
+Match.findOne = async () => stored;
+Match.prototype.save = function () {
+  return save(this);
+};
+RatingHistory.exists = async () => true;
+
+let notifications = [];
+matchNotificationService.notifyResultConfirmed = async (userId) => {
+  notifications.push(['confirmed', userId.toString()]);
+};
+matchNotificationService.notifyResultDisputed = async (userId) => {
+  notifications.push(['disputed', userId.toString()]);
+};
+
+const callHandler = (handler, userId, body = {}) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    handler(
+      {
+        params: { matchId: stored._id.toString() },
+        user: { _id: userId },
+        body,
+      },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+stored = await save(buildMatch());
+check(
+  "The creator's team can't confirm their own result",
+  (await callHandler(confirmMatchResultService, partner)).statusCode === 403
+);
+
+const disputed = await callHandler(disputeMatchResultService, opponent, {
+  reason: 'It was 6-4 4-6 10-8',
+});
+check(
+  'An opponent can dispute the result',
+  disputed.statusCode === 200 &&
+    stored.confirmation.status === 'disputed' &&
+    stored.confirmation.disputeReason === 'It was 6-4 4-6 10-8'
+);
+check(
+  'The creator hears about the dispute',
+  notifications.at(-1).join() === `disputed,${creator}`
+);
+check(
+  'A disputed result cannot be disputed again',
+  (await callHandler(disputeMatchResultService, opponent)).statusCode === 400
+);
+
+const confirmed = await callHandler(confirmMatchResultService, opponent);
+check(
+  'An opponent can still confirm a disputed result',
+  confirmed.statusCode === 200 &&
+    stored.confirmation.status === 'confirmed' &&
+    !stored.confirmation.disputeReason
+);
+check(
+  'A confirmed result cannot be confirmed again',
+  (await callHandler(confirmMatchResultService, opponent)).statusCode === 400
+);
+
+stored = await save(buildMatch({ type: 'friendly' }));
+check(
+  'Friendly results have nothing to confirm',
+  (await callHandler(confirmMatchResultService, opponent)).statusCode === 400
+);
+
+// Auto-confirmation
+{
+  const waiting = await save(buildMatch());
+  const disputedMatch = await save(buildMatch());
+  disputedMatch.confirmation.status = 'disputed';
+  Match.find = async (filter) =>
+    [waiting, disputedMatch].filter(
+      (match) => match.confirmation.status === filter['confirmation.status']
+    );
+
+  notifications = [];
+  const autoConfirmed = await autoConfirmExpiredResults();
+  check(
+    'Results nobody answered are confirmed automatically',
+    autoConfirmed === 1 &&
+      waiting.confirmation.status === 'confirmed' &&
+      waiting.confirmation.autoConfirmed
+  );
+  check(
+    'Disputed results are left for the creator',
+    disputedMatch.confirmation.status === 'disputed'
+  );
+}
+
+// Updating a match
+{
+  stored = await save(buildMatch({ type: 'friendly' }));
+  matchNotificationService.notifyMatchUpdated = async () => {};
+  MatchInvitation.updateMany = async () => ({});
+
+  const otherUser = new mongoose.Types.ObjectId();
+  const updated = await callHandler(updateMatchService, creator, {
+    location: 'Court 3',
+    creator: otherUser,
+    confirmation: { status: 'confirmed' },
+    status: 'cancelled',
+    deletedAt: new Date(),
+  });
+  check(
+    'An update changes the editable fields',
+    updated.statusCode === 200 && stored.location === 'Court 3'
+  );
+  check(
+    'Creator, confirmation, status and trash fields are ignored',
+    stored.creator.equals(creator) &&
+      stored.confirmation.status === 'not_required' &&
+      stored.status !== 'cancelled' &&
+      !stored.deletedAt
+  );
+}
+
+finish();
@@ -0,0 +1,207 @@
+/**
+ * Test Match CSV Import (No DB Connection Required)
+ *
+ * Checks CSV parsing, player cells, score parsing and per-row validation
+ * used by POST /api/v1/matches/import, and the import itself with its
+ * database calls and notifications replaced by fakes
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import MatchInvitation from './src/models/MatchInvitation.js';
+import User from './src/models/User.js';
+import Venue from './src/models/Venue.js';
+import { importMatchesService } from './src/services/matchImportService.js';
+import matchNotificationService from './src/services/matchNotificationService.js';
+import {
+  parseCsv,
+  parseMatchImportCsv,
+  parsePlayerCell,
+} from './src/utils/matchCsvImport.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH CSV IMPORT');
+
+// CSV parsing
+const cells = parseCsv('﻿a,"b, c","say ""hi"""\r\n1,"two\nlines",3\n');
+check('Strips the BOM', cells[0][0] === 'a');
+check('Keeps commas inside quotes', cells[0][1] === 'b, c');
+check('Unescapes doubled quotes', cells[0][2] === 'say "hi"');
+check('Keeps newlines inside quotes', cells[1][1] === 'two\nlines');
+check('Handles CRLF and a trailing newline', cells.length === 2);
+
+// Player cells
+const named = parsePlayerCell(' Ana Ruiz <Ana@Example.com> ');
+check(
+  'Reads "Name <email>"',
+  named.name === 'Ana Ruiz' && named.email === 'ana@example.com'
+);
+check('Reads a bare email', parsePlayerCell('ben@example.com').email);
+check('Reads a bare name', parsePlayerCell('Carla').name === 'Carla');
+check('Empty cells are no player', parsePlayerCell('  ') === null);
+
+// Whole file
+const csv = [
+  'Date,Venue,Type,Score,Team1 Player1,Team1 Player2,Team2 Player1,Team2 Player2',
+  '2025-05-01 18:00,Padel Hub,friendly,6-4 3-6 7-6(5),Ana <ana@example.com>,Ben,Carla,Dan',
+  '',
+  '2025-05-02,Padel Hub,,6-3 6-2,ana@example.com,,Eve,',
+  '2999-01-01,Padel Hub,tournament,6-7 6-4,Ana,Ben,Carla,',
+  '2025-05-03,,friendly,6-4,a@x.com,,a@x.com,',
+].join('\n');
+
+const { error, rows } = parseMatchImportCsv(csv);
+console.log(
+  'Rows:',
+  rows.map(({ row, errors }) => ({ row, errors }))
+);
+
+check('Header names are matched loosely', error === null);
+check('Blank lines are skipped', rows.length === 4);
+check('Row numbers count the header and blank lines', rows[1].row === 4);
+
+const [doubles, singles, invalid, duplicate] = rows;
+check('Valid doubles row has no errors', doubles.errors.length === 0);
+check('Format is inferred as doubles', doubles.data?.format === 'double');
+check(
+  'Tiebreak points are filled in for the winner',
+  doubles.data?.score.sets[2].tiebreak.join('-') === '7-5'
+);
+check(
+  'Format is inferred as singles and type defaults to friendly',
+  singles.data?.format === 'single' && singles.data?.type === 'friendly'
+);
+check('Invalid rows have no data', invalid.data === null);
+check(
+  'Future dates are rejected',
+  invalid.errors.some((message) => message.includes('future'))
+);
+check(
+  'Tournament type is rejected',
+  invalid.errors.some((message) => message.startsWith('type'))
+);
+check(
+  'Missing doubles players are reported',
+  invalid.errors.some((message) => message.includes('team 2 needs 2'))
+);
+check(
+  'Unfinished tiebreak sets are reported',
+  invalid.errors.some((message) => message.startsWith('score'))
+);
+check(
+  'Missing venue and repeated players are reported',
+  duplicate.errors.includes('venue is required') &&
+    duplicate.errors.includes('the same player is listed more than once')
+);
+
+// File-level errors
+check(
+  'Missing columns are reported',
+  parseMatchImportCsv('date,venue\n2025-01-01,Hub').error.startsWith(
+    'Missing column(s): score'
+  )
+);
+check(
+  'Files without matches are rejected',
+  parseMatchImportCsv('date,venue,score,team1_player1,team2_player1\n')
+    .error === 'The CSV file has no matches'
+);
+check(
+  'Row limit is enforced',
+  parseMatchImportCsv(csv, { maxRows: 2 }).error.includes('at most 2')
+);
+
+// Importing
+const ana = {
+  _id: new mongoose.Types.ObjectId(),
+  fullName: 'Ana Ruiz',
+  email: 'ana@example.com',
+  status: 'active',
+};
+const importer = { _id: new mongoose.Types.ObjectId(), fullName: 'Importer' };
+
+User.find = () => ({ select: async () => [ana] });
+Venue.find = () => ({ select: async () => [] });
+MatchInvitation.updateMany = async () => ({});
+MatchInvitation.bulkWrite = async () => ({});
+
+// Match.create() rejects rows in `failingRows` and records the rest
+let saved = [];
+let removed = [];
+let failingRows = [];
+Match.create = async (fields) => {
+  if (failingRows.includes(saved.length + removed.length)) {
+    throw new Error('Match validation failed');
+  }
+  const match = new Match(fields);
+  match.$locals.invitedPlayerIds = [ana._id.toString()];
+  match.$locals.confirmationRequested = fields.type === 'ranked';
+  saved.push(match);
+  return match;
+};
+Match.deleteMany = async ({ _id }) => {
+  removed = saved.filter((match) => _id.$in.includes(match._id));
+  saved = saved.filter((match) => !_id.$in.includes(match._id));
+};
+
+let notifications = 0;
+matchNotificationService.notifyMatchInvitation = async () => {
+  notifications += 1;
+};
+matchNotificationService.notifyResultConfirmationRequested = async () => {
+  notifications += 1;
+};
+
+const importCsv = [
+  'Date,Venue,Type,Score,Team1 Player1,Team2 Player1',
+  '2025-05-01,Padel Hub,ranked,6-4 6-3,importer@example.com,Ana <ana@example.com>',
+  '2025-05-02,Padel Hub,friendly,6-2 6-2,importer@example.com,Ben',
+].join('\n');
+
+const runImport = (body = {}) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    importMatchesService(
+      { body: { csv: importCsv, ...body }, query: {}, user: importer },
+      res,
+      (importError) => resolve({ statusCode: 500, error: importError })
+    );
+  });
+
+failingRows = [1];
+const failed = await runImport();
+check(
+  'A row that fails to save is reported',
+  failed.statusCode === 400 &&
+    failed.body.data.rows[1].errors[0] === 'Match validation failed'
+);
+check(
+  'Rows saved before it are taken back',
+  saved.length === 0 && removed.length === 1
+);
+check('Nobody is notified about a failed import', notifications === 0);
+
+failingRows = [];
+removed = [];
+const imported = await runImport();
+check(
+  'A clean file is imported and the players notified',
+  imported.statusCode === 201 && saved.length === 2 && notifications === 3
+);
+
+saved = [];
+notifications = 0;
+const quiet = await runImport({ notify: 'false' });
+check(
+  'notify=false imports without notifying anyone',
+  quiet.statusCode === 201 && saved.length === 2 && notifications === 0
+);
+
+finish();
@@ -0,0 +1,131 @@
+/**
+ * Test Match History Filters (No DB Connection Required)
+ *
+ * Checks the query params of match history lists (GET /api/v1/matches?...)
+ * turn into the right aggregation stages, and that bad input is a 400
+ * rather than a broken or runaway query
+ */
+
+import mongoose from 'mongoose';
+import MatchHistoryFeatures, {
+  MATCH_HISTORY_METRICS,
+} from './src/utils/matchHistoryFeatures.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH HISTORY FILTERS');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// Stands in for Match.aggregate() - records the stages it is given
+const recordingAggregate = () => {
+  const stages = { match: [], append: [], sort: null };
+  return {
+    stages,
+    match(condition) {
+      stages.match.push(condition);
+      return this;
+    },
+    append(...appended) {
+      stages.append.push(...appended);
+      return this;
+    },
+    sort(fields) {
+      stages.sort = fields;
+      return this;
+    },
+  };
+};
+
+const run = (query, method = 'filter') => {
+  const aggregate = recordingAggregate();
+  new MatchHistoryFeatures(aggregate, query, userId)[method]();
+  return aggregate.stages;
+};
+
+const conditionsOf = (query) => run(query).match[0]?.$and || [];
+
+const badRequest = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.statusCode === 400;
+  }
+};
+
+// Location search
+const locationRegex = (location) =>
+  conditionsOf({ location }).find((condition) => condition.location).location
+    .$regex;
+
+const nested = locationRegex('(a+)+$');
+check('Escapes regex characters', nested === '\\(a\\+\\)\\+\\$');
+check(
+  'Escaped search matches the text literally',
+  new RegExp(nested, 'i').test('Club (a+)+$') &&
+    !new RegExp(nested, 'i').test('aaaa')
+);
+check(
+  'Unbalanced brackets still make a valid pattern',
+  (() => {
+    try {
+      new RegExp(locationRegex('Court ('));
+      new RegExp(locationRegex('[Padel'));
+      new RegExp(locationRegex('back\\'));
+      return true;
+    } catch {
+      return false;
+    }
+  })()
+);
+check('Plain text is unchanged', locationRegex('Madrid') === 'Madrid');
+check(
+  'Repeated params are searched as text',
+  typeof locationRegex(['Madrid', '(x']) === 'string'
+);
+
+// Other filters
+check(
+  'Splits comma separated formats',
+  conditionsOf({ format: 'singles, doubles' })[0].format.$in.join() ===
+    'singles,doubles'
+);
+check('Rejects a bad venue ID', badRequest(() => run({ venue: 'nope' })));
+check('Rejects a bad date', badRequest(() => run({ from: 'yesterday' })));
+check('Rejects an unknown result', badRequest(() => run({ result: 'draw' })));
+check('No conditions, no $match', run({}).match.length === 0);
+
+// Metric filters
+const metricMatch = (query) => run(query).match.at(-1);
+check(
+  'Filters on the user player metric',
+  metricMatch({ distance: { gte: '2.5' } })[
+    `firstPlayer.${MATCH_HISTORY_METRICS.distance}`
+  ].$gte === 2.5
+);
+check(
+  'Equality metric filters',
+  metricMatch({ shots: '12' })['firstPlayer.shots.total_shots'] === 12
+);
+check(
+  'Rejects non-numeric metrics',
+  badRequest(() => run({ speed: { gt: 'fast' } }))
+);
+check(
+  'Rejects unknown operators',
+  badRequest(() => run({ speed: { near: '3' } }))
+);
+
+// Sorting
+check(
+  'Sorts by metric on the user player',
+  run({ sort: '-distance,createdAt' }, 'sort').sort ===
+    '-firstPlayer.total_distance_km createdAt'
+);
+check('Sorts newest first by default', run({}, 'sort').sort === '-createdAt');
+check(
+  'Rejects unknown sort fields',
+  badRequest(() => run({ sort: 'password' }, 'sort'))
+);
+
+finish();
@@ -0,0 +1,199 @@
+/**
+ * Test Match Invitations (No DB Connection Required)
+ *
+ * Checks which players the Match pre('save') hooks mark as invited, that
+ * invitation statuses can't be set by the client, and accepting and
+ * declining an invitation. Lookups, saves and notifications are fakes
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import MatchInvitation from './src/models/MatchInvitation.js';
+import User from './src/models/User.js';
+import {
+  acceptMatchInvitationService,
+  declineMatchInvitationService,
+  sendMatchInvitations,
+  stripInvitationStatuses,
+} from './src/services/matchInvitationService.js';
+import matchNotificationService from './src/services/matchNotificationService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH INVITATIONS');
+
+const creator = new mongoose.Types.ObjectId();
+const partner = new mongoose.Types.ObjectId();
+const opponent = new mongoose.Types.ObjectId();
+const newcomer = new mongoose.Types.ObjectId();
+
+const buildMatch = () =>
+  new Match({
+    format: 'double',
+    type: 'friendly',
+    creator,
+    location: 'Court 1',
+    teams: [
+      {
+        players: [
+          { player: creator, color: 'red' },
+          { player: partner, color: 'blue' },
+        ],
+      },
+      {
+        players: [
+          { player: opponent, color: 'green' },
+          { name: 'Guest Player', color: 'yellow' },
+        ],
+      },
+    ],
+  });
+
+// Run only the pre('save') hooks so no database connection is needed
+const runSaveHooks = (match) =>
+  new Promise((resolve, reject) => {
+    match.schema.s.hooks.execPre('save', match, [], (error) =>
+      error ? reject(error) : resolve(match)
+    );
+  });
+
+const slotOf = (match, userId) => match.getPlayerSlot(userId);
+
+// Who gets invited
+const match = await runSaveHooks(buildMatch());
+check(
+  'Registered players added by the creator are invited',
+  slotOf(match, partner).invitationStatus === 'pending' &&
+    slotOf(match, opponent).invitationStatus === 'pending'
+);
+check(
+  'The creator is never invited',
+  slotOf(match, creator).invitationStatus === undefined
+);
+check(
+  'New invitees are passed on to be notified',
+  match.$locals.invitedPlayerIds.join() === `${partner},${opponent}`
+);
+
+// A full teams update (statuses stripped) keeps answers already given
+const storedFields = match.toObject();
+storedFields.teams[0].players[1].invitationStatus = 'accepted';
+const stored = Match.hydrate(storedFields);
+stored.set({
+  teams: [
+    {
+      players: [
+        { player: creator, color: 'red' },
+        { player: partner, color: 'blue' },
+      ],
+    },
+    {
+      players: [
+        { player: opponent, color: 'green' },
+        { player: newcomer, color: 'yellow' },
+      ],
+    },
+  ],
+});
+await runSaveHooks(stored);
+check(
+  'Players who already answered are not invited again',
+  slotOf(stored, partner).invitationStatus === 'accepted' &&
+    slotOf(stored, opponent).invitationStatus === 'pending'
+);
+check(
+  'Only the newly added player is notified',
+  stored.$locals.invitedPlayerIds.join() === newcomer.toString()
+);
+
+// Clients can't answer on the invitees' behalf
+const body = {
+  teams: [{ players: [{ player: partner, invitationStatus: 'accepted' }] }],
+};
+stripInvitationStatuses(body);
+check(
+  'Invitation statuses are dropped from requests',
+  !('invitationStatus' in body.teams[0].players[0])
+);
+
+// Sending invitations
+const invitationWrites = [];
+const notified = [];
+MatchInvitation.updateMany = async () => ({});
+MatchInvitation.bulkWrite = async (operations) => {
+  invitationWrites.push(...operations);
+};
+User.find = () => ({
+  select: async () =>
+    [partner, opponent].map((_id) => ({ _id, status: 'active' })),
+});
+matchNotificationService.notifyMatchInvitation = async (userId) => {
+  notified.push(userId.toString());
+};
+
+await sendMatchInvitations(match, { _id: creator, fullName: 'Creator' });
+check(
+  'An invitation is stored and sent for each invitee',
+  invitationWrites.length === 2 && notified.join() === `${partner},${opponent}`
+);
+
+// Answering
+let invitation;
+Match.findOne = async () => match;
+match.save = async () => match;
+MatchInvitation.findOne = async () => invitation;
+matchNotificationService.notifyMatchInvitationResponse = async () => {};
+
+const answer = (handler, userId) => {
+  invitation = new MatchInvitation({
+    match: match._id,
+    invitee: userId,
+    invitedBy: creator,
+    status: 'pending',
+  });
+  invitation.save = async () => invitation;
+
+  return new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    handler(
+      {
+        params: { invitationId: invitation._id.toString() },
+        user: { _id: userId, fullName: 'Player Name' },
+      },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+};
+
+const accepted = await answer(acceptMatchInvitationService, partner);
+check(
+  'Accepting marks the player as in',
+  accepted.statusCode === 200 &&
+    invitation.status === 'accepted' &&
+    slotOf(match, partner).invitationStatus === 'accepted'
+);
+
+const declined = await answer(declineMatchInvitationService, opponent);
+const freedSlot = match.teams[1].players[0];
+check(
+  'Declining turns the slot back into a guest',
+  declined.statusCode === 200 &&
+    invitation.status === 'declined' &&
+    !freedSlot.player &&
+    freedSlot.name === 'Player Name'
+);
+
+const gone = await answer(acceptMatchInvitationService, opponent);
+check(
+  'A player no longer on the match cannot accept',
+  gone.statusCode === 404 && invitation.status === 'cancelled'
+);
+
+finish();
@@ -0,0 +1,173 @@
+/**
+ * Test Private Match Notes and Tags (No DB Connection Required)
+ *
+ * Checks how tags are cleaned up, that notes are only read and filtered for
+ * the user who wrote them, and saving and clearing a note. The match
+ * lookups and updates are replaced with fakes
+ */
+
+import mongoose from 'mongoose';
+import Match, { normalizeMatchTags } from './src/models/Match.js';
+import {
+  getMatchNote,
+  setMatchNoteService,
+} from './src/services/matchNoteService.js';
+import MatchHistoryFeatures from './src/utils/matchHistoryFeatures.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING PRIVATE MATCH NOTES AND TAGS');
+
+const owner = new mongoose.Types.ObjectId();
+const viewer = new mongoose.Types.ObjectId();
+const matchId = new mongoose.Types.ObjectId();
+
+// Cleaning up tags
+check(
+  'Tags are trimmed, lowercased and deduplicated',
+  normalizeMatchTags([' Night  Match', 'night match', 'Clay', '', 3]).join() ===
+    'night match,clay'
+);
+check(
+  'Comma separated tags are split',
+  normalizeMatchTags('clay, League ,').join() === 'clay,league'
+);
+check('No tags gives an empty list', normalizeMatchTags().length === 0);
+
+// Tag filters
+{
+  const { notes } = Match.taggedCriteria(viewer, 'Clay,league');
+  check(
+    "Tag filters match all of the user's own tags",
+    notes.$elemMatch.user === viewer &&
+      notes.$elemMatch.tags.$all.join() === 'clay,league'
+  );
+}
+{
+  const stages = { match: [], append: [] };
+  const aggregate = {
+    match(condition) {
+      stages.match.push(condition);
+      return this;
+    },
+    append(...appended) {
+      stages.append.push(...appended);
+      return this;
+    },
+  };
+  new MatchHistoryFeatures(aggregate, { tag: 'clay' }, owner.toString(), {
+    viewerId: viewer.toString(),
+  }).filter();
+
+  const tagCondition = stages.match[0].$and.find(
+    (condition) => condition.notes
+  );
+  check(
+    "Match history filters on the viewer's tags, not the owner's",
+    tagCondition.notes.$elemMatch.user.equals(viewer)
+  );
+  check(
+    "Everyone else's notes are dropped from the results",
+    stages.append.some((stage) => stage.$unset === 'notes')
+  );
+}
+
+// Reading a note
+Match.findById = () => ({
+  select: () => ({
+    lean: async () => ({
+      notes: [{ user: owner, note: 'Serve wide', tags: ['clay'] }],
+    }),
+  }),
+});
+check(
+  'Users read their own note',
+  (await getMatchNote(matchId, owner))?.note === 'Serve wide'
+);
+check(
+  "Other users can't read it",
+  (await getMatchNote(matchId, viewer)) === null
+);
+
+// Saving a note
+let participant = true;
+const updates = [];
+let matchedCount = 1;
+Match.findOne = () => ({
+  select: async () => (participant ? { _id: matchId } : null),
+});
+Match.updateOne = async (filter, update) => {
+  updates.push({ filter, update });
+  return { matchedCount };
+};
+
+const saveNote = (body) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    setMatchNoteService(
+      { params: { matchId: matchId.toString() }, user: { _id: owner }, body },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+check(
+  'Overlong notes are rejected',
+  (await saveNote({ note: 'x'.repeat(2001) })).statusCode === 400
+);
+check(
+  'Too many tags are rejected',
+  (
+    await saveNote({
+      tags: Array.from({ length: 21 }, (_, index) => `tag ${index}`),
+    })
+  ).statusCode === 400
+);
+check(
+  'Overlong tags are rejected',
+  (await saveNote({ tags: ['x'.repeat(41)] })).statusCode === 400 &&
+    updates.length === 0
+);
+
+participant = false;
+check(
+  "Users not on the match can't note it",
+  (await saveNote({ note: 'Hi' })).statusCode === 404 && updates.length === 0
+);
+participant = true;
+
+const edited = await saveNote({ note: ' Serve wide ', tags: 'Clay' });
+check(
+  'An existing note is updated in place',
+  edited.statusCode === 200 &&
+    updates.length === 1 &&
+    updates[0].update.$set['notes.$.note'] === 'Serve wide' &&
+    updates[0].update.$set['notes.$.tags'].join() === 'clay'
+);
+
+updates.length = 0;
+matchedCount = 0;
+await saveNote({ note: 'First note' });
+check(
+  'A first note is added once',
+  updates.length === 2 &&
+    updates[1].update.$push.notes.user === owner &&
+    updates[1].filter['notes.user'].$ne === owner
+);
+
+updates.length = 0;
+const cleared = await saveNote({ note: '  ', tags: [] });
+check(
+  'Clearing the note and tags removes the entry',
+  cleared.body.data.note === null &&
+    updates.length === 1 &&
+    updates[0].update.$pull.notes.user === owner
+);
+
+finish();
@@ -0,0 +1,220 @@
+/**
+ * Test Match Point Log (No DB Connection Required)
+ *
+ * Checks point validation, replaying points into a score, the
+ * winners/errors summary behind /api/v1/matches/:matchId/points and that a
+ * confirmed result's points can't be changed
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import {
+  logMatchPoint,
+  removeMatchPoint,
+} from './src/services/matchPointService.js';
+import {
+  scoreMatchPoints,
+  summarizeMatchPoints,
+  validateMatchPoint,
+} from './src/utils/matchPoints.js';
+import { deriveMatchResult, formatScore } from './src/utils/padelScoring.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH POINT LOG');
+
+const match = {
+  teams: [
+    { players: [{ name: 'Ana' }, { name: 'Ben' }] },
+    { players: [{ name: 'Carla' }, { name: 'Dan' }] },
+  ],
+};
+
+const point = (winner, extra = {}) => ({
+  winner,
+  outcome: 'winner',
+  server: { team: 0, index: 0 },
+  ...extra,
+});
+
+// A game won to love, several of them, and a run of points
+const game = (winner) => Array.from({ length: 4 }, () => point(winner));
+const games = (winner, count) =>
+  Array.from({ length: count }, () => game(winner)).flat();
+const run = (winner, count) =>
+  Array.from({ length: count }, () => point(winner));
+
+// Validation
+check('A complete point is valid', !validateMatchPoint(point(0), match).length);
+check(
+  'Winner, outcome and server are required',
+  validateMatchPoint({}, match).length === 3
+);
+check(
+  'Servers must be on the match',
+  validateMatchPoint(point(0, { server: { team: 1, index: 2 } }), match).length
+);
+check(
+  'A winner is hit by the team that won the point',
+  validateMatchPoint(point(0, { hitBy: { team: 1, index: 0 } }), match)[0] ===
+    'hitBy must be on the team that won the point'
+);
+check(
+  'An error is made by the team that lost the point',
+  !validateMatchPoint(
+    point(0, { outcome: 'unforced_error', hitBy: { team: 1, index: 1 } }),
+    match
+  ).length
+);
+check(
+  'Unknown shot types are rejected',
+  validateMatchPoint(point(0, { shotType: 'tweener' }), match).length === 1
+);
+
+// Golden point vs advantage
+const deuce = [...run(0, 3), ...run(1, 3), point(0)];
+const golden = scoreMatchPoints(deuce, { mode: 'golden_point' });
+const advantage = scoreMatchPoints(deuce, { mode: 'advantage' });
+check('Golden point decides the game at 40-40', golden.current.games[0] === 1);
+check(
+  'Advantage needs a two point lead',
+  advantage.current.games[0] === 0 &&
+    advantage.current.call.join('-') === 'AD-40'
+);
+
+// Sets and tiebreaks
+const firstSet = scoreMatchPoints([...games(0, 6), point(1)], {});
+check(
+  'A 6-0 set finishes and the next set starts',
+  formatScore(firstSet) === '6-0' && firstSet.current.set === 2
+);
+
+const longSet = scoreMatchPoints(
+  [...games(0, 5), ...games(1, 5), ...games(0, 2)],
+  {}
+);
+check('A set at 5-5 goes on to 7-5', formatScore(longSet) === '7-5');
+
+const tiebreakSet = [
+  ...games(0, 5),
+  ...games(1, 6),
+  ...game(0),
+  ...run(0, 6),
+  ...run(1, 6),
+  ...run(0, 2),
+];
+const tiebreak = scoreMatchPoints(tiebreakSet, {});
+check(
+  'A tiebreak at 6-6 is played to 7, won by two',
+  formatScore(tiebreak) === '7-6(6)' &&
+    tiebreak.sets[0].tiebreak.join('-') === '8-6'
+);
+
+const inTiebreak = scoreMatchPoints(tiebreakSet.slice(0, -5), {});
+check(
+  'The tiebreak in progress is counted in points',
+  inTiebreak.current.tiebreak && inTiebreak.current.call.join('-') === '6-3'
+);
+
+const superTiebreak = scoreMatchPoints(
+  [...games(0, 6), ...games(1, 6), ...run(0, 10)],
+  { superTiebreak: true }
+);
+check(
+  'The deciding set is a super tiebreak to 10',
+  formatScore(superTiebreak) === '6-0 0-6 [10-0]' && superTiebreak.winner === 0
+);
+check(
+  'The derived score passes match score validation',
+  !deriveMatchResult({ superTiebreak: true, sets: superTiebreak.sets }).errors
+    .length
+);
+
+const bestOfThree = scoreMatchPoints(
+  [...games(1, 6), ...games(1, 6), point(0)],
+  {}
+);
+check(
+  'Points after the match is decided are reported',
+  bestOfThree.winner === 1 && bestOfThree.errors.length === 1
+);
+check('A decided match has no game in progress', bestOfThree.current === null);
+
+// Summary stats
+const summary = summarizeMatchPoints(
+  [
+    point(0, { hitBy: { team: 0, index: 1 }, shotType: 'smash' }),
+    point(1, {
+      outcome: 'unforced_error',
+      hitBy: { team: 0, index: 0 },
+      shotType: 'volley',
+    }),
+    point(1, { outcome: 'forced_error', server: { team: 1, index: 0 } }),
+  ],
+  match
+);
+const [ana, ben, carla] = summary.players;
+check('Every point is counted', summary.total_points === 3);
+check(
+  'Winners are credited to the hitter, by shot',
+  ben.winners === 1 && ben.winners_by_shot.smash === 1
+);
+check('Unforced errors are credited to the hitter', ana.unforced_errors === 1);
+check(
+  'Points without a hitter still count for the team',
+  summary.teams[0].forced_errors === 1 && ana.forced_errors === 0
+);
+check(
+  'Points won count for every player on the team',
+  carla.points_won === 2 && summary.teams[1].points_won === 2
+);
+check(
+  'Serve stats follow the server',
+  ana.service_points === 2 &&
+    ana.service_points_won_pct === 50 &&
+    carla.service_points_won === 1
+);
+
+// Confirmed results
+const creator = new mongoose.Types.ObjectId();
+const confirmedMatch = Match.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  format: 'single',
+  type: 'ranked',
+  creator,
+  location: 'Court 1',
+  teams: [
+    { players: [{ player: creator, color: 'red' }] },
+    { players: [{ name: 'Guest Player', color: 'blue' }] },
+  ],
+  confirmation: { status: 'confirmed' },
+});
+Match.findOne = async () => confirmedMatch;
+
+const rejection = (promise) =>
+  promise.then(
+    () => null,
+    (error) => error
+  );
+const user = { _id: creator };
+check(
+  'No points are logged once the result is confirmed',
+  (
+    await rejection(
+      logMatchPoint(confirmedMatch._id.toString(), user, point(0))
+    )
+  )?.statusCode === 400
+);
+check(
+  'No points are removed once the result is confirmed',
+  (
+    await rejection(
+      removeMatchPoint(
+        confirmedMatch._id.toString(),
+        new mongoose.Types.ObjectId().toString(),
+        user
+      )
+    )
+  )?.statusCode === 400
+);
+
+finish();
@@ -0,0 +1,147 @@
+/**
+ * Test Match Report Export (No DB Connection Required)
+ *
+ * Builds a report from a plain match and filtered analysis and checks the
+ * CSV, HTML, JSON and PDF renderings
+ */
+
+import {
+  buildMatchReport,
+  getReportSections,
+  renderMatchReport,
+} from './src/utils/matchReportExport.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH REPORT EXPORT');
+
+const match = {
+  _id: 'match123',
+  format: 'single',
+  type: 'friendly',
+  status: 'completed',
+  location: 'Club "Central", Court 2',
+  venue: { name: 'Padel Hub' },
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+  teams: [
+    { players: [{ player: { fullName: 'Ana Coach' } }], score: 2 },
+    { players: [{ name: '=Guest' }], score: 0 },
+  ],
+  score: {
+    sets: [{ games: [6, 4] }, { games: [7, 6], tiebreak: [7, 5] }],
+    winner: 0,
+  },
+};
+
+// Shaped like filterAnalysisResultsBySubscription output for a free plan
+const analysis = {
+  _id: 'analysis123',
+  status: 'completed',
+  player_analytics: {
+    metadata: { duration_minutes: 60 },
+    players: [
+      {
+        player_id: 'a',
+        total_distance_km: 2.3456,
+        average_speed_kmh: 6.1,
+        shots: { total_shots: 20, forehand: 12, backhand: 8, success_rate: 70 },
+        shot_events: [
+          { timestamp: 12.5, type: 'backhand', success: false, velocity: 50 },
+          { timestamp: 3, type: 'forehand', success: true, velocity: 62.123 },
+        ],
+      },
+      { player_id: 'b', total_distance_km: 2.1, shot_events: [] },
+    ],
+  },
+};
+
+const insights = [
+  {
+    player_id: 'a',
+    insights: {
+      player_profile: { playing_style: 'Aggressive', intensity_level: 'High' },
+      strengths: [{ title: 'Footwork', description: 'Quick, balanced' }],
+      weaknesses: [],
+      actionable_tips: ['Volley more'],
+      tactical_summary: 'Push to the net',
+    },
+  },
+];
+
+const report = buildMatchReport({
+  match,
+  analysis,
+  playerNames: ['Ana Coach'],
+  insights,
+});
+
+check('Score is rendered', report.match.score === '6-4 7-6(5)');
+check('Winner is the first team', report.match.winner === 'Team 1');
+check(
+  'Unnamed analysis players get a fallback name',
+  report.players[1].name === 'Player 2'
+);
+check(
+  'Shot events are merged and sorted by time',
+  report.shot_events.map((event) => event.timestamp).join(',') === '3,12.5'
+);
+check(
+  'Per-player shot events are not duplicated',
+  report.players.every((player) => !player.shot_events) &&
+    report.analysis.player_analytics.players === undefined
+);
+check(
+  'Insights are labelled with the player name',
+  report.coaching_insights[0].player === 'Ana Coach'
+);
+
+const sections = getReportSections(report);
+const metrics = sections.find((section) => section.title === 'Player metrics');
+check(
+  'Metrics are rounded and missing ones left blank',
+  metrics.rows[0][1] === 2.35 && metrics.rows[1][3] === undefined
+);
+const coaching = sections.find(
+  (section) => section.title === 'Coaching insights'
+);
+check('Every insight becomes a row', coaching.rows.length === 4);
+
+const csv = renderMatchReport(report, 'csv');
+check(
+  'CSV quotes fields with commas and quotes',
+  csv.includes('"Club ""Central"", Court 2"')
+);
+check('CSV neutralises formula-like text', csv.includes("'=Guest"));
+check('CSV has one block per section', csv.split('\r\n\r\n').length === 4);
+
+const html = renderMatchReport(report, 'html');
+check('HTML escapes text', html.includes('Club &quot;Central&quot;'));
+check('HTML is a full document', html.startsWith('<!DOCTYPE html>'));
+
+const json = JSON.parse(renderMatchReport(report, 'json'));
+check('JSON round-trips', json.match.id === 'match123');
+
+const pdf = renderMatchReport(report, 'pdf');
+const pdfText = pdf.toString('latin1');
+check('PDF has a header and trailer', pdfText.startsWith('%PDF-1.4'));
+check('PDF ends with EOF marker', pdfText.trimEnd().endsWith('%%EOF'));
+const startxref = Number(pdfText.match(/startxref\n(\d+)/)[1]);
+check(
+  'PDF xref offset points at the xref table',
+  pdfText.slice(startxref, startxref + 4) === 'xref'
+);
+const firstObject = Number(pdfText.match(/xref\n0 \d+\n.*\n(\d{10})/)[1]);
+check(
+  'PDF object offsets are correct',
+  pdfText.slice(firstObject, firstObject + 7) === '1 0 obj'
+);
+check(
+  'PDF escapes parentheses',
+  renderMatchReport(
+    buildMatchReport({ match: { ...match, location: 'Court (2)' } }),
+    'pdf'
+  )
+    .toString('latin1')
+    .includes('Court \\(2\\)')
+);
+
+finish();
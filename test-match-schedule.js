@@ -0,0 +1,165 @@
+/**
+ * Test Scheduled Matches (No DB Connection Required)
+ *
+ * Checks who can cancel a scheduled match, who gets the start reminder and
+ * that a rescheduled match is reminded again. Match lookups, saves and the
+ * notifications are replaced with in-memory fakes
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import matchNotificationService from './src/services/matchNotificationService.js';
+import {
+  cancelScheduledMatchService,
+  sendDueMatchReminders,
+} from './src/services/matchScheduleService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING SCHEDULED MATCHES');
+
+const creator = new mongoose.Types.ObjectId();
+const accepted = new mongoose.Types.ObjectId();
+const invited = new mongoose.Types.ObjectId();
+
+const scheduledMatch = (fields = {}) =>
+  Match.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    format: 'double',
+    type: 'friendly',
+    creator,
+    location: 'Court 1',
+    status: 'pending',
+    startTime: new Date(Date.now() + 30 * 60 * 1000),
+    teams: [
+      {
+        players: [
+          { player: creator, color: 'red' },
+          { player: accepted, color: 'blue', invitationStatus: 'accepted' },
+        ],
+      },
+      {
+        players: [
+          { player: invited, color: 'green', invitationStatus: 'pending' },
+          { name: 'Guest Player', color: 'yellow' },
+        ],
+      },
+    ],
+    ...fields,
+  });
+
+// Matches are looked up in `matches` and saving is a no-op
+let matches = [];
+Match.findOne = async ({ _id }) =>
+  matches.find((match) => match._id.equals(_id)) || null;
+Match.find = async () => matches;
+Match.updateOne = async () => ({ modifiedCount: 1 });
+Match.prototype.save = async function () {
+  return this;
+};
+
+// Notifications record who they were sent to
+let notified = [];
+matchNotificationService.notifyMatchCancelled = async (userId) => {
+  notified.push(userId.toString());
+};
+matchNotificationService.notifyMatchReminder = async (userId) => {
+  notified.push(userId.toString());
+};
+
+const cancel = (match, userId) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (body) => resolve({ statusCode, body }),
+    };
+    cancelScheduledMatchService(
+      {
+        params: { matchId: match._id.toString() },
+        user: { _id: userId },
+        body: {},
+      },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+// Cancelling
+{
+  const match = scheduledMatch();
+  matches = [match];
+
+  check(
+    'A pending invitee cannot cancel the match',
+    (await cancel(match, invited)).statusCode === 403 &&
+      match.status === 'pending'
+  );
+  check(
+    'An accepted player cannot cancel it for everyone',
+    (await cancel(match, accepted)).statusCode === 403 &&
+      match.status === 'pending'
+  );
+  check(
+    'Someone off the match cannot cancel it',
+    (await cancel(match, new mongoose.Types.ObjectId())).statusCode === 403
+  );
+
+  notified = [];
+  const response = await cancel(match, creator);
+  check(
+    'The creator can cancel it',
+    response.statusCode === 200 && match.status === 'cancelled'
+  );
+  check(
+    'The other players are told',
+    notified.sort().join() === [accepted, invited].map(String).sort().join()
+  );
+}
+
+// Reminders
+{
+  matches = [scheduledMatch()];
+  notified = [];
+  const reminded = await sendDueMatchReminders();
+  check('Reminds the due match', reminded === 1);
+  check(
+    'Reminds the creator and accepted players',
+    notified.includes(creator.toString()) &&
+      notified.includes(accepted.toString())
+  );
+  check(
+    "Invitees who haven't accepted are not reminded",
+    !notified.includes(invited.toString())
+  );
+}
+
+// Rescheduling
+const runSaveHooks = (match) =>
+  new Promise((resolve) => {
+    match.schema.s.hooks.execPre('save', match, [], (error) => resolve(error));
+  });
+
+{
+  const match = scheduledMatch({ reminderSentAt: new Date() });
+  match.startTime = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+  const error = await runSaveHooks(match);
+  check(
+    'Moving the start time resets the reminder',
+    !error && !match.reminderSentAt
+  );
+}
+
+{
+  const match = scheduledMatch({ reminderSentAt: new Date() });
+  match.location = 'Court 2';
+  const error = await runSaveHooks(match);
+  check(
+    'Other changes keep the reminder sent',
+    !error && !!match.reminderSentAt
+  );
+}
+
+finish();
@@ -0,0 +1,115 @@
+/**
+ * Test Structured Match Scoring (No DB Connection Required)
+ *
+ * Runs the Match pre('save') hook against a few padel scores and checks
+ * that invalid sets are rejected and the winner is derived correctly
+ */
+
+import Match from './src/models/Match.js';
+import { formatScore } from './src/utils/padelScoring.js';
+
+console.log('\n========================================');
+console.log('TESTING STRUCTURED MATCH SCORING');
+console.log('========================================\n');
+
+const buildMatch = (score) =>
+  new Match({
+    format: 'single',
+    type: 'ranked',
+    creator: '673c1234567890abcdef1234',
+    location: 'Test Court',
+    teams: [
+      { players: [{ player: '673c1234567890abcdef1234', color: 'red' }] },
+      { players: [{ name: 'Guest Player', color: 'blue' }] },
+    ],
+    score,
+  });
+
+// Run only the pre('save') hooks so no database connection is needed
+const runSaveHooks = (match) =>
+  new Promise((resolve) => {
+    match.schema.s.hooks.execPre('save', match, [], (error) => resolve(error));
+  });
+
+const cases = [
+  {
+    name: 'Three set match with tiebreak (6-4 3-6 7-6(5))',
+    score: {
+      mode: 'golden_point',
+      sets: [
+        { games: [6, 4] },
+        { games: [3, 6] },
+        { games: [7, 6], tiebreak: [7, 5] },
+      ],
+    },
+    expectError: false,
+    expectWinner: 0,
+  },
+  {
+    name: 'Deciding super tiebreak (4-6 6-2 [8-10])',
+    score: {
+      superTiebreak: true,
+      sets: [{ games: [4, 6] }, { games: [6, 2] }, { tiebreak: [8, 10] }],
+    },
+    expectError: false,
+    expectWinner: 1,
+  },
+  {
+    name: 'Unfinished set (6-5) is rejected',
+    score: { sets: [{ games: [6, 5] }] },
+    expectError: true,
+  },
+  {
+    name: '7-6 without tiebreak points is rejected',
+    score: { sets: [{ games: [7, 6] }] },
+    expectError: true,
+  },
+  {
+    name: 'Set played after the match was decided is rejected',
+    score: { sets: [{ games: [6, 0] }, { games: [6, 0] }, { games: [6, 0] }] },
+    expectError: true,
+  },
+];
+
+let failures = 0;
+
+for (const testCase of cases) {
+  console.log(`TEST: ${testCase.name}`);
+  console.log('─────────────────────────────────────────────');
+
+  const match = buildMatch(testCase.score);
+  const error = await runSaveHooks(match);
+
+  if (testCase.expectError) {
+    if (error) {
+      console.log('✅ Rejected:', error.message);
+    } else {
+      failures += 1;
+      console.log('❌ Expected a validation error');
+    }
+  } else if (error) {
+    failures += 1;
+    console.log('❌ Unexpected validation error:', error.message);
+  } else if (match.score.winner !== testCase.expectWinner) {
+    failures += 1;
+    console.log(
+      `❌ Expected winner ${testCase.expectWinner}, got ${match.score.winner}`
+    );
+  } else {
+    console.log('✅ Score:', formatScore(match.score));
+    console.log('   Sets won:', match.teams.map((team) => team.score).join('-'));
+    console.log('   Winner: team', match.score.winner);
+  }
+
+  console.log('\n');
+}
+
+console.log('========================================');
+console.log(
+  failures === 0
+    ? 'ALL SCORING TESTS PASSED! ✅'
+    : `${failures} SCORING TEST(S) FAILED ❌`
+);
+console.log('========================================\n');
+
+process.exit(failures === 0 ? 0 : 1);
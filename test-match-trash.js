@@ -0,0 +1,292 @@
+/**
+ * Test Match Trash (No DB Connection Required)
+ *
+ * Runs the trash, restore and purge flows against an in-memory collection.
+ * Only the database round trip is replaced - queries still go through the
+ * soft delete plugin, so trashed matches are hidden exactly as they would be
+ */
+
+import mongoose from 'mongoose';
+import { S3Client } from '@aws-sdk/client-s3';
+import Match from './src/models/Match.js';
+import { VideoAnalysisService } from './src/services/analysisService.js';
+import {
+  MATCH_TRASH_DAYS,
+  moveMatchToTrash,
+  purgeExpiredMatches,
+  purgeMatch,
+  restoreMatchService,
+} from './src/services/matchTrashService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING MATCH TRASH');
+
+// In-memory collections by model name, as plain objects
+const db = {};
+const collection = (query) => (db[query.model.modelName] ||= []);
+
+const same = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : String(a) === String(b);
+
+const matchesCondition = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+  if (
+    typeof condition !== 'object' ||
+    condition instanceof Date ||
+    condition instanceof mongoose.Types.ObjectId
+  ) {
+    return value !== undefined && same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$ne':
+        return !matchesCondition(value, operand);
+      case '$in':
+        return operand.some((item) => matchesCondition(value, item));
+      case '$exists':
+        return (value !== undefined) === operand;
+      case '$lte':
+        return value != null && value <= operand;
+      default:
+        throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+};
+
+const matchesFilter = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some((or) => matchesFilter(doc, or));
+    }
+    if (field === '$and') {
+      return condition.every((and) => matchesFilter(doc, and));
+    }
+    return matchesCondition(doc[field], condition);
+  });
+
+const found = (query) => {
+  query._castConditions();
+  return collection(query).filter((doc) =>
+    matchesFilter(doc, query.getFilter())
+  );
+};
+
+const result = (query, doc) =>
+  query._mongooseOptions.lean ? { ...doc } : query.model.hydrate({ ...doc });
+
+const update = (query, docs) => {
+  const { $set = {}, $unset = {} } = query.getUpdate();
+  docs.forEach((doc) => {
+    Object.assign(doc, $set);
+    Object.keys($unset).forEach((field) => delete doc[field]);
+  });
+  return { acknowledged: true, modifiedCount: docs.length };
+};
+
+const remove = (query, docs) => {
+  db[query.model.modelName] = collection(query).filter(
+    (doc) => !docs.includes(doc)
+  );
+  return { acknowledged: true, deletedCount: docs.length };
+};
+
+Object.assign(mongoose.Query.prototype, {
+  async _find() {
+    return found(this).map((doc) => result(this, doc));
+  },
+  async _findOne() {
+    const [doc] = found(this);
+    return doc ? result(this, doc) : null;
+  },
+  async __distinct() {
+    return found(this).map((doc) => doc[this._distinct]);
+  },
+  async _updateOne() {
+    return update(this, found(this).slice(0, 1));
+  },
+  async _updateMany() {
+    return update(this, found(this));
+  },
+  async _deleteOne() {
+    return remove(this, found(this).slice(0, 1));
+  },
+  async _deleteMany() {
+    return remove(this, found(this));
+  },
+});
+
+// S3 and the analysis server record what they're asked to delete
+let deletedVideos = [];
+let deletedAnalyses = [];
+S3Client.prototype.send = async (command) => {
+  deletedVideos.push(command.input.Key);
+};
+VideoAnalysisService.deleteAnalysis = async (analysisId) => {
+  deletedAnalyses.push(analysisId);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const creator = new mongoose.Types.ObjectId();
+const user = { _id: creator };
+
+const addMatch = (fields = {}) => {
+  const match = {
+    _id: new mongoose.Types.ObjectId(),
+    creator,
+    video: `videos/${new mongoose.Types.ObjectId()}.mp4`,
+    ...fields,
+  };
+  (db.Match ||= []).push(match);
+  return match;
+};
+
+const addAnalysis = (matchId) => {
+  const analysis = { _id: new mongoose.Types.ObjectId(), match_id: matchId };
+  (db.Analysis ||= []).push(analysis);
+  return analysis;
+};
+
+const stored = (model, id) =>
+  (db[model] || []).find((doc) => same(doc._id, id));
+const load = (match) => Match.hydrate({ ...stored('Match', match._id) });
+const reset = () => {
+  Object.keys(db).forEach((model) => delete db[model]);
+  deletedVideos = [];
+  deletedAnalyses = [];
+};
+
+// A match reusing an analysis, see videoFingerprintService
+const withDuplicate = () => {
+  const original = addMatch({ analysisId: 'job-1' });
+  const analysis = addAnalysis('job-1');
+  const duplicate = addMatch({
+    video: original.video,
+    duplicateOf: original._id,
+    reusedAnalysisId: 'job-1',
+  });
+  return { original, analysis, duplicate };
+};
+
+const restore = (match) =>
+  new Promise((resolve, reject) => {
+    const res = { status: () => res, json: resolve };
+    restoreMatchService(
+      { params: { matchId: match._id.toString() }, user },
+      res,
+      reject
+    );
+  });
+
+// Trashing
+{
+  const { original, analysis } = withDuplicate();
+  await moveMatchToTrash(load(original), user);
+  check(
+    'Trashing keeps an analysis another match reuses',
+    stored('Match', original._id).deletedAt &&
+      !stored('Analysis', analysis._id).deletedAt
+  );
+  reset();
+}
+
+{
+  const match = addMatch({ analysisId: 'job-2' });
+  const analysis = addAnalysis('job-2');
+  const purgeAt = await moveMatchToTrash(load(match), user);
+  check(
+    'Trashing hides an analysis of its own',
+    !!stored('Analysis', analysis._id).deletedAt
+  );
+  check(
+    'Purge date is MATCH_TRASH_DAYS on',
+    purgeAt - stored('Match', match._id).deletedAt === MATCH_TRASH_DAYS * DAY_MS
+  );
+  reset();
+}
+
+// Shared analyses and videos across trashed matches
+{
+  const { original, analysis, duplicate } = withDuplicate();
+  await moveMatchToTrash(load(duplicate), user);
+  await moveMatchToTrash(load(original), user);
+  check(
+    'Analysis is hidden once every match using it is trashed',
+    !!stored('Analysis', analysis._id).deletedAt
+  );
+
+  await purgeMatch(load(original));
+  check('Purged match is gone', !stored('Match', original._id));
+  check(
+    'A trashed duplicate keeps the shared analysis',
+    !!stored('Analysis', analysis._id) && deletedAnalyses.length === 0
+  );
+  check(
+    'A trashed duplicate keeps the shared video',
+    deletedVideos.length === 0
+  );
+
+  await restore(duplicate);
+  check(
+    'Restoring the duplicate brings back its reused analysis',
+    !stored('Match', duplicate._id).deletedAt &&
+      !stored('Analysis', analysis._id).deletedAt
+  );
+
+  await moveMatchToTrash(load(duplicate), user);
+  await purgeMatch(load(duplicate));
+  check(
+    'Purging the last match deletes the analysis',
+    !stored('Analysis', analysis._id)
+  );
+  check(
+    'Purging the last match deletes the video',
+    deletedVideos.join() === duplicate.video
+  );
+  reset();
+}
+
+{
+  const { original, analysis, duplicate } = withDuplicate();
+  await moveMatchToTrash(load(original), user);
+  await moveMatchToTrash(load(duplicate), user);
+  await purgeMatch(load(duplicate));
+  check(
+    'Purging a trashed duplicate keeps the original analysis',
+    !!stored('Analysis', analysis._id)
+  );
+
+  await purgeMatch(load(original));
+  check(
+    'Then purging the original deletes it here and on the server',
+    !stored('Analysis', analysis._id) && deletedAnalyses.join() === 'job-1'
+  );
+  check('And deletes the video once', deletedVideos.length === 1);
+  reset();
+}
+
+// Expiry
+{
+  const now = Date.now();
+  const expired = addMatch({
+    deletedAt: new Date(now - MATCH_TRASH_DAYS * DAY_MS - 1000),
+  });
+  const recent = addMatch({
+    deletedAt: new Date(now - MATCH_TRASH_DAYS * DAY_MS + 60 * 1000),
+  });
+  const live = addMatch();
+
+  const purged = await purgeExpiredMatches();
+  check('Purges matches past the trash period', purged === 1);
+  check('Expired match is gone', !stored('Match', expired._id));
+  check(
+    'Keeps matches still inside the trash period',
+    !!stored('Match', recent._id)
+  );
+  check('Leaves live matches alone', !!stored('Match', live._id));
+  reset();
+}
+
+finish();
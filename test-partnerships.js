@@ -0,0 +1,216 @@
+/**
+ * Test Doubles Partnerships (No DB Connection Required)
+ *
+ * Checks the per-partner stats built from the partnership aggregation,
+ * partner highlights and the best partners list shown on the profile. The
+ * aggregation itself is replaced with the grouped result it would return
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import User from './src/models/User.js';
+import {
+  PartnershipAggregator,
+  getPartnershipsService,
+} from './src/services/partnershipService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING DOUBLES PARTNERSHIPS');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const partnerA = new mongoose.Types.ObjectId();
+const partnerB = new mongoose.Types.ObjectId();
+
+// Match.aggregate() records the pipeline and returns `facets`
+let pipeline;
+let facets;
+Match.aggregate = async (stages) => {
+  pipeline = stages;
+  return [facets];
+};
+
+let users = [];
+User.find = () => ({ select: async () => users });
+User.exists = async ({ _id }) => users.some((user) => user._id.equals(_id));
+
+facets = {
+  overall: [
+    {
+      matches: 10,
+      distance_km: 2,
+      speed_kmh: 5,
+      net_dominance_percentage: 50,
+      total_shots: 40,
+      shot_success_rate: null,
+    },
+  ],
+  partners: [
+    {
+      _id: partnerA,
+      matches: 4,
+      wins: 3,
+      losses: 1,
+      analysed: 2,
+      combined_distance_km: 4.123,
+      distance_km: 2.2,
+      speed_kmh: 5,
+      net_dominance_percentage: 54,
+      total_shots: 38,
+      shot_success_rate: null,
+      last_played: new Date(),
+    },
+    {
+      _id: partnerB,
+      matches: 1,
+      wins: 0,
+      losses: 0,
+      analysed: 0,
+      combined_distance_km: null,
+      distance_km: null,
+      speed_kmh: null,
+      net_dominance_percentage: null,
+      total_shots: null,
+      shot_success_rate: null,
+      last_played: new Date(),
+    },
+  ],
+};
+users = [{ _id: partnerA, fullName: 'Partner A' }];
+
+const { overall, partners } =
+  await PartnershipAggregator.getPartnerships(userId);
+const [withA, withB] = partners;
+
+// Which matches count
+const matchStage = pipeline[0].$match;
+check('Only doubles matches', matchStage.format === 'double');
+check(
+  'Only matches that were played',
+  ['pending', 'confirmed', 'cancelled'].every((status) =>
+    matchStage.status.$nin.includes(status)
+  )
+);
+check(
+  'Pending invitations do not count',
+  matchStage['teams.players'].$elemMatch.invitationStatus.$ne === 'pending'
+);
+
+// Per partner stats
+check('Overall doubles matches', overall.matches === 10);
+check(
+  'Record and win rate with a partner',
+  withA.matches === 4 && withA.wins === 3 && withA.win_rate === 75
+);
+check('Combined court coverage', withA.combined_distance_km === 4.12);
+check(
+  'Metrics compared with the overall averages',
+  withA.deltas.distance_km === 10 &&
+    withA.deltas.net_dominance_percentage === 8 &&
+    withA.deltas.total_shots === -5 &&
+    withA.deltas.speed_kmh === 0
+);
+check(
+  "Metrics that weren't measured have no delta",
+  withA.deltas.shot_success_rate === null &&
+    Object.values(withB.deltas).every((delta) => delta === null)
+);
+check('No decided results, no win rate', withB.win_rate === null);
+check('Partner details are attached', withA.partner.fullName === 'Partner A');
+check(
+  'Partners who have since left keep their ID',
+  withB.partner._id.equals(partnerB) && !withB.partner.fullName
+);
+
+// Highlights
+check(
+  'Highlights the biggest difference',
+  withA.highlight === 'Your distance covered is 10% higher with this partner'
+);
+check(
+  'Highlights drops too',
+  PartnershipAggregator.getPartnerHighlight({
+    speed_kmh: 3,
+    total_shots: -12.4,
+  }) === 'Your shot count is 12% lower with this partner'
+);
+check('Nothing to highlight', withB.highlight === null);
+
+// Best partners
+const partnership = (wins, losses, matches = wins + losses) => ({
+  wins,
+  losses,
+  matches,
+  win_rate: wins + losses ? (wins / (wins + losses)) * 100 : null,
+});
+const few = partnership(2, 0);
+const good = partnership(3, 1);
+const better = partnership(4, 0);
+const busier = partnership(4, 0, 8);
+const unconfirmed = partnership(1, 1, 6);
+
+const best = PartnershipAggregator.getBestPartners([
+  few,
+  good,
+  better,
+  busier,
+  unconfirmed,
+]);
+check(
+  'Best partners need enough decided results',
+  !best.includes(few) && !best.includes(unconfirmed)
+);
+check(
+  'Best partners by win rate, then matches played',
+  best[0] === busier && best[1] === better && best[2] === good
+);
+check(
+  'Best partners are limited',
+  PartnershipAggregator.getBestPartners([good, better, busier], 2).length === 2
+);
+
+// The route handler
+const callHandler = (id, viewerId = id) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (body) => resolve({ statusCode, body }),
+    };
+    getPartnershipsService(
+      { params: { id }, user: { _id: new mongoose.Types.ObjectId(viewerId) } },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+check(
+  'Rejects an invalid user ID',
+  (await callHandler('nope', userId)).statusCode === 400
+);
+check(
+  'Unknown user is a 404',
+  (await callHandler(new mongoose.Types.ObjectId().toString())).statusCode ===
+    404
+);
+
+users.push({ _id: new mongoose.Types.ObjectId(userId) });
+const response = await callHandler(userId);
+check(
+  'Returns partners with the best ones picked out',
+  response.statusCode === 200 &&
+    response.body.data.partners.length === 2 &&
+    response.body.data.bestPartners.length === 1 &&
+    response.body.data.bestPartners[0].partner._id.equals(partnerA)
+);
+check('A player sees their private matches', !('public' in pipeline[0].$match));
+
+await callHandler(userId, new mongoose.Types.ObjectId().toString());
+check(
+  'Someone else only sees public matches',
+  pipeline[0].$match.public === true
+);
+
+finish();
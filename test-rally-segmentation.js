@@ -0,0 +1,181 @@
+/**
+ * Test Rally Segmentation (No DB Connection Required)
+ *
+ * Checks how shot events are grouped into rallies and the match and
+ * per-player rally stats saved with an analysis and returned by the
+ * analysis results route
+ */
+
+import {
+  LONG_RALLY_MIN_SHOTS,
+  addRallyStats,
+  defaultSides,
+  segmentRallies,
+} from './src/utils/rallySegmentation.js';
+import { collectShotEvents } from './src/utils/shotTimeline.js';
+import analysisRouter from './src/routes/analysisRoutes.js';
+import { VideoAnalysisService as PythonApi } from './src/services/analysisService.js';
+import Match from './src/models/Match.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING RALLY SEGMENTATION');
+
+// Shots alternating between players a and b from `start`, one a second
+const exchange = (start, count, lastSuccess) =>
+  Array.from({ length: count }, (_, index) => ({
+    player: index % 2,
+    event: {
+      timestamp: start + index,
+      type: 'forehand',
+      ...(index === count - 1 && lastSuccess !== undefined
+        ? { success: lastSuccess }
+        : {}),
+    },
+  }));
+
+const singles = (shots) => ({
+  player_analytics: {
+    metadata: { duration_minutes: 2, fps: 30 },
+    players: ['a', 'b'].map((player_id, index) => ({
+      player_id,
+      shot_events: shots
+        .filter((shot) => shot.player === index)
+        .map((shot) => shot.event),
+    })),
+  },
+});
+
+const analysis = addRallyStats(
+  singles([
+    // a wins a 3-shot rally
+    ...exchange(0, 3),
+    // b's last shot goes out, so a wins this long one too
+    ...exchange(20, 8, false),
+    // a serves and b wins after a quick 2 shots
+    ...exchange(40, 2),
+    // b hits twice in a row - the second is a new rally
+    { player: 1, event: { timestamp: 43, type: 'forehand' } },
+    { player: 0, event: { timestamp: 44, type: 'backhand' } },
+  ])
+);
+
+// Segmenting
+const { rallies } = analysis;
+check('Splits on gaps and repeated sides', rallies.length === 4);
+check(
+  'Counts shots per rally',
+  rallies.map((rally) => rally.shots).join() === '3,8,2,2'
+);
+check(
+  'Keeps start and end times',
+  rallies[1].start_time === 20 && rallies[1].end_time === 27
+);
+check('Records the last hitter', rallies[1].last_hitter === 'b');
+check('A missed last shot loses the rally', rallies[1].winner_side === 0);
+check('Otherwise the last hitter wins', rallies[2].winner_side === 1);
+check('Splits when the same side hits twice', rallies[3].start_time === 43);
+check(
+  'Respects the gap setting',
+  segmentRallies(collectShotEvents(singles(exchange(0, 4))), {
+    sides: [0, 1],
+    maxGapSeconds: 0.5,
+  }).length === 4
+);
+
+// Match stats
+check('Counts rallies', analysis.rally_stats.total_rallies === 4);
+check('Averages rally length', analysis.rally_stats.average_length === 3.75);
+check('Finds the longest rally', analysis.rally_stats.longest_rally === 8);
+check(
+  'Counts long rallies',
+  analysis.rally_stats.long_rallies === 1 && LONG_RALLY_MIN_SHOTS === 6
+);
+
+// Player stats
+const [a, b] = analysis.player_analytics.players.map(
+  (player) => player.rally_stats
+);
+check('Counts rallies won', a.rallies_won === 3 && b.rallies_won === 1);
+check(
+  'Win share in long rallies',
+  a.long_rally_win_share === 100 && b.long_rally_win_share === 0
+);
+check(
+  'Win share in short rallies',
+  a.short_rally_win_share === 66.67 && b.short_rally_win_share === 33.33
+);
+
+// Doubles sides and edge cases
+check('Doubles players split by team', defaultSides(4).join() === '0,0,1,1');
+check('Singles players are their own side', defaultSides(2).join() === '0,1');
+
+const solo = addRallyStats({
+  player_analytics: {
+    players: [{ player_id: 'a', shot_events: [{ timestamp: 1 }] }],
+  },
+});
+check(
+  'No rallies with one side',
+  solo.rallies.length === 0 &&
+    solo.rally_stats === null &&
+    solo.player_analytics.players[0].rally_stats === null
+);
+check(
+  'Leaves analyses without players alone',
+  !('rallies' in addRallyStats({ status: 'processing' }))
+);
+
+// GET /api/v1/analysis/:analysisId - the analysis server and the match
+// lookup are replaced, the routed handler runs as is
+const route = (path) =>
+  analysisRouter.stack.find(
+    (layer) => layer.route?.path === path && layer.route.methods.get
+  ).route;
+const routedHandler = (path) => route(path).stack.at(-1).handle;
+
+PythonApi.request = async () => ({
+  ok: true,
+  json: async () => ({
+    match_id: 'match-1',
+    status: 'completed',
+    player_analytics: singles([...exchange(0, 3), ...exchange(20, 8, false)])
+      .player_analytics,
+  }),
+});
+Match.findOne = () => ({
+  populate: async () => ({
+    _id: 'match-1',
+    creator: { subscription: { plan: 'pro_monthly' } },
+  }),
+});
+
+const callHandler = (handler) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status: () => res,
+      json: resolve,
+    };
+    handler(
+      { params: { analysisId: 'job-1' }, user: { _id: 'user-1' } },
+      res,
+      reject
+    );
+  });
+
+const response = await callHandler(routedHandler('/:analysisId'));
+const { results } = response.data;
+check('Routed results include rallies', results.rallies?.length === 2);
+check(
+  'Routed results include match rally stats',
+  results.rally_stats?.longest_rally === 8
+);
+check(
+  'Routed results include player rally stats',
+  results.player_analytics.players[0].rally_stats?.long_rally_win_share === 100
+);
+check(
+  'Advanced results use the same handler',
+  routedHandler('/:analysisId/advanced') === routedHandler('/:analysisId')
+);
+
+finish();
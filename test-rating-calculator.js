@@ -0,0 +1,66 @@
+/**
+ * Test Skill Rating Calculator (No DB Connection Required)
+ *
+ * Checks the Elo-style rating changes for singles and doubles matches
+ */
+
+import {
+  DEFAULT_RATING,
+  calculateRatingChanges,
+  getExpectedScore,
+} from './src/utils/ratingCalculator.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING SKILL RATING CALCULATOR');
+
+// Equal singles players, both new (provisional K = 40)
+const singles = calculateRatingChanges(
+  [[{ id: 'a', rating: DEFAULT_RATING, matches: 0 }], [{ id: 'b' }]],
+  0
+);
+console.log('Singles changes:', singles);
+check('Equal players: winner gains 20', singles[0].change === 20);
+check('Equal players: loser drops 20', singles[1].change === -20);
+
+// Favourite barely gains, underdog gains a lot
+check(
+  'Expected score favours the higher rating',
+  getExpectedScore(1700, 1500) > 0.75
+);
+const upset = calculateRatingChanges(
+  [
+    [{ id: 'fav', rating: 1700, matches: 30 }],
+    [{ id: 'dog', rating: 1500, matches: 30 }],
+  ],
+  1
+);
+console.log('Upset changes:', upset);
+check('Established underdog gains more than half of K', upset[1].change > 12);
+check('Rating changes are zero-sum', upset[0].change + upset[1].change === 0);
+
+// Doubles use the team average, partners move by their own K
+const doubles = calculateRatingChanges(
+  [
+    [
+      { id: 'a', rating: 1600, matches: 20 },
+      { id: 'b', rating: 1400, matches: 2 },
+    ],
+    [
+      { id: 'c', rating: 1500, matches: 20 },
+      { id: 'd', rating: 1500, matches: 20 },
+    ],
+  ],
+  0
+);
+console.log('Doubles changes:', doubles);
+check('Doubles team rating is the average', doubles[0].teamRating === 1500);
+check(
+  'Provisional partner gains more than established partner',
+  doubles[1].change > doubles[0].change
+);
+check(
+  'Losing team players both lose rating',
+  doubles[2].change < 0 && doubles[3].change < 0
+);
+
+finish();
@@ -0,0 +1,134 @@
+/**
+ * Test Rating Leaderboard (No DB Connection Required)
+ *
+ * Checks that the rating leaderboard is built from the users' ratings rather
+ * than their analyses, and that a confirmed ranked result can't be edited
+ * once it has been rated. The database calls are replaced with fakes
+ */
+
+import mongoose from 'mongoose';
+import Analysis from './src/models/Analysis.js';
+import Match from './src/models/Match.js';
+import User from './src/models/User.js';
+import TennisLeaderboard from './src/services/leaderboardService.js';
+import { updateMatchService } from './src/services/matchService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING RATING LEADERBOARD');
+
+// User.aggregate() records the pipeline and returns `users`
+let pipeline;
+let users = [];
+User.aggregate = async (stages) => {
+  pipeline = stages;
+  return users;
+};
+let analysisAggregated = false;
+Analysis.aggregate = async () => {
+  analysisAggregated = true;
+  return [];
+};
+
+// Ratings leaderboard
+users = [
+  { user_id: new mongoose.Types.ObjectId(), singles_rating: 1620 },
+  { user_id: new mongoose.Types.ObjectId(), singles_rating: 1540 },
+];
+const singles = await TennisLeaderboard.getPlatformLeaderboard({
+  metric: 'rating',
+});
+check('Ratings are not read from analyses', !analysisAggregated);
+check(
+  'Only players with a rated match are ranked',
+  pipeline[0].$match['rating.singles.matches'].$gte === 1
+);
+check(
+  'Ranked by the singles rating',
+  pipeline[1].$sort['rating.singles.rating'] === -1
+);
+check(
+  'Entries are ranked in order',
+  singles.leaderboard.map((entry) => entry.rank).join() === '1,2' &&
+    singles.total_users === 2
+);
+
+await TennisLeaderboard.getPlatformLeaderboard({
+  metric: 'doubles_rating',
+  minMatches: 5,
+});
+check(
+  'Doubles ranks by the doubles rating and minimum matches',
+  pipeline[1].$sort['rating.doubles.rating'] === -1 &&
+    pipeline[0].$match['rating.doubles.matches'].$gte === 5
+);
+
+const network = [new mongoose.Types.ObjectId().toString()];
+await TennisLeaderboard.getLeaderboardForUsers({
+  metric: 'rating',
+  userIds: network,
+});
+check(
+  'Network ratings are limited to the network',
+  pipeline[0].$match._id.$in.map(String).join() === network.join()
+);
+
+await TennisLeaderboard.getPlatformLeaderboard({ metric: 'distance' });
+check('Other metrics still come from analyses', analysisAggregated);
+
+// Editing a rated result
+const creator = new mongoose.Types.ObjectId();
+const rankedMatch = Match.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  format: 'single',
+  type: 'ranked',
+  creator,
+  location: 'Court 1',
+  teams: [
+    { players: [{ player: creator, color: 'red' }] },
+    {
+      players: [{ player: new mongoose.Types.ObjectId(), color: 'blue' }],
+    },
+  ],
+  score: { sets: [{ games: [6, 4] }, { games: [6, 3] }], winner: 0 },
+  confirmation: { status: 'confirmed' },
+});
+Match.findOne = async () => rankedMatch;
+let saved = false;
+rankedMatch.save = async () => {
+  saved = true;
+};
+
+const update = (body) =>
+  new Promise((resolve) => {
+    let statusCode;
+    const res = {
+      status: (code) => {
+        statusCode = code;
+        return res;
+      },
+      json: (responseBody) => resolve({ statusCode, body: responseBody }),
+    };
+    updateMatchService(
+      {
+        params: { matchId: rankedMatch._id.toString() },
+        user: { _id: creator },
+        body,
+      },
+      res,
+      (error) => resolve({ statusCode: error.statusCode, error })
+    );
+  });
+
+check(
+  'The score of a confirmed ranked match is fixed',
+  (await update({ score: { sets: [{ games: [4, 6] }] } })).statusCode === 400 &&
+    !saved
+);
+check(
+  'So are its teams and type',
+  (await update({ type: 'friendly' })).statusCode === 400 &&
+    (await update({ teams: [] })).statusCode === 400 &&
+    !saved
+);
+
+finish();
@@ -106,24 +106,13 @@ try {
   console.error('✗ Failed with valid shot events:', error.message);
 }
 
-// Test 2: Invalid shot events format (this might reproduce the error)
+// Test 2: Invalid shot events format - rejected, not cleared
 console.log('\n2. Testing invalid shot events format...');
 try {
-  const formatted = formatAnalysisResponse(
-    invalidShotEventsAnalysis,
-    'user123'
-  );
-  console.log('✓ Successfully handled invalid shot events format');
-  console.log(
-    '✓ Player shot_events is array:',
-    Array.isArray(formatted.player_analytics.players[0].shot_events)
-  );
-  console.log(
-    '✓ Player shot_events count:',
-    formatted.player_analytics.players[0].shot_events.length
-  );
+  formatAnalysisResponse(invalidShotEventsAnalysis, 'user123');
+  console.error('✗ Invalid shot events format was accepted');
 } catch (error) {
-  console.error('✗ Failed with invalid shot events:', error.message);
+  console.log('✓ Rejected invalid shot events format:', error.message);
 }
 
 // Test 3: Missing shot events
@@ -173,8 +162,8 @@ const mixedShotEventsAnalysis = {
             type: 'forehand',
             success: true,
           },
-          'invalid_string', // This should be filtered out
-          null, // This should be filtered out
+          'invalid_string', // Makes the payload invalid
+          null, // Makes the payload invalid
           {
             timestamp: 25.2,
             type: 'volley',
@@ -187,14 +176,10 @@ const mixedShotEventsAnalysis = {
 };
 
 try {
-  const formatted = formatAnalysisResponse(mixedShotEventsAnalysis, 'user123');
-  console.log('✓ Successfully handled mixed shot events');
-  console.log(
-    '✓ Player shot_events filtered count:',
-    formatted.player_analytics.players[0].shot_events.length
-  );
+  formatAnalysisResponse(mixedShotEventsAnalysis, 'user123');
+  console.error('✗ Mixed shot events were accepted');
 } catch (error) {
-  console.error('✗ Failed with mixed shot events:', error.message);
+  console.log('✓ Rejected mixed shot events:', error.message);
 }
 
 console.log('\n=== Shot Events Tests Completed ===');
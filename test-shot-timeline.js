@@ -0,0 +1,128 @@
+/**
+ * Test Shot Timeline (No DB Connection Required)
+ *
+ * Checks shot event filters, per-minute histograms and velocity
+ * distributions used by GET /api/v1/analysis/:analysisId/shots
+ */
+
+import {
+  buildShotHistogram,
+  buildVelocityDistribution,
+  collectShotEvents,
+  filterShotEvents,
+  parseShotQuery,
+} from './src/utils/shotTimeline.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING SHOT TIMELINE');
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.statusCode === 400;
+  }
+};
+
+const analysis = {
+  player_analytics: {
+    metadata: { duration_minutes: 3, fps: 30 },
+    players: [
+      {
+        player_id: 'a',
+        user: 'user-1',
+        shot_events: [
+          { timestamp: 70, type: 'smash', velocity: 92, success: true },
+          { timestamp: 5, type: 'forehand', velocity: 48, success: true },
+        ],
+      },
+      {
+        player_id: 'b',
+        shot_events: [
+          // No timestamp - worked out from the frame
+          {
+            start_frame: 1800,
+            end_frame: 1830,
+            type: 'Backhand',
+            velocity: 41,
+          },
+          { type: 'volley', success: false },
+        ],
+      },
+    ],
+    // Ignored while players have their own events
+    shot_events: [{ timestamp: 1, type: 'forehand' }],
+  },
+};
+
+// Collecting
+const events = collectShotEvents(analysis);
+check('Collects every player event', events.length === 4);
+check(
+  'Orders by time, untimed last',
+  events.map((event) => event.time).join() === '5,60,70,'
+);
+check('Times from frames', events[1].time === 60 && events[1].end_time === 61);
+check('Lower-cases types', events[1].type === 'backhand');
+check('Keeps the player', events[2].player_id === 'a');
+check(
+  'Falls back to top-level events',
+  collectShotEvents({
+    player_analytics: { players: [{}], shot_events: [{ timestamp: 1 }] },
+  }).length === 1
+);
+
+// Filters
+const byQuery = (query) =>
+  filterShotEvents(events, parseShotQuery(query)).length;
+check('Filters by player_id', byQuery({ player: 'b' }) === 2);
+check('Filters by position', byQuery({ player: '0' }) === 2);
+check('Filters by user', byQuery({ player: 'user-1' }) === 2);
+check('Filters by type', byQuery({ type: 'smash,Backhand' }) === 2);
+check('Filters by time range', byQuery({ from: '30', to: '65' }) === 1);
+check('Filters by success', byQuery({ success: 'false' }) === 1);
+check('Rejects unknown types', throws(() => parseShotQuery({ type: 'lob' })));
+check('Rejects bad times', throws(() => parseShotQuery({ from: 'soon' })));
+check(
+  'Rejects reversed ranges',
+  throws(() => parseShotQuery({ from: '60', to: '30' }))
+);
+check('Rejects bad success', throws(() => parseShotQuery({ success: 'yes' })));
+
+// Histogram
+const histogram = buildShotHistogram(events, { durationSeconds: 180 });
+check('One bucket per minute', histogram.length === 3);
+check(
+  'Counts shots per minute',
+  histogram.map((minute) => minute.total).join() === '1,2,0'
+);
+check('Counts by type', histogram[1].by_type.smash === 1);
+check('Counts successes', histogram[1].successful === 1);
+check(
+  'Starts at the range',
+  buildShotHistogram([], { from: 61, to: 130, durationSeconds: 180 })[0]
+    .minute === 1
+);
+check('Empty without shots or duration', buildShotHistogram([]).length === 0);
+
+// Velocity
+const velocity = buildVelocityDistribution(events, 20);
+check('Summarizes velocities', velocity.count === 3 && velocity.max === 92);
+check('Takes the median', velocity.median === 48);
+check(
+  'Bins velocities',
+  velocity.bins.map((bin) => `${bin.from}:${bin.count}`).join() ===
+    '40:2,60:0,80:1'
+);
+check('Summarizes per type', velocity.by_type.smash.average === 92);
+check(
+  'Widens tiny bins',
+  buildVelocityDistribution(events, 0.01).bins.length <= 50
+);
+check(
+  'Handles no velocities',
+  buildVelocityDistribution([]).bins.length === 0
+);
+
+finish();
@@ -0,0 +1,159 @@
+/**
+ * Test Americano / Mexicano Scheduling (No DB Connection Required)
+ *
+ * Checks partner rotation, resting and standings-based pairing, and the
+ * matches created for a round. Saving is replaced so no database is needed
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import SocialSession from './src/models/SocialSession.js';
+import User from './src/models/User.js';
+import { createSocialSessionService } from './src/services/socialSessionService.js';
+import {
+  buildAmericanoSchedule,
+  buildMexicanoRound,
+  computeSessionStandings,
+} from './src/utils/socialSessionScheduler.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING SOCIAL SESSION SCHEDULING');
+
+// 8 players on 2 courts: everyone partners everyone exactly once
+const eight = buildAmericanoSchedule(8, 2);
+const partnerships = new Map();
+eight.forEach((round) =>
+  round.games.forEach((game) =>
+    game.teams.forEach(([a, b]) => {
+      const key = [a, b].sort().join('-');
+      partnerships.set(key, (partnerships.get(key) || 0) + 1);
+    })
+  )
+);
+check('8 players play 7 Americano rounds', eight.length === 7);
+check(
+  'Every pair of players partners exactly once',
+  partnerships.size === 28 && [...partnerships.values()].every((n) => n === 1)
+);
+check(
+  'Nobody sits out with 8 players on 2 courts',
+  eight.every((round) => round.sittingOut.length === 0)
+);
+
+// 6 players on 1 court: two rest each round, spread fairly
+const six = buildAmericanoSchedule(6, 1);
+const rests = new Array(6).fill(0);
+six.forEach((round) => round.sittingOut.forEach((i) => (rests[i] += 1)));
+console.log('Rest counts with 6 players:', rests);
+check(
+  'Rests are spread across the 6 players',
+  Math.max(...rests) - Math.min(...rests) <= 1
+);
+
+// Mexicano: 1st + 4th vs 2nd + 3rd
+const round = buildMexicanoRound([3, 1, 0, 2, 4, 5, 6, 7], [], 2);
+check(
+  'Mexicano pairs 1st and 4th against 2nd and 3rd',
+  round.games[0].teams[0].join(',') === '3,2' &&
+    round.games[0].teams[1].join(',') === '1,0'
+);
+
+const restRound = buildMexicanoRound([0, 1, 2, 3, 4], [1, 0, 0, 0, 0], 1);
+check(
+  'Mexicano rests the lowest ranked player who has rested least',
+  restRound.sittingOut.join(',') === '4'
+);
+
+// Standings
+const standings = computeSessionStandings(4, [
+  {
+    sittingOut: [],
+    games: [
+      {
+        status: 'completed',
+        teams: [
+          [0, 1],
+          [2, 3],
+        ],
+        points: [15, 9],
+      },
+    ],
+  },
+]);
+check(
+  'Standings credit each player with their team points',
+  standings[0].points === 15 &&
+    standings[0].won === 1 &&
+    standings[3].points === 9
+);
+
+// Round matches go through the Match hooks, which run here in place of a save
+const runSaveHooks = (match) =>
+  new Promise((resolve, reject) => {
+    match.schema.s.hooks.execPre('save', match, [], (error) =>
+      error ? reject(error) : resolve()
+    );
+  });
+
+const created = [];
+Match.create = async (data) => {
+  const match = new Match(data);
+  await match.validate();
+  await runSaveHooks(match);
+  created.push(match);
+  return match;
+};
+SocialSession.prototype.save = async function () {
+  return this;
+};
+SocialSession.prototype.populate = async function () {
+  return this;
+};
+User.countDocuments = async ({ _id }) => _id.$in.length;
+
+const organizer = new mongoose.Types.ObjectId();
+const registered = [organizer, new mongoose.Types.ObjectId()];
+const sessionResponse = await new Promise((resolve) => {
+  const res = {
+    status: () => res,
+    json: resolve,
+  };
+  createSocialSessionService(
+    {
+      user: { _id: organizer },
+      body: {
+        name: 'Friday social',
+        mode: 'americano',
+        location: 'Club Court',
+        courts: 1,
+        pointsPerGame: 24,
+        players: [
+          ...registered.map((player) => ({ player })),
+          { name: 'Guest One' },
+          { name: 'Guest Two' },
+        ],
+      },
+    },
+    res,
+    resolve
+  );
+});
+
+check(
+  'Starting a session creates the first round match',
+  created.length === 1 &&
+    sessionResponse.data.session.rounds[0].games[0].match.equals(created[0]._id)
+);
+check(
+  'Round matches are played now, not upcoming',
+  created[0].status === 'completed' && created[0].startTime <= new Date()
+);
+check(
+  'Session players have nothing to accept',
+  created[0].teams
+    .flatMap((team) => team.players)
+    .filter((playerObj) => playerObj.player)
+    .every((playerObj) => playerObj.invitationStatus !== 'pending')
+);
+
+finish();
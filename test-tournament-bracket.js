@@ -0,0 +1,201 @@
+/**
+ * Test Tournament Bracket Generation (No DB Connection Required)
+ *
+ * Plays through single elimination, double elimination and group stage
+ * brackets, always letting the better seed win. The multi-group knockout is
+ * played through the tournament service with saving replaced by fakes
+ */
+
+import mongoose from 'mongoose';
+import Match from './src/models/Match.js';
+import Tournament from './src/models/Tournament.js';
+import { applyTournamentMatchResult } from './src/services/tournamentService.js';
+import {
+  getSeedOrder,
+  buildEliminationFixtures,
+  buildGroupFixtures,
+  settleFixtures,
+  recordFixtureResult,
+  computeGroupStandings,
+  getGroupWinners,
+} from './src/utils/tournamentBracket.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING TOURNAMENT BRACKETS');
+
+const seeds = (count) =>
+  Array.from({ length: count }, (_, i) => `seed${i + 1}`);
+const seedNumber = (entrant) => Number(entrant.replace('seed', ''));
+
+// Play every ready fixture until the bracket is finished
+const playOut = (fixtures, pickWinnerSlot) => {
+  let ready = settleFixtures(fixtures);
+  let played = 0;
+
+  while (ready.length) {
+    const fixture = ready.shift();
+    played += 1;
+    ready.push(
+      ...recordFixtureResult(fixtures, fixture.key, pickWinnerSlot(fixture))
+    );
+  }
+
+  return played;
+};
+
+const betterSeedWins = (fixture) =>
+  seedNumber(fixture.slots[0].entrant) < seedNumber(fixture.slots[1].entrant)
+    ? 0
+    : 1;
+
+check(
+  'Seed order for 8 keeps top seeds apart',
+  getSeedOrder(8).join(',') === '1,8,4,5,2,7,3,6'
+);
+
+// Single elimination with byes
+const single = buildEliminationFixtures(seeds(6));
+const singlePlayed = playOut(single, betterSeedWins);
+const singleFinal = single.find((f) => f.key === 'W3-0');
+check('6-entrant single elimination plays 5 matches', singlePlayed === 5);
+check('Top seed wins single elimination', singleFinal.winner === 'seed1');
+check(
+  'Top two seeds get byes',
+  single.filter((f) => f.status === 'bye').length === 2
+);
+
+// Double elimination: the top seed loses once and still wins it
+const double = buildEliminationFixtures(seeds(8), { doubleElimination: true });
+let upsetDone = false;
+const doublePlayed = playOut(double, (fixture) => {
+  if (!upsetDone && fixture.key === 'W3-0') {
+    upsetDone = true;
+    return fixture.slots[0].entrant === 'seed1' ? 1 : 0;
+  }
+  return betterSeedWins(fixture);
+});
+const grandFinal = double.find((f) => f.key === 'GF');
+check('8-entrant double elimination plays 14 matches', doublePlayed === 14);
+check(
+  'Winners final loser reaches the grand final',
+  grandFinal.slots.some((slot) => slot.entrant === 'seed1')
+);
+check('Grand final decides the champion', grandFinal.winner === 'seed1');
+
+// Double elimination with byes still finishes
+const doubleByes = buildEliminationFixtures(seeds(5), {
+  doubleElimination: true,
+});
+playOut(doubleByes, betterSeedWins);
+check(
+  '5-entrant double elimination completes',
+  doubleByes.every((f) => ['completed', 'bye'].includes(f.status)) &&
+    doubleByes.find((f) => f.key === 'GF').winner === 'seed1'
+);
+
+// Group stage
+const groups = buildGroupFixtures(seeds(7), 2);
+check(
+  '7 entrants in 2 groups play 3 + 6 matches',
+  groups.filter((f) => f.group === 1).length === 3 &&
+    groups.filter((f) => f.group === 2).length === 6
+);
+playOut(groups, betterSeedWins);
+const groupOne = ['seed1', 'seed4', 'seed5'];
+const groupOneEntrants = [
+  ...new Set(
+    groups
+      .filter((f) => f.group === 1)
+      .flatMap((f) => f.slots.map((slot) => slot.entrant))
+  ),
+];
+const standings = computeGroupStandings(
+  groups.filter((f) => f.group === 1),
+  groupOneEntrants
+);
+check(
+  'Snake seeding puts seeds 1, 4 and 5 in group one',
+  groupOne.every((seed) => groupOneEntrants.includes(seed)) &&
+    groupOneEntrants.length === 3
+);
+check(
+  'Group standings rank the top seed first with 2 wins',
+  standings[0].entrant === 'seed1' && standings[0].won === 2
+);
+check(
+  'Group winners come out in group order',
+  getGroupWinners(groups).join() === 'seed1,seed2'
+);
+
+// Several groups end with a knockout between the group winners
+const fixtureMatches = new Map();
+Match.create = async (fields) => {
+  const fixtureMatch = new Match(fields);
+  fixtureMatches.set(fields.tournamentFixture, fixtureMatch);
+  return fixtureMatch;
+};
+
+const tournament = new Tournament({
+  name: 'Club Cup',
+  organizer: new mongoose.Types.ObjectId(),
+  format: 'single',
+  bracketType: 'group_stage',
+  groupCount: 2,
+  location: 'Club Court',
+  status: 'in_progress',
+  entrants: Array.from({ length: 4 }, () => ({
+    players: [new mongoose.Types.ObjectId()],
+  })),
+});
+const entrantIds = tournament.entrants.map((entrant) => entrant._id);
+tournament.fixtures = buildGroupFixtures(entrantIds, 2);
+settleFixtures(tournament.fixtures);
+tournament.fixtures.forEach((fixture) => {
+  fixture.match = new mongoose.Types.ObjectId();
+});
+Tournament.findById = async () => tournament;
+tournament.save = async () => tournament;
+
+// The better seed (earlier entrant) wins 6-0 6-0
+const playFixture = (fixture) => {
+  const [home, away] = fixture.slots.map((slot) =>
+    entrantIds.findIndex((id) => id.equals(slot.entrant))
+  );
+  const winner = home < away ? 0 : 1;
+  const games = winner === 0 ? [6, 0] : [0, 6];
+
+  return applyTournamentMatchResult({
+    tournament: tournament._id,
+    tournamentFixture: fixture.key,
+    teams: [{ score: 2 - winner * 2 }, { score: winner * 2 }],
+    score: { sets: [{ games }, { games }], winner },
+  });
+};
+
+for (const fixture of tournament.fixtures.filter((f) => f.group)) {
+  await playFixture(fixture);
+}
+
+const [knockoutFinal] = tournament.fixtures.filter(
+  (fixture) => fixture.bracket === 'winners'
+);
+check(
+  'Finishing the groups draws a final between the group winners',
+  knockoutFinal?.status === 'ready' &&
+    knockoutFinal.slots.every((slot) =>
+      [entrantIds[0], entrantIds[1]].some((id) => id.equals(slot.entrant))
+    ) &&
+    fixtureMatches.has(knockoutFinal.key)
+);
+check(
+  'The tournament carries on until the final is played',
+  tournament.status === 'in_progress' && !tournament.winner
+);
+
+await playFixture(knockoutFinal);
+check(
+  'The final decides the winner',
+  tournament.status === 'completed' && tournament.winner.equals(entrantIds[0])
+);
+
+finish();
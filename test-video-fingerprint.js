@@ -0,0 +1,217 @@
+/**
+ * Test Video Fingerprinting (No DB Connection Required)
+ *
+ * Checks the byte ranges sampled from a video, S3 key parsing, and the
+ * unique / reused / rejected decision for a new upload. S3 and the match
+ * and analysis lookups are replaced with in-memory fakes
+ */
+
+import mongoose from 'mongoose';
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+} from '@aws-sdk/client-s3';
+import Match from './src/models/Match.js';
+import Analysis from './src/models/Analysis.js';
+import {
+  checkDuplicateVideo,
+  fingerprintVideo,
+  getS3Key,
+  getSampleRanges,
+} from './src/services/videoFingerprintService.js';
+import { createChecks } from './testChecks.js';
+
+const { check, finish } = createChecks('TESTING VIDEO FINGERPRINTING');
+
+process.env.S3_BUCKET_NAME = 'padel-videos';
+
+// Sample ranges
+check('Empty file has no samples', getSampleRanges(0, 5, 10).length === 0);
+check(
+  'Small file is read whole',
+  JSON.stringify(getSampleRanges(30, 5, 10)) === '[[0,29]]'
+);
+check(
+  'File exactly the sample size is read whole',
+  JSON.stringify(getSampleRanges(50, 5, 10)) === '[[0,49]]'
+);
+
+const ranges = getSampleRanges(1000, 5, 10);
+check('Takes the configured number of samples', ranges.length === 5);
+check(
+  'Samples run from the start to the end of the file',
+  ranges[0][0] === 0 && ranges[4][1] === 999
+);
+check(
+  'Every sample is the configured size',
+  ranges.every(([start, end]) => end - start + 1 === 10)
+);
+check(
+  'A single sample starts at the beginning',
+  JSON.stringify(getSampleRanges(1000, 1, 10)) === '[[0,9]]'
+);
+
+// S3 keys
+check('Plain keys are kept', getS3Key('videos/a.mp4') === 'videos/a.mp4');
+check(
+  'Reads virtual-hosted URLs',
+  getS3Key(
+    'https://padel-videos.s3.eu-west-1.amazonaws.com/videos/a%20b.mp4'
+  ) === 'videos/a b.mp4'
+);
+check(
+  'Reads path style URLs',
+  getS3Key('https://s3.eu-west-1.amazonaws.com/padel-videos/videos/a.mp4') ===
+    'videos/a.mp4'
+);
+check(
+  'Ignores other buckets and hosts',
+  getS3Key('https://other.s3.amazonaws.com/videos/a.mp4') === null &&
+    getS3Key('https://example.com/videos/a.mp4') === null
+);
+check('No location, no key', getS3Key('') === null);
+
+// S3 holds these videos - anything else can't be read
+const videos = {};
+S3Client.prototype.send = async (command) => {
+  const video = videos[command.input.Key];
+  if (!video) throw new Error('NoSuchKey');
+
+  if (command instanceof HeadObjectCommand) {
+    return { ContentLength: video.length };
+  }
+  if (command instanceof GetObjectCommand) {
+    const [start, end] = command.input.Range.slice(6).split('-').map(Number);
+    return {
+      Body: {
+        transformToByteArray: async () => video.subarray(start, end + 1),
+      },
+    };
+  }
+  throw new Error(`Unexpected command ${command.constructor.name}`);
+};
+
+const bytes = (size, seed) =>
+  Buffer.from(Array.from({ length: size }, (_, index) => (index * seed) % 251));
+
+videos['videos/one.mp4'] = bytes(2 * 1024 * 1024, 7);
+videos['videos/copy.mp4'] = Buffer.from(videos['videos/one.mp4']);
+videos['videos/other.mp4'] = bytes(2 * 1024 * 1024, 11);
+
+const fingerprint = await fingerprintVideo('videos/one.mp4');
+check(
+  'Same content, same fingerprint',
+  fingerprint === (await fingerprintVideo('videos/copy.mp4'))
+);
+check(
+  'Different content, different fingerprint',
+  fingerprint !== (await fingerprintVideo('videos/other.mp4'))
+);
+
+// The creator's other matches and their analyses
+let matches = [];
+let analyses = [];
+let matchFilter;
+Match.find = (filter) => {
+  matchFilter = filter;
+  return {
+    sort: async () =>
+      matches.filter(
+        (match) => match.videoFingerprint === filter.videoFingerprint
+      ),
+  };
+};
+Analysis.findOne = async (filter) =>
+  analyses.find((analysis) =>
+    filter.match_id.$in.includes(analysis.match_id)
+  ) || null;
+
+const creator = new mongoose.Types.ObjectId();
+const newMatch = () => new Match({ creator, analysisStatus: 'not_started' });
+const otherMatch = (fields) =>
+  new Match({ creator, videoFingerprint: fingerprint, ...fields });
+
+{
+  const match = newMatch();
+  const result = await checkDuplicateVideo(match, 'videos/one.mp4');
+  check('New video is unique', result.status === 'unique');
+  check(
+    'Fingerprint is kept on the match',
+    match.videoFingerprint === fingerprint
+  );
+  check(
+    "Only looks at the creator's other matches",
+    matchFilter.creator.equals(creator) && matchFilter._id.$ne === match._id
+  );
+}
+
+{
+  const original = otherMatch({
+    analysisStatus: 'completed',
+    analysisId: 'job-1',
+    playerDetectionStatus: 'completed',
+  });
+  matches = [original];
+  analyses = [{ match_id: 'job-1' }];
+
+  const match = newMatch();
+  const result = await checkDuplicateVideo(
+    match,
+    'https://padel-videos.s3.amazonaws.com/videos/copy.mp4'
+  );
+  check('Analysed video is reused', result.status === 'reused');
+  check(
+    'Reused match points at the original analysis',
+    match.duplicateOf.equals(original._id) &&
+      match.reusedAnalysisId === 'job-1' &&
+      match.analysisStatus === 'completed'
+  );
+}
+
+{
+  matches = [otherMatch({ analysisStatus: 'completed' })];
+  analyses = [];
+  const result = await checkDuplicateVideo(newMatch(), 'videos/copy.mp4');
+  check(
+    'Completed match with no analysis left is not reused',
+    result.status === 'unique'
+  );
+}
+
+{
+  const processing = otherMatch({ analysisStatus: 'processing' });
+  matches = [processing];
+  const match = newMatch();
+  const result = await checkDuplicateVideo(match, 'videos/copy.mp4');
+  check('Video still being analysed is rejected', result.status === 'rejected');
+  check(
+    'Rejection names the match being analysed',
+    result.original === processing && !match.duplicateOf
+  );
+}
+
+{
+  matches = [otherMatch({ analysisStatus: 'failed' })];
+  const result = await checkDuplicateVideo(newMatch(), 'videos/copy.mp4');
+  check('Video that failed to analyse goes ahead', result.status === 'unique');
+}
+
+{
+  const match = newMatch();
+  const result = await checkDuplicateVideo(match, 'videos/missing.mp4');
+  check(
+    "A video that can't be fingerprinted goes ahead",
+    result.status === 'unique' && !match.videoFingerprint
+  );
+}
+
+{
+  const result = await checkDuplicateVideo(
+    newMatch(),
+    'https://example.com/video.mp4'
+  );
+  check('Videos outside the bucket are unique', result.status === 'unique');
+}
+
+finish();
@@ -0,0 +1,38 @@
+/**
+ * Shared check helpers for the no-DB test scripts (test-*.js)
+ *
+ * createChecks prints the script's banner and returns `check`, which logs
+ * one ✅ / ❌ line per condition, and `finish`, which prints the summary and
+ * exits non-zero if any check failed.
+ */
+
+export const createChecks = (title) => {
+  console.log('\n========================================');
+  console.log(title);
+  console.log('========================================\n');
+
+  let failures = 0;
+
+  const check = (description, condition) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+    } else {
+      failures += 1;
+      console.log(`❌ ${description}`);
+    }
+  };
+
+  const finish = () => {
+    console.log('\n========================================');
+    console.log(
+      failures ? `❌ ${failures} check(s) failed` : '✅ All checks passed'
+    );
+    console.log('========================================\n');
+
+    process.exit(failures ? 1 : 0);
+  };
+
+  return { check, finish };
+};
+
+export default createChecks;